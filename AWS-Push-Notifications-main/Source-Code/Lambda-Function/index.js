@@ -1,40 +1,221 @@
 const AWS = require('aws-sdk')
+const { DEVICE_INDEXES, DeviceRegistry } = require('../../../lib/device-registry')
+const { createStore } = require('../../../lib/store')
+const payloadBuilder = require('../../../lib/payload-builder')
+const { InvalidPayloadError, NotFoundError, PushNotificationError, normalizeError, toErrorBody } = require('../../../lib/errors')
+const { PublishGuard } = require('../../../lib/publish-guard')
+const { localize, validateVariants } = require('../../../lib/localization')
+const { FrequencyCap } = require('../../../lib/frequency-cap')
+const { PreferenceCenter } = require('../../../lib/preferences')
+const { allReached, fanOut, summarizeUsers, userTargetsOf, validateUserTargets } = require('../../../lib/fan-out')
 
-exports.handler = async (event) => {
-
-    //make SNS device endpoint the ARN for the message to be sent to
-    //if want to send to all -- remove the device token -- make it general to the SNS platform application
-    const TargetArn = 'arn:aws:sns:us-east-1:713026491585:endpoint/GCM/PushNotifications/2d65b2b2-af11-3411-9c17-685d40ce80b7';
-    
-    let payload = {
-        default : 'default',
-        GCM:{
-            notification:{
-                body: 'It Is Working!',
-                title: 'New Notification!',
-                sound: 'default'
-            }
-        }
+//choose AWS configuration
+const new_sns = new AWS.SNS({apiVersion: '2010-03-31'})
+
+//device -> SNS endpoint mapping (DynamoDB when DEVICE_TABLE_NAME is set, memory otherwise)
+const registry = new DeviceRegistry({
+    sns: new_sns,
+    store: createStore({ tableName: process.env.DEVICE_TABLE_NAME, keyName: 'deviceId', indexes: DEVICE_INDEXES })
+})
+
+//publishes go through the RATE_LIMIT_PER_MINUTE bucket and the circuit breaker
+const guarded_sns = PublishGuard.fromEnv(process.env).wrap(new_sns)
+
+//per-user caps (FREQUENCY_CAPS), counted in FREQUENCY_CAP_TABLE_NAME so every send path shares them
+const frequencyCap = FrequencyCap.fromEnv(process.env)
+
+//per-user category and channel opt-ins (PREFERENCES_TABLE_NAME)
+const preferences = PreferenceCenter.fromEnv(process.env)
+
+const respond = (statusCode, body) => ({
+    statusCode: statusCode,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+})
+
+const respondWithError = (error, requestId) => {
+    //unexpected failures are reported without leaking internals
+    let normalized = normalizeError(error)
+    if (normalized.code === 'INTERNAL_ERROR') {
+        normalized = new PushNotificationError('INTERNAL_ERROR')
+    }
+    return respond(normalized.statusCode, toErrorBody(normalized, requestId))
+}
+
+const parseBody = (event) => {
+    if (!event.body) {
+        return {}
     }
-    
-    payload.GCM = JSON.stringify(payload.GCM);
-    payload = JSON.stringify(payload);
-    
+    return typeof event.body === 'string' ? JSON.parse(event.body) : event.body
+}
+
+// POST /device/register
+const registerDevice = async (body) => {
+    const errors = registry.validateRegistration(body)
+    if (errors.length > 0) {
+        throw new InvalidPayloadError('Request body validation failed', errors)
+    }
+
+    const device = await registry.register(body)
+
+    return respond(201, {
+        success: true,
+        deviceId: device.deviceId,
+        snsEndpointArn: device.snsEndpointArn,
+        registeredAt: device.registeredAt
+    })
+}
+
+// PUT /device/{deviceId}/token
+const updateDeviceToken = async (deviceId, body) => {
+    if (!body.deviceToken) {
+        throw new InvalidPayloadError('Request body validation failed', ['Missing deviceToken'])
+    }
+
+    const device = await registry.updateToken(deviceId, body.deviceToken)
+
+    return respond(200, {
+        success: true,
+        deviceId: device.deviceId,
+        snsEndpointArn: device.snsEndpointArn,
+        updatedAt: device.updatedAt
+    })
+}
+
+//publish a send request to one registered device; resolves the device's result
+const publishToDevice = async (device, body, cap = frequencyCap) => {
+    const notification = body.notification || {}
+    const deviceId = device.deviceId
+    const spec = payloadBuilder.fromRequest(body)
+
+    //pick the variant for the request's locale or the one the device registered with
+    const { content, locale } = localize({ title: spec.title, body: spec.body }, notification.localizations, body.locale || device.locale)
+    spec.title = content.title
+    spec.body = content.body
+
+    //keep the original defaults for bare requests
+    spec.title = spec.title || body.title || 'New Notification!'
+    spec.body = spec.body || body.message || 'It Is Working!'
+    spec.sound = spec.sound || 'default'
+
+    //iOS endpoints get an APNS or APNS_SANDBOX payload, Android ones GCM
+    const protocols = payloadBuilder.protocolsForPlatform(device.platform, device.snsEndpointArn)
+
     const params_sns = {
-        Message: payload,
-        TargetArn: TargetArn,
-        MessageStructure : 'json'
-    }
-    
-    //choose AWS configuration
-    const new_sns = new AWS.SNS({apiVersion: '2010-03-31'})
-    
+        ...payloadBuilder.buildPublishParams(spec, { protocols: protocols }),
+        TargetArn: device.snsEndpointArn
+    }
+
+    //users who opted out of this category or platform are skipped, not failed
+    const recipient = { userId: device.userId, deviceId: deviceId, platform: device.platform, category: body.category, data: spec.data }
+    const optedOut = await preferences.check(recipient)
+    if (optedOut) {
+        return {
+            success: true,
+            suppressed: true,
+            deviceId: deviceId,
+            ...optedOut,
+            timestamp: new Date().toISOString()
+        }
+    }
+
+    //counts against the user's frequency caps; a failed publish gives the send back
+    const charge = await cap.enforce(recipient)
+
     //queue like behavior
-    await new_sns.publish(params_sns).promise();    
-    
-    const response = {
-        statusCode: 200,
-        body: JSON.stringify('Hello from Lambda!'),
-    };
-    return response;
+    let result
+    try {
+        result = await guarded_sns.publish(params_sns).promise();
+    } catch (error) {
+        await cap.refund(charge)
+        //a rejected token (disabled endpoint) takes the device out of user fan-outs
+        if (normalizeError(error).code === 'INVALID_TOKEN') {
+            await registry.deactivate(deviceId)
+        }
+        throw error
+    }
+
+    return {
+        success: true,
+        deviceId: deviceId,
+        platform: device.platform,
+        locale: locale,
+        messageId: result.MessageId,
+        timestamp: new Date().toISOString()
+    }
+}
+
+const validateLocalizations = (body) => {
+    const notification = body.notification || {}
+    const localeErrors = validateVariants(notification.localizations, 'notification.localizations')
+    if (localeErrors.length > 0) {
+        throw new InvalidPayloadError('Request body validation failed', localeErrors)
+    }
+}
+
+// POST /notification/send -- target a registered deviceId instead of a literal endpoint ARN
+const sendToDevice = async (body) => {
+    const deviceId = body.deviceId || (body.target && body.target.deviceId)
+    if (!deviceId) {
+        throw new InvalidPayloadError('Request body validation failed', ['Missing deviceId'])
+    }
+    validateLocalizations(body)
+
+    const device = await registry.getDevice(deviceId)
+    return respond(200, await publishToDevice(device, body))
+}
+
+// POST /notification/send -- target a userId (or userIds) and reach every active device they registered
+const sendToUsers = async (body, userIds) => {
+    const errors = validateUserTargets(userIds)
+    if (errors.length > 0) {
+        throw new InvalidPayloadError('Request body validation failed', errors)
+    }
+    validateLocalizations(body)
+
+    //one outcome per user; their sends count once against the user's caps
+    const users = await fanOut(userIds, {
+        listDevices: (userId) => registry.listUserDevices(userId),
+        send: (device, cap) => publishToDevice(device, body, cap),
+        frequencyCap: frequencyCap
+    })
+
+    //207 when any user was not fully reached
+    return respond(allReached(users) ? 200 : 207, {
+        success: allReached(users),
+        summary: summarizeUsers(users),
+        users: users,
+        timestamp: new Date().toISOString()
+    })
+}
+
+exports.handler = async (event, context) => {
+    const route = `${event.httpMethod || 'POST'} ${event.resource || '/notification/send'}`
+    const requestId = context ? context.awsRequestId : null
+
+    let body
+    try {
+        body = parseBody(event)
+    } catch (parseError) {
+        return respondWithError(new InvalidPayloadError('Invalid JSON in request body'), requestId)
+    }
+
+    try {
+        switch (route) {
+            case 'POST /device/register':
+                return await registerDevice(body)
+            case 'PUT /device/{deviceId}/token':
+                return await updateDeviceToken((event.pathParameters || {}).deviceId, body)
+            case 'POST /notification/send': {
+                const userIds = userTargetsOf(body)
+                return await (userIds ? sendToUsers(body, userIds) : sendToDevice(body))
+            }
+            default:
+                throw new NotFoundError(`Route not found: ${route}`)
+        }
+    } catch (error) {
+        return respondWithError(error, requestId)
+    }
 };
+
+exports.registry = registry
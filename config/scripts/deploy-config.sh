@@ -181,6 +181,20 @@ deploy_lambda_config() {
     # Extract environment variables from config
     local env_vars=$(jq -r '.lambda.environment | to_entries | map("\(.key)=\(.value)") | join(",")' "$CONFIG_PATH")
     
+    # Pass the API Gateway CORS policy through so Lambda responses match it
+    # (lists are space separated because commas delimit the variables)
+    local cors_vars=$(jq -r '.apiGateway.cors // empty | "CORS_ENABLED=\(.enabled != false),CORS_ALLOW_ORIGINS=\(.allowOrigins | join(" ")),CORS_ALLOW_METHODS=\(.allowMethods | join(" ")),CORS_ALLOW_HEADERS=\(.allowHeaders | join(" "))"' "$CONFIG_PATH")
+    if [[ -n "$cors_vars" ]]; then
+        env_vars="$env_vars,$cors_vars"
+    fi
+    
+    # Campaign workers copy poison SQS jobs to the function's dead-letter queue
+    local dlq_arn=$(jq -r '.lambda.deadLetterConfig.targetArn // empty' "$CONFIG_PATH")
+    if [[ -n "$dlq_arn" ]]; then
+        local account_id=$(aws sts get-caller-identity --query Account --output text --region "$REGION")
+        env_vars="$env_vars,CAMPAIGN_DLQ_ARN=${dlq_arn//ACCOUNT_ID/$account_id}"
+    fi
+    
     if [[ "$DRY_RUN" == "true" ]]; then
         log_info "[DRY RUN] Would update Lambda environment variables:"
         echo "$env_vars" | tr ',' '\n' | sed 's/^/  /'
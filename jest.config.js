@@ -8,6 +8,7 @@ module.exports = {
   collectCoverageFrom: [
     'AWS-Push-Notifications/Source-Code/**/*.js',
     'AWS-Push-Notifications-main/Source-Code/**/*.js',
+    'lib/**/*.js',
     '!**/node_modules/**',
     '!**/coverage/**',
     '!**/tests/**'
@@ -37,7 +38,8 @@ module.exports = {
     {
       displayName: 'unit',
       testMatch: ['<rootDir>/tests/unit/**/*.test.js'],
-      testEnvironment: 'node'
+      testEnvironment: 'node',
+      setupFilesAfterEnv: ['<rootDir>/tests/setup.js']
     },
     {
       displayName: 'integration', 
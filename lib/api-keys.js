@@ -0,0 +1,163 @@
+/**
+ * API Key Authentication
+ * Authenticates X-API-Key headers against SHA-256 hashes of the issued keys
+ * and enforces each key's daily request quota
+ *
+ * Key records look like { keyHash, clientId, name, dailyQuota, enabled } and
+ * are loaded from API_KEYS_SOURCE:
+ *   env (default)        JSON array in the API_KEYS variable
+ *   file:<path>          JSON array in a file
+ *   secretsmanager:<id>  JSON array in a Secrets Manager secret
+ *   dynamodb:<table>     one item per key, keyed by keyHash
+ * Raw keys are never stored; hash new ones with hashApiKey().
+ */
+
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const fs = require('fs');
+const { MemoryStore, createStore } = require('./store');
+const { UnauthorizedError, RateLimitExceededError } = require('./errors');
+
+const API_KEY_HEADER = 'x-api-key';
+const DEFAULT_CACHE_SECONDS = 300;
+const ANONYMOUS_CLIENT = { clientId: 'anonymous', name: 'anonymous', dailyQuota: null };
+
+/**
+ * SHA-256 hex digest of a raw API key
+ */
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Case-insensitive header lookup (API Gateway preserves client casing)
+ */
+function getHeader(headers, name) {
+  const match = Object.keys(headers || {}).find(header => header.toLowerCase() === name);
+  return match ? headers[match] : undefined;
+}
+
+/**
+ * Build a lookup function (keyHash -> record) for a configured source
+ */
+function createKeySource(spec = process.env.API_KEYS_SOURCE || 'env', options = {}) {
+  const [type, ...rest] = spec.split(':');
+  const location = rest.join(':');
+
+  if (type === 'dynamodb') {
+    const store = options.store || createStore({ tableName: location, keyName: 'keyHash' });
+    return keyHash => store.get(keyHash);
+  }
+
+  let load;
+  if (type === 'env') {
+    load = async() => JSON.parse(process.env.API_KEYS || '[]');
+  } else if (type === 'file') {
+    load = async() => JSON.parse(fs.readFileSync(location, 'utf8'));
+  } else if (type === 'secretsmanager') {
+    const secretsManager = options.secretsManager || new AWS.SecretsManager({
+      region: process.env.AWS_REGION || 'us-east-1'
+    });
+    load = async() => {
+      const secret = await secretsManager.getSecretValue({ SecretId: location }).promise();
+      return JSON.parse(secret.SecretString);
+    };
+  } else {
+    throw new Error(`Unknown API key source: ${spec}`);
+  }
+
+  // Lists are cached so rotated keys take effect within cacheSeconds
+  const cacheSeconds = options.cacheSeconds || DEFAULT_CACHE_SECONDS;
+  const now = options.now || (() => Date.now());
+  let cache = null;
+
+  return async keyHash => {
+    if (!cache || cache.expiresAt <= now()) {
+      const records = await load();
+      cache = {
+        keys: new Map(records.map(record => [record.keyHash, record])),
+        expiresAt: now() + cacheSeconds * 1000
+      };
+    }
+    return cache.keys.get(keyHash) || null;
+  };
+}
+
+/**
+ * Authenticator with per-key daily quotas and an injectable clock
+ */
+class ApiKeyAuthenticator {
+  constructor(options = {}) {
+    this.findKey = options.findKey || createKeySource(options.source, options);
+    this.quotaStore = options.quotaStore || new MemoryStore();
+    this.required = options.required !== undefined
+      ? options.required
+      : process.env.API_KEY_REQUIRED === 'true';
+    this.defaultDailyQuota = options.defaultDailyQuota ||
+      parseInt(process.env.API_KEY_DAILY_QUOTA, 10) ||
+      null;
+    this.now = options.now || (() => Date.now());
+  }
+
+  /**
+   * Resolve the calling client from request headers
+   * Requests without a key are anonymous unless keys are required;
+   * a key that is present but unknown or disabled is always rejected
+   */
+  async authenticate(headers) {
+    const apiKey = getHeader(headers, API_KEY_HEADER);
+
+    if (!apiKey) {
+      if (this.required) {
+        throw new UnauthorizedError('Missing API key');
+      }
+      return ANONYMOUS_CLIENT;
+    }
+
+    const record = await this.findKey(hashApiKey(apiKey));
+    if (!record || record.enabled === false) {
+      throw new UnauthorizedError();
+    }
+
+    return {
+      clientId: record.clientId,
+      name: record.name || record.clientId,
+      dailyQuota: record.dailyQuota || this.defaultDailyQuota
+    };
+  }
+
+  /**
+   * Count a request against the client's quota for the current UTC day
+   */
+  async consumeQuota(client) {
+    if (!client.dailyQuota) {
+      return null;
+    }
+
+    const now = new Date(this.now());
+    const day = now.toISOString().slice(0, 10);
+    const resetAt = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+
+    const used = await this.quotaStore.increment(`${client.clientId}#${day}`, 1, { expiresAt: resetAt });
+    const quota = {
+      limit: client.dailyQuota,
+      used: Math.min(used, client.dailyQuota),
+      remaining: Math.max(client.dailyQuota - used, 0),
+      resetAt: new Date(resetAt).toISOString()
+    };
+
+    if (used > client.dailyQuota) {
+      throw new RateLimitExceededError(`Daily quota of ${client.dailyQuota} requests exceeded`, quota);
+    }
+
+    return quota;
+  }
+}
+
+module.exports = {
+  ANONYMOUS_CLIENT,
+  ApiKeyAuthenticator,
+  createKeySource,
+  getHeader,
+  hashApiKey
+};
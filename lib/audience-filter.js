@@ -0,0 +1,147 @@
+/**
+ * Audience Filter
+ * Drops batch entries that should not be sent: repeats of an earlier entry
+ * (same dedupe key) and entries whose token or user ID is on a suppression
+ * list, such as unsubscribed users or tokens token-validator.js found invalid
+ *
+ * Suppression files:
+ *   .txt                one token or user ID per line; # starts a comment
+ *   NDJSON, CSV, JSON   records with token, fcmToken, deviceToken or userId,
+ *                       and an optional reason (default SUPPRESSED)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { lines, readNotifications } = require('./notification-stream');
+
+const DROP_REASON = {
+  DUPLICATE: 'DUPLICATE',
+  OPTED_OUT: 'OPTED_OUT',
+  SUPPRESSED: 'SUPPRESSED'
+};
+
+const KEY_FIELDS = ['token', 'fcmToken', 'deviceToken', 'userId'];
+
+/**
+ * Device token of a batch entry (iOS entries use deviceToken)
+ */
+function deviceTokenOf(notification) {
+  return notification.platform === 'ios' ? notification.deviceToken : notification.fcmToken;
+}
+
+/**
+ * Dedupe key of an entry: its device token, or the value at a dotted path
+ */
+function keyOf(notification, dedupeKey) {
+  if (dedupeKey === 'token') {
+    return deviceTokenOf(notification);
+  }
+
+  const value = dedupeKey.split('.').reduce((node, part) => (node == null ? undefined : node[part]), notification);
+  return value == null || value === '' ? undefined : String(value);
+}
+
+/**
+ * Tokens and user IDs not to send to, each with the reason it was listed
+ */
+class SuppressionList {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  add(value, reason = DROP_REASON.SUPPRESSED) {
+    if (value && !this.entries.has(String(value))) {
+      this.entries.set(String(value), reason);
+    }
+  }
+
+  reasonFor(value) {
+    return value ? this.entries.get(String(value)) : undefined;
+  }
+
+  /**
+   * Add the entries of a suppression file; resolves the number read
+   */
+  async load(filePath) {
+    let count = 0;
+
+    if (path.extname(filePath).toLowerCase() === '.txt') {
+      for await (const line of lines(fs.createReadStream(filePath, { encoding: 'utf8' }))) {
+        const value = line.replace(/#.*/, '').trim();
+        if (value) {
+          this.add(value);
+          count += 1;
+        }
+      }
+      return count;
+    }
+
+    for await (const record of readNotifications(filePath)) {
+      const values = KEY_FIELDS.map(field => record[field]).filter(Boolean);
+      if (values.length === 0) {
+        throw new Error(`Suppression entry ${count + 1} of ${filePath} has no ${KEY_FIELDS.join(', ')}`);
+      }
+      values.forEach(value => this.add(value, record.reason || DROP_REASON.SUPPRESSED));
+      count += 1;
+    }
+    return count;
+  }
+
+  static async fromFiles(filePaths) {
+    const list = new SuppressionList();
+    for (const filePath of filePaths) {
+      await list.load(filePath);
+    }
+    return list;
+  }
+}
+
+/**
+ * Decides, in file order, whether each entry is sent or dropped
+ * Entries without a dedupe key are never treated as duplicates.
+ */
+class AudienceFilter {
+  constructor(options = {}) {
+    // 'token', a field such as 'userId' or 'data.userId', or null to keep repeats
+    this.dedupeKey = options.dedupeKey === undefined ? 'token' : options.dedupeKey;
+    this.suppression = options.suppression || new SuppressionList();
+    this.seen = new Set();
+  }
+
+  /**
+   * Drop reason for the next entry, or null when it should be sent
+   */
+  check(notification) {
+    return this.suppression.reasonFor(deviceTokenOf(notification)) ||
+      this.suppression.reasonFor(notification.userId) ||
+      this.duplicateReason(notification) ||
+      null;
+  }
+
+  duplicateReason(notification) {
+    if (!this.dedupeKey) {
+      return null;
+    }
+
+    const key = keyOf(notification, this.dedupeKey);
+    if (key === undefined) {
+      return null;
+    }
+    if (this.seen.has(key)) {
+      return DROP_REASON.DUPLICATE;
+    }
+    this.seen.add(key);
+    return null;
+  }
+}
+
+module.exports = {
+  AudienceFilter,
+  DROP_REASON,
+  SuppressionList,
+  keyOf
+};
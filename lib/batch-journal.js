@@ -0,0 +1,89 @@
+/**
+ * Batch Journal
+ * Append-only NDJSON log of batch send outcomes, so an interrupted
+ * campaign can be restarted without resending what already went out
+ *
+ * Each line is { entryId, index, success, messageId, error, attempts, recordedAt }.
+ * Entries are identified by file position plus a hash of their content, so a
+ * journal replayed against an edited file only skips entries that are unchanged.
+ * A row addressed to users also journals each device it reaches under
+ * deviceEntryId(), so resuming a partly reached row skips those devices.
+ * A torn last line from a crash is ignored on load.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fingerprint } = require('./idempotency');
+
+/**
+ * Stable identifier for the entry at `index` of a batch file
+ */
+function entryId(notification, index) {
+  return `${index}:${fingerprint(notification).slice(0, 16)}`;
+}
+
+/**
+ * Identifier for one device of a user-addressed entry
+ */
+function deviceEntryId(id, deviceId) {
+  return `${id}#${deviceId}`;
+}
+
+class BatchJournal {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.initialized = false;
+  }
+
+  /**
+   * Latest outcome per entry ID (later lines win, so retried failures update)
+   */
+  load() {
+    const outcomes = new Map();
+
+    if (!fs.existsSync(this.filePath)) {
+      return outcomes;
+    }
+
+    fs.readFileSync(this.filePath, 'utf8').split('\n').forEach(line => {
+      if (!line.trim()) {
+        return;
+      }
+      try {
+        const record = JSON.parse(line);
+        outcomes.set(record.entryId, record);
+      } catch (error) {
+        // Partially written line from an interrupted run
+      }
+    });
+
+    return outcomes;
+  }
+
+  /**
+   * Append one outcome; written synchronously so it survives a crash right after
+   */
+  record(id, index, result) {
+    if (!this.initialized) {
+      fs.mkdirSync(path.dirname(path.resolve(this.filePath)), { recursive: true });
+      this.initialized = true;
+    }
+
+    const line = JSON.stringify({
+      entryId: id,
+      index,
+      success: result.success,
+      messageId: result.messageId,
+      error: result.error,
+      attempts: result.attempts,
+      recordedAt: new Date().toISOString()
+    });
+    fs.appendFileSync(this.filePath, `${line}\n`);
+  }
+}
+
+module.exports = {
+  BatchJournal,
+  deviceEntryId,
+  entryId
+};
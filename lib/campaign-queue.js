@@ -0,0 +1,348 @@
+/**
+ * Campaign Queue
+ * SQS fan-out for bulk campaigns: a producer enqueues one job per
+ * notification with SendMessageBatch, and a worker Lambda consumes the
+ * jobs, sends them and reports partial failures via batchItemFailures
+ *
+ * Worker outcomes per record:
+ *   sent                     acknowledged
+ *   transient failure        returned in batchItemFailures, so SQS redelivers it
+ *   poison (unparsable job,  copied to the dead-letter queue with the failure
+ *   permanent error, or too  reason, then acknowledged
+ *   many receives)
+ * The event source mapping must enable ReportBatchItemFailures.
+ */
+
+const AWS = require('aws-sdk');
+const fs = require('fs');
+const path = require('path');
+const { RetryPolicy } = require('./retry-policy');
+const { InvalidPayloadError, normalizeError } = require('./errors');
+
+const MAX_BATCH_ENTRIES = 10;
+const MAX_MESSAGE_BYTES = 256 * 1024;
+const DEFAULT_MAX_RECEIVE_COUNT = 5;
+
+const OUTCOME = {
+  SENT: 'sent',
+  RETRY: 'retry',
+  DEAD_LETTERED: 'deadLettered'
+};
+
+/**
+ * SQS client; SQS_ENDPOINT points it at a local stand-in such as ElasticMQ
+ */
+function createSqsClient(env = process.env) {
+  return new AWS.SQS({
+    region: env.AWS_REGION || 'us-east-1',
+    ...(env.SQS_ENDPOINT ? { endpoint: env.SQS_ENDPOINT } : {})
+  });
+}
+
+/**
+ * arn:aws:sqs:<region>:<account>:<name> -> queue URL
+ */
+function queueUrlFromArn(arn) {
+  const [, , service, region, account, name] = (arn || '').split(':');
+  if (service !== 'sqs' || !name || account === 'ACCOUNT_ID') {
+    return null;
+  }
+  return `https://sqs.${region}.amazonaws.com/${account}/${name}`;
+}
+
+/**
+ * Dead-letter queue for poison jobs: CAMPAIGN_DLQ_URL, CAMPAIGN_DLQ_ARN (set by
+ * deploy-config.sh), or lambda.deadLetterConfig in the environment config
+ */
+function loadDeadLetterQueueUrl(env = process.env, configDir = path.join(__dirname, '..', 'config', 'environments')) {
+  if (env.CAMPAIGN_DLQ_URL) {
+    return env.CAMPAIGN_DLQ_URL;
+  }
+  if (env.CAMPAIGN_DLQ_ARN) {
+    return queueUrlFromArn(env.CAMPAIGN_DLQ_ARN);
+  }
+
+  const configPath = path.join(configDir, `${env.ENVIRONMENT || 'prod'}.json`);
+  if (fs.existsSync(configPath)) {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const deadLetter = (config.lambda && config.lambda.deadLetterConfig) || {};
+    return queueUrlFromArn(deadLetter.targetArn);
+  }
+
+  return null;
+}
+
+/**
+ * Enqueues campaign jobs in SendMessageBatch chunks of 10
+ */
+class CampaignProducer {
+  constructor(options = {}) {
+    this.sqs = options.sqs || createSqsClient();
+    this.queueUrl = options.queueUrl || process.env.CAMPAIGN_QUEUE_URL;
+    this.campaignId = options.campaignId || `campaign-${Date.now()}`;
+    // Entries SQS fails without a sender fault (throttling, internal errors) are resent
+    this.retryPolicy = options.retryPolicy || new RetryPolicy();
+
+    if (!this.queueUrl) {
+      throw new Error('Campaign queue URL is not configured (CAMPAIGN_QUEUE_URL)');
+    }
+  }
+
+  /**
+   * Job message for the notification at `index`
+   */
+  buildEntry(notification, index) {
+    return {
+      Id: String(index),
+      MessageBody: JSON.stringify({ campaignId: this.campaignId, index, notification }),
+      MessageAttributes: {
+        campaign_id: { DataType: 'String', StringValue: this.campaignId }
+      }
+    };
+  }
+
+  /**
+   * Enqueue an array or async iterable of notifications
+   * Resolves { campaignId, enqueued, failed, failures: [{ index, code, message }] }
+   */
+  async enqueue(notifications) {
+    const summary = { campaignId: this.campaignId, enqueued: 0, failed: 0, failures: [] };
+    let batch = [];
+    let index = 0;
+
+    const fail = (entryIndex, code, message) => {
+      summary.failed += 1;
+      summary.failures.push({ index: entryIndex, code, message });
+    };
+
+    for await (const notification of notifications) {
+      const entry = this.buildEntry(notification, index);
+      if (Buffer.byteLength(entry.MessageBody) > MAX_MESSAGE_BYTES) {
+        fail(index, 'INVALID_PAYLOAD', `Job exceeds the SQS limit of ${MAX_MESSAGE_BYTES} bytes`);
+      } else {
+        batch.push(entry);
+      }
+      index += 1;
+
+      if (batch.length === MAX_BATCH_ENTRIES) {
+        await this.sendEntries(batch, summary, fail);
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      await this.sendEntries(batch, summary, fail);
+    }
+
+    return summary;
+  }
+
+  async sendEntries(entries, summary, fail) {
+    let pending = entries;
+
+    try {
+      await this.retryPolicy.execute(async() => {
+        const result = await this.sqs.sendMessageBatch({ QueueUrl: this.queueUrl, Entries: pending }).promise();
+        summary.enqueued += (result.Successful || []).length;
+
+        const failed = result.Failed || [];
+        failed.filter(failure => failure.SenderFault)
+          .forEach(failure => fail(Number(failure.Id), failure.Code, failure.Message));
+
+        const retryable = failed.filter(failure => !failure.SenderFault).map(failure => failure.Id);
+        if (retryable.length > 0) {
+          pending = pending.filter(entry => retryable.includes(entry.Id));
+          const error = new Error(`${retryable.length} entries were not enqueued`);
+          error.code = failed.find(failure => !failure.SenderFault).Code;
+          error.retryable = true;
+          throw error;
+        }
+      });
+    } catch (error) {
+      const { code, message } = normalizeError(error);
+      pending.forEach(entry => fail(Number(entry.Id), code, message));
+    }
+  }
+}
+
+/**
+ * Lambda SQS handler core; `send(job, record)` delivers one job
+ */
+class CampaignWorker {
+  constructor(options = {}) {
+    this.send = options.send;
+    this.sqs = options.sqs || createSqsClient();
+    this.deadLetterQueueUrl = options.deadLetterQueueUrl !== undefined
+      ? options.deadLetterQueueUrl
+      : loadDeadLetterQueueUrl();
+    this.maxReceiveCount = options.maxReceiveCount ||
+      parseInt(process.env.CAMPAIGN_MAX_RECEIVE_COUNT, 10) ||
+      DEFAULT_MAX_RECEIVE_COUNT;
+    this.retryPolicy = options.retryPolicy || new RetryPolicy();
+    this.log = options.log || (() => {});
+  }
+
+  parseJob(record) {
+    const job = JSON.parse(record.body);
+    if (!job || typeof job.notification !== 'object' || job.notification === null) {
+      throw new Error('Job has no notification');
+    }
+    return job;
+  }
+
+  /**
+   * Copy a record to the dead-letter queue with the reason it failed
+   */
+  async deadLetter(record, error) {
+    if (!this.deadLetterQueueUrl) {
+      throw new Error('Dead-letter queue is not configured (CAMPAIGN_DLQ_URL)');
+    }
+
+    const { code, message } = normalizeError(error);
+    await this.sqs.sendMessage({
+      QueueUrl: this.deadLetterQueueUrl,
+      MessageBody: record.body,
+      MessageAttributes: {
+        failure_code: { DataType: 'String', StringValue: code },
+        failure_reason: { DataType: 'String', StringValue: message.slice(0, 1024) },
+        source_message_id: { DataType: 'String', StringValue: record.messageId },
+        receive_count: { DataType: 'Number', StringValue: String(this.receiveCount(record)) }
+      }
+    }).promise();
+  }
+
+  receiveCount(record) {
+    return parseInt((record.attributes || {}).ApproximateReceiveCount, 10) || 1;
+  }
+
+  /**
+   * Send one record and report its OUTCOME
+   */
+  async processRecord(record) {
+    let job;
+    try {
+      job = this.parseJob(record);
+    } catch (error) {
+      await this.deadLetter(record, new InvalidPayloadError(`Unreadable campaign job: ${error.message}`));
+      return OUTCOME.DEAD_LETTERED;
+    }
+
+    try {
+      await this.send(job, record);
+      return OUTCOME.SENT;
+    } catch (error) {
+      const exhausted = this.receiveCount(record) >= this.maxReceiveCount;
+      if (this.retryPolicy.isRetryable(error) && !exhausted) {
+        this.log(OUTCOME.RETRY, record, error);
+        return OUTCOME.RETRY;
+      }
+
+      this.log(OUTCOME.DEAD_LETTERED, record, error);
+      await this.deadLetter(record, error);
+      return OUTCOME.DEAD_LETTERED;
+    }
+  }
+
+  /**
+   * Handle an SQS event; resolves { batchItemFailures, summary }
+   */
+  async handle(event) {
+    const summary = { received: 0, [OUTCOME.SENT]: 0, [OUTCOME.RETRY]: 0, [OUTCOME.DEAD_LETTERED]: 0 };
+    const batchItemFailures = [];
+
+    await Promise.all((event.Records || []).map(async record => {
+      summary.received += 1;
+      let outcome;
+      try {
+        outcome = await this.processRecord(record);
+      } catch (error) {
+        // Dead-lettering itself failed; leave the message on the queue
+        this.log('error', record, error);
+        outcome = OUTCOME.RETRY;
+      }
+
+      summary[outcome] += 1;
+      if (outcome === OUTCOME.RETRY) {
+        batchItemFailures.push({ itemIdentifier: record.messageId });
+      }
+    }));
+
+    return { batchItemFailures, summary };
+  }
+}
+
+/**
+ * In-memory SQS stand-in for tests and local runs
+ * Implements sendMessageBatch/sendMessage and turns queued messages into
+ * Lambda SQS events; failed items become visible again on the next receive
+ */
+class MemoryQueue {
+  constructor(options = {}) {
+    this.queueUrl = options.queueUrl || 'memory://campaign-queue';
+    this.messages = [];
+    this.sent = 0;
+  }
+
+  enqueue(body, attributes) {
+    this.sent += 1;
+    const message = { messageId: `msg-${this.sent}`, body, attributes, receiveCount: 0 };
+    this.messages.push(message);
+    return message.messageId;
+  }
+
+  sendMessageBatch(params) {
+    return {
+      promise: async() => ({
+        Successful: params.Entries.map(entry => ({
+          Id: entry.Id,
+          MessageId: this.enqueue(entry.MessageBody, entry.MessageAttributes)
+        })),
+        Failed: []
+      })
+    };
+  }
+
+  sendMessage(params) {
+    return {
+      promise: async() => ({ MessageId: this.enqueue(params.MessageBody, params.MessageAttributes) })
+    };
+  }
+
+  /**
+   * Next Lambda event of up to `maxRecords` messages
+   */
+  receiveEvent(maxRecords = MAX_BATCH_ENTRIES) {
+    const records = this.messages.slice(0, maxRecords).map(message => {
+      message.receiveCount += 1;
+      return {
+        messageId: message.messageId,
+        body: message.body,
+        attributes: { ApproximateReceiveCount: String(message.receiveCount) },
+        messageAttributes: message.attributes,
+        eventSource: 'aws:sqs',
+        eventSourceARN: 'arn:aws:sqs:local:000000000000:campaign-queue'
+      };
+    });
+    return { Records: records };
+  }
+
+  /**
+   * Delete the event's messages except the reported failures
+   */
+  acknowledge(event, response) {
+    const failed = new Set(((response && response.batchItemFailures) || []).map(item => item.itemIdentifier));
+    const handled = new Set(event.Records.map(record => record.messageId).filter(id => !failed.has(id)));
+    this.messages = this.messages.filter(message => !handled.has(message.messageId));
+  }
+}
+
+module.exports = {
+  CampaignProducer,
+  CampaignWorker,
+  MAX_BATCH_ENTRIES,
+  MemoryQueue,
+  OUTCOME,
+  createSqsClient,
+  loadDeadLetterQueueUrl,
+  queueUrlFromArn
+};
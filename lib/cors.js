@@ -0,0 +1,134 @@
+/**
+ * CORS Policy
+ * Applies the environment's apiGateway.cors settings to Lambda responses:
+ * only allowed origins are echoed back, and OPTIONS preflights are answered
+ * without reaching the routes
+ *
+ * The policy comes from CORS_ALLOW_ORIGINS / CORS_ALLOW_METHODS /
+ * CORS_ALLOW_HEADERS (comma or space separated, set by deploy-config.sh),
+ * falling back to config/environments/<ENVIRONMENT>.json when bundled
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getHeader } = require('./api-keys');
+
+const DEFAULT_POLICY = {
+  enabled: true,
+  allowOrigins: ['*'],
+  allowMethods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  allowHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Idempotency-Key'],
+  exposeHeaders: ['Retry-After', 'Idempotent-Replayed'],
+  maxAge: 600
+};
+
+function parseList(value) {
+  return value.split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * Resolve the policy for the running environment
+ */
+function loadCorsPolicy(env = process.env, configDir = path.join(__dirname, '..', 'config', 'environments')) {
+  if (env.CORS_ALLOW_ORIGINS !== undefined) {
+    return {
+      ...DEFAULT_POLICY,
+      enabled: env.CORS_ENABLED !== 'false',
+      allowOrigins: parseList(env.CORS_ALLOW_ORIGINS),
+      allowMethods: env.CORS_ALLOW_METHODS ? parseList(env.CORS_ALLOW_METHODS) : DEFAULT_POLICY.allowMethods,
+      allowHeaders: env.CORS_ALLOW_HEADERS ? parseList(env.CORS_ALLOW_HEADERS) : DEFAULT_POLICY.allowHeaders
+    };
+  }
+
+  const configPath = path.join(configDir, `${env.ENVIRONMENT || 'prod'}.json`);
+  if (fs.existsSync(configPath)) {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const cors = (config.apiGateway && config.apiGateway.cors) || {};
+    return { ...DEFAULT_POLICY, ...cors };
+  }
+
+  return DEFAULT_POLICY;
+}
+
+/**
+ * Per-request CORS headers for an origin allow-list
+ */
+class CorsPolicy {
+  constructor(policy = loadCorsPolicy()) {
+    this.policy = policy;
+    this.allowAnyOrigin = policy.allowOrigins.includes('*');
+  }
+
+  isOriginAllowed(origin) {
+    return Boolean(origin) && (this.allowAnyOrigin || this.policy.allowOrigins.includes(origin));
+  }
+
+  /**
+   * Headers for an actual (non-preflight) response
+   */
+  headersFor(requestHeaders) {
+    if (!this.policy.enabled) {
+      return {};
+    }
+
+    if (this.allowAnyOrigin) {
+      return {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Expose-Headers': this.policy.exposeHeaders.join(', ')
+      };
+    }
+
+    // The response differs per origin, so caches must key on it
+    const origin = getHeader(requestHeaders, 'origin');
+    if (!this.isOriginAllowed(origin)) {
+      return { Vary: 'Origin' };
+    }
+
+    return {
+      'Access-Control-Allow-Origin': origin,
+      'Access-Control-Expose-Headers': this.policy.exposeHeaders.join(', '),
+      Vary: 'Origin'
+    };
+  }
+
+  /**
+   * Add CORS headers to a handler response
+   */
+  apply(response, requestHeaders) {
+    return {
+      ...response,
+      headers: { ...response.headers, ...this.headersFor(requestHeaders) }
+    };
+  }
+
+  /**
+   * Answer an OPTIONS preflight; disallowed origins or methods get no CORS
+   * headers, so the browser blocks the actual request
+   */
+  preflight(requestHeaders) {
+    const headers = this.headersFor(requestHeaders);
+    const method = getHeader(requestHeaders, 'access-control-request-method');
+    const allowed = this.policy.enabled &&
+      headers['Access-Control-Allow-Origin'] &&
+      (!method || this.policy.allowMethods.includes(method.toUpperCase()));
+
+    return {
+      statusCode: 204,
+      headers: allowed
+        ? {
+          ...headers,
+          'Access-Control-Allow-Methods': this.policy.allowMethods.join(', '),
+          'Access-Control-Allow-Headers': this.policy.allowHeaders.join(', '),
+          'Access-Control-Max-Age': String(this.policy.maxAge)
+        }
+        : { Vary: 'Origin' },
+      body: ''
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  CorsPolicy,
+  loadCorsPolicy
+};
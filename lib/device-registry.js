@@ -0,0 +1,221 @@
+/**
+ * Device Registry
+ * Creates SNS platform endpoints for device tokens and keeps the
+ * deviceId -> endpoint mapping so senders never handle raw endpoint ARNs
+ *
+ * Devices stay active until a send finds their token rejected; registering
+ * the token again or updating it reactivates them.
+ *
+ * Devices are looked up by token and by user through the store's
+ * DEVICE_INDEXES; a DynamoDB device table needs global secondary indexes
+ * deviceToken-index (partition key deviceToken) and userId-index (partition
+ * key userId), and its store must be created with indexes: DEVICE_INDEXES.
+ */
+
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const { MemoryStore } = require('./store');
+const { DeviceNotFoundError, InvalidPayloadError } = require('./errors');
+const { PLATFORMS, validateApnsToken } = require('./device-token');
+const { isValidLocale, normalizeLocale } = require('./localization');
+
+const SUPPORTED_PLATFORMS = PLATFORMS;
+
+const TOKEN_INDEX = { name: 'deviceToken-index', partitionKey: 'deviceToken' };
+const USER_INDEX = { name: 'userId-index', partitionKey: 'userId' };
+const DEVICE_INDEXES = [TOKEN_INDEX, USER_INDEX];
+
+/**
+ * Device registry backed by SNS platform endpoints and a pluggable store
+ */
+class DeviceRegistry {
+  constructor(options = {}) {
+    this.sns = options.sns || new AWS.SNS({
+      region: process.env.AWS_REGION || 'us-east-1'
+    });
+    this.store = options.store || new MemoryStore();
+    this.platformApplicationArn = options.platformApplicationArn || process.env.SNS_PLATFORM_APPLICATION_ARN;
+    // APNS or APNS_SANDBOX platform application for iOS devices
+    this.apnsPlatformApplicationArn = options.apnsPlatformApplicationArn || process.env.SNS_APNS_PLATFORM_APPLICATION_ARN;
+  }
+
+  /**
+   * SNS platform application that owns endpoints for a platform
+   */
+  getPlatformApplicationArn(platform) {
+    return platform === 'ios' ? this.apnsPlatformApplicationArn : this.platformApplicationArn;
+  }
+
+  /**
+   * Validate a device token for the platform it is registered on
+   */
+  validateToken(deviceToken, platform = 'android') {
+    if (!deviceToken) {
+      return ['Missing deviceToken'];
+    }
+    if (typeof deviceToken !== 'string' || deviceToken.length < 10) {
+      return ['Invalid deviceToken format'];
+    }
+    if (platform === 'ios') {
+      return validateApnsToken(deviceToken).map(error => `Invalid deviceToken format: ${error}`);
+    }
+    return [];
+  }
+
+  /**
+   * Validate a registration request
+   */
+  validateRegistration(request) {
+    const errors = this.validateToken(request.deviceToken, request.platform);
+
+    if (request.platform && !SUPPORTED_PLATFORMS.includes(request.platform)) {
+      errors.push(`Unsupported platform: ${request.platform}`);
+    }
+
+    if (request.deviceInfo && typeof request.deviceInfo !== 'object') {
+      errors.push('deviceInfo must be an object');
+    }
+
+    if (request.locale !== undefined && !isValidLocale(request.locale)) {
+      errors.push(`Invalid locale: ${request.locale}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Register a device token, reusing the existing device when the token is already known
+   */
+  async register(request) {
+    const { deviceToken, platform = 'android', userId = null, deviceInfo = {} } = request;
+
+    const platformApplicationArn = this.getPlatformApplicationArn(platform);
+    if (!platformApplicationArn) {
+      throw new Error(`SNS platform application ARN is not configured for ${platform}`);
+    }
+
+    const existing = await this.findByToken(deviceToken);
+    const now = new Date().toISOString();
+
+    const params = {
+      PlatformApplicationArn: platformApplicationArn,
+      Token: deviceToken
+    };
+    if (userId) {
+      params.CustomUserData = JSON.stringify({ userId });
+    }
+
+    const result = await this.sns.createPlatformEndpoint(params).promise();
+
+    const device = {
+      deviceId: existing ? existing.deviceId : `device_${crypto.randomUUID()}`,
+      userId,
+      platform,
+      deviceToken,
+      deviceInfo,
+      // Sends to the device are localized for it; re-registering without a locale keeps the known one
+      locale: normalizeLocale(request.locale) || (existing && existing.locale) || null,
+      snsEndpointArn: result.EndpointArn,
+      active: true,
+      registeredAt: existing ? existing.registeredAt : now,
+      updatedAt: now
+    };
+
+    await this.store.put(device.deviceId, device);
+    return device;
+  }
+
+  /**
+   * Replace the token for an existing device and re-enable its endpoint
+   * The new token must be valid for the device's platform
+   */
+  async updateToken(deviceId, deviceToken) {
+    const device = await this.getDevice(deviceId);
+
+    const errors = this.validateToken(deviceToken, device.platform);
+    if (errors.length > 0) {
+      throw new InvalidPayloadError('Request body validation failed', errors);
+    }
+
+    await this.sns.setEndpointAttributes({
+      EndpointArn: device.snsEndpointArn,
+      Attributes: {
+        Token: deviceToken,
+        Enabled: 'true'
+      }
+    }).promise();
+
+    const updated = {
+      ...device,
+      deviceToken,
+      active: true,
+      deactivatedAt: null,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.store.put(deviceId, updated);
+    return updated;
+  }
+
+  /**
+   * Stop fanning sends out to a device whose token the provider rejected
+   */
+  async deactivate(deviceId) {
+    const device = await this.getDevice(deviceId);
+    const now = new Date().toISOString();
+    const updated = { ...device, active: false, deactivatedAt: now, updatedAt: now };
+
+    await this.store.put(deviceId, updated);
+    return updated;
+  }
+
+  /**
+   * Look up a device, throwing DEVICE_NOT_FOUND when it is unknown
+   */
+  async getDevice(deviceId) {
+    const device = deviceId ? await this.store.get(deviceId) : null;
+
+    if (!device) {
+      throw new DeviceNotFoundError(`Device ${deviceId} does not exist`);
+    }
+
+    return device;
+  }
+
+  /**
+   * Find a registered device by its current token
+   */
+  async findByToken(deviceToken) {
+    const [device] = await this.store.query(TOKEN_INDEX, deviceToken, { limit: 1 });
+    return device || null;
+  }
+
+  /**
+   * Active devices registered to a user, on every platform
+   */
+  async listUserDevices(userId) {
+    const devices = await this.store.query(USER_INDEX, userId);
+    return devices.filter(device => device.active !== false);
+  }
+
+  /**
+   * List every registered device
+   */
+  async listDevices() {
+    return this.store.list();
+  }
+
+  /**
+   * Resolve the SNS endpoint ARN used to publish to a device
+   */
+  async resolveEndpoint(deviceId) {
+    const device = await this.getDevice(deviceId);
+    return device.snsEndpointArn;
+  }
+}
+
+module.exports = {
+  DEVICE_INDEXES,
+  DeviceRegistry,
+  SUPPORTED_PLATFORMS
+};
@@ -0,0 +1,86 @@
+/**
+ * Device Token Formats
+ * Format checks for FCM registration tokens (Android) and APNs device
+ * tokens (iOS), shared by the registration API and the CLI tools
+ */
+
+const PLATFORMS = ['android', 'ios'];
+
+// APNs tokens are hex-encoded; 32 bytes today, but Apple reserves the right to grow them
+const APNS_TOKEN_PATTERN = /^(?:[0-9a-fA-F]{2}){32,100}$/;
+
+/**
+ * Validate an FCM registration token
+ */
+function validateFcmToken(token) {
+  const errors = [];
+
+  // FCM tokens are typically 140-200 characters
+  if (token.length < 140) {
+    errors.push('Token too short (minimum 140 characters)');
+  } else if (token.length > 200) {
+    errors.push('Token too long (maximum 200 characters)');
+  }
+
+  // FCM tokens contain specific character sets
+  if (!/^[A-Za-z0-9_:.-]+$/.test(token)) {
+    errors.push('Token contains invalid characters');
+  }
+
+  // FCM tokens typically start with certain patterns
+  if (!token.match(/^[A-Za-z0-9_-]+:[A-Za-z0-9_-]+/)) {
+    errors.push('Token does not match expected FCM format');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate an APNs device token
+ */
+function validateApnsToken(token) {
+  const errors = [];
+
+  if (!/^[0-9a-fA-F]+$/.test(token)) {
+    errors.push('Token contains invalid characters (APNs tokens are hexadecimal)');
+  } else if (!APNS_TOKEN_PATTERN.test(token)) {
+    errors.push('Token must be an even number of hex characters (minimum 64)');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a device token for a platform
+ */
+function validateDeviceToken(token, platform = 'android') {
+  if (!token || typeof token !== 'string') {
+    return { valid: false, errors: ['Token must be a non-empty string'] };
+  }
+
+  if (!PLATFORMS.includes(platform)) {
+    return { valid: false, errors: [`Unsupported platform: ${platform}`] };
+  }
+
+  const errors = platform === 'ios' ? validateApnsToken(token) : validateFcmToken(token);
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Guess the platform from the token shape (hex tokens are APNs)
+ */
+function detectPlatform(token) {
+  return typeof token === 'string' && APNS_TOKEN_PATTERN.test(token) ? 'ios' : 'android';
+}
+
+module.exports = {
+  PLATFORMS,
+  validateFcmToken,
+  validateApnsToken,
+  validateDeviceToken,
+  detectPlatform
+};
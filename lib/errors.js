@@ -0,0 +1,219 @@
+/**
+ * Error Catalog
+ * Typed errors for the documented API error codes, shared by the Lambda
+ * handlers and the CLI tools so every failure is reported the same way:
+ *   { success: false, error: { code, message, details }, timestamp, requestId }
+ */
+
+const ERROR_CATALOG = {
+  INVALID_TOKEN: { statusCode: 400, message: 'The provided device token is invalid' },
+  INVALID_PAYLOAD: { statusCode: 400, message: 'Request body validation failed' },
+  UNAUTHORIZED: { statusCode: 401, message: 'Invalid or missing API key' },
+  NOT_FOUND: { statusCode: 404, message: 'Route not found' },
+  DEVICE_NOT_FOUND: { statusCode: 404, message: 'Device ID does not exist' },
+  TOPIC_NOT_FOUND: { statusCode: 404, message: 'Topic name does not exist' },
+  SCHEDULE_NOT_FOUND: { statusCode: 404, message: 'Scheduled notification does not exist' },
+  SCHEDULE_CONFLICT: { statusCode: 409, message: 'Scheduled notification can no longer be changed' },
+  IDEMPOTENCY_KEY_IN_USE: { statusCode: 409, message: 'A request with this idempotency key is still in progress' },
+  IDEMPOTENCY_KEY_REUSED: { statusCode: 422, message: 'Idempotency key was already used with a different payload' },
+  RATE_LIMIT_EXCEEDED: { statusCode: 429, message: 'Too many requests' },
+  FREQUENCY_CAPPED: { statusCode: 429, message: 'Recipient has reached their notification limit' },
+  DELIVERY_FAILED: { statusCode: 502, message: 'Notification could not be delivered' },
+  SERVICE_UNAVAILABLE: { statusCode: 503, message: 'Notification delivery is temporarily unavailable' },
+  INTERNAL_ERROR: { statusCode: 500, message: 'Internal server error' }
+};
+
+/**
+ * Base class for every cataloged error
+ */
+class PushNotificationError extends Error {
+  constructor(code, message, details = null) {
+    const entry = ERROR_CATALOG[code] || ERROR_CATALOG.INTERNAL_ERROR;
+    super(message || entry.message);
+    this.name = this.constructor.name;
+    this.code = ERROR_CATALOG[code] ? code : 'INTERNAL_ERROR';
+    this.statusCode = entry.statusCode;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      details: this.details
+    };
+  }
+}
+
+class InvalidTokenError extends PushNotificationError {
+  constructor(message, details) {
+    super('INVALID_TOKEN', message, details);
+  }
+}
+
+class InvalidPayloadError extends PushNotificationError {
+  constructor(message, details) {
+    super('INVALID_PAYLOAD', message, details);
+  }
+}
+
+class UnauthorizedError extends PushNotificationError {
+  constructor(message, details) {
+    super('UNAUTHORIZED', message, details);
+  }
+}
+
+class NotFoundError extends PushNotificationError {
+  constructor(message, details) {
+    super('NOT_FOUND', message, details);
+  }
+}
+
+class DeviceNotFoundError extends PushNotificationError {
+  constructor(message, details) {
+    super('DEVICE_NOT_FOUND', message, details);
+  }
+}
+
+class TopicNotFoundError extends PushNotificationError {
+  constructor(message, details) {
+    super('TOPIC_NOT_FOUND', message, details);
+  }
+}
+
+class ScheduleNotFoundError extends PushNotificationError {
+  constructor(message, details) {
+    super('SCHEDULE_NOT_FOUND', message, details);
+  }
+}
+
+class ScheduleConflictError extends PushNotificationError {
+  constructor(message, details) {
+    super('SCHEDULE_CONFLICT', message, details);
+  }
+}
+
+class IdempotencyKeyInUseError extends PushNotificationError {
+  constructor(message, details) {
+    super('IDEMPOTENCY_KEY_IN_USE', message, details);
+  }
+}
+
+class IdempotencyKeyReusedError extends PushNotificationError {
+  constructor(message, details) {
+    super('IDEMPOTENCY_KEY_REUSED', message, details);
+  }
+}
+
+class RateLimitExceededError extends PushNotificationError {
+  constructor(message, details) {
+    super('RATE_LIMIT_EXCEEDED', message, details);
+  }
+}
+
+class FrequencyCappedError extends PushNotificationError {
+  constructor(message, details) {
+    super('FREQUENCY_CAPPED', message, details);
+  }
+}
+
+class DeliveryFailedError extends PushNotificationError {
+  constructor(message, details) {
+    super('DELIVERY_FAILED', message, details);
+  }
+}
+
+class ServiceUnavailableError extends PushNotificationError {
+  constructor(message, details) {
+    super('SERVICE_UNAVAILABLE', message, details);
+  }
+}
+
+/**
+ * Provider error codes (AWS SNS and Firebase Admin) mapped onto the catalog
+ */
+const PROVIDER_ERROR_CODES = {
+  EndpointDisabled: 'INVALID_TOKEN',
+  'messaging/invalid-registration-token': 'INVALID_TOKEN',
+  'messaging/registration-token-not-registered': 'INVALID_TOKEN',
+  InvalidParameter: 'INVALID_PAYLOAD',
+  InvalidParameterValue: 'INVALID_PAYLOAD',
+  ValidationError: 'INVALID_PAYLOAD',
+  'messaging/invalid-argument': 'INVALID_PAYLOAD',
+  'messaging/payload-size-limit-exceeded': 'INVALID_PAYLOAD',
+  Throttling: 'RATE_LIMIT_EXCEEDED',
+  ThrottlingException: 'RATE_LIMIT_EXCEEDED',
+  ThrottledException: 'RATE_LIMIT_EXCEEDED',
+  KMSThrottling: 'RATE_LIMIT_EXCEEDED',
+  'messaging/message-rate-exceeded': 'RATE_LIMIT_EXCEEDED',
+  'messaging/device-message-rate-exceeded': 'RATE_LIMIT_EXCEEDED'
+};
+
+/**
+ * Normalize any thrown value into a PushNotificationError
+ * Unknown provider failures become DELIVERY_FAILED with the original code in details
+ */
+function normalizeError(error) {
+  if (error instanceof PushNotificationError) {
+    return error;
+  }
+
+  const providerCode = error && error.code;
+  const message = (error && error.message) || String(error);
+
+  if (providerCode && ERROR_CATALOG[providerCode]) {
+    return new PushNotificationError(providerCode, message);
+  }
+
+  if (providerCode) {
+    return new PushNotificationError(
+      PROVIDER_ERROR_CODES[providerCode] || 'DELIVERY_FAILED',
+      message,
+      { providerCode }
+    );
+  }
+
+  return new PushNotificationError('INTERNAL_ERROR', message);
+}
+
+/**
+ * One-line rendering for CLI output, e.g. "INVALID_TOKEN: Token too short"
+ */
+function formatError(error) {
+  const { code, message } = error && error.code && !(error instanceof Error) ? error : normalizeError(error);
+  return `${code}: ${message}`;
+}
+
+/**
+ * Build the documented error envelope
+ */
+function toErrorBody(error, requestId = null) {
+  return {
+    success: false,
+    error: normalizeError(error).toJSON(),
+    timestamp: new Date().toISOString(),
+    requestId
+  };
+}
+
+module.exports = {
+  ERROR_CATALOG,
+  PushNotificationError,
+  InvalidTokenError,
+  InvalidPayloadError,
+  UnauthorizedError,
+  NotFoundError,
+  DeviceNotFoundError,
+  TopicNotFoundError,
+  ScheduleNotFoundError,
+  ScheduleConflictError,
+  IdempotencyKeyInUseError,
+  IdempotencyKeyReusedError,
+  RateLimitExceededError,
+  FrequencyCappedError,
+  DeliveryFailedError,
+  ServiceUnavailableError,
+  normalizeError,
+  formatError,
+  toErrorBody
+};
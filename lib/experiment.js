@@ -0,0 +1,159 @@
+/**
+ * Experiments
+ * A/B tests of notification content: an experiment defines two or more
+ * weighted variants, and each recipient is assigned one by hashing the
+ * experiment ID with their assignment key, so reruns and resumed runs give
+ * everyone the same variant
+ *
+ * Experiment file:
+ *   {
+ *     "id": "cart-copy-2024-05",
+ *     "assignBy": "userId",            token (default), userId or a dotted field
+ *     "variants": [
+ *       { "name": "control", "weight": 50 },
+ *       { "name": "urgent", "weight": 50, "title": "Last chance", "data": { "cta": "buy" } }
+ *     ]
+ *   }
+ * A variant overrides the title, message, data, template or localizations of
+ * the rows assigned to it; a variant with no content (the control) sends the
+ * rows as written. Rows without the assignment field are assigned by userId,
+ * else by token, so user-addressed rows without a token still spread.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { InvalidPayloadError } = require('./errors');
+const { keyOf } = require('./audience-filter');
+
+const CONTENT_FIELDS = ['title', 'message', 'data', 'template', 'localizations'];
+
+/**
+ * Position of a recipient in [0, 1), uniform and stable per experiment
+ */
+function bucketOf(experimentId, key) {
+  const digest = crypto.createHash('sha256').update(`${experimentId}:${key}`).digest();
+  return digest.readUInt32BE(0) / 0x100000000;
+}
+
+/**
+ * Problems with an experiment definition
+ */
+function validateExperiment(spec) {
+  const errors = [];
+  if (!spec || typeof spec !== 'object') {
+    return ['Experiment must be an object'];
+  }
+  if (typeof spec.id !== 'string' || !spec.id.trim()) {
+    errors.push('Experiment must have an id');
+  }
+  if (!Array.isArray(spec.variants) || spec.variants.length < 2) {
+    errors.push('Experiment must have at least two variants');
+    return errors;
+  }
+
+  const names = new Set();
+  spec.variants.forEach((variant, index) => {
+    const name = variant && variant.name;
+    if (typeof name !== 'string' || !name.trim()) {
+      errors.push(`Variant ${index + 1} must have a name`);
+    } else if (names.has(name)) {
+      errors.push(`Duplicate variant name: ${name}`);
+    } else {
+      names.add(name);
+    }
+    const weight = variant && variant.weight !== undefined ? variant.weight : 1;
+    if (typeof weight !== 'number' || !(weight > 0) || !Number.isFinite(weight)) {
+      errors.push(`Variant ${name || index + 1} must have a positive weight`);
+    }
+  });
+  return errors;
+}
+
+class Experiment {
+  constructor(spec = {}) {
+    const errors = validateExperiment(spec);
+    if (errors.length > 0) {
+      throw new InvalidPayloadError(`Invalid experiment: ${errors.join(', ')}`, errors);
+    }
+
+    this.id = spec.id;
+    this.assignBy = spec.assignBy || 'token';
+    const total = spec.variants.reduce((sum, variant) => sum + (variant.weight !== undefined ? variant.weight : 1), 0);
+
+    // Cumulative upper bounds, so a bucket picks the first variant above it
+    let bound = 0;
+    this.variants = spec.variants.map(variant => {
+      bound += (variant.weight !== undefined ? variant.weight : 1) / total;
+      return {
+        name: variant.name,
+        bound,
+        content: Object.fromEntries(CONTENT_FIELDS
+          .filter(field => variant[field] !== undefined)
+          .map(field => [field, variant[field]]))
+      };
+    });
+  }
+
+  static fromFile(filePath) {
+    return new Experiment(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  }
+
+  names() {
+    return this.variants.map(variant => variant.name);
+  }
+
+  /**
+   * Assignment key of a row: the assignBy field, else its userId, else its device token
+   */
+  keyOf(notification) {
+    return keyOf(notification, this.assignBy) || keyOf(notification, 'userId') || keyOf(notification, 'token');
+  }
+
+  /**
+   * Name of the variant a row is assigned to
+   */
+  assign(notification) {
+    const bucket = bucketOf(this.id, this.keyOf(notification) || '');
+    const variant = this.variants.find(candidate => bucket < candidate.bound) || this.variants[this.variants.length - 1];
+    return variant.name;
+  }
+
+  /**
+   * The row with its variant's content and the experimentId/variant fields
+   * that tag the published message; variant data merges into the row's
+   */
+  apply(notification) {
+    const name = this.assign(notification);
+    const { content } = this.variants.find(variant => variant.name === name);
+
+    return {
+      ...notification,
+      ...content,
+      ...(content.data ? { data: { ...notification.data, ...content.data } } : {}),
+      experimentId: this.id,
+      variant: name
+    };
+  }
+}
+
+/**
+ * SNS message attributes naming the experiment and variant of a rendered
+ * notification, for subscription filters and delivery analytics
+ */
+function experimentAttributes(notification) {
+  if (!notification.experimentId || !notification.variant) {
+    return {};
+  }
+
+  return {
+    experiment_id: { DataType: 'String', StringValue: String(notification.experimentId) },
+    variant: { DataType: 'String', StringValue: String(notification.variant) }
+  };
+}
+
+module.exports = {
+  Experiment,
+  bucketOf,
+  experimentAttributes,
+  validateExperiment
+};
@@ -0,0 +1,216 @@
+/**
+ * User Fan-Out
+ * Addresses a notification to users instead of devices: it is sent to each
+ * user's active registered devices on every platform, and the per-device
+ * results are rolled up into one outcome per user
+ *
+ * Targets are `userId` or `userIds`, or target: { type: 'user', userId | userIds }.
+ * A lone `userId` next to a device (deviceId, fcmToken or deviceToken) names
+ * that device's owner for preferences and caps instead of fanning out.
+ *
+ * User outcomes:
+ *   sent         every device was reached (or the user opted some out)
+ *   partial      some devices were reached and some failed
+ *   failed       no device was reached
+ *   suppressed   the user opted out on every device
+ *   no_devices   the user has no active devices (DEVICE_NOT_FOUND)
+ */
+
+const { DeviceNotFoundError, normalizeError } = require('./errors');
+
+const MAX_TARGET_USERS = 100;
+
+const USER_STATUS = {
+  SENT: 'sent',
+  PARTIAL: 'partial',
+  FAILED: 'failed',
+  SUPPRESSED: 'suppressed',
+  NO_DEVICES: 'no_devices'
+};
+
+const DEVICE_FIELDS = ['deviceId', 'fcmToken', 'deviceToken', 'token'];
+
+/**
+ * User IDs a request fans out to, or null when it addresses a device
+ */
+function userTargetsOf(request = {}) {
+  const target = request.target || {};
+  if (target.type === 'user') {
+    const userIds = target.userIds !== undefined ? target.userIds : target.userId;
+    return userIds === undefined ? [] : [].concat(userIds);
+  }
+  if (request.userIds !== undefined) {
+    return [].concat(request.userIds);
+  }
+
+  const addressesDevice = DEVICE_FIELDS.some(field => request[field]) || Boolean(target.deviceId);
+  return request.userId && !addressesDevice ? [request.userId] : null;
+}
+
+/**
+ * Problems with a list of target user IDs
+ */
+function validateUserTargets(userIds) {
+  const errors = [];
+  if (userIds.length === 0) {
+    errors.push('Missing target userId');
+  } else if (userIds.length > MAX_TARGET_USERS) {
+    errors.push(`Too many target users: ${userIds.length} (max ${MAX_TARGET_USERS})`);
+  }
+
+  userIds.forEach(userId => {
+    if (!['string', 'number'].includes(typeof userId) || !String(userId).trim()) {
+      errors.push(`Invalid userId: ${JSON.stringify(userId)}`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * A user-addressed notification narrowed to one of the user's devices
+ * An idempotency key becomes one key per device, so a resent fan-out only
+ * publishes to the devices that were not reached.
+ */
+function deviceRecipient(notification, device) {
+  const platform = device.platform || 'android';
+  const recipient = {
+    ...notification,
+    userId: device.userId,
+    deviceId: device.deviceId,
+    platform,
+    [platform === 'ios' ? 'deviceToken' : 'fcmToken']: device.deviceToken,
+    locale: notification.locale || device.locale || undefined
+  };
+  delete recipient.userIds;
+  delete recipient.target;
+
+  if (notification.idempotencyKey) {
+    recipient.idempotencyKey = `${notification.idempotencyKey}:${device.deviceId}`;
+  }
+  return recipient;
+}
+
+/**
+ * A frequency cap that counts a user's fan-out once, however many devices
+ * it reaches: the first device to publish counts the send, and it is given
+ * back only when no device published. Devices must be sent one at a time.
+ */
+function sharedCap(frequencyCap) {
+  let published = 0;
+  let charge = null;
+
+  return {
+    async enforce(recipient) {
+      if (published === 0) {
+        charge = await frequencyCap.enforce(recipient);
+      }
+      published += 1;
+      return charge;
+    },
+    async refund() {
+      published -= 1;
+      if (published === 0) {
+        await frequencyCap.refund(charge);
+        charge = null;
+      }
+    }
+  };
+}
+
+/**
+ * Roll a user's device results ({ success, suppressed?, error? }) into
+ * { userId, status, devices, successful, failed, suppressed, results }
+ */
+function userOutcome(userId, results) {
+  const suppressed = results.filter(result => result.suppressed).length;
+  const failed = results.filter(result => !result.suppressed && !result.success).length;
+  const successful = results.length - suppressed - failed;
+
+  let status;
+  if (results.length === 0) {
+    status = USER_STATUS.NO_DEVICES;
+  } else if (suppressed === results.length) {
+    status = USER_STATUS.SUPPRESSED;
+  } else if (failed === 0) {
+    status = USER_STATUS.SENT;
+  } else {
+    status = successful > 0 ? USER_STATUS.PARTIAL : USER_STATUS.FAILED;
+  }
+
+  return {
+    userId: String(userId),
+    status,
+    devices: results.length,
+    successful,
+    failed,
+    suppressed,
+    ...(status === USER_STATUS.NO_DEVICES
+      ? { error: new DeviceNotFoundError(`User ${userId} has no active devices`).toJSON() }
+      : {}),
+    results
+  };
+}
+
+/**
+ * Send to every active device of each user
+ * listDevices(userId) resolves the user's devices; send(device, cap)
+ * resolves one device's result, counting it against `cap` (the user's
+ * shared frequency cap). A send that throws becomes a failed result.
+ * Users are sent in parallel, each user's devices in turn.
+ */
+async function fanOut(userIds, { listDevices, send, frequencyCap }) {
+  const unique = [...new Set(userIds.map(String))];
+
+  return Promise.all(unique.map(async userId => {
+    const devices = await listDevices(userId);
+    const cap = frequencyCap ? sharedCap(frequencyCap) : null;
+    const results = [];
+
+    for (const device of devices) {
+      const identity = { deviceId: device.deviceId, platform: device.platform || 'android' };
+      try {
+        results.push({ ...identity, ...(await send(device, cap)) });
+      } catch (error) {
+        results.push({ ...identity, success: false, error: normalizeError(error).toJSON() });
+      }
+    }
+
+    return userOutcome(userId, results);
+  }));
+}
+
+/**
+ * Counts of user outcomes: { users, devices, sent, partial, failed, suppressed, no_devices }
+ */
+function summarizeUsers(outcomes) {
+  const summary = { users: outcomes.length, devices: 0 };
+  Object.values(USER_STATUS).forEach(status => {
+    summary[status] = 0;
+  });
+
+  outcomes.forEach(outcome => {
+    summary.devices += outcome.devices;
+    summary[outcome.status] += 1;
+  });
+  return summary;
+}
+
+/**
+ * Whether every user was reached or opted out
+ */
+function allReached(outcomes) {
+  return outcomes.every(outcome => outcome.status === USER_STATUS.SENT || outcome.status === USER_STATUS.SUPPRESSED);
+}
+
+module.exports = {
+  MAX_TARGET_USERS,
+  USER_STATUS,
+  allReached,
+  deviceRecipient,
+  fanOut,
+  sharedCap,
+  summarizeUsers,
+  userOutcome,
+  userTargetsOf,
+  validateUserTargets
+};
@@ -0,0 +1,210 @@
+/**
+ * Frequency Capping
+ * Limits how many pushes one recipient gets in rolling windows, across the
+ * Lambda handlers, the campaign workers and the CLI tools
+ *
+ * Caps are written as "<limit>/<window>", optionally for one category:
+ *   3/1h,10/1d,marketing:2/1d
+ * Windows are m, h, d or w. A cap without a category counts every send; a
+ * category cap counts only sends in that category (`category`, else
+ * data.category or data.type).
+ * Recipients are keyed by userId, else deviceId, else device token.
+ *
+ * Counts live in a counter store (lib/store: memory, a JSON file or a
+ * DynamoDB table with TTL) so every send path shares them. Each window is
+ * a sliding-window counter: the current fixed window plus the previous one
+ * weighted by how much of it still overlaps, which needs two counters per
+ * cap instead of one entry per send.
+ */
+
+const { MemoryStore, createStore } = require('./store');
+const { FrequencyCappedError, InvalidPayloadError } = require('./errors');
+const { categoryOf } = require('./preferences');
+
+const WINDOW_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+const CAP_PATTERN = /^(?:([\w-]+):)?(\d+)\/(\d*)([mhdw])$/;
+
+/**
+ * Parse "3/1h,10/1d,marketing:2/1d" into [{ category, limit, window, windowMs }]
+ */
+function parseCaps(spec) {
+  if (Array.isArray(spec)) {
+    return spec;
+  }
+  if (!spec) {
+    return [];
+  }
+
+  return String(spec).split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const match = CAP_PATTERN.exec(part);
+    const count = match ? parseInt(match[3] || '1', 10) : 0;
+    if (!match || !(parseInt(match[2], 10) > 0) || !(count > 0)) {
+      throw new InvalidPayloadError(`Invalid frequency cap: ${part} (expected <limit>/<window>, e.g. 3/1h or marketing:2/1d)`);
+    }
+
+    return {
+      category: match[1] || null,
+      limit: parseInt(match[2], 10),
+      window: `${count}${match[4]}`,
+      windowMs: count * WINDOW_UNITS[match[4]]
+    };
+  });
+}
+
+/**
+ * Counter key of a recipient: user:<userId>, device:<deviceId> or token:<token>
+ */
+function recipientKey(recipient = {}) {
+  if (recipient.userId) {
+    return `user:${recipient.userId}`;
+  }
+  if (recipient.deviceId) {
+    return `device:${recipient.deviceId}`;
+  }
+
+  const token = recipient.platform === 'ios' ? recipient.deviceToken : recipient.fcmToken || recipient.token;
+  return token ? `token:${token}` : null;
+}
+
+/**
+ * Report key for a cap, e.g. "3/1h" or "marketing:2/1d"
+ */
+function capLabel({ category, limit, window }) {
+  return `${category ? `${category}:` : ''}${limit}/${window}`;
+}
+
+class FrequencyCap {
+  constructor(options = {}) {
+    this.caps = parseCaps(options.caps);
+    this.store = options.store || new MemoryStore();
+    this.now = options.now || (() => Date.now());
+  }
+
+  /**
+   * Caps from FREQUENCY_CAPS, counted in FREQUENCY_CAP_TABLE_NAME (DynamoDB)
+   * or the FREQUENCY_CAP_STORE JSON file
+   */
+  static fromEnv(env = process.env, options = {}) {
+    return new FrequencyCap({
+      caps: env.FREQUENCY_CAPS,
+      store: createStore({
+        tableName: env.FREQUENCY_CAP_TABLE_NAME,
+        filePath: env.FREQUENCY_CAP_STORE,
+        keyName: 'counterKey',
+        ttlAttribute: 'expiresAt'
+      }),
+      ...options
+    });
+  }
+
+  get enabled() {
+    return this.caps.length > 0;
+  }
+
+  /**
+   * Caps that count a send to `recipient`
+   */
+  capsFor(recipient) {
+    const category = categoryOf(recipient);
+    return this.caps.filter(cap => !cap.category || cap.category === category);
+  }
+
+  counterKey(key, cap, bucket) {
+    return `freq#${key}#${cap.category || '*'}#${cap.window}#${bucket}`;
+  }
+
+  /**
+   * Count a send to `recipient` against every cap that applies
+   * Resolves null when it may go out, or the cap it would exceed:
+   * { category, limit, window, retryAt }. A capped send is not counted.
+   */
+  async consume(recipient) {
+    return (await this.charge(recipient)).capped;
+  }
+
+  /**
+   * consume(), also resolving the charge - the counters the send was added
+   * to - as { capped, charge: { counters } }; the charge is empty when capped
+   */
+  async charge(recipient) {
+    const key = recipientKey(recipient);
+    const caps = key ? this.capsFor(recipient) : [];
+    const now = this.now();
+    const counted = [];
+
+    for (const cap of caps) {
+      const bucket = Math.floor(now / cap.windowMs);
+      const counterKey = this.counterKey(key, cap, bucket);
+      const current = await this.store.increment(counterKey, 1, { expiresAt: (bucket + 2) * cap.windowMs });
+      counted.push(counterKey);
+
+      const previous = (await this.store.get(this.counterKey(key, cap, bucket - 1))) || 0;
+      const elapsed = (now % cap.windowMs) / cap.windowMs;
+      if (previous * (1 - elapsed) + current > cap.limit) {
+        await Promise.all(counted.map(counter => this.store.increment(counter, -1)));
+        return {
+          capped: {
+            category: cap.category,
+            limit: cap.limit,
+            window: cap.window,
+            retryAt: new Date(this.retryAt(cap, bucket, previous, current - 1)).toISOString()
+          },
+          charge: { counters: [] }
+        };
+      }
+    }
+
+    return { capped: null, charge: { counters: counted } };
+  }
+
+  /**
+   * Take back a charged send that was not published
+   * The charge's own counters are decremented, so a publish that fails after
+   * a window rolls over still refunds the window it was counted in.
+   */
+  async refund(charge) {
+    const counters = (charge && charge.counters) || [];
+    await Promise.all(counters.map(counter => this.store.increment(counter, -1)));
+  }
+
+  /**
+   * charge(), throwing FREQUENCY_CAPPED instead of resolving the cap
+   * Resolves the charge to pass to refund() if the publish then fails
+   */
+  async enforce(recipient) {
+    const { capped, charge } = await this.charge(recipient);
+    if (capped) {
+      throw new FrequencyCappedError(
+        `Recipient has reached ${capped.limit} notifications per ${capped.window}${capped.category ? ` for ${capped.category}` : ''}`,
+        capped
+      );
+    }
+    return charge;
+  }
+
+  /**
+   * When the sliding count drops low enough for one more send
+   */
+  retryAt(cap, bucket, previous, current) {
+    const allowed = cap.limit - 1;
+    // Still in this window: wait for the previous window's weight to fade
+    if (current <= allowed && previous > 0) {
+      return (bucket + 1 - (allowed - current) / previous) * cap.windowMs;
+    }
+    // Next window: this window's count becomes the fading one
+    return (bucket + 1 + (current > 0 ? Math.max(1 - allowed / current, 0) : 0)) * cap.windowMs;
+  }
+}
+
+module.exports = {
+  FrequencyCap,
+  capLabel,
+  parseCaps,
+  recipientKey
+};
@@ -0,0 +1,189 @@
+/**
+ * Idempotency Keys
+ * Remembers the response for each idempotency key so a retried send returns
+ * the original result instead of publishing a duplicate push
+ *
+ * A key is claimed with putIfAbsent before the send runs, so concurrent
+ * retries cannot both publish. The claim is a short lease (leaseSeconds,
+ * about the Lambda timeout): a retry after a send that timed out without
+ * finishing takes the key over instead of being refused for the whole TTL.
+ * Completed records are kept for the TTL; failed sends release the key so
+ * the client can retry with it.
+ */
+
+const crypto = require('crypto');
+const { MemoryStore } = require('./store');
+const {
+  InvalidPayloadError,
+  IdempotencyKeyInUseError,
+  IdempotencyKeyReusedError
+} = require('./errors');
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const DEFAULT_LEASE_SECONDS = 60;
+const MAX_KEY_LENGTH = 255;
+const IDEMPOTENCY_HEADER = 'idempotency-key';
+
+const KEY_STATUS = {
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed'
+};
+
+/**
+ * JSON with sorted object keys, so equal payloads hash equally
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Payload fingerprint used to detect a key reused for a different request
+ */
+function fingerprint(payload) {
+  return crypto.createHash('sha256').update(stableStringify(payload)).digest('hex');
+}
+
+/**
+ * Read the key from the Idempotency-Key header (any casing) or the idempotencyKey field
+ */
+function getIdempotencyKey(event = {}, body = {}) {
+  const headers = event.headers || {};
+  const headerName = Object.keys(headers).find(name => name.toLowerCase() === IDEMPOTENCY_HEADER);
+  const key = headerName ? headers[headerName] : body.idempotencyKey;
+
+  if (key === undefined || key === null) {
+    return null;
+  }
+
+  if (typeof key !== 'string' || key.length === 0 || key.length > MAX_KEY_LENGTH) {
+    throw new InvalidPayloadError(`Idempotency key must be a string of 1-${MAX_KEY_LENGTH} characters`);
+  }
+
+  return key;
+}
+
+/**
+ * Key -> response cache with an injectable clock for deterministic tests
+ */
+class IdempotencyManager {
+  constructor(options = {}) {
+    this.store = options.store || new MemoryStore();
+    this.ttlSeconds = options.ttlSeconds ||
+      parseInt(process.env.IDEMPOTENCY_TTL_SECONDS, 10) ||
+      DEFAULT_TTL_SECONDS;
+    this.leaseSeconds = options.leaseSeconds ||
+      parseInt(process.env.IDEMPOTENCY_LEASE_SECONDS, 10) ||
+      DEFAULT_LEASE_SECONDS;
+    this.now = options.now || (() => Date.now());
+  }
+
+  /**
+   * When a record stops holding its key: a completed one after the TTL, an
+   * in-progress one when its lease runs out
+   */
+  expiresAt(record) {
+    // Claims written before leases existed carry the full TTL
+    return record.status === KEY_STATUS.IN_PROGRESS
+      ? Math.min(record.expiresAt, Date.parse(record.createdAt) + this.leaseSeconds * 1000)
+      : record.expiresAt;
+  }
+
+  /**
+   * Claim a key, taking over a record that has expired
+   * (DynamoDB TTL deletes expired items lazily, so they may still be present)
+   */
+  async claim(key, record) {
+    if (await this.store.putIfAbsent(key, record)) {
+      return true;
+    }
+
+    const existing = await this.store.get(key);
+    if (!existing) {
+      return this.store.putIfAbsent(key, record);
+    }
+    if (this.expiresAt(existing) > this.now()) {
+      return false;
+    }
+
+    // One request wins the takeover of this particular expired record
+    if (!(await this.store.putIfAbsent(`${key}#takeover#${existing.createdAt}`, record))) {
+      return false;
+    }
+
+    await this.store.put(key, record);
+    return true;
+  }
+
+  /**
+   * Run operation once per key; replays return { response, replayed: true }
+   */
+  async execute(key, payload, operation) {
+    const now = this.now();
+    const record = {
+      key,
+      fingerprint: fingerprint(payload),
+      status: KEY_STATUS.IN_PROGRESS,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: now + this.leaseSeconds * 1000
+    };
+
+    if (!(await this.claim(key, record))) {
+      const existing = await this.store.get(key);
+
+      // Another request is taking over the expired record
+      if (existing && this.expiresAt(existing) <= this.now()) {
+        throw new IdempotencyKeyInUseError(undefined, { idempotencyKey: key });
+      }
+
+      if (existing && existing.fingerprint !== record.fingerprint) {
+        throw new IdempotencyKeyReusedError(undefined, { idempotencyKey: key });
+      }
+
+      if (!existing || existing.status !== KEY_STATUS.COMPLETED) {
+        throw new IdempotencyKeyInUseError(undefined, { idempotencyKey: key });
+      }
+
+      return { response: existing.response, replayed: true };
+    }
+
+    let response;
+    try {
+      response = await operation();
+    } catch (error) {
+      await this.store.delete(key);
+      throw error;
+    }
+
+    const completedAt = this.now();
+    await this.store.put(key, {
+      ...record,
+      status: KEY_STATUS.COMPLETED,
+      response,
+      completedAt: new Date(completedAt).toISOString(),
+      expiresAt: completedAt + this.ttlSeconds * 1000
+    });
+
+    return { response, replayed: false };
+  }
+}
+
+module.exports = {
+  DEFAULT_LEASE_SECONDS,
+  DEFAULT_TTL_SECONDS,
+  KEY_STATUS,
+  IdempotencyManager,
+  fingerprint,
+  getIdempotencyKey
+};
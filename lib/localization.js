@@ -0,0 +1,123 @@
+/**
+ * Localization
+ * Picks the variant of a notification for a recipient's locale, falling
+ * back along its chain (pt-BR -> pt -> default content)
+ *
+ * Locales are BCP 47 tags; pt_BR and pt-br are accepted and read as pt-BR.
+ * Variants are keyed the same way and matched case-insensitively.
+ */
+
+const DEFAULT_LOCALE = 'default';
+
+const LOCALE_PATTERN = /^[A-Za-z]{2,3}([-_][A-Za-z0-9]{2,8})*$/;
+
+function isValidLocale(locale) {
+  return typeof locale === 'string' && LOCALE_PATTERN.test(locale);
+}
+
+/**
+ * Canonical casing: language lower, script title, region upper (zh-Hant-TW)
+ */
+function normalizeLocale(locale) {
+  if (!isValidLocale(locale)) {
+    return null;
+  }
+
+  return locale.split(/[-_]/).map((part, index) => {
+    if (index === 0) {
+      return part.toLowerCase();
+    }
+    if (part.length === 4) {
+      return part[0].toUpperCase() + part.slice(1).toLowerCase();
+    }
+    return part.length === 2 ? part.toUpperCase() : part.toLowerCase();
+  }).join('-');
+}
+
+/**
+ * Locales to try, most specific first: zh-Hant-TW -> zh-Hant -> zh
+ */
+function localeChain(locale) {
+  const normalized = normalizeLocale(locale);
+  if (!normalized) {
+    return [];
+  }
+
+  const parts = normalized.split('-');
+  return parts.map((_, index) => parts.slice(0, parts.length - index).join('-'));
+}
+
+/**
+ * Which of the available variant keys serves `locale`
+ * Returns { requested, resolved, fellBack }; resolved is the matching key,
+ * or 'default' when the base content is used. Getting the default is not a
+ * fallback for a recipient without a locale, or when there are no variants.
+ */
+function resolveLocale(available, locale) {
+  const keys = new Map([...available].map(key => [String(normalizeLocale(key) || key).toLowerCase(), key]));
+  const chain = localeChain(locale);
+  const requested = normalizeLocale(locale) || locale || null;
+
+  for (const candidate of chain) {
+    const key = keys.get(candidate.toLowerCase());
+    if (key !== undefined) {
+      return { requested, resolved: key, fellBack: candidate !== chain[0] };
+    }
+  }
+
+  return { requested, resolved: DEFAULT_LOCALE, fellBack: Boolean(locale) && keys.size > 0 };
+}
+
+/**
+ * Merge the variant for `locale` over the base content
+ * Returns { content, locale: { requested, resolved, fellBack } }
+ */
+function localize(base, variants, locale) {
+  const resolution = resolveLocale(Object.keys(variants || {}), locale);
+  const variant = resolution.resolved === DEFAULT_LOCALE ? {} : variants[resolution.resolved];
+
+  return {
+    content: { ...base, ...variant },
+    locale: resolution
+  };
+}
+
+/**
+ * Problems with a map of variants: bad locale keys, non-object variants
+ */
+function validateVariants(variants, name = 'localizations') {
+  if (variants === undefined) {
+    return [];
+  }
+  if (typeof variants !== 'object' || variants === null || Array.isArray(variants)) {
+    return [`${name} must be an object keyed by locale`];
+  }
+
+  const errors = [];
+  Object.entries(variants).forEach(([locale, variant]) => {
+    if (!isValidLocale(locale)) {
+      errors.push(`Invalid locale in ${name}: ${locale}`);
+    } else if (typeof variant !== 'object' || variant === null) {
+      errors.push(`${name}.${locale} must be an object`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Report key for a fallback, e.g. "pt-BR -> pt"
+ */
+function fallbackLabel({ requested, resolved }) {
+  return `${requested} -> ${resolved}`;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  fallbackLabel,
+  isValidLocale,
+  localeChain,
+  localize,
+  normalizeLocale,
+  resolveLocale,
+  validateVariants
+};
@@ -0,0 +1,244 @@
+/**
+ * Notification Streams
+ * Reads batch files one record at a time so memory stays flat for any
+ * input size; records are only read as fast as the consumer pulls them
+ *
+ * Formats:
+ *   NDJSON (.ndjson / .jsonl)  one JSON object per line
+ *   CSV (.csv)                 RFC 4180: quoted fields, "" escapes, embedded
+ *                              newlines; dotted headers such as data.orderId
+ *                              become nested objects
+ *   JSON (.json)               array (or { notifications: [...] }); parsed
+ *                              whole, so prefer NDJSON or CSV for large runs
+ * Other extensions are detected from the first character of the file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Split a chunked text stream into lines (LF or CRLF)
+ */
+async function * lines(stream) {
+  let buffered = '';
+
+  for await (const chunk of stream) {
+    buffered += chunk;
+    const parts = buffered.split('\n');
+    buffered = parts.pop();
+    for (const line of parts) {
+      yield line.endsWith('\r') ? line.slice(0, -1) : line;
+    }
+  }
+
+  if (buffered) {
+    yield buffered;
+  }
+}
+
+/**
+ * One object per non-blank line
+ */
+async function * ndjsonRecords(stream) {
+  let lineNumber = 0;
+
+  for await (const line of lines(stream)) {
+    lineNumber += 1;
+    if (!line.trim()) {
+      continue;
+    }
+
+    try {
+      yield JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${lineNumber}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * RFC 4180 rows as arrays of strings; unquoted fields are trimmed
+ */
+async function * csvRows(stream) {
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let inQuotes = false;
+  let pendingQuote = false;
+  let pendingCR = false;
+  let started = false;
+
+  const endField = () => {
+    row.push(quoted ? field : field.trim());
+    field = '';
+    quoted = false;
+  };
+  const endRow = () => {
+    endField();
+    const complete = row;
+    row = [];
+    // Blank lines carry no record
+    return complete.length === 1 && complete[0] === '' ? null : complete;
+  };
+
+  for await (const chunk of stream) {
+    let text = chunk;
+    if (!started) {
+      started = true;
+      text = text.replace(/^\uFEFF/, '');
+    }
+
+    for (const char of text) {
+      if (pendingCR) {
+        pendingCR = false;
+        if (char === '\n') {
+          continue;
+        }
+      }
+
+      if (inQuotes) {
+        if (pendingQuote) {
+          pendingQuote = false;
+          if (char === '"') {
+            field += '"';
+            continue;
+          }
+          inQuotes = false;
+        } else if (char === '"') {
+          pendingQuote = true;
+          continue;
+        } else {
+          field += char;
+          continue;
+        }
+      }
+
+      if (char === '"' && field.trim() === '' && !quoted) {
+        inQuotes = true;
+        quoted = true;
+        field = '';
+      } else if (char === ',') {
+        endField();
+      } else if (char === '\n' || char === '\r') {
+        pendingCR = char === '\r';
+        const complete = endRow();
+        if (complete) {
+          yield complete;
+        }
+      } else {
+        field += char;
+      }
+    }
+  }
+
+  if (inQuotes && !pendingQuote) {
+    throw new Error('Unterminated quoted field at end of CSV');
+  }
+
+  const last = endRow();
+  if (last) {
+    yield last;
+  }
+}
+
+/**
+ * Set obj[a][b] for the header "a.b"
+ */
+function setPath(target, header, value) {
+  const keys = header.split('.');
+  const last = keys.pop();
+  let node = target;
+
+  keys.forEach(key => {
+    if (typeof node[key] !== 'object' || node[key] === null) {
+      node[key] = {};
+    }
+    node = node[key];
+  });
+  node[last] = value;
+}
+
+/**
+ * CSV rows mapped to objects by the header row; empty cells are left out
+ */
+async function * csvRecords(stream) {
+  let headers = null;
+  let rowNumber = 0;
+
+  for await (const row of csvRows(stream)) {
+    if (!headers) {
+      headers = row;
+      continue;
+    }
+
+    rowNumber += 1;
+    if (row.length > headers.length) {
+      throw new Error(`CSV row ${rowNumber} has ${row.length} fields but the header has ${headers.length}`);
+    }
+
+    const record = {};
+    row.forEach((value, index) => {
+      if (value !== '') {
+        setPath(record, headers[index], value);
+      }
+    });
+    yield record;
+  }
+}
+
+/**
+ * Entries of a JSON array file
+ */
+async function * jsonRecords(filePath) {
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const records = Array.isArray(parsed) ? parsed : parsed.notifications;
+
+  if (!Array.isArray(records)) {
+    throw new Error('File must contain an array of notifications');
+  }
+  yield * records;
+}
+
+/**
+ * Format of a batch file, from its extension or first character
+ */
+function detectFormat(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (['.ndjson', '.jsonl'].includes(extension)) {
+    return 'ndjson';
+  }
+  if (['.csv', '.json'].includes(extension)) {
+    return extension.slice(1);
+  }
+
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const head = Buffer.alloc(256);
+    const bytes = fs.readSync(fd, head, 0, head.length, 0);
+    const first = head.toString('utf8', 0, bytes).replace(/^\uFEFF/, '').trim()[0];
+    return first === '[' ? 'json' : first === '{' ? 'ndjson' : 'csv';
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Async iterable of the notifications in a batch file
+ */
+function readNotifications(filePath, format = detectFormat(filePath)) {
+  if (format === 'json') {
+    return jsonRecords(filePath);
+  }
+
+  const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+  return format === 'ndjson' ? ndjsonRecords(stream) : csvRecords(stream);
+}
+
+module.exports = {
+  csvRecords,
+  csvRows,
+  detectFormat,
+  lines,
+  ndjsonRecords,
+  readNotifications
+};
@@ -0,0 +1,361 @@
+/**
+ * Notification Payload Builder
+ * Turns the API request shape into a per-protocol SNS message for
+ * MessageStructure 'json' publishes:
+ *   { default, GCM, APNS, APNS_SANDBOX }
+ * GCM carries an FCM HTTP v1 message; APNS carries an aps dictionary
+ *
+ * Localization keys (titleLocKey, bodyLocKey and their args) are passed
+ * through for the app to resolve against its own string resources.
+ */
+
+const { InvalidPayloadError } = require('./errors');
+
+const FCM_MAX_PAYLOAD_BYTES = 4096;
+const APNS_MAX_PAYLOAD_BYTES = 4096;
+const PRIORITIES = ['high', 'normal'];
+const DEFAULT_PROTOCOLS = ['GCM', 'APNS', 'APNS_SANDBOX'];
+
+/**
+ * Map an API request body onto the flat notification spec
+ *   { notification: {...}, data: {...}, options: { priority, timeToLive, collapseKey } }
+ */
+function fromRequest(body = {}) {
+  const notification = body.notification || {};
+  const options = body.options || {};
+
+  return {
+    title: notification.title,
+    body: notification.body,
+    icon: notification.icon,
+    sound: notification.sound,
+    badge: notification.badge,
+    clickAction: notification.clickAction,
+    image: notification.image,
+    channelId: notification.channelId,
+    threadId: notification.threadId,
+    titleLocKey: notification.titleLocKey,
+    titleLocArgs: notification.titleLocArgs,
+    bodyLocKey: notification.bodyLocKey,
+    bodyLocArgs: notification.bodyLocArgs,
+    data: body.data,
+    priority: options.priority,
+    ttl: options.timeToLive,
+    collapseKey: options.collapseKey,
+    contentAvailable: options.contentAvailable,
+    mutableContent: options.mutableContent
+  };
+}
+
+/**
+ * Localization args from a CSV cell: a JSON array, or one plain value
+ */
+function locArgs(value) {
+  if (value === undefined || Array.isArray(value)) {
+    return value;
+  }
+  const text = String(value);
+  if (text.trim().startsWith('[')) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return [text];
+    }
+  }
+  return [text];
+}
+
+/**
+ * Map a flat batch entry (batch-sender files, campaign jobs) to a spec
+ * CSV rows carry strings only, so badge is coerced to a number
+ */
+function fromBatchEntry(entry = {}) {
+  return {
+    title: entry.title,
+    body: entry.message,
+    sound: entry.sound,
+    badge: entry.badge !== undefined ? Number(entry.badge) : undefined,
+    threadId: entry.threadId,
+    titleLocKey: entry.titleLocKey,
+    titleLocArgs: locArgs(entry.titleLocArgs),
+    bodyLocKey: entry.bodyLocKey,
+    bodyLocArgs: locArgs(entry.bodyLocArgs),
+    data: typeof entry.data === 'object' ? entry.data : undefined
+  };
+}
+
+/**
+ * SNS protocols to populate for a device platform
+ * iOS endpoints live under an APNS or APNS_SANDBOX platform application,
+ * which shows in the endpoint ARN; without one both are populated
+ */
+function protocolsForPlatform(platform, endpointArn) {
+  if (platform !== 'ios') {
+    return ['GCM'];
+  }
+
+  if (endpointArn) {
+    return [endpointArn.includes('/APNS_SANDBOX/') ? 'APNS_SANDBOX' : 'APNS'];
+  }
+
+  return ['APNS', 'APNS_SANDBOX'];
+}
+
+/**
+ * FCM only accepts string data values
+ */
+function stringifyData(data) {
+  const result = {};
+
+  Object.keys(data || {}).forEach(key => {
+    const value = data[key];
+    if (value === undefined || value === null) {
+      return;
+    }
+    result[key] = typeof value === 'string' ? value : JSON.stringify(value);
+  });
+
+  return result;
+}
+
+/**
+ * Drop undefined fields so snapshots and payload sizes stay minimal
+ */
+function compact(object) {
+  const result = {};
+
+  Object.keys(object).forEach(key => {
+    if (object[key] !== undefined) {
+      result[key] = object[key];
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Whether a spec shows an alert: literal text or a localization key
+ */
+function hasAlert(spec) {
+  return Boolean(spec.title || spec.body || spec.titleLocKey || spec.bodyLocKey);
+}
+
+/**
+ * Validate a notification spec, returning a list of problems
+ */
+function validateSpec(spec) {
+  const errors = [];
+
+  if (!hasAlert(spec) && Object.keys(spec.data || {}).length === 0) {
+    errors.push('Notification must have a title, body or data');
+  }
+
+  ['titleLocArgs', 'bodyLocArgs'].forEach(field => {
+    if (spec[field] !== undefined && !(Array.isArray(spec[field]) && spec[field].every(arg => typeof arg === 'string'))) {
+      errors.push(`${field} must be an array of strings`);
+    }
+  });
+
+  if (spec.priority !== undefined && !PRIORITIES.includes(spec.priority)) {
+    errors.push(`Invalid priority: ${spec.priority} (expected ${PRIORITIES.join(' or ')})`);
+  }
+
+  if (spec.ttl !== undefined && !(Number.isInteger(spec.ttl) && spec.ttl >= 0)) {
+    errors.push('timeToLive must be a non-negative number of seconds');
+  }
+
+  if (spec.badge !== undefined && !(Number.isInteger(spec.badge) && spec.badge >= 0)) {
+    errors.push('badge must be a non-negative integer');
+  }
+
+  if (spec.data !== undefined && (typeof spec.data !== 'object' || Array.isArray(spec.data))) {
+    errors.push('data must be an object');
+  }
+
+  return errors;
+}
+
+/**
+ * FCM HTTP v1 message (SNS "GCM" protocol)
+ */
+function buildFcmMessage(spec) {
+  const notification = compact({
+    title: spec.title,
+    body: spec.body,
+    image: spec.image
+  });
+
+  const androidNotification = compact({
+    icon: spec.icon,
+    sound: spec.sound,
+    click_action: spec.clickAction,
+    channel_id: spec.channelId,
+    notification_count: spec.badge,
+    title_loc_key: spec.titleLocKey,
+    title_loc_args: spec.titleLocArgs,
+    body_loc_key: spec.bodyLocKey,
+    body_loc_args: spec.bodyLocArgs
+  });
+
+  const android = compact({
+    priority: spec.priority ? spec.priority.toUpperCase() : undefined,
+    ttl: spec.ttl !== undefined ? `${spec.ttl}s` : undefined,
+    collapse_key: spec.collapseKey,
+    notification: Object.keys(androidNotification).length > 0 ? androidNotification : undefined
+  });
+
+  const data = stringifyData(spec.data);
+
+  return {
+    fcmV1Message: {
+      message: compact({
+        notification: Object.keys(notification).length > 0 ? notification : undefined,
+        data: Object.keys(data).length > 0 ? data : undefined,
+        android: Object.keys(android).length > 0 ? android : undefined
+      })
+    }
+  };
+}
+
+/**
+ * APNs payload (SNS "APNS"/"APNS_SANDBOX" protocols)
+ * Custom data sits beside the aps dictionary, as iOS expects
+ */
+function buildApnsMessage(spec) {
+  const alert = compact({
+    title: spec.title,
+    body: spec.body,
+    'title-loc-key': spec.titleLocKey,
+    'title-loc-args': spec.titleLocArgs,
+    'loc-key': spec.bodyLocKey,
+    'loc-args': spec.bodyLocArgs
+  });
+  const showsAlert = Object.keys(alert).length > 0;
+
+  const aps = compact({
+    alert: showsAlert ? alert : undefined,
+    sound: spec.sound,
+    badge: spec.badge,
+    category: spec.clickAction,
+    'thread-id': spec.threadId,
+    // A notification service extension is needed to attach images
+    'mutable-content': spec.mutableContent || spec.image ? 1 : undefined,
+    'content-available': spec.contentAvailable || !showsAlert ? 1 : undefined
+  });
+
+  return {
+    ...(spec.data || {}),
+    ...(spec.image ? { image: spec.image } : {}),
+    aps
+  };
+}
+
+/**
+ * Reject payloads the provider would refuse for size
+ */
+function assertSize(protocol, serialized, limit) {
+  const size = Buffer.byteLength(serialized, 'utf8');
+
+  if (size > limit) {
+    throw new InvalidPayloadError(`${protocol} payload exceeds ${limit} bytes`, {
+      protocol,
+      size,
+      limit
+    });
+  }
+}
+
+/**
+ * Build the SNS message for a MessageStructure 'json' publish
+ * Options:
+ *   protocols       subset of GCM, APNS, APNS_SANDBOX (default: all)
+ *   defaultMessage  text for subscribers without a platform-specific entry
+ */
+function buildSnsMessage(spec, options = {}) {
+  const errors = validateSpec(spec);
+  if (errors.length > 0) {
+    throw new InvalidPayloadError('Request body validation failed', errors);
+  }
+
+  const protocols = options.protocols || DEFAULT_PROTOCOLS;
+  const message = {
+    default: options.defaultMessage || spec.body || spec.title || 'default'
+  };
+
+  if (protocols.includes('GCM')) {
+    message.GCM = JSON.stringify(buildFcmMessage(spec));
+    assertSize('GCM', message.GCM, FCM_MAX_PAYLOAD_BYTES);
+  }
+
+  const apnsProtocols = protocols.filter(protocol => protocol.startsWith('APNS'));
+  if (apnsProtocols.length > 0) {
+    const apns = JSON.stringify(buildApnsMessage(spec));
+    assertSize('APNS', apns, APNS_MAX_PAYLOAD_BYTES);
+    apnsProtocols.forEach(protocol => {
+      message[protocol] = apns;
+    });
+  }
+
+  return message;
+}
+
+/**
+ * SNS message attributes carrying the APNs headers (push type, priority, expiration)
+ */
+function buildApnsAttributes(spec) {
+  const background = !hasAlert(spec);
+
+  const attributes = {
+    'AWS.SNS.MOBILE.APNS.PUSH_TYPE': {
+      DataType: 'String',
+      StringValue: background ? 'background' : 'alert'
+    },
+    // Background pushes must use priority 5
+    'AWS.SNS.MOBILE.APNS.PRIORITY': {
+      DataType: 'String',
+      StringValue: background || spec.priority === 'normal' ? '5' : '10'
+    }
+  };
+
+  if (spec.ttl !== undefined) {
+    attributes['AWS.SNS.MOBILE.APNS.TTL'] = {
+      DataType: 'String',
+      StringValue: String(spec.ttl)
+    };
+  }
+
+  return attributes;
+}
+
+/**
+ * SNS publish parameters (everything except the target ARN)
+ * Callers adding their own MessageAttributes should merge with the returned ones
+ */
+function buildPublishParams(spec, options = {}) {
+  const protocols = options.protocols || DEFAULT_PROTOCOLS;
+  const params = {
+    Message: JSON.stringify(buildSnsMessage(spec, options)),
+    MessageStructure: 'json'
+  };
+
+  if (protocols.some(protocol => protocol.startsWith('APNS'))) {
+    params.MessageAttributes = buildApnsAttributes(spec);
+  }
+
+  return params;
+}
+
+module.exports = {
+  FCM_MAX_PAYLOAD_BYTES,
+  APNS_MAX_PAYLOAD_BYTES,
+  fromRequest,
+  fromBatchEntry,
+  protocolsForPlatform,
+  stringifyData,
+  validateSpec,
+  buildFcmMessage,
+  buildApnsMessage,
+  buildApnsAttributes,
+  buildSnsMessage,
+  buildPublishParams
+};
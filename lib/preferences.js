@@ -0,0 +1,187 @@
+/**
+ * Notification Preferences
+ * Per-user opt-ins by category and channel, consulted before sends so a
+ * user who turned something off is skipped (suppressed) rather than sent to
+ *
+ * A user's preferences:
+ *   { userId, categories: { marketing: false }, channels: { ios: false },
+ *     timeZone: 'Europe/Lisbon', quietHours: '23:00-07:00', updatedAt }
+ * Anything not set is opted in. A send's category is its `category`, else
+ * data.category or data.type (test, alert, rich, silent, ...); its channel
+ * is the recipient's platform. timeZone and quietHours, when set, are the
+ * user's own quiet hours rule (see lib/quiet-hours).
+ */
+
+const { MemoryStore, createStore } = require('./store');
+const { InvalidPayloadError } = require('./errors');
+const { PLATFORMS } = require('./device-token');
+const { DROP_REASON } = require('./audience-filter');
+const { validateQuietHours } = require('./quiet-hours');
+
+const CATEGORY_PATTERN = /^[\w.-]{1,64}$/;
+
+const QUIET_HOURS_FIELDS = ['timeZone', 'quietHours'];
+
+/**
+ * The timeZone and quietHours fields that are set on `settings`
+ */
+function quietHoursOf(settings) {
+  return Object.fromEntries(QUIET_HOURS_FIELDS
+    .filter(field => settings[field] !== undefined)
+    .map(field => [field, settings[field]]));
+}
+
+/**
+ * Category of a send, or null when it has none
+ */
+function categoryOf(notification = {}) {
+  const data = notification.data || {};
+  return notification.category || data.category || data.type || null;
+}
+
+/**
+ * Problems with a preferences update ({ categories, channels, timeZone,
+ * quietHours }); a null value clears a setting back to its default
+ */
+function validatePreferences(update) {
+  if (!update || typeof update !== 'object' || Array.isArray(update)) {
+    return ['Preferences must be an object'];
+  }
+
+  const errors = [];
+  if (['categories', 'channels', ...QUIET_HOURS_FIELDS].every(field => update[field] === undefined)) {
+    errors.push('Nothing to update: set categories, channels, timeZone or quietHours');
+  }
+
+  ['categories', 'channels'].forEach(field => {
+    const settings = update[field];
+    if (settings === undefined) {
+      return;
+    }
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      errors.push(`${field} must be an object of true/false opt-ins`);
+      return;
+    }
+
+    Object.entries(settings).forEach(([name, value]) => {
+      if (field === 'channels' && !PLATFORMS.includes(name)) {
+        errors.push(`Unknown channel: ${name} (expected ${PLATFORMS.join(' or ')})`);
+      } else if (field === 'categories' && !CATEGORY_PATTERN.test(name)) {
+        errors.push(`Invalid category: ${name}`);
+      }
+      if (typeof value !== 'boolean' && value !== null) {
+        errors.push(`${field}.${name} must be true, false or null`);
+      }
+    });
+  });
+
+  QUIET_HOURS_FIELDS.forEach(field => {
+    if (update[field] === '') {
+      errors.push(`${field} must not be empty; set it to null to clear it`);
+    }
+  });
+  errors.push(...validateQuietHours({ ...update, timeZone: update.timeZone === null ? undefined : update.timeZone }));
+  return errors;
+}
+
+class PreferenceCenter {
+  constructor(options = {}) {
+    this.store = options.store || new MemoryStore();
+    this.now = options.now || (() => Date.now());
+  }
+
+  /**
+   * Preferences kept in PREFERENCES_TABLE_NAME (DynamoDB) or the
+   * PREFERENCES_STORE JSON file
+   */
+  static fromEnv(env = process.env, options = {}) {
+    return new PreferenceCenter({
+      store: createStore({
+        tableName: env.PREFERENCES_TABLE_NAME,
+        filePath: env.PREFERENCES_STORE,
+        keyName: 'userId'
+      }),
+      ...options
+    });
+  }
+
+  /**
+   * A user's preferences; users who never changed them are opted in to everything
+   */
+  async get(userId) {
+    if (!userId) {
+      throw new InvalidPayloadError('Missing userId');
+    }
+
+    const stored = await this.store.get(String(userId));
+    return stored || { userId: String(userId), categories: {}, channels: {}, updatedAt: null };
+  }
+
+  /**
+   * Merge an update into a user's preferences
+   */
+  async update(userId, update) {
+    const errors = validatePreferences(update);
+    if (errors.length > 0) {
+      throw new InvalidPayloadError('Request body validation failed', errors);
+    }
+
+    const current = await this.get(userId);
+    const merge = (settings, changes = {}) => Object.fromEntries(
+      Object.entries({ ...settings, ...changes }).filter(([, value]) => value !== null)
+    );
+    const preferences = {
+      userId: current.userId,
+      categories: merge(current.categories, update.categories),
+      channels: merge(current.channels, update.channels),
+      ...merge(quietHoursOf(current), quietHoursOf(update)),
+      updatedAt: new Date(this.now()).toISOString()
+    };
+
+    await this.store.put(preferences.userId, preferences);
+    return preferences;
+  }
+
+  /**
+   * Why a send to `recipient` must be skipped, or null when the user has
+   * not opted out: { reason: 'OPTED_OUT', category } or { reason, channel }.
+   * Recipients without a userId have no preferences.
+   */
+  async check(recipient = {}) {
+    if (!recipient.userId) {
+      return null;
+    }
+
+    const { categories, channels } = await this.get(recipient.userId);
+    const channel = recipient.platform || 'android';
+    if (channels[channel] === false) {
+      return { reason: DROP_REASON.OPTED_OUT, channel };
+    }
+
+    const category = categoryOf(recipient);
+    if (category && categories[category] === false) {
+      return { reason: DROP_REASON.OPTED_OUT, category };
+    }
+    return null;
+  }
+
+  /**
+   * The recipient with its user's stored timeZone and quietHours in place
+   * of the send's own, so each user of a fan-out is deferred by their own
+   * local time. Recipients without a userId, and settings the user never
+   * stored, keep the send's fields.
+   */
+  async applyQuietHours(recipient = {}) {
+    if (!recipient.userId) {
+      return recipient;
+    }
+
+    return { ...recipient, ...quietHoursOf(await this.get(recipient.userId)) };
+  }
+}
+
+module.exports = {
+  PreferenceCenter,
+  categoryOf,
+  validatePreferences
+};
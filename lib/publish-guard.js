@@ -0,0 +1,259 @@
+/**
+ * SNS Publish Guard
+ * Token-bucket rate limiting and a circuit breaker around SNS publish
+ *
+ * The breaker opens after CIRCUIT_BREAKER_THRESHOLD consecutive throttling,
+ * 5xx or network errors and fails fast with SERVICE_UNAVAILABLE while open.
+ * After CIRCUIT_BREAKER_TIMEOUT milliseconds it half-opens and lets a single
+ * trial publish through: success closes it, failure opens it again.
+ *
+ * A publish takes its rate-limit token before it reaches the breaker, so a
+ * local RATE_LIMIT_EXCEEDED rejection is never counted as an SNS outcome.
+ *
+ * State is per process (per Lambda container), so limits apply per instance.
+ */
+
+const { PushNotificationError, RateLimitExceededError, ServiceUnavailableError } = require('./errors');
+
+const CIRCUIT_STATE = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+const DEFAULT_THRESHOLD = 5;
+const DEFAULT_TIMEOUT_MS = 30000;
+
+const THROTTLING_CODES = [
+  'Throttling',
+  'ThrottlingException',
+  'ThrottledException',
+  'KMSThrottling',
+  'TooManyRequestsException',
+  'RequestLimitExceeded'
+];
+const NETWORK_CODES = ['TimeoutError', 'NetworkingError', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+/**
+ * Errors that say SNS itself is unhealthy (as opposed to a bad request)
+ */
+function isServiceFailure(error) {
+  if (!error || error instanceof PushNotificationError) {
+    return false;
+  }
+
+  return THROTTLING_CODES.includes(error.code) ||
+    NETWORK_CODES.includes(error.code) ||
+    error.statusCode === 429 ||
+    error.statusCode >= 500;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Token bucket: `burst` tokens, refilled at `ratePerMinute`
+ */
+class TokenBucket {
+  constructor(options = {}) {
+    this.ratePerMinute = options.ratePerMinute;
+    this.capacity = options.burst || options.ratePerMinute;
+    this.tokens = this.capacity;
+    this.now = options.now || (() => Date.now());
+    this.sleep = options.sleep || sleep;
+    this.updatedAt = this.now();
+  }
+
+  refill() {
+    const now = this.now();
+    const refilled = (now - this.updatedAt) * this.ratePerMinute / 60000;
+    this.tokens = Math.min(this.capacity, this.tokens + refilled);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Take a token if one is available
+   */
+  tryRemove() {
+    this.refill();
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Milliseconds until the next token is available
+   */
+  waitTime() {
+    this.refill();
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) * 60000 / this.ratePerMinute);
+  }
+
+  /**
+   * Take a token, waiting up to maxWaitMs for one; rejects with RATE_LIMIT_EXCEEDED otherwise
+   */
+  async acquire(maxWaitMs = 0) {
+    const deadline = this.now() + maxWaitMs;
+
+    while (!this.tryRemove()) {
+      const wait = this.waitTime();
+      if (this.now() + wait > deadline) {
+        throw new RateLimitExceededError('SNS publish rate limit reached', {
+          limitPerMinute: this.ratePerMinute,
+          retryAt: new Date(this.now() + wait).toISOString()
+        });
+      }
+      await this.sleep(wait);
+    }
+  }
+}
+
+/**
+ * Consecutive-failure circuit breaker
+ */
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.threshold = options.threshold || DEFAULT_THRESHOLD;
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.isFailure = options.isFailure || isServiceFailure;
+    this.onStateChange = options.onStateChange || (() => {});
+    this.now = options.now || (() => Date.now());
+    this.state = CIRCUIT_STATE.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  transition(state) {
+    if (this.state !== state) {
+      const previous = this.state;
+      this.state = state;
+      this.onStateChange(state, previous);
+    }
+  }
+
+  /**
+   * Throw SERVICE_UNAVAILABLE unless a call may go through now
+   */
+  admit() {
+    if (this.state === CIRCUIT_STATE.OPEN && this.now() - this.openedAt >= this.timeoutMs) {
+      this.transition(CIRCUIT_STATE.HALF_OPEN);
+    }
+
+    const blocked = this.state === CIRCUIT_STATE.OPEN ||
+      (this.state === CIRCUIT_STATE.HALF_OPEN && this.trialInFlight);
+
+    if (blocked) {
+      throw new ServiceUnavailableError('SNS publishing is paused after repeated failures (circuit open)', {
+        state: this.state,
+        failures: this.failures,
+        retryAt: new Date(this.openedAt + this.timeoutMs).toISOString()
+      });
+    }
+
+    if (this.state === CIRCUIT_STATE.HALF_OPEN) {
+      this.trialInFlight = true;
+    }
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.trialInFlight = false;
+    this.transition(CIRCUIT_STATE.CLOSED);
+  }
+
+  recordFailure(error) {
+    this.trialInFlight = false;
+
+    // Client errors mean SNS answered, which breaks a run of service failures
+    if (!this.isFailure(error)) {
+      this.failures = 0;
+      this.transition(CIRCUIT_STATE.CLOSED);
+      return;
+    }
+
+    this.failures += 1;
+    if (this.state === CIRCUIT_STATE.HALF_OPEN || this.failures >= this.threshold) {
+      this.openedAt = this.now();
+      this.transition(CIRCUIT_STATE.OPEN);
+    }
+  }
+
+  async execute(operation) {
+    this.admit();
+
+    try {
+      const result = await operation();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      this.recordFailure(error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Rate limiter + circuit breaker for one SNS client
+ */
+class PublishGuard {
+  constructor(options = {}) {
+    this.bucket = options.bucket || null;
+    this.breaker = options.breaker || null;
+    // 0 rejects immediately when the bucket is empty (API); CLI tools wait
+    this.maxWaitMs = options.maxWaitMs || 0;
+  }
+
+  /**
+   * Build a guard from RATE_LIMIT_PER_MINUTE, BURST_LIMIT and CIRCUIT_BREAKER_* settings
+   */
+  static fromEnv(env = process.env, options = {}) {
+    const ratePerMinute = options.ratePerMinute || parseInt(env.RATE_LIMIT_PER_MINUTE, 10);
+    const burst = options.burst || parseInt(env.BURST_LIMIT, 10) || undefined;
+
+    const breaker = env.CIRCUIT_BREAKER_ENABLED === 'false'
+      ? null
+      : new CircuitBreaker({
+        threshold: parseInt(env.CIRCUIT_BREAKER_THRESHOLD, 10) || DEFAULT_THRESHOLD,
+        timeoutMs: parseInt(env.CIRCUIT_BREAKER_TIMEOUT, 10) || DEFAULT_TIMEOUT_MS,
+        onStateChange: options.onStateChange
+      });
+
+    return new PublishGuard({
+      bucket: ratePerMinute > 0 ? new TokenBucket({ ratePerMinute, burst }) : null,
+      breaker,
+      maxWaitMs: options.maxWaitMs
+    });
+  }
+
+  async execute(operation) {
+    if (this.bucket) {
+      await this.bucket.acquire(this.maxWaitMs);
+    }
+
+    return this.breaker ? this.breaker.execute(operation) : operation();
+  }
+
+  /**
+   * SNS client whose publish() goes through the guard; other calls pass through
+   */
+  wrap(sns) {
+    const guard = this;
+    const wrapped = Object.create(sns);
+
+    wrapped.publish = params => ({
+      promise: () => guard.execute(() => sns.publish(params).promise())
+    });
+
+    return wrapped;
+  }
+}
+
+module.exports = {
+  CIRCUIT_STATE,
+  CircuitBreaker,
+  PublishGuard,
+  TokenBucket,
+  isServiceFailure
+};
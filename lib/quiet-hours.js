@@ -0,0 +1,159 @@
+/**
+ * Quiet Hours
+ * Keeps non-urgent pushes out of each recipient's night: a send that falls
+ * into the quiet window of the recipient's time zone is deferred to the
+ * window's end, while `priority: 'high'` goes out regardless
+ *
+ * The policy holds the global default window and time zone; a recipient
+ * overrides them with its own fields:
+ *   timeZone     IANA time zone, e.g. America/Sao_Paulo
+ *   quietHours   "22:00-08:00", { start: '22:00', end: '08:00' }, or 'off'
+ * Windows may wrap midnight; a window whose start equals its end is empty.
+ */
+
+const { InvalidPayloadError } = require('./errors');
+const { getZonedParts, isValidTimeZone, zonedTimeToUtc } = require('./time-zone');
+
+const CLOCK_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+const OFF = 'off';
+
+function minutesOf(clock) {
+  const match = CLOCK_PATTERN.exec(String(clock).trim());
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : NaN;
+}
+
+/**
+ * { start, end } of a window written as "22:00-08:00" or as an object;
+ * null for 'off', undefined when not set
+ */
+function parseWindow(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  if (value === false || String(value).toLowerCase() === OFF) {
+    return null;
+  }
+  if (typeof value === 'object') {
+    return { start: value.start, end: value.end };
+  }
+
+  const [start, end] = String(value).split('-');
+  return { start, end };
+}
+
+/**
+ * Problems with a recipient's timeZone and quietHours fields
+ */
+function validateQuietHours(recipient = {}) {
+  const errors = [];
+
+  if (recipient.timeZone !== undefined && recipient.timeZone !== '' && !isValidTimeZone(recipient.timeZone)) {
+    errors.push(`Unknown time zone: ${recipient.timeZone}`);
+  }
+
+  const window = parseWindow(recipient.quietHours);
+  if (window && (Number.isNaN(minutesOf(window.start)) || Number.isNaN(minutesOf(window.end)))) {
+    errors.push(`Invalid quietHours: ${typeof recipient.quietHours === 'object' ? JSON.stringify(recipient.quietHours) : recipient.quietHours} (expected HH:MM-HH:MM or off)`);
+  }
+
+  return errors;
+}
+
+class QuietHoursPolicy {
+  constructor(options = {}) {
+    const window = parseWindow(options.quietHours);
+    this.window = window || null;
+    this.timeZone = options.timeZone || 'UTC';
+    this.now = options.now || (() => Date.now());
+
+    const errors = validateQuietHours({ timeZone: this.timeZone, quietHours: options.quietHours });
+    if (errors.length > 0) {
+      throw new InvalidPayloadError(errors.join(', '), errors);
+    }
+  }
+
+  /**
+   * Defaults from QUIET_HOURS ("22:00-08:00") and DEFAULT_TIME_ZONE
+   */
+  static fromEnv(env = process.env, options = {}) {
+    return new QuietHoursPolicy({
+      quietHours: env.QUIET_HOURS,
+      timeZone: env.DEFAULT_TIME_ZONE,
+      ...options
+    });
+  }
+
+  /**
+   * { start, end, timeZone } that applies to a recipient, or null when
+   * it has no quiet hours
+   */
+  ruleFor(recipient = {}) {
+    const override = parseWindow(recipient.quietHours);
+    const window = override === undefined ? this.window : override;
+    if (!window || minutesOf(window.start) === minutesOf(window.end)) {
+      return null;
+    }
+
+    return { ...window, timeZone: recipient.timeZone || this.timeZone };
+  }
+
+  /**
+   * The recipient with the default window and time zone written into its
+   * own fields, for senders that check quiet hours later (campaign workers)
+   */
+  applyDefaults(recipient) {
+    return {
+      ...recipient,
+      ...(parseWindow(recipient.quietHours) === undefined && this.window
+        ? { quietHours: `${this.window.start}-${this.window.end}` }
+        : {}),
+      timeZone: recipient.timeZone || this.timeZone
+    };
+  }
+
+  /**
+   * Deferral for a send to `recipient` at `now`, or null when it may go out
+   * Returns { deferredUntil (ISO), timeZone, quietHours: "22:00-08:00" }.
+   */
+  check(recipient = {}, now = this.now()) {
+    const rule = recipient.priority === 'high' ? null : this.ruleFor(recipient);
+    if (!rule) {
+      return null;
+    }
+
+    const start = minutesOf(rule.start);
+    const end = minutesOf(rule.end);
+    const local = getZonedParts(now, rule.timeZone);
+    const minute = local.hour * 60 + local.minute;
+    const wraps = start > end;
+    const quiet = wraps ? minute >= start || minute < end : minute >= start && minute < end;
+    if (!quiet) {
+      return null;
+    }
+
+    // Before midnight in a wrapping window, the window ends tomorrow
+    const day = new Date(Date.UTC(local.year, local.month - 1, local.day + (wraps && minute >= start ? 1 : 0)));
+    const deferredUntil = zonedTimeToUtc(
+      day.getUTCFullYear(),
+      day.getUTCMonth() + 1,
+      day.getUTCDate(),
+      Math.floor(end / 60),
+      end % 60,
+      0,
+      rule.timeZone
+    );
+
+    return {
+      deferredUntil: new Date(deferredUntil).toISOString(),
+      timeZone: rule.timeZone,
+      quietHours: `${rule.start}-${rule.end}`
+    };
+  }
+}
+
+module.exports = {
+  QuietHoursPolicy,
+  parseWindow,
+  validateQuietHours
+};
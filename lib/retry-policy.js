@@ -0,0 +1,140 @@
+/**
+ * Retry Policy
+ * Exponential backoff with full jitter for SNS and FCM calls
+ *
+ * Only transient failures (throttling, 5xx, network errors) are retried;
+ * permanent ones such as InvalidParameter or EndpointDisabled fail on the
+ * first attempt. Delays are random between 0 and
+ * min(maxDelayMs, baseDelayMs * 2^(attempt - 1)).
+ */
+
+const { isServiceFailure } = require('./publish-guard');
+
+const RETRYABLE_CODES = [
+  // SNS
+  'Throttling',
+  'ThrottlingException',
+  'ThrottledException',
+  'KMSThrottling',
+  'InternalError',
+  'InternalFailure',
+  'ServiceUnavailable',
+  'KMSInternal',
+  // Network
+  'TimeoutError',
+  'NetworkingError',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  // FCM
+  'messaging/message-rate-exceeded',
+  'messaging/device-message-rate-exceeded',
+  'messaging/internal-error',
+  'messaging/server-unavailable',
+  'messaging/unknown-error',
+  'app/network-error',
+  'app/network-timeout',
+  // Another delivery of the same job is still publishing
+  'IDEMPOTENCY_KEY_IN_USE'
+];
+
+const PERMANENT_CODES = [
+  // SNS
+  'EndpointDisabled',
+  'InvalidParameter',
+  'InvalidParameterValue',
+  'ValidationError',
+  'NotFound',
+  'AuthorizationError',
+  'PlatformApplicationDisabled',
+  // FCM
+  'messaging/invalid-registration-token',
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-argument',
+  'messaging/invalid-payload',
+  'messaging/payload-size-limit-exceeded',
+  'messaging/mismatched-credential',
+  'messaging/third-party-auth-error',
+  // An open circuit should fail fast rather than be retried into
+  'SERVICE_UNAVAILABLE'
+];
+
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_BASE_DELAY_MS = 500;
+const DEFAULT_MAX_DELAY_MS = 20000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Backoff schedule plus per-error-code retryability
+ */
+class RetryPolicy {
+  constructor(options = {}) {
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : DEFAULT_MAX_RETRIES;
+    this.baseDelayMs = options.baseDelayMs || DEFAULT_BASE_DELAY_MS;
+    this.maxDelayMs = options.maxDelayMs || DEFAULT_MAX_DELAY_MS;
+    // Codes passed in extend the defaults and win over the opposite list
+    const retryable = options.retryableCodes || [];
+    const permanent = options.permanentCodes || [];
+    this.retryableCodes = new Set([...RETRYABLE_CODES.filter(code => !permanent.includes(code)), ...retryable]);
+    this.permanentCodes = new Set([...PERMANENT_CODES.filter(code => !retryable.includes(code)), ...permanent]);
+    this.random = options.random || Math.random;
+    this.sleep = options.sleep || sleep;
+  }
+
+  /**
+   * Whether another attempt could succeed; unknown codes fall back to the
+   * HTTP status (429/5xx) and the SDK's own retryable flag
+   */
+  isRetryable(error) {
+    const code = error && (error.providerCode || (error.details && error.details.providerCode) || error.code);
+
+    if (this.permanentCodes.has(code)) {
+      return false;
+    }
+    if (this.retryableCodes.has(code)) {
+      return true;
+    }
+
+    return isServiceFailure(error) || Boolean(error && error.retryable);
+  }
+
+  /**
+   * Full-jitter delay before retry number `attempt` (1-based)
+   */
+  delayFor(attempt) {
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt - 1));
+    return Math.floor(this.random() * ceiling);
+  }
+
+  /**
+   * Run an operation until it succeeds, fails permanently or runs out of retries
+   * Resolves { value, attempts }; a final failure is rethrown with `attempts` set
+   */
+  async execute(operation, options = {}) {
+    const onRetry = options.onRetry || (() => {});
+    let attempts = 0;
+
+    for (;;) {
+      attempts += 1;
+      try {
+        return { value: await operation(attempts), attempts };
+      } catch (error) {
+        if (attempts > this.maxRetries || !this.isRetryable(error)) {
+          error.attempts = attempts;
+          throw error;
+        }
+
+        const delay = this.delayFor(attempts);
+        onRetry(error, attempts, delay);
+        await this.sleep(delay);
+      }
+    }
+  }
+}
+
+module.exports = {
+  PERMANENT_CODES,
+  RETRYABLE_CODES,
+  RetryPolicy
+};
@@ -0,0 +1,300 @@
+/**
+ * Notification Scheduler
+ * Stores future sends and dispatches them once they fall due
+ *
+ * Jobs live in a pluggable store and due jobs are looked up through its
+ * status-sendAt index (STATUS_INDEX), so a dispatch tick reads only pending
+ * jobs that have fallen due. A DynamoDB job table needs that global
+ * secondary index (partition key status, sort key sendAt).
+ *
+ * Dispatch and cancellation both claim a job through claimStore.putIfAbsent,
+ * so each job is sent once even when several dispatchers run concurrently -
+ * give every dispatcher the same shared claim store (e.g. a DynamoDB table)
+ * in that case. A claim is a lease: when the dispatcher holding it crashes
+ * before recording the outcome, the job is reclaimed once the lease
+ * (claimTtlMs, default 15 minutes - the Lambda timeout limit) runs out.
+ *
+ * Sends run through an IdempotencyManager keyed by jobId, so a reclaimed
+ * job whose send already finished takes the recorded messageId instead of
+ * publishing again; share its store between dispatchers as well. Only a
+ * crash between the provider accepting the publish and the send being
+ * recorded can still send a job twice.
+ *
+ * A send rejected with FREQUENCY_CAPPED stays pending and is moved to the
+ * cap's retryAt, when the recipient's window has room again.
+ */
+
+const crypto = require('crypto');
+const { MemoryStore } = require('./store');
+const { IdempotencyManager } = require('./idempotency');
+const { isValidTimeZone, parseDateTime } = require('./time-zone');
+const { ScheduleNotFoundError, ScheduleConflictError, normalizeError } = require('./errors');
+
+const JOB_STATUS = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const STATUS_INDEX = { name: 'status-sendAt', partitionKey: 'status', sortKey: 'sendAt' };
+
+const DEFAULT_CLAIM_TTL_MS = 15 * 60 * 1000;
+
+/**
+ * Scheduler with an injectable clock for deterministic tests
+ */
+class NotificationScheduler {
+  constructor(options = {}) {
+    this.store = options.store || new MemoryStore();
+    this.claimStore = options.claimStore || new MemoryStore();
+    this.claimTtlMs = options.claimTtlMs || DEFAULT_CLAIM_TTL_MS;
+    this.now = options.now || (() => Date.now());
+    this.idempotency = options.idempotency || new IdempotencyManager({ now: this.now });
+  }
+
+  /**
+   * Normalize the documented request shape ({ schedule: { deliveryTime, timezone } })
+   * and the shorthand ({ sendAt, timezone })
+   */
+  resolveSchedule(request) {
+    const schedule = request.schedule || {};
+    return {
+      sendAt: request.sendAt || schedule.deliveryTime,
+      timezone: request.timezone || schedule.timezone || 'UTC'
+    };
+  }
+
+  /**
+   * Validate a schedule request
+   */
+  validateSchedule(request) {
+    const errors = [];
+    const { sendAt, timezone } = this.resolveSchedule(request);
+
+    if (!request.target || !request.target.type) {
+      errors.push('Missing target');
+    }
+
+    if (!request.notification || !request.notification.title) {
+      errors.push('Missing notification title');
+    } else if (request.notification.title.length > 100) {
+      errors.push('Title too long (max 100 characters)');
+    }
+
+    if (request.notification && request.notification.body && request.notification.body.length > 500) {
+      errors.push('Message too long (max 500 characters)');
+    }
+
+    if (!isValidTimeZone(timezone)) {
+      errors.push(`Unknown time zone: ${timezone}`);
+      return errors;
+    }
+
+    if (!sendAt) {
+      errors.push('Missing schedule.deliveryTime');
+    } else {
+      const timestamp = parseDateTime(sendAt, timezone);
+      if (Number.isNaN(timestamp)) {
+        errors.push('Invalid schedule.deliveryTime (expected ISO 8601)');
+      } else if (timestamp <= this.now()) {
+        errors.push('schedule.deliveryTime must be in the future');
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Store a validated schedule request as a pending job
+   */
+  async schedule(request) {
+    const { sendAt, timezone } = this.resolveSchedule(request);
+
+    const job = {
+      jobId: `job_${crypto.randomUUID()}`,
+      status: JOB_STATUS.PENDING,
+      sendAt: new Date(parseDateTime(sendAt, timezone)).toISOString(),
+      timezone,
+      target: request.target,
+      notification: request.notification,
+      data: request.data || {},
+      options: request.options || {},
+      createdAt: new Date(this.now()).toISOString()
+    };
+
+    await this.store.put(job.jobId, job);
+    return job;
+  }
+
+  /**
+   * Look up a job, throwing SCHEDULE_NOT_FOUND when it is unknown
+   */
+  async getJob(jobId) {
+    const job = jobId ? await this.store.get(jobId) : null;
+
+    if (!job) {
+      throw new ScheduleNotFoundError(`Scheduled notification ${jobId} does not exist`);
+    }
+
+    return job;
+  }
+
+  /**
+   * List jobs ordered by send time, optionally filtered by status
+   */
+  async listJobs(filter = {}) {
+    if (filter.status) {
+      return this.store.query(STATUS_INDEX, filter.status);
+    }
+
+    const jobs = await this.store.list();
+    return jobs.sort((a, b) => a.sendAt.localeCompare(b.sendAt));
+  }
+
+  /**
+   * A lease on a job for `claimedBy`, expiring after claimTtlMs
+   */
+  newClaim(claimedBy, now) {
+    return { claimedBy, claimedAt: new Date(now).toISOString(), expiresAt: now + this.claimTtlMs };
+  }
+
+  /**
+   * Claim a job for dispatch, taking over a claim whose lease has run out
+   * Resolves 'claimed', 'reclaimed' or null when another claim holds the job
+   */
+  async claim(jobId, now) {
+    const claim = this.newClaim('dispatcher', now);
+    if (await this.claimStore.putIfAbsent(jobId, claim)) {
+      return 'claimed';
+    }
+
+    const existing = await this.claimStore.get(jobId);
+    if (!existing) {
+      return (await this.claimStore.putIfAbsent(jobId, claim)) ? 'claimed' : null;
+    }
+
+    // Claims written before leases existed expire claimTtlMs after they were made
+    const expiresAt = existing.expiresAt || Date.parse(existing.claimedAt) + this.claimTtlMs;
+    if (expiresAt > now) {
+      return null;
+    }
+
+    // One dispatcher wins the takeover of this particular stale claim
+    const takeover = await this.claimStore.putIfAbsent(`${jobId}#reclaim#${existing.claimedAt}`, claim);
+    if (!takeover) {
+      return null;
+    }
+
+    await this.claimStore.put(jobId, claim);
+    return 'reclaimed';
+  }
+
+  /**
+   * Cancel a pending job; jobs already claimed by a dispatcher cannot be cancelled
+   */
+  async cancel(jobId) {
+    const job = await this.getJob(jobId);
+    const claimed = job.status === JOB_STATUS.PENDING &&
+      await this.claimStore.putIfAbsent(jobId, this.newClaim('cancel', this.now()));
+
+    if (!claimed) {
+      throw new ScheduleConflictError(`Scheduled notification ${jobId} is already ${job.status === JOB_STATUS.PENDING ? 'being sent' : job.status}`);
+    }
+
+    const cancelled = {
+      ...job,
+      status: JOB_STATUS.CANCELLED,
+      cancelledAt: new Date(this.now()).toISOString()
+    };
+
+    await this.store.put(jobId, cancelled);
+    return cancelled;
+  }
+
+  /**
+   * A job whose send failed: moved to the cap's retryAt when it was
+   * frequency-capped, else marked failed
+   */
+  afterFailure(job, error) {
+    const retryAt = error.code === 'FREQUENCY_CAPPED' && error.details && error.details.retryAt;
+    if (retryAt) {
+      return {
+        ...job,
+        sendAt: new Date(retryAt).toISOString(),
+        deferredAt: new Date(this.now()).toISOString(),
+        error: error.toJSON()
+      };
+    }
+
+    return {
+      ...job,
+      status: JOB_STATUS.FAILED,
+      error: error.toJSON(),
+      failedAt: new Date(this.now()).toISOString()
+    };
+  }
+
+  /**
+   * Send every pending job whose sendAt has passed
+   * send(job) must resolve to { messageId } or throw; failed jobs are not
+   * retried, frequency-capped ones are deferred to when the cap allows them
+   */
+  async dispatchDue(send, options = {}) {
+    const { limit = Infinity } = options;
+    const now = this.now();
+    const summary = { due: 0, sent: 0, failed: 0, deferred: 0, skipped: 0, reclaimed: 0, jobs: [] };
+
+    const due = await this.store.query(STATUS_INDEX, JOB_STATUS.PENDING, {
+      upTo: new Date(now).toISOString(),
+      limit
+    });
+
+    summary.due = due.length;
+
+    for (const job of due) {
+      const claimed = await this.claim(job.jobId, now);
+
+      // A reclaimed job may have been finished after the index was read
+      const current = claimed === 'reclaimed' ? await this.store.get(job.jobId) : job;
+      if (!claimed || !current || current.status !== JOB_STATUS.PENDING) {
+        summary.skipped++;
+        continue;
+      }
+      summary.reclaimed += claimed === 'reclaimed' ? 1 : 0;
+
+      let updated;
+      try {
+        const { response } = await this.idempotency.execute(`schedule:${job.jobId}`, { jobId: job.jobId }, async() => {
+          const result = await send(job);
+          return { messageId: result && result.messageId };
+        });
+        updated = {
+          ...job,
+          status: JOB_STATUS.SENT,
+          messageId: response.messageId,
+          sentAt: new Date(this.now()).toISOString()
+        };
+        summary.sent++;
+      } catch (error) {
+        updated = this.afterFailure(job, normalizeError(error));
+        summary[updated.status === JOB_STATUS.PENDING ? 'deferred' : 'failed']++;
+      }
+
+      await this.store.put(job.jobId, updated);
+      // A deferred job is claimed afresh when it falls due again
+      if (updated.status === JOB_STATUS.PENDING) {
+        await this.claimStore.delete(job.jobId);
+      }
+      summary.jobs.push({ jobId: job.jobId, status: updated.status });
+    }
+
+    return summary;
+  }
+}
+
+module.exports = {
+  NotificationScheduler,
+  JOB_STATUS,
+  STATUS_INDEX
+};
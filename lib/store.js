@@ -0,0 +1,422 @@
+/**
+ * Key-Value Stores
+ * Pluggable persistence backends shared by the notification services
+ *
+ * Every store exposes the same async interface (get, put, putIfAbsent,
+ * delete, list, increment, query) so services can run against memory in
+ * tests, a JSON file on a workstation, or DynamoDB in Lambda without code
+ * changes.
+ *
+ * query() looks documents up by a secondary index instead of listing the
+ * store: { name, partitionKey, sortKey? } names a document field to match
+ * and an optional field to order and bound by. Memory and file stores keep
+ * a secondary map per index; a DynamoDB table needs a global secondary index
+ * of that name (string keys, ProjectionType ALL) and the store must be
+ * created with the index in options.indexes so items carry its keys.
+ * Indexed values are compared as strings; documents without the partition
+ * field are not indexed.
+ */
+
+const AWS = require('aws-sdk');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Copy values in and out so callers cannot mutate stored state by reference
+ */
+function clone(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * String value of an indexed field of a document, or null when it has none
+ */
+function indexValue(document, field) {
+  const value = document && typeof document === 'object' ? document[field] : undefined;
+  return value === undefined || value === null ? null : String(value);
+}
+
+/**
+ * Secondary map of partition value -> keys for one index
+ */
+class SecondaryIndex {
+  constructor(index) {
+    this.index = index;
+    this.keys = new Map();
+  }
+
+  add(key, document) {
+    const value = indexValue(document, this.index.partitionKey);
+    if (value !== null) {
+      if (!this.keys.has(value)) {
+        this.keys.set(value, new Set());
+      }
+      this.keys.get(value).add(key);
+    }
+  }
+
+  remove(key, document) {
+    const value = indexValue(document, this.index.partitionKey);
+    const keys = value !== null ? this.keys.get(value) : null;
+    if (keys) {
+      keys.delete(key);
+      if (keys.size === 0) {
+        this.keys.delete(value);
+      }
+    }
+  }
+
+  lookup(value) {
+    return Array.from(this.keys.get(String(value)) || []);
+  }
+}
+
+/**
+ * Order documents by the index's sort field, keeping those at or below
+ * options.upTo, at most options.limit of them
+ */
+function selectIndexed(documents, index, options = {}) {
+  const { upTo, limit = Infinity } = options;
+  if (!index.sortKey) {
+    return documents.slice(0, limit);
+  }
+
+  return documents
+    .filter(document => indexValue(document, index.sortKey) !== null)
+    .filter(document => upTo === undefined || indexValue(document, index.sortKey) <= String(upTo))
+    .sort((a, b) => indexValue(a, index.sortKey).localeCompare(indexValue(b, index.sortKey)))
+    .slice(0, limit);
+}
+
+/**
+ * In-memory store (tests and local development)
+ */
+class MemoryStore {
+  constructor() {
+    this.items = new Map();
+    // Index name -> SecondaryIndex, built on first query and kept up to date
+    this.indexes = new Map();
+  }
+
+  set(key, value) {
+    this.indexes.forEach(index => {
+      index.remove(key, this.items.get(key));
+      index.add(key, value);
+    });
+    this.items.set(key, value);
+  }
+
+  async get(key) {
+    return this.items.has(key) ? clone(this.items.get(key)) : null;
+  }
+
+  async put(key, value) {
+    this.set(key, clone(value));
+    return value;
+  }
+
+  async putIfAbsent(key, value) {
+    if (this.items.has(key)) {
+      return false;
+    }
+    this.set(key, clone(value));
+    return true;
+  }
+
+  async delete(key) {
+    this.indexes.forEach(index => index.remove(key, this.items.get(key)));
+    return this.items.delete(key);
+  }
+
+  async increment(key, amount = 1) {
+    const value = (this.items.get(key) || 0) + amount;
+    this.items.set(key, value);
+    return value;
+  }
+
+  async list() {
+    return Array.from(this.items.values()).map(clone);
+  }
+
+  async query(index, value, options = {}) {
+    if (!this.indexes.has(index.name)) {
+      const secondary = new SecondaryIndex(index);
+      this.items.forEach((document, key) => secondary.add(key, document));
+      this.indexes.set(index.name, secondary);
+    }
+
+    const documents = this.indexes.get(index.name).lookup(value).map(key => this.items.get(key));
+    return selectIndexed(documents, index, options).map(clone);
+  }
+}
+
+/**
+ * JSON file store (CLI tools and single-host deployments)
+ */
+class FileStore {
+  constructor(filePath) {
+    if (!filePath) {
+      throw new Error('FileStore requires a file path');
+    }
+    this.filePath = path.resolve(filePath);
+    // Secondary maps of the file as last read; rebuilt when the file changes
+    this.indexCache = { stamp: null, items: {}, indexes: new Map() };
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return {};
+    }
+
+    const content = fs.readFileSync(this.filePath, 'utf8');
+    return content.trim() ? JSON.parse(content) : {};
+  }
+
+  save(items) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(items, null, 2));
+    this.indexCache.stamp = null;
+  }
+
+  async get(key) {
+    const items = this.load();
+    return Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null;
+  }
+
+  async put(key, value) {
+    const items = this.load();
+    items[key] = clone(value);
+    this.save(items);
+    return value;
+  }
+
+  async putIfAbsent(key, value) {
+    const items = this.load();
+    if (Object.prototype.hasOwnProperty.call(items, key)) {
+      return false;
+    }
+    items[key] = clone(value);
+    this.save(items);
+    return true;
+  }
+
+  async delete(key) {
+    const items = this.load();
+    const existed = Object.prototype.hasOwnProperty.call(items, key);
+    delete items[key];
+    this.save(items);
+    return existed;
+  }
+
+  async increment(key, amount = 1) {
+    const items = this.load();
+    items[key] = (items[key] || 0) + amount;
+    this.save(items);
+    return items[key];
+  }
+
+  async list() {
+    return Object.values(this.load());
+  }
+
+  async query(index, value, options = {}) {
+    const stat = fs.existsSync(this.filePath) ? fs.statSync(this.filePath) : null;
+    const stamp = stat ? `${stat.mtimeMs}:${stat.size}` : 'missing';
+    if (this.indexCache.stamp !== stamp) {
+      this.indexCache = { stamp, items: this.load(), indexes: new Map() };
+    }
+
+    const { items, indexes } = this.indexCache;
+    if (!indexes.has(index.name)) {
+      const secondary = new SecondaryIndex(index);
+      Object.entries(items).forEach(([key, document]) => secondary.add(key, document));
+      indexes.set(index.name, secondary);
+    }
+
+    const documents = indexes.get(index.name).lookup(value).map(key => items[key]);
+    return selectIndexed(documents, index, options).map(clone);
+  }
+}
+
+/**
+ * DynamoDB store (Lambda deployments)
+ * Items are stored as { <keyName>: key, value: <document> }
+ * With ttlAttribute set, a document's expiresAt (epoch ms) is copied to that
+ * attribute in epoch seconds so DynamoDB TTL can expire the item
+ * The partition and sort fields of options.indexes are copied to top-level
+ * string attributes so the table's global secondary indexes can serve query()
+ */
+class DynamoDBStore {
+  constructor(tableName, options = {}) {
+    if (!tableName) {
+      throw new Error('DynamoDBStore requires a table name');
+    }
+    this.tableName = tableName;
+    this.keyName = options.keyName || 'id';
+    this.ttlAttribute = options.ttlAttribute || null;
+    this.indexes = options.indexes || [];
+    this.client = options.client || new AWS.DynamoDB.DocumentClient({
+      region: process.env.AWS_REGION || 'us-east-1'
+    });
+  }
+
+  async get(key) {
+    const result = await this.client.get({
+      TableName: this.tableName,
+      Key: { [this.keyName]: key }
+    }).promise();
+
+    return result.Item ? result.Item.value : null;
+  }
+
+  buildItem(key, value) {
+    const item = { [this.keyName]: key, value };
+    if (this.ttlAttribute && value && typeof value.expiresAt === 'number') {
+      item[this.ttlAttribute] = Math.floor(value.expiresAt / 1000);
+    }
+    this.indexes.forEach(index => {
+      [index.partitionKey, index.sortKey].filter(Boolean).forEach(field => {
+        const indexed = indexValue(value, field);
+        if (indexed !== null) {
+          item[field] = indexed;
+        }
+      });
+    });
+    return item;
+  }
+
+  async put(key, value) {
+    await this.client.put({
+      TableName: this.tableName,
+      Item: this.buildItem(key, value)
+    }).promise();
+
+    return value;
+  }
+
+  async putIfAbsent(key, value) {
+    try {
+      await this.client.put({
+        TableName: this.tableName,
+        Item: this.buildItem(key, value),
+        ConditionExpression: 'attribute_not_exists(#key)',
+        ExpressionAttributeNames: { '#key': this.keyName }
+      }).promise();
+      return true;
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    const result = await this.client.delete({
+      TableName: this.tableName,
+      Key: { [this.keyName]: key },
+      ReturnValues: 'ALL_OLD'
+    }).promise();
+
+    return Boolean(result.Attributes);
+  }
+
+  /**
+   * Atomic counter; options.expiresAt (epoch ms) sets the TTL attribute
+   */
+  async increment(key, amount = 1, options = {}) {
+    const names = { '#value': 'value' };
+    const values = { ':amount': amount };
+    let updateExpression = 'ADD #value :amount';
+
+    if (this.ttlAttribute && options.expiresAt) {
+      names['#ttl'] = this.ttlAttribute;
+      values[':ttl'] = Math.floor(options.expiresAt / 1000);
+      updateExpression += ' SET #ttl = :ttl';
+    }
+
+    const result = await this.client.update({
+      TableName: this.tableName,
+      Key: { [this.keyName]: key },
+      UpdateExpression: updateExpression,
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values,
+      ReturnValues: 'UPDATED_NEW'
+    }).promise();
+
+    return result.Attributes.value;
+  }
+
+  async list() {
+    const values = [];
+    let startKey;
+
+    do {
+      const result = await this.client.scan({
+        TableName: this.tableName,
+        ExclusiveStartKey: startKey
+      }).promise();
+
+      result.Items.forEach(item => values.push(item.value));
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+
+    return values;
+  }
+
+  async query(index, value, options = {}) {
+    if (!this.indexes.some(declared => declared.name === index.name)) {
+      throw new Error(`DynamoDBStore for ${this.tableName} was not created with index ${index.name}`);
+    }
+
+    const { upTo, limit = Infinity } = options;
+    const names = { '#partition': index.partitionKey };
+    const values = { ':partition': String(value) };
+    let keyCondition = '#partition = :partition';
+    if (index.sortKey && upTo !== undefined) {
+      names['#sort'] = index.sortKey;
+      values[':upTo'] = String(upTo);
+      keyCondition += ' AND #sort <= :upTo';
+    }
+
+    const documents = [];
+    let startKey;
+    do {
+      const result = await this.client.query({
+        TableName: this.tableName,
+        IndexName: index.name,
+        KeyConditionExpression: keyCondition,
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values,
+        ExclusiveStartKey: startKey
+      }).promise();
+
+      result.Items.forEach(item => documents.push(item.value));
+      startKey = result.LastEvaluatedKey;
+    } while (startKey && documents.length < limit);
+
+    return documents.slice(0, limit);
+  }
+}
+
+/**
+ * Pick a store from configuration: DynamoDB table, JSON file, or memory
+ */
+function createStore(options = {}) {
+  if (options.tableName) {
+    return new DynamoDBStore(options.tableName, options);
+  }
+
+  if (options.filePath) {
+    return new FileStore(options.filePath);
+  }
+
+  return new MemoryStore();
+}
+
+module.exports = {
+  MemoryStore,
+  FileStore,
+  DynamoDBStore,
+  createStore
+};
@@ -0,0 +1,317 @@
+/**
+ * Notification Templates
+ * Named title/message/data templates rendered per recipient from the
+ * columns of a batch row (CSV headers, JSON fields), in the recipient's
+ * `locale` when the template has a variant for it (lib/localization)
+ *
+ * Syntax:
+ *   {{firstName}}                 variable; dotted paths such as {{data.orderId}}
+ *   {{firstName | there}}         inline default when the variable is empty
+ *   {{#if vip}}...{{else}}...{{/if}}      conditional (also {{#unless vip}})
+ * Values that are missing, empty, false, 'false' or '0' are falsy. A
+ * variable with no inline or template default must be present in every row
+ * whose rendering reaches it, otherwise rendering fails with the names of
+ * all missing variables.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { InvalidPayloadError } = require('./errors');
+const { localize, resolveLocale, validateVariants } = require('./localization');
+
+const DEFAULT_TEMPLATES_PATH = path.join(__dirname, '..', 'config', 'notification-templates.json');
+
+const TAG = /\{\{\s*(.*?)\s*\}\}/g;
+
+/**
+ * Value at a dotted path
+ */
+function lookup(variables, name) {
+  return name.split('.').reduce((node, part) => (node == null ? undefined : node[part]), variables);
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function isTruthy(value) {
+  return !isEmpty(value) && value !== false && value !== 0 && value !== 'false' && value !== '0';
+}
+
+/**
+ * Parse template text into a tree of text, variable and conditional nodes
+ */
+function parse(source) {
+  const nodes = [];
+  // Open blocks with the list each one was opened in
+  const stack = [];
+  let current = nodes;
+  let last = 0;
+
+  for (const match of source.matchAll(TAG)) {
+    if (match.index > last) {
+      current.push({ type: 'text', value: source.slice(last, match.index) });
+    }
+    last = match.index + match[0].length;
+
+    const tag = match[1];
+    const block = /^#(if|unless)\s+(\S+)$/.exec(tag);
+
+    if (block) {
+      const node = { type: block[1], name: block[2], children: [], otherwise: [] };
+      current.push(node);
+      stack.push({ node, parent: current });
+      current = node.children;
+    } else if (tag === 'else') {
+      const open = stack[stack.length - 1];
+      if (!open || current === open.node.otherwise) {
+        throw new InvalidPayloadError('Template has an {{else}} outside of {{#if}}');
+      }
+      current = open.node.otherwise;
+    } else if (/^\/(if|unless)$/.test(tag)) {
+      const open = stack.pop();
+      if (!open || `/${open.node.type}` !== tag) {
+        throw new InvalidPayloadError(`Template has an unexpected {{${tag}}}`);
+      }
+      current = open.parent;
+    } else {
+      const [name, ...fallback] = tag.split('|');
+      current.push({
+        type: 'variable',
+        name: name.trim(),
+        ...(fallback.length > 0 ? { fallback: fallback.join('|').trim().replace(/^(['"])(.*)\1$/, '$2') } : {})
+      });
+    }
+  }
+
+  if (stack.length > 0) {
+    throw new InvalidPayloadError(`Template has an unclosed {{#${stack[stack.length - 1].node.type}}}`);
+  }
+  if (last < source.length) {
+    current.push({ type: 'text', value: source.slice(last) });
+  }
+  return nodes;
+}
+
+/**
+ * One compiled template string
+ */
+class Template {
+  constructor(source) {
+    this.source = String(source);
+    this.nodes = parse(this.source);
+  }
+
+  /**
+   * Every variable the template can reference
+   */
+  variables(nodes = this.nodes, names = new Set()) {
+    nodes.forEach(node => {
+      if (node.type === 'variable' || node.type === 'if' || node.type === 'unless') {
+        names.add(node.name);
+      }
+      if (node.children) {
+        this.variables(node.children, names);
+        this.variables(node.otherwise, names);
+      }
+    });
+    return names;
+  }
+
+  /**
+   * Render with `variables`, falling back to `defaults`; missing names
+   * without a default are added to `missing`
+   */
+  render(variables, defaults = {}, missing = new Set(), nodes = this.nodes) {
+    return nodes.map(node => {
+      if (node.type === 'text') {
+        return node.value;
+      }
+
+      let value = lookup(variables, node.name);
+      if (isEmpty(value)) {
+        value = lookup(defaults, node.name);
+      }
+
+      if (node.type === 'variable') {
+        if (!isEmpty(value)) {
+          return String(value);
+        }
+        if (node.fallback !== undefined) {
+          return node.fallback;
+        }
+        missing.add(node.name);
+        return '';
+      }
+
+      const branch = isTruthy(value) === (node.type === 'if') ? node.children : node.otherwise;
+      return this.render(variables, defaults, missing, branch);
+    }).join('');
+  }
+}
+
+/**
+ * Compile the title, message and data strings of a template or locale variant
+ */
+function compileParts(spec) {
+  return {
+    title: spec.title !== undefined ? new Template(spec.title) : null,
+    message: spec.message !== undefined ? new Template(spec.message) : null,
+    data: Object.fromEntries(Object.entries(spec.data || {})
+      .map(([key, value]) => [key, typeof value === 'string' ? new Template(value) : value]))
+  };
+}
+
+/**
+ * A named template: title, message, data strings and default variables,
+ * with optional per-locale variants that override any of them
+ *   { title, message, data, defaults, locales: { 'pt-BR': { title, message } } }
+ */
+class NotificationTemplate {
+  constructor(name, spec = {}) {
+    this.name = name;
+    this.defaults = spec.defaults || {};
+
+    const localeErrors = validateVariants(spec.locales, 'locales');
+    if (localeErrors.length > 0) {
+      throw new InvalidPayloadError(`Template "${name}": ${localeErrors.join(', ')}`);
+    }
+
+    try {
+      this.base = compileParts(spec);
+      this.locales = Object.fromEntries(Object.entries(spec.locales || {})
+        .map(([locale, variant]) => [locale, compileParts(variant)]));
+    } catch (error) {
+      throw new InvalidPayloadError(`Template "${name}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Variables any part of the template or its variants references
+   */
+  variables() {
+    const names = new Set();
+    [this.base, ...Object.values(this.locales)].forEach(parts => {
+      [parts.title, parts.message, ...Object.values(parts.data)]
+        .filter(part => part instanceof Template)
+        .forEach(part => part.variables(part.nodes, names));
+    });
+    return [...names];
+  }
+
+  /**
+   * Variant serving `locale` (lib/localization fallback chain)
+   */
+  resolveLocale(locale) {
+    return resolveLocale(Object.keys(this.locales), locale);
+  }
+
+  /**
+   * { title, message, data } for one recipient in their locale
+   */
+  render(variables = {}, locale = null) {
+    const { resolved } = this.resolveLocale(locale);
+    const variant = this.locales[resolved] || { title: null, message: null, data: {} };
+    const missing = new Set();
+    const renderPart = part => (part instanceof Template ? part.render(variables, this.defaults, missing) : part);
+
+    const rendered = {};
+    const title = variant.title || this.base.title;
+    const message = variant.message || this.base.message;
+    const data = { ...this.base.data, ...variant.data };
+    if (title) {
+      rendered.title = renderPart(title);
+    }
+    if (message) {
+      rendered.message = renderPart(message);
+    }
+    if (Object.keys(data).length > 0) {
+      rendered.data = Object.fromEntries(Object.entries(data).map(([key, value]) => [key, renderPart(value)]));
+    }
+
+    if (missing.size > 0) {
+      throw new InvalidPayloadError(`Template "${this.name}" is missing variables: ${[...missing].join(', ')}`, {
+        template: this.name,
+        missing: [...missing]
+      });
+    }
+    return rendered;
+  }
+}
+
+/**
+ * Templates by name, usually loaded from config/notification-templates.json
+ */
+class TemplateRegistry {
+  constructor(definitions = {}) {
+    this.templates = new Map(Object.entries(definitions)
+      .map(([name, spec]) => [name, new NotificationTemplate(name, spec)]));
+  }
+
+  static fromFile(filePath = DEFAULT_TEMPLATES_PATH) {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return new TemplateRegistry(parsed.templates || parsed);
+  }
+
+  names() {
+    return [...this.templates.keys()];
+  }
+
+  get(name) {
+    const template = this.templates.get(name);
+    if (!template) {
+      throw new InvalidPayloadError(`Unknown template "${name}"`, { template: name, available: this.names() });
+    }
+    return template;
+  }
+
+  /**
+   * Render a batch row in its `locale`
+   * With a `template` column (or `defaultName`) the row's columns are the
+   * variables and its own data wins over template data; rows without one
+   * may carry their own `localizations` ({ 'pt-BR': { title, message } }).
+   * Returns { entry, locale: { requested, resolved, fellBack } }.
+   */
+  render(entry, defaultName = null) {
+    const { template: name = defaultName, ...row } = entry;
+
+    if (!name) {
+      if (row.localizations === undefined) {
+        return { entry, locale: resolveLocale([], row.locale) };
+      }
+
+      const errors = validateVariants(row.localizations);
+      if (errors.length > 0) {
+        throw new InvalidPayloadError(errors.join(', '), errors);
+      }
+      const { localizations, ...rest } = row;
+      const { content, locale } = localize({ title: rest.title, message: rest.message }, localizations, rest.locale);
+      return { entry: { ...rest, ...content }, locale };
+    }
+
+    const template = this.get(name);
+    const rendered = template.render(row, row.locale);
+    return {
+      entry: {
+        ...row,
+        ...rendered,
+        ...(rendered.data || row.data ? { data: { ...rendered.data, ...row.data } } : {})
+      },
+      locale: template.resolveLocale(row.locale)
+    };
+  }
+
+  /**
+   * The notification a batch row describes (see render)
+   */
+  renderEntry(entry, defaultName = null) {
+    return this.render(entry, defaultName).entry;
+  }
+}
+
+module.exports = {
+  DEFAULT_TEMPLATES_PATH,
+  NotificationTemplate,
+  Template,
+  TemplateRegistry
+};
@@ -0,0 +1,113 @@
+/**
+ * Time Zone Helpers
+ * IANA time zone conversions built on Intl, so no tz database dependency is needed
+ */
+
+const EXPLICIT_OFFSET_PATTERN = /([zZ]|[+-]\d{2}:?\d{2})$/;
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?$/;
+
+/**
+ * Check whether a string names a time zone the runtime knows about
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone }).format(new Date());
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock components of an instant in the given time zone
+ */
+function getZonedParts(timestamp, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short'
+  });
+
+  const parts = {};
+  formatter.formatToParts(new Date(timestamp)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: parts.weekday
+  };
+}
+
+/**
+ * Offset of the time zone from UTC at the given instant, in milliseconds
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+  const parts = getZonedParts(timestamp, timeZone);
+  const wallClockAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClockAsUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a time zone to a UTC timestamp
+ * Re-checks the offset once so times near DST transitions resolve correctly
+ */
+function zonedTimeToUtc(year, month, day, hour, minute, second, timeZone) {
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const firstGuess = wallClockAsUtc - getTimeZoneOffset(wallClockAsUtc, timeZone);
+  const secondOffset = getTimeZoneOffset(firstGuess, timeZone);
+  return wallClockAsUtc - secondOffset;
+}
+
+/**
+ * Parse an ISO 8601 date-time; strings without an offset are read as local time in timeZone
+ * Returns a UTC timestamp in milliseconds, or NaN when the input cannot be parsed
+ */
+function parseDateTime(value, timeZone = 'UTC') {
+  if (typeof value !== 'string') {
+    return NaN;
+  }
+
+  if (EXPLICIT_OFFSET_PATTERN.test(value)) {
+    return Date.parse(value);
+  }
+
+  const match = LOCAL_DATE_TIME_PATTERN.exec(value);
+  if (!match) {
+    return NaN;
+  }
+
+  const [, year, month, day, hour, minute, second = '0'] = match;
+  return zonedTimeToUtc(
+    parseInt(year, 10),
+    parseInt(month, 10),
+    parseInt(day, 10),
+    parseInt(hour, 10),
+    parseInt(minute, 10),
+    parseInt(second, 10),
+    timeZone
+  );
+}
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  parseDateTime
+};
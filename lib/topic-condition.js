@@ -0,0 +1,180 @@
+/**
+ * FCM Topic Condition Parser
+ * Parses and validates condition expressions such as
+ *   ('news_updates' in topics && 'premium' in topics) || 'admin' in topics
+ * before they are handed to the delivery pipeline
+ */
+
+const { InvalidPayloadError } = require('./errors');
+
+const MAX_CONDITION_TOPICS = 5;
+const TOPIC_NAME_PATTERN = /^[a-zA-Z0-9_.~%-]{1,900}$/;
+
+/**
+ * Raised for any malformed condition or topic name
+ */
+class ConditionError extends InvalidPayloadError {
+  constructor(message, position) {
+    super(message, position === undefined ? null : { position });
+    this.position = position;
+  }
+}
+
+/**
+ * Validate a single topic name against FCM's allowed characters
+ */
+function isValidTopicName(name) {
+  return typeof name === 'string' && TOPIC_NAME_PATTERN.test(name);
+}
+
+/**
+ * Split a condition string into tokens
+ */
+function tokenize(condition) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < condition.length) {
+    const char = condition[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: i });
+      i++;
+    } else if (condition.startsWith('&&', i) || condition.startsWith('||', i)) {
+      tokens.push({ type: condition.substr(i, 2), position: i });
+      i += 2;
+    } else if (char === '\'') {
+      const end = condition.indexOf('\'', i + 1);
+      if (end === -1) {
+        throw new ConditionError(`Unterminated quote at position ${i}`, i);
+      }
+      const name = condition.slice(i + 1, end);
+      if (!isValidTopicName(name)) {
+        throw new ConditionError(`Invalid topic name '${name}' at position ${i}`, i);
+      }
+      tokens.push({ type: 'topic', value: name, position: i });
+      i = end + 1;
+    } else if (char === '"') {
+      throw new ConditionError(`Topic names must use single quotes (position ${i})`, i);
+    } else {
+      const match = /^[A-Za-z]+/.exec(condition.slice(i));
+      if (!match || (match[0] !== 'in' && match[0] !== 'topics')) {
+        throw new ConditionError(`Unexpected input at position ${i}`, i);
+      }
+      tokens.push({ type: match[0], position: i });
+      i += match[0].length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser producing a small AST:
+ *   { type: 'topic', name } | { type: 'and' | 'or', operands: [...] }
+ */
+function parseTokens(tokens) {
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const positionOf = (token) => (token ? token.position : 'end of input');
+
+  function expect(type) {
+    const token = tokens[index];
+    if (!token || token.type !== type) {
+      throw new ConditionError(`Expected '${type}' at position ${positionOf(token)}`, token && token.position);
+    }
+    index++;
+    return token;
+  }
+
+  function parseFactor() {
+    const token = peek();
+
+    if (token && token.type === '(') {
+      index++;
+      const node = parseOr();
+      expect(')');
+      return node;
+    }
+
+    const topic = expect('topic');
+    expect('in');
+    expect('topics');
+    return { type: 'topic', name: topic.value };
+  }
+
+  function parseBinary(operator, nodeType, parseOperand) {
+    const operands = [parseOperand()];
+    while (peek() && peek().type === operator) {
+      index++;
+      operands.push(parseOperand());
+    }
+    return operands.length === 1 ? operands[0] : { type: nodeType, operands };
+  }
+
+  function parseAnd() {
+    return parseBinary('&&', 'and', parseFactor);
+  }
+
+  function parseOr() {
+    return parseBinary('||', 'or', parseAnd);
+  }
+
+  const ast = parseOr();
+
+  if (index < tokens.length) {
+    const token = tokens[index];
+    const message = token.type === ')'
+      ? `Unbalanced ')' at position ${token.position}`
+      : `Unexpected '${token.type}' at position ${token.position}`;
+    throw new ConditionError(message, token.position);
+  }
+
+  return ast;
+}
+
+/**
+ * Parse and validate a condition, returning its AST and referenced topics
+ */
+function parseCondition(condition) {
+  if (typeof condition !== 'string' || !condition.trim()) {
+    throw new ConditionError('Condition must be a non-empty string');
+  }
+
+  const tokens = tokenize(condition);
+  const ast = parseTokens(tokens);
+  const topics = tokens.filter(token => token.type === 'topic').map(token => token.value);
+
+  if (topics.length > MAX_CONDITION_TOPICS) {
+    throw new ConditionError(`Condition references ${topics.length} topics (max ${MAX_CONDITION_TOPICS})`);
+  }
+
+  return {
+    ast,
+    topics: Array.from(new Set(topics)),
+    expression: stringify(ast)
+  };
+}
+
+/**
+ * Render an AST back into a canonical condition string
+ */
+function stringify(node, parentType = null) {
+  if (node.type === 'topic') {
+    return `'${node.name}' in topics`;
+  }
+
+  const operator = node.type === 'and' ? ' && ' : ' || ';
+  const text = node.operands.map(operand => stringify(operand, node.type)).join(operator);
+  return parentType && parentType !== node.type ? `(${text})` : text;
+}
+
+module.exports = {
+  ConditionError,
+  MAX_CONDITION_TOPICS,
+  isValidTopicName,
+  parseCondition
+};
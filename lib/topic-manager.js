@@ -0,0 +1,221 @@
+/**
+ * Topic Manager
+ * Creates SNS topics for interest groups and manages device subscriptions
+ */
+
+const AWS = require('aws-sdk');
+const { MemoryStore } = require('./store');
+const { DeviceNotFoundError, TopicNotFoundError } = require('./errors');
+
+const SNS_TOPIC_NAME_PATTERN = /^[A-Za-z0-9_-]{1,256}$/;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Topic management backed by SNS topics and application endpoint subscriptions
+ */
+class TopicManager {
+  constructor(options = {}) {
+    this.sns = options.sns || new AWS.SNS({
+      region: process.env.AWS_REGION || 'us-east-1'
+    });
+    this.registry = options.registry;
+    this.topicStore = options.topicStore || new MemoryStore();
+    this.subscriptionStore = options.subscriptionStore || new MemoryStore();
+  }
+
+  /**
+   * Validate a create-topic request
+   */
+  validateTopic(request) {
+    const errors = [];
+
+    if (!request.name) {
+      errors.push('Missing topic name');
+    } else if (!SNS_TOPIC_NAME_PATTERN.test(request.name)) {
+      errors.push('Topic name may only contain letters, numbers, hyphens and underscores (max 256)');
+    }
+
+    if (request.displayName && request.displayName.length > 100) {
+      errors.push('Display name too long (max 100 characters)');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Create (or return the existing) SNS topic for an interest group
+   */
+  async createTopic(request) {
+    const { name, displayName = name, description = '' } = request;
+
+    const params = {
+      Name: name,
+      Attributes: { DisplayName: displayName }
+    };
+    if (description) {
+      params.Tags = [{ Key: 'description', Value: description }];
+    }
+
+    const result = await this.sns.createTopic(params).promise();
+    const existing = await this.topicStore.get(name);
+
+    const topic = {
+      name,
+      displayName,
+      description,
+      topicArn: result.TopicArn,
+      createdAt: existing ? existing.createdAt : new Date().toISOString()
+    };
+
+    await this.topicStore.put(name, topic);
+    return topic;
+  }
+
+  /**
+   * Look up a topic, returning null when it is unknown
+   */
+  async findTopic(name) {
+    return name ? this.topicStore.get(name) : null;
+  }
+
+  /**
+   * Look up a topic, throwing TOPIC_NOT_FOUND when it is unknown
+   */
+  async getTopic(name) {
+    const topic = await this.findTopic(name);
+
+    if (!topic) {
+      throw new TopicNotFoundError(`Topic ${name} does not exist`);
+    }
+
+    return topic;
+  }
+
+  /**
+   * Resolve a registered device from a deviceId or deviceToken
+   */
+  async resolveDevice({ deviceId, deviceToken }) {
+    if (deviceId) {
+      return this.registry.getDevice(deviceId);
+    }
+
+    const device = deviceToken ? await this.registry.findByToken(deviceToken) : null;
+    if (!device) {
+      throw new DeviceNotFoundError('No registered device for the provided token');
+    }
+
+    return device;
+  }
+
+  /**
+   * Subscribe a registered device's endpoint to a topic
+   */
+  async subscribe(topicName, target) {
+    const topic = await this.getTopic(topicName);
+    const device = await this.resolveDevice(target);
+
+    const result = await this.sns.subscribe({
+      TopicArn: topic.topicArn,
+      Protocol: 'application',
+      Endpoint: device.snsEndpointArn,
+      ReturnSubscriptionArn: true
+    }).promise();
+
+    const subscription = {
+      subscriptionArn: result.SubscriptionArn,
+      topic: topicName,
+      deviceId: device.deviceId,
+      subscribedAt: new Date().toISOString()
+    };
+
+    await this.subscriptionStore.put(subscription.subscriptionArn, subscription);
+    return subscription;
+  }
+
+  /**
+   * Unsubscribe a device from a topic; unknown subscriptions are a no-op
+   */
+  async unsubscribe(topicName, target) {
+    const topic = await this.getTopic(topicName);
+    const device = await this.resolveDevice(target);
+
+    let nextToken;
+    do {
+      const page = await this.sns.listSubscriptionsByTopic({
+        TopicArn: topic.topicArn,
+        NextToken: nextToken
+      }).promise();
+
+      const match = page.Subscriptions.find(sub => sub.Endpoint === device.snsEndpointArn);
+      if (match) {
+        await this.sns.unsubscribe({ SubscriptionArn: match.SubscriptionArn }).promise();
+        await this.subscriptionStore.delete(match.SubscriptionArn);
+        return { unsubscribed: true, topic: topicName, deviceId: device.deviceId };
+      }
+
+      nextToken = page.NextToken;
+    } while (nextToken);
+
+    return { unsubscribed: false, topic: topicName, deviceId: device.deviceId };
+  }
+
+  /**
+   * List a page of subscribers, walking SNS NextToken pages only as far as needed
+   */
+  async listSubscribers(topicName, options = {}) {
+    const topic = await this.getTopic(topicName);
+    const page = Math.max(parseInt(options.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const offset = (page - 1) * limit;
+    const subscriptions = [];
+    let nextToken;
+
+    do {
+      const result = await this.sns.listSubscriptionsByTopic({
+        TopicArn: topic.topicArn,
+        NextToken: nextToken
+      }).promise();
+
+      subscriptions.push(...result.Subscriptions);
+      nextToken = result.NextToken;
+    } while (nextToken && subscriptions.length < offset + limit);
+
+    const { Attributes: attributes = {} } = await this.sns.getTopicAttributes({
+      TopicArn: topic.topicArn
+    }).promise();
+
+    const devices = await this.registry.listDevices();
+    const byEndpoint = new Map(devices.map(device => [device.snsEndpointArn, device]));
+
+    const subscribers = await Promise.all(
+      subscriptions.slice(offset, offset + limit).map(async sub => {
+        const device = byEndpoint.get(sub.Endpoint) || {};
+        const record = await this.subscriptionStore.get(sub.SubscriptionArn);
+
+        return {
+          deviceId: device.deviceId || null,
+          subscribedAt: record ? record.subscribedAt : null,
+          platform: device.platform || null,
+          active: sub.SubscriptionArn !== 'PendingConfirmation'
+        };
+      })
+    );
+
+    return {
+      topic: topicName,
+      totalSubscribers: parseInt(attributes.SubscriptionsConfirmed || 0, 10) +
+        parseInt(attributes.SubscriptionsPending || 0, 10),
+      page,
+      limit,
+      subscribers
+    };
+  }
+}
+
+module.exports = {
+  TopicManager,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE
+};
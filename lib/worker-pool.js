@@ -0,0 +1,140 @@
+/**
+ * Worker Pool
+ * Sliding-window concurrency for bulk sends: a new job starts as soon as any
+ * in-flight one finishes (instead of waiting for the slowest of a batch),
+ * optionally paced to a target rate with the publish guard's token bucket
+ *
+ * stop() drains gracefully: no new jobs start, in-flight ones finish.
+ */
+
+const { TokenBucket } = require('./publish-guard');
+
+class WorkerPool {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 10;
+    // Steady pacing: one job per 1/ratePerSecond, no bursts
+    this.bucket = options.ratePerSecond
+      ? new TokenBucket({ ratePerMinute: options.ratePerSecond * 60, burst: 1, now: options.now, sleep: options.sleep })
+      : null;
+    this.stopping = false;
+  }
+
+  stop() {
+    this.stopping = true;
+  }
+
+  /**
+   * Run worker(item) for every item of an array or async iterable
+   * onResult(result, item) is called as each job completes. Resolves
+   * { started, stopped } once in-flight jobs have settled; an error thrown by
+   * the worker, onResult or the source itself stops the pool and is rethrown
+   * after the drain.
+   */
+  async run(source, worker, onResult = () => {}) {
+    const inFlight = new Set();
+    let started = 0;
+    let failure = null;
+
+    try {
+      for await (const item of source) {
+        if (this.bucket && !this.stopping) {
+          await this.bucket.acquire(Infinity);
+        }
+        if (this.stopping) {
+          break;
+        }
+
+        started += 1;
+        const task = Promise.resolve()
+          .then(() => worker(item))
+          .then(result => onResult(result, item))
+          .catch(error => {
+            failure = failure || error;
+            this.stop();
+          })
+          .then(() => inFlight.delete(task));
+        inFlight.add(task);
+
+        if (inFlight.size >= this.concurrency) {
+          await Promise.race(inFlight);
+        }
+      }
+    } catch (error) {
+      // Sends already started still get their results recorded
+      failure = failure || error;
+      this.stop();
+    }
+
+    await Promise.all(inFlight);
+
+    if (failure) {
+      throw failure;
+    }
+    return { started, stopped: this.stopping };
+  }
+}
+
+/**
+ * Live counts, throughput and ETA for a run
+ * Entries skipped on resume, dropped, deferred or frequency capped count
+ * towards progress but not throughput
+ */
+class ProgressTracker {
+  constructor(options = {}) {
+    this.total = options.total || null;
+    this.intervalMs = options.intervalMs !== undefined ? options.intervalMs : 2000;
+    this.log = options.log || (() => {});
+    this.now = options.now || (() => Date.now());
+    this.startedAt = this.now();
+    this.lastLoggedAt = this.startedAt;
+    this.counts = { done: 0, sent: 0, succeeded: 0, failed: 0, skipped: 0 };
+  }
+
+  record(result) {
+    this.counts.done += 1;
+    if (result.skipped || result.dropped || result.deferred || result.capped) {
+      this.counts.skipped += 1;
+    } else {
+      this.counts.sent += 1;
+      this.counts[result.success ? 'succeeded' : 'failed'] += 1;
+    }
+
+    if (this.now() - this.lastLoggedAt >= this.intervalMs) {
+      this.lastLoggedAt = this.now();
+      this.log(this.format());
+    }
+  }
+
+  /**
+   * { done, total, succeeded, failed, skipped, ratePerSecond, etaSeconds }
+   */
+  snapshot() {
+    const elapsedSeconds = Math.max((this.now() - this.startedAt) / 1000, 0.001);
+    const ratePerSecond = this.counts.sent / elapsedSeconds;
+    const remaining = this.total ? Math.max(this.total - this.counts.done, 0) : null;
+
+    return {
+      ...this.counts,
+      total: this.total,
+      ratePerSecond,
+      etaSeconds: remaining !== null && ratePerSecond > 0 ? Math.ceil(remaining / ratePerSecond) : null
+    };
+  }
+
+  format() {
+    const { done, total, succeeded, failed, skipped, ratePerSecond, etaSeconds } = this.snapshot();
+    const position = total ? `${done}/${total} (${(done / total * 100).toFixed(1)}%)` : `${done}`;
+
+    return [
+      `📊 ${position}`,
+      `✅ ${succeeded} ❌ ${failed}${skipped ? ` ⏭️  ${skipped}` : ''}`,
+      `${ratePerSecond.toFixed(1)} msg/s`,
+      ...(etaSeconds !== null ? [`ETA ${etaSeconds}s`] : [])
+    ].join(' | ');
+  }
+}
+
+module.exports = {
+  ProgressTracker,
+  WorkerPool
+};
@@ -8,14 +8,106 @@ const AWS = require('aws-sdk');
 const sns = new AWS.SNS();
 const cloudwatch = new AWS.CloudWatch();
 
-// X-Ray tracing
-const AWSXRay = require('aws-xray-sdk-core');
-const aws = AWSXRay.captureAWS(require('aws-sdk'));
+// X-Ray tracing for every AWS client, when the SDK is deployed with the function
+try {
+  require('aws-xray-sdk-core').captureAWS(AWS);
+} catch (error) {
+  if (error.code !== 'MODULE_NOT_FOUND') {
+    throw error;
+  }
+}
+
+const { parseCondition, isValidTopicName } = require('../lib/topic-condition');
+const { DEVICE_INDEXES, DeviceRegistry } = require('../lib/device-registry');
+const { TopicManager } = require('../lib/topic-manager');
+const { createStore } = require('../lib/store');
+const { NotificationScheduler, STATUS_INDEX } = require('../lib/scheduler');
+const { IdempotencyManager, getIdempotencyKey } = require('../lib/idempotency');
+const { ApiKeyAuthenticator } = require('../lib/api-keys');
+const { CorsPolicy } = require('../lib/cors');
+const { PublishGuard } = require('../lib/publish-guard');
+const { CampaignWorker } = require('../lib/campaign-queue');
+const payloadBuilder = require('../lib/payload-builder');
+const { PLATFORMS, validateApnsToken } = require('../lib/device-token');
+const { isValidLocale, localize, validateVariants } = require('../lib/localization');
+const { experimentAttributes } = require('../lib/experiment');
+const { QuietHoursPolicy, validateQuietHours } = require('../lib/quiet-hours');
+const { FrequencyCap } = require('../lib/frequency-cap');
+const { PreferenceCenter } = require('../lib/preferences');
+const { allReached, deviceRecipient, fanOut, summarizeUsers, userTargetsOf, validateUserTargets } = require('../lib/fan-out');
+const {
+  PushNotificationError,
+  InvalidPayloadError,
+  NotFoundError,
+  normalizeError,
+  toErrorBody
+} = require('../lib/errors');
 
 // Environment variables
 const SNS_TOPIC_ARN = process.env.SNS_TOPIC_ARN;
 const ENVIRONMENT = process.env.ENVIRONMENT || 'prod';
 
+// Device and topic state (DynamoDB tables when configured, memory otherwise)
+const registry = new DeviceRegistry({
+  sns,
+  store: createStore({ tableName: process.env.DEVICE_TABLE_NAME, keyName: 'deviceId', indexes: DEVICE_INDEXES })
+});
+const topicManager = new TopicManager({
+  sns,
+  registry,
+  topicStore: createStore({ tableName: process.env.TOPIC_TABLE_NAME, keyName: 'name' }),
+  subscriptionStore: createStore({ tableName: process.env.SUBSCRIPTION_TABLE_NAME, keyName: 'subscriptionArn' })
+});
+const idempotency = new IdempotencyManager({
+  store: createStore({
+    tableName: process.env.IDEMPOTENCY_TABLE_NAME,
+    keyName: 'idempotencyKey',
+    ttlAttribute: 'expiresAt'
+  })
+});
+// Scheduled sends are recorded under schedule:<jobId> keys, so a reclaimed job is not published twice
+const scheduler = new NotificationScheduler({
+  store: createStore({ tableName: process.env.SCHEDULE_TABLE_NAME, keyName: 'jobId', indexes: [STATUS_INDEX] }),
+  claimStore: createStore({ tableName: process.env.SCHEDULE_CLAIM_TABLE_NAME, keyName: 'jobId', ttlAttribute: 'expiresAt' }),
+  idempotency
+});
+// X-API-Key hashes come from API_KEYS_SOURCE; quota counters expire daily
+const authenticator = new ApiKeyAuthenticator({
+  quotaStore: createStore({
+    tableName: process.env.API_KEY_QUOTA_TABLE_NAME,
+    keyName: 'quotaKey',
+    ttlAttribute: 'expiresAt'
+  })
+});
+// Default quiet hours and time zone (QUIET_HOURS, DEFAULT_TIME_ZONE); requests
+// and campaign rows override them with quietHours and timeZone, and users with
+// the ones stored in their preferences
+const quietHours = QuietHoursPolicy.fromEnv(process.env);
+// Per-recipient caps (FREQUENCY_CAPS) counted in FREQUENCY_CAP_TABLE_NAME,
+// shared with the device Lambda and the CLI tools
+const frequencyCap = FrequencyCap.fromEnv(process.env);
+// Per-user category and channel opt-ins, time zone and quiet hours (PREFERENCES_TABLE_NAME)
+const preferences = PreferenceCenter.fromEnv(process.env);
+// Allowed origins/methods/headers from the environment's apiGateway.cors settings
+const cors = new CorsPolicy();
+// Every SNS publish shares one token bucket and circuit breaker per container
+const publishGuard = PublishGuard.fromEnv(process.env, {
+  onStateChange: (state, previous) => {
+    logger.warn('SNS circuit breaker state changed', { state, previous });
+    metrics.incrementCounter('CircuitBreakerTransitions', { State: state });
+  }
+});
+const guardedSns = publishGuard.wrap(sns);
+// Campaign jobs from SQS; poison messages go to the function's dead-letter queue
+const campaignWorker = new CampaignWorker({
+  send: publishCampaignJob,
+  log: (outcome, record, error) => logger.warn('Campaign job not sent', {
+    outcome,
+    messageId: record.messageId,
+    error: normalizeError(error).toJSON()
+  })
+});
+
 /**
  * Structured logging helper
  */
@@ -92,42 +184,825 @@ const metrics = {
 /**
  * Input validation with monitoring
  */
-function validateInput(body) {
+function validateInput(body, userIds = null) {
   const errors = [];
+  const platform = body.platform || 'android';
   
-  if (!body.fcmToken) {
+  // User sends go to the users' registered devices instead of a token
+  if (userIds) {
+    errors.push(...validateUserTargets(userIds));
+  } else if (!PLATFORMS.includes(platform)) {
+    errors.push(`Unsupported platform: ${platform}`);
+  } else if (platform === 'ios') {
+    if (!body.deviceToken) {
+      errors.push('Missing APNs device token');
+    } else if (typeof body.deviceToken !== 'string' || validateApnsToken(body.deviceToken).length > 0) {
+      errors.push('Invalid APNs device token format');
+    }
+  } else if (!body.fcmToken) {
     errors.push('Missing FCM token');
   } else if (typeof body.fcmToken !== 'string' || body.fcmToken.length < 10) {
     errors.push('Invalid FCM token format');
   }
   
-  if (!body.title) {
+  // A localization key can stand in for literal text
+  if (!body.title && !body.titleLocKey) {
     errors.push('Missing notification title');
-  } else if (body.title.length > 100) {
+  }
+  if (!body.message && !body.bodyLocKey) {
+    errors.push('Missing notification message');
+  }
+  errors.push(...validateTextLength(body));
+  
+  if (body.locale !== undefined && !isValidLocale(body.locale)) {
+    errors.push(`Invalid locale: ${body.locale}`);
+  }
+  
+  const localeErrors = validateVariants(body.localizations);
+  errors.push(...localeErrors);
+  if (localeErrors.length === 0) {
+    Object.entries(body.localizations || {}).forEach(([locale, variant]) => {
+      errors.push(...validateTextLength(variant, `localizations.${locale}: `));
+    });
+  }
+  
+  errors.push(...validateQuietHours(body));
+  
+  return errors;
+}
+
+/**
+ * Title and message length limits, for the base content and each locale variant
+ */
+function validateTextLength(content, prefix = '') {
+  const errors = [];
+  
+  if (content.title && content.title.length > 100) {
+    errors.push(`${prefix}Title too long (max 100 characters)`);
+  }
+  if (content.message && content.message.length > 500) {
+    errors.push(`${prefix}Message too long (max 500 characters)`);
+  }
+  
+  return errors;
+}
+
+/**
+ * Topic send validation: a topic name and/or an FCM condition expression
+ */
+function validateTopicInput(body) {
+  const errors = [];
+  let condition = null;
+  
+  if (!body.topic && !body.condition) {
+    errors.push('Missing topic or condition');
+  }
+  
+  if (body.topic && !isValidTopicName(body.topic)) {
+    errors.push(`Invalid topic name: ${body.topic}`);
+  }
+  
+  if (body.condition) {
+    try {
+      condition = parseCondition(body.condition);
+    } catch (conditionError) {
+      errors.push(`Invalid condition: ${conditionError.message}`);
+    }
+  }
+  
+  const notification = body.notification || {};
+  if (!notification.title) {
+    errors.push('Missing notification title');
+  } else if (notification.title.length > 100) {
     errors.push('Title too long (max 100 characters)');
   }
   
-  if (!body.message) {
-    errors.push('Missing notification message');
-  } else if (body.message.length > 500) {
+  if (!notification.body) {
+    errors.push('Missing notification body');
+  } else if (notification.body.length > 500) {
     errors.push('Message too long (max 500 characters)');
   }
   
-  return errors;
+  return { errors, condition };
 }
 
 /**
- * Main Lambda handler with comprehensive monitoring
+ * JSON response helper (CORS headers are added per request by the handler)
  */
-exports.handler = async (event, context) => {
+function buildResponse(statusCode, payload, headers = {}) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers
+    },
+    body: JSON.stringify(payload)
+  };
+}
+
+/**
+ * Documented error envelope: { success, error: { code, message, details }, timestamp, requestId }
+ */
+function errorResponse(error, requestId) {
+  const normalized = normalizeError(error);
+  const headers = {};
+  
+  // Quota, rate limit, frequency cap and open-circuit rejections tell the client when to retry
+  const retryAt = normalized.details && (normalized.details.resetAt || normalized.details.retryAt);
+  if (['RATE_LIMIT_EXCEEDED', 'FREQUENCY_CAPPED', 'SERVICE_UNAVAILABLE'].includes(normalized.code) && retryAt) {
+    const retryAfter = Math.ceil((Date.parse(retryAt) - Date.now()) / 1000);
+    headers['Retry-After'] = String(Math.max(retryAfter, 1));
+  }
+  
+  return buildResponse(normalized.statusCode, toErrorBody(normalized, requestId), headers);
+}
+
+/**
+ * POST /notification/topic - send to a topic or FCM condition expression
+ * Malformed conditions are rejected before anything is published
+ */
+async function sendTopicNotification(body, requestId, log) {
+  const { errors, condition } = validateTopicInput(body);
+  
+  if (errors.length > 0) {
+    log.warn('Topic input validation failed', { errors });
+    await metrics.incrementCounter('ValidationErrors', { route: 'topic' });
+    
+    throw new InvalidPayloadError('Request body validation failed', errors);
+  }
+  
+  // A condition takes precedence over a plain topic, mirroring FCM's single-target rule
+  const target = condition
+    ? { condition: condition.expression, topics: condition.topics }
+    : { topic: body.topic };
+  
+  // Plain topic sends go straight to the managed SNS topic when one exists
+  const managedTopic = condition ? null : await topicManager.findTopic(body.topic);
+  
+  // Non-mobile subscribers receive the routing envelope as the default message
+  const publishParams = payloadBuilder.buildPublishParams(payloadBuilder.fromRequest(body), {
+    defaultMessage: JSON.stringify({
+      ...target,
+      title: body.notification.title,
+      message: body.notification.body,
+      timestamp: new Date().toISOString(),
+      requestId
+    })
+  });
+  
+  const snsStartTime = Date.now();
+  const snsResult = await guardedSns.publish({
+    ...publishParams,
+    TopicArn: managedTopic ? managedTopic.topicArn : SNS_TOPIC_ARN,
+    MessageAttributes: {
+      ...publishParams.MessageAttributes,
+      'notification_type': {
+        DataType: 'String',
+        StringValue: condition ? 'condition' : 'topic'
+      },
+      'environment': {
+        DataType: 'String',
+        StringValue: ENVIRONMENT
+      },
+      'request_id': {
+        DataType: 'String',
+        StringValue: requestId
+      }
+    }
+  }).promise();
+  
+  await metrics.recordLatency('SNSPublishLatency', snsStartTime);
+  await metrics.incrementCounter('TopicNotificationsRequested');
+  
+  log.info('Topic notification sent successfully', {
+    messageId: snsResult.MessageId,
+    ...target
+  });
+  
+  return buildResponse(200, {
+    success: true,
+    messageId: snsResult.MessageId,
+    ...target,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * POST /notification/send - send to a single FCM or APNs device token
+ */
+async function sendDeviceNotification(body, requestId, log) {
+  const userIds = userTargetsOf(body);
+  
+  // Validate input
+  const validationErrors = validateInput(body, userIds);
+  if (validationErrors.length > 0) {
+    log.warn('Input validation failed', { errors: validationErrors });
+    await metrics.incrementCounter('ValidationErrors');
+    
+    throw new InvalidPayloadError('Request body validation failed', validationErrors);
+  }
+  
+  if (userIds) {
+    return sendUserNotification(body, userIds, requestId, log);
+  }
+  
+  const { statusCode, payload } = await deliverToDevice(body, requestId, log);
+  return buildResponse(statusCode, payload);
+}
+
+/**
+ * Fan a send out to every active device of the target users
+ * Answers 200 when every user was reached (or opted out), else 207, with
+ * one outcome per user and the device results inside it
+ */
+async function sendUserNotification(body, userIds, requestId, log) {
+  const users = await fanOut(userIds, {
+    listDevices: userId => registry.listUserDevices(userId),
+    send: async(device, cap) => (await deliverToDevice(deviceRecipient(body, device), requestId, log, cap)).payload,
+    frequencyCap
+  });
+  const summary = summarizeUsers(users);
+  
+  log.info('User notification fanned out', summary);
+  await metrics.incrementCounter('UserFanOuts', { Outcome: allReached(users) ? 'reached' : 'incomplete' });
+  
+  return buildResponse(allReached(users) ? 200 : 207, {
+    success: allReached(users),
+    summary,
+    users,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Send a validated token request to its device: { statusCode, payload }
+ * `cap` counts the send (the shared cap of a user fan-out, or frequencyCap)
+ */
+async function deliverToDevice(body, requestId, log, cap = frequencyCap) {
+  // Variant for the recipient's locale (pt-BR, then pt, then the base title/message)
+  const { content, locale } = localize({ title: body.title, message: body.message }, body.localizations, body.locale);
+  if (locale.fellBack) {
+    log.info('Localized content fell back', locale);
+    await metrics.incrementCounter('LocaleFallbacks', { Locale: locale.requested });
+  }
+  
+  const platform = body.platform || 'android';
+  const deviceToken = platform === 'ios' ? body.deviceToken : body.fcmToken;
+  const android = body.android || {};
+  
+  // A user who opted out of this category or platform is skipped, not failed
+  const optedOut = await preferences.check(body);
+  if (optedOut) {
+    log.info('Notification suppressed by user preferences', { userId: body.userId, ...optedOut });
+    await metrics.incrementCounter('NotificationsSuppressed', { Reason: optedOut.reason });
+    
+    return {
+      statusCode: 200,
+      payload: {
+        success: true,
+        suppressed: true,
+        ...optedOut,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+  
+  // Inside the recipient's quiet hours a non-urgent send is scheduled for the window's end;
+  // a user's stored timeZone and quietHours win over the request's
+  const recipient = await preferences.applyQuietHours(body);
+  const deferral = quietHours.check({ ...recipient, priority: body.priority || android.priority });
+  if (deferral) {
+    const job = await deferDeviceSend({ ...body, title: content.title, message: content.message }, deferral);
+    
+    log.info('Notification deferred for quiet hours', { jobId: job.jobId, ...deferral });
+    await metrics.incrementCounter('QuietHoursDeferrals');
+    
+    return {
+      statusCode: 202,
+      payload: {
+        success: true,
+        deferred: true,
+        jobId: job.jobId,
+        ...deferral,
+        locale,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+  
+  // Build per-protocol SNS message; the default entry keeps the token for the delivery consumer
+  const apns = body.apns || {};
+  const androidNotification = android.notification || {};
+  const publishParams = payloadBuilder.buildPublishParams({
+    title: content.title,
+    body: content.message,
+    titleLocKey: body.titleLocKey,
+    titleLocArgs: body.titleLocArgs,
+    bodyLocKey: body.bodyLocKey,
+    bodyLocArgs: body.bodyLocArgs,
+    icon: androidNotification.icon,
+    sound: androidNotification.sound,
+    clickAction: androidNotification.clickAction,
+    channelId: androidNotification.channelId,
+    data: body.data,
+    priority: android.priority,
+    // android.ttl follows the Firebase Admin convention of milliseconds
+    ttl: android.ttl !== undefined ? Math.round(android.ttl / 1000) : undefined,
+    collapseKey: android.collapseKey,
+    badge: apns.badge,
+    threadId: apns.threadId,
+    contentAvailable: apns.contentAvailable,
+    mutableContent: apns.mutableContent
+  }, {
+    protocols: payloadBuilder.protocolsForPlatform(platform),
+    defaultMessage: JSON.stringify({
+      platform,
+      [platform === 'ios' ? 'deviceToken' : 'fcmToken']: deviceToken,
+      title: content.title,
+      message: content.message,
+      locale: locale.resolved,
+      timestamp: new Date().toISOString(),
+      requestId: requestId
+    })
+  });
+  
+  // Publish to SNS with X-Ray tracing
+  const snsParams = {
+    ...publishParams,
+    TopicArn: SNS_TOPIC_ARN,
+    MessageAttributes: {
+      ...publishParams.MessageAttributes,
+      'notification_type': {
+        DataType: 'String',
+        StringValue: 'push'
+      },
+      // Lets per-platform delivery consumers filter their subscriptions
+      'platform': {
+        DataType: 'String',
+        StringValue: platform
+      },
+      'environment': {
+        DataType: 'String',
+        StringValue: ENVIRONMENT
+      },
+      'request_id': {
+        DataType: 'String',
+        StringValue: requestId
+      }
+    }
+  };
+  
+  const snsStartTime = Date.now();
+  const snsResult = await publishWithinCap(body, log, () => guardedSns.publish(snsParams).promise(), cap);
+  
+  // Record metrics
+  await metrics.recordLatency('SNSPublishLatency', snsStartTime);
+  await metrics.incrementCounter('NotificationsRequested');
+  
+  log.info('Notification sent successfully', {
+    messageId: snsResult.MessageId,
+    platform,
+    deviceToken: deviceToken.substring(0, 10) + '...', // Log partial token for privacy
+    title: content.title,
+    locale: locale.resolved
+  });
+  
+  return {
+    statusCode: 200,
+    payload: {
+      success: true,
+      messageId: snsResult.MessageId,
+      locale,
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+/**
+ * Publish within the recipient's frequency caps: the send is counted first
+ * and given back if the publish fails. Over a cap it is logged, counted in
+ * the FrequencyCapped metric and rejected with FREQUENCY_CAPPED.
+ */
+async function publishWithinCap(recipient, log, publish, cap = frequencyCap) {
+  let charge;
+  try {
+    charge = await cap.enforce(recipient);
+  } catch (error) {
+    if (error.code === 'FREQUENCY_CAPPED') {
+      log.warn('Notification frequency capped', error.details);
+      await metrics.incrementCounter('FrequencyCapped', { Category: error.details.category || 'all' });
+    }
+    throw error;
+  }
+  
+  try {
+    return await publish();
+  } catch (error) {
+    await cap.refund(charge);
+    throw error;
+  }
+}
+
+/**
+ * Schedule a device send (a batch-entry shaped notification) for the end of
+ * the recipient's quiet hours; the scheduled dispatcher sends it then
+ * The target keeps the recipient's userId, deviceId and category, so the
+ * dispatched send counts against the same frequency caps.
+ */
+async function deferDeviceSend(notification, deferral) {
+  const platform = notification.platform || 'android';
+  const tokenField = platform === 'ios' ? 'deviceToken' : 'fcmToken';
+  const { data, ...content } = payloadBuilder.fromBatchEntry(notification);
+  const recipient = Object.fromEntries(['userId', 'deviceId', 'category']
+    .filter(field => notification[field])
+    .map(field => [field, notification[field]]));
+  
+  return scheduler.schedule({
+    target: { type: 'device', platform, [tokenField]: notification[tokenField], ...recipient },
+    notification: content,
+    data,
+    sendAt: deferral.deferredUntil,
+    timezone: deferral.timeZone
+  });
+}
+
+/**
+ * Run a send once per Idempotency-Key; replays return the original response
+ * Keys are scoped to the calling client and bound to the route and body,
+ * so reusing one for a different request is rejected
+ */
+async function sendIdempotently(event, body, client, log, send) {
+  const idempotencyKey = getIdempotencyKey(event, body);
+  if (!idempotencyKey) {
+    return send();
+  }
+  
+  const { idempotencyKey: bodyKey, ...request } = body;
+  const { response, replayed } = await idempotency.execute(`${client.clientId}:${idempotencyKey}`, {
+    route: event.resource || event.path || '/notification/send',
+    body: request
+  }, send);
+  
+  if (!replayed) {
+    return response;
+  }
+  
+  log.info('Idempotent request replayed', { idempotencyKey });
+  await metrics.incrementCounter('IdempotentReplays');
+  
+  return {
+    ...response,
+    headers: { ...response.headers, 'Idempotent-Replayed': 'true' }
+  };
+}
+
+/**
+ * Topic management routes
+ *   POST   /topic
+ *   POST   /topic/{topicName}/subscribe
+ *   DELETE /topic/{topicName}/subscribe
+ *   GET    /topic/{topicName}/subscribers
+ */
+async function handleTopicRoute(event, body, log) {
+  const route = `${event.httpMethod} ${event.resource}`;
+  const topicName = (event.pathParameters || {}).topicName;
+  
+  switch (route) {
+    case 'POST /topic': {
+      const errors = topicManager.validateTopic(body);
+      if (errors.length > 0) {
+        throw new InvalidPayloadError('Request body validation failed', errors);
+      }
+      const topic = await topicManager.createTopic(body);
+      log.info('Topic created', { topic: topic.name, topicArn: topic.topicArn });
+      return buildResponse(201, { success: true, ...topic });
+    }
+    
+    case 'POST /topic/{topicName}/subscribe': {
+      const subscription = await topicManager.subscribe(topicName, body);
+      log.info('Device subscribed to topic', { topic: topicName, deviceId: subscription.deviceId });
+      await metrics.incrementCounter('TopicSubscriptions', { topic: topicName });
+      return buildResponse(200, { success: true, ...subscription });
+    }
+    
+    case 'DELETE /topic/{topicName}/subscribe': {
+      const result = await topicManager.unsubscribe(topicName, body);
+      log.info('Device unsubscribed from topic', result);
+      return buildResponse(200, { success: true, ...result });
+    }
+    
+    case 'GET /topic/{topicName}/subscribers': {
+      const result = await topicManager.listSubscribers(topicName, event.queryStringParameters || {});
+      return buildResponse(200, result);
+    }
+    
+    default:
+      throw new NotFoundError(`Route not found: ${route}`);
+  }
+}
+
+/**
+ * Notification preference routes
+ *   GET /user/{userId}/preferences
+ *   PUT /user/{userId}/preferences
+ */
+async function handlePreferenceRoute(event, body, log) {
+  const route = `${event.httpMethod} ${event.resource}`;
+  const userId = (event.pathParameters || {}).userId;
+  
+  switch (route) {
+    case 'GET /user/{userId}/preferences': {
+      const result = await preferences.get(userId);
+      return buildResponse(200, result);
+    }
+    
+    case 'PUT /user/{userId}/preferences': {
+      const result = await preferences.update(userId, body);
+      log.info('Notification preferences updated', {
+        userId,
+        categories: result.categories,
+        channels: result.channels,
+        timeZone: result.timeZone,
+        quietHours: result.quietHours
+      });
+      await metrics.incrementCounter('PreferenceUpdates');
+      return buildResponse(200, { success: true, ...result });
+    }
+    
+    default:
+      throw new NotFoundError(`Route not found: ${route}`);
+  }
+}
+
+/**
+ * Publish a scheduled job that has fallen due
+ */
+async function publishScheduledJob(job) {
+  const target = job.target || {};
+  const managedTopic = target.type === 'topic' ? await topicManager.findTopic(target.topic) : null;
+  
+  const publishParams = payloadBuilder.buildPublishParams(payloadBuilder.fromRequest(job), {
+    // Device sends deferred for quiet hours only go to their own platform
+    protocols: target.type === 'device' ? payloadBuilder.protocolsForPlatform(target.platform) : undefined,
+    defaultMessage: JSON.stringify({
+      ...target,
+      title: job.notification.title,
+      message: job.notification.body,
+      scheduledJobId: job.jobId,
+      timestamp: new Date().toISOString()
+    })
+  });
+  
+  const params = {
+    ...publishParams,
+    TopicArn: managedTopic ? managedTopic.topicArn : SNS_TOPIC_ARN,
+    MessageAttributes: {
+      ...publishParams.MessageAttributes,
+      'notification_type': {
+        DataType: 'String',
+        StringValue: 'scheduled'
+      },
+      'environment': {
+        DataType: 'String',
+        StringValue: ENVIRONMENT
+      },
+      'request_id': {
+        DataType: 'String',
+        StringValue: job.jobId
+      }
+    }
+  };
+  
+  // Device targets count against the recipient's caps; a capped job is deferred to the cap's retryAt
+  const result = target.type === 'device'
+    ? await publishWithinCap({ ...target, data: job.data }, logger, () => guardedSns.publish(params).promise())
+    : await guardedSns.publish(params).promise();
+  
+  return { messageId: result.MessageId };
+}
+
+/**
+ * Publish one campaign job from the SQS queue
+ * SQS delivers at least once, so each job is published once per campaign index.
+ * Rows addressed to a userId go to each of the user's active devices, each
+ * recorded under its own key; when a device missed out on a transient
+ * failure the job throws a retryable error, and the redelivery publishes
+ * only to the devices that were not reached.
+ */
+async function publishCampaignJob(job) {
+  const { notification } = job;
+  const key = `campaign:${job.campaignId}:${job.index}`;
+  const userIds = userTargetsOf(notification);
+  
+  if (!userIds) {
+    const { response } = await idempotency.execute(key, notification, () =>
+      publishCampaignNotification(job, notification, key)
+    );
+    return response;
+  }
+  
+  const users = await fanOut(userIds, {
+    listDevices: userId => registry.listUserDevices(userId),
+    send: async(device, cap) => {
+      const deviceKey = `${key}:${device.deviceId}`;
+      const { response } = await idempotency.execute(deviceKey, notification, () =>
+        publishCampaignNotification(job, deviceRecipient(notification, device), deviceKey, cap)
+      );
+      return { success: !response.capped, ...response };
+    },
+    frequencyCap
+  });
+  logger.info('Campaign job fanned out', { campaignId: job.campaignId, index: job.index, ...summarizeUsers(users) });
+  
+  // An open circuit fails fast within one invocation; the redelivery comes after its cooldown
+  const missed = users
+    .flatMap(user => user.results)
+    .filter(result => result.error && (campaignWorker.retryPolicy.isRetryable(result.error) || result.error.code === 'SERVICE_UNAVAILABLE'));
+  if (missed.length > 0) {
+    const error = new Error(`${missed.length} devices were not reached (${missed[0].error.code}: ${missed[0].error.message})`);
+    error.code = 'DELIVERY_FAILED';
+    error.retryable = true;
+    throw error;
+  }
+  
+  return { users };
+}
+
+/**
+ * Publish a campaign row to its device, within preferences, quiet hours and caps
+ */
+async function publishCampaignNotification(job, notification, key, cap = frequencyCap) {
+  const platform = notification.platform || 'android';
+  
+  // Checked at send time, since queued jobs may go out hours after enqueueing
+  const optedOut = await preferences.check(notification);
+  if (optedOut) {
+    await metrics.incrementCounter('NotificationsSuppressed', { Reason: optedOut.reason });
+    return { suppressed: optedOut };
+  }
+  
+  const deferral = quietHours.check(await preferences.applyQuietHours(notification));
+  if (deferral) {
+    const deferred = await deferDeviceSend(notification, deferral);
+    await metrics.incrementCounter('QuietHoursDeferrals');
+    return { deferredJobId: deferred.jobId, ...deferral };
+  }
+  
+  const publishParams = payloadBuilder.buildPublishParams(payloadBuilder.fromBatchEntry(notification), {
+    protocols: payloadBuilder.protocolsForPlatform(platform),
+    defaultMessage: JSON.stringify({
+      ...notification,
+      campaignId: job.campaignId,
+      timestamp: new Date().toISOString()
+    })
+  });
+  
+  const params = {
+    ...publishParams,
+    TopicArn: SNS_TOPIC_ARN,
+    MessageAttributes: {
+      ...publishParams.MessageAttributes,
+      'notification_type': {
+        DataType: 'String',
+        StringValue: 'campaign'
+      },
+      'platform': {
+        DataType: 'String',
+        StringValue: platform
+      },
+      'campaign_id': {
+        DataType: 'String',
+        StringValue: job.campaignId
+      },
+      'idempotency_key': {
+        DataType: 'String',
+        StringValue: key
+      },
+      ...experimentAttributes(notification)
+    }
+  };
+  
+  let result;
+  try {
+    result = await publishWithinCap(notification, logger, () => guardedSns.publish(params).promise(), cap);
+  } catch (error) {
+    // Acknowledged rather than retried: a redelivery would be capped again
+    if (error.code === 'FREQUENCY_CAPPED') {
+      return { capped: error.details };
+    }
+    throw error;
+  }
+  
+  return { messageId: result.MessageId };
+}
+
+/**
+ * Scheduling routes
+ *   POST   /notification/schedule
+ *   GET    /notification/schedule
+ *   DELETE /notification/schedule/{jobId}
+ */
+async function handleScheduleRoute(event, body, log) {
+  const route = `${event.httpMethod} ${event.resource}`;
+  
+  switch (route) {
+    case 'POST /notification/schedule': {
+      const errors = scheduler.validateSchedule(body);
+      if (errors.length > 0) {
+        log.warn('Schedule validation failed', { errors });
+        await metrics.incrementCounter('ValidationErrors', { route: 'schedule' });
+        throw new InvalidPayloadError('Request body validation failed', errors);
+      }
+      const job = await scheduler.schedule(body);
+      log.info('Notification scheduled', { jobId: job.jobId, sendAt: job.sendAt, timezone: job.timezone });
+      await metrics.incrementCounter('NotificationsScheduled');
+      return buildResponse(201, { success: true, ...job });
+    }
+    
+    case 'GET /notification/schedule': {
+      const query = event.queryStringParameters || {};
+      const jobs = await scheduler.listJobs({ status: query.status });
+      return buildResponse(200, { success: true, jobs });
+    }
+    
+    case 'DELETE /notification/schedule/{jobId}': {
+      const job = await scheduler.cancel((event.pathParameters || {}).jobId);
+      log.info('Scheduled notification cancelled', { jobId: job.jobId });
+      return buildResponse(200, { success: true, ...job });
+    }
+    
+    default:
+      throw new NotFoundError(`Route not found: ${route}`);
+  }
+}
+
+/**
+ * Scheduled dispatcher entry point (EventBridge rule, e.g. rate(1 minute))
+ * Sends every due job exactly once
+ */
+exports.dispatchScheduled = async (event, context) => {
+  const startTime = Date.now();
+  const summary = await scheduler.dispatchDue(publishScheduledJob);
+  
+  await metrics.putMetric('ScheduledNotificationsSent', summary.sent);
+  if (summary.failed > 0) {
+    await metrics.putMetric('ScheduledNotificationsFailed', summary.failed);
+  }
+  if (summary.deferred > 0) {
+    await metrics.putMetric('ScheduledNotificationsDeferred', summary.deferred);
+  }
+  await metrics.recordLatency('ScheduleDispatchLatency', startTime);
+  
+  logger.info('Scheduled dispatch completed', {
+    requestId: context && context.awsRequestId,
+    due: summary.due,
+    sent: summary.sent,
+    failed: summary.failed,
+    deferred: summary.deferred,
+    skipped: summary.skipped
+  });
+  
+  return summary;
+};
+
+/**
+ * SQS-triggered campaign worker
+ * Failed records are reported via batchItemFailures so only they are redelivered
+ */
+exports.processCampaignQueue = async (event, context) => {
+  const startTime = Date.now();
+  const { batchItemFailures, summary } = await campaignWorker.handle(event);
+  
+  await metrics.putMetric('CampaignNotificationsSent', summary.sent);
+  if (summary.retry > 0) {
+    await metrics.putMetric('CampaignNotificationsRetried', summary.retry);
+  }
+  if (summary.deadLettered > 0) {
+    await metrics.putMetric('CampaignNotificationsDeadLettered', summary.deadLettered);
+  }
+  await metrics.recordLatency('CampaignBatchLatency', startTime);
+  
+  logger.info('Campaign batch processed', {
+    requestId: context && context.awsRequestId,
+    ...summary
+  });
+  
+  return { batchItemFailures };
+};
+
+/**
+ * Request handling with comprehensive monitoring
+ */
+async function handleRequest(event, context) {
   const startTime = Date.now();
   const requestId = context.awsRequestId;
   
-  // Add request ID to all logs
+  // Add request ID (and, once authenticated, the client ID) to all logs
+  const logContext = { requestId };
   const enrichedLogger = {
-    info: (message, data = {}) => logger.info(message, { requestId, ...data }),
-    error: (message, error = {}, data = {}) => logger.error(message, error, { requestId, ...data }),
-    warn: (message, data = {}) => logger.warn(message, { requestId, ...data })
+    info: (message, data = {}) => logger.info(message, { ...logContext, ...data }),
+    error: (message, error = {}, data = {}) => logger.error(message, error, { ...logContext, ...data }),
+    warn: (message, data = {}) => logger.warn(message, { ...logContext, ...data })
   };
   
   enrichedLogger.info('Lambda function invoked', {
@@ -135,107 +1010,63 @@ exports.handler = async (event, context) => {
     environment: ENVIRONMENT
   });
   
+  let body;
+  
   try {
+    // Authenticate and count the request against the key's daily quota
+    const client = await authenticator.authenticate(event.headers);
+    logContext.clientId = client.clientId;
+    await metrics.incrementCounter('ClientRequests', { clientId: client.clientId });
+    await authenticator.consumeQuota(client);
+    
     // Parse request body
-    let body;
     try {
       body = JSON.parse(event.body || '{}');
     } catch (parseError) {
       enrichedLogger.error('Failed to parse request body', parseError);
       await metrics.incrementCounter('ParseErrors');
       
-      return {
-        statusCode: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*'
-        },
-        body: JSON.stringify({
-          success: false,
-          error: 'Invalid JSON in request body'
-        })
-      };
+      throw new InvalidPayloadError('Invalid JSON in request body', parseError.message);
     }
     
-    // Validate input
-    const validationErrors = validateInput(body);
-    if (validationErrors.length > 0) {
-      enrichedLogger.warn('Input validation failed', { errors: validationErrors });
-      await metrics.incrementCounter('ValidationErrors');
-      
-      return {
-        statusCode: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*'
-        },
-        body: JSON.stringify({
-          success: false,
-          error: 'Validation failed',
-          details: validationErrors
-        })
-      };
+    // Route topic/condition sends
+    if ((event.resource || event.path) === '/notification/topic') {
+      return await sendIdempotently(event, body, client, enrichedLogger, () =>
+        sendTopicNotification(body, requestId, enrichedLogger)
+      );
     }
     
-    // Create SNS message
-    const snsMessage = {
-      fcmToken: body.fcmToken,
-      title: body.title,
-      message: body.message,
-      data: body.data || {},
-      android: body.android || {},
-      timestamp: new Date().toISOString(),
-      requestId: requestId
-    };
-    
-    // Publish to SNS with X-Ray tracing
-    const snsParams = {
-      TopicArn: SNS_TOPIC_ARN,
-      Message: JSON.stringify(snsMessage),
-      MessageAttributes: {
-        'notification_type': {
-          DataType: 'String',
-          StringValue: 'push'
-        },
-        'environment': {
-          DataType: 'String',
-          StringValue: ENVIRONMENT
-        },
-        'request_id': {
-          DataType: 'String',
-          StringValue: requestId
-        }
-      }
-    };
+    // Route topic management
+    if (event.resource && event.resource.startsWith('/topic')) {
+      return await handleTopicRoute(event, body, enrichedLogger);
+    }
     
-    const snsStartTime = Date.now();
-    const snsResult = await sns.publish(snsParams).promise();
+    // Route scheduling
+    if (event.resource && event.resource.startsWith('/notification/schedule')) {
+      return await handleScheduleRoute(event, body, enrichedLogger);
+    }
     
-    // Record metrics
-    await metrics.recordLatency('SNSPublishLatency', snsStartTime);
-    await metrics.incrementCounter('NotificationsRequested');
-    await metrics.recordLatency('TotalRequestLatency', startTime);
+    // Route notification preferences
+    if (event.resource && event.resource.startsWith('/user')) {
+      return await handlePreferenceRoute(event, body, enrichedLogger);
+    }
     
-    enrichedLogger.info('Notification sent successfully', {
-      messageId: snsResult.MessageId,
-      fcmToken: body.fcmToken.substring(0, 10) + '...', // Log partial token for privacy
-      title: body.title
-    });
+    // Direct device sends
+    const response = await sendIdempotently(event, body, client, enrichedLogger, () =>
+      sendDeviceNotification(body, requestId, enrichedLogger)
+    );
     
-    return {
-      statusCode: 200,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*'
-      },
-      body: JSON.stringify({
-        success: true,
-        messageId: snsResult.MessageId,
-        timestamp: new Date().toISOString()
-      })
-    };
+    await metrics.recordLatency('TotalRequestLatency', startTime);
+    return response;
     
   } catch (error) {
+    // Cataloged errors are expected rejections (validation, unknown resources)
+    if (error instanceof PushNotificationError) {
+      enrichedLogger.warn('Request rejected', { code: error.code, message: error.message });
+      await metrics.incrementCounter('RequestsRejected', { errorCode: error.code });
+      return errorResponse(error, requestId);
+    }
+    
     // Record error metrics
     await metrics.incrementCounter('LambdaErrors', {
       errorType: error.name || 'UnknownError'
@@ -245,18 +1076,13 @@ exports.handler = async (event, context) => {
       fcmToken: body?.fcmToken?.substring(0, 10) + '...' || 'unknown'
     });
     
-    return {
-      statusCode: 500,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*'
-      },
-      body: JSON.stringify({
-        success: false,
-        error: 'Internal server error',
-        requestId: requestId
-      })
-    };
+    // Provider failures map onto the catalog (e.g. throttling -> RATE_LIMIT_EXCEEDED);
+    // anything else is reported without leaking internal details
+    const normalized = normalizeError(error);
+    return errorResponse(
+      normalized.code === 'INTERNAL_ERROR' ? new PushNotificationError('INTERNAL_ERROR') : normalized,
+      requestId
+    );
   } finally {
     // Always record total execution time
     const totalDuration = Date.now() - startTime;
@@ -265,4 +1091,20 @@ exports.handler = async (event, context) => {
       memoryUsed: context.memoryLimitInMB
     });
   }
-};
\ No newline at end of file
+}
+
+/**
+ * Main Lambda handler: answers CORS preflights, then applies the CORS
+ * policy to every success and error response
+ */
+exports.handler = async (event, context) => {
+  // Preflights carry no API key, so they are answered before authentication
+  if (event.httpMethod === 'OPTIONS') {
+    return cors.preflight(event.headers);
+  }
+  
+  const response = await handleRequest(event, context);
+  return cors.apply(response, event.headers);
+};
+
+exports.registry = registry;
@@ -43,5 +43,11 @@ global.testUtils = {
   },
   
   // Wait utility for async tests
-  wait: (ms) => new Promise(resolve => setTimeout(resolve, ms))
+  wait: (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+
+  // AWS SDK v2 style request stubs for injected clients: client.method(params).promise()
+  awsResponse: (value) => jest.fn(() => ({ promise: () => Promise.resolve(value) })),
+  awsError: (code, message = code) => jest.fn(() => ({
+    promise: () => Promise.reject(Object.assign(new Error(message), { code }))
+  }))
 };
\ No newline at end of file
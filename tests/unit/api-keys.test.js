@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  ANONYMOUS_CLIENT,
+  ApiKeyAuthenticator,
+  createKeySource,
+  hashApiKey
+} = require('../../lib/api-keys');
+const { MemoryStore } = require('../../lib/store');
+
+const KEYS = [
+  { keyHash: hashApiKey('key-mobile'), clientId: 'mobile-app', dailyQuota: 2 },
+  { keyHash: hashApiKey('key-backend'), clientId: 'backend' },
+  { keyHash: hashApiKey('key-revoked'), clientId: 'old-client', enabled: false }
+];
+
+describe('API Key Unit Tests', () => {
+  let clock;
+  let authenticator;
+
+  beforeEach(() => {
+    clock = Date.parse('2025-10-28T23:00:00Z');
+    authenticator = new ApiKeyAuthenticator({
+      findKey: async keyHash => KEYS.find(key => key.keyHash === keyHash) || null,
+      quotaStore: new MemoryStore(),
+      required: true,
+      now: () => clock
+    });
+  });
+
+  describe('Authentication', () => {
+    test('should resolve the client for a valid key in any header casing', async() => {
+      await expect(authenticator.authenticate({ 'X-API-Key': 'key-mobile' }))
+        .resolves.toEqual({ clientId: 'mobile-app', name: 'mobile-app', dailyQuota: 2 });
+      await expect(authenticator.authenticate({ 'x-api-key': 'key-backend' }))
+        .resolves.toMatchObject({ clientId: 'backend', dailyQuota: null });
+    });
+
+    test('should reject missing, unknown and disabled keys', async() => {
+      await expect(authenticator.authenticate({})).rejects.toMatchObject({ code: 'UNAUTHORIZED', statusCode: 401 });
+      await expect(authenticator.authenticate({ 'x-api-key': 'nope' })).rejects.toMatchObject({ code: 'UNAUTHORIZED' });
+      await expect(authenticator.authenticate({ 'x-api-key': 'key-revoked' })).rejects.toMatchObject({ code: 'UNAUTHORIZED' });
+    });
+
+    test('should allow anonymous requests when keys are optional', async() => {
+      authenticator.required = false;
+
+      await expect(authenticator.authenticate(undefined)).resolves.toBe(ANONYMOUS_CLIENT);
+      await expect(authenticator.authenticate({ 'x-api-key': 'nope' })).rejects.toMatchObject({ code: 'UNAUTHORIZED' });
+    });
+  });
+
+  describe('Daily Quotas', () => {
+    test('should count requests and reject once the quota is spent', async() => {
+      const client = await authenticator.authenticate({ 'x-api-key': 'key-mobile' });
+
+      await expect(authenticator.consumeQuota(client)).resolves.toEqual({
+        limit: 2,
+        used: 1,
+        remaining: 1,
+        resetAt: '2025-10-29T00:00:00.000Z'
+      });
+      await authenticator.consumeQuota(client);
+      await expect(authenticator.consumeQuota(client))
+        .rejects.toMatchObject({ code: 'RATE_LIMIT_EXCEEDED', statusCode: 429, details: { remaining: 0 } });
+    });
+
+    test('should start a fresh quota on the next UTC day', async() => {
+      const client = await authenticator.authenticate({ 'x-api-key': 'key-mobile' });
+      await authenticator.consumeQuota(client);
+      await authenticator.consumeQuota(client);
+
+      clock += 2 * 60 * 60 * 1000;
+
+      await expect(authenticator.consumeQuota(client)).resolves.toMatchObject({ used: 1 });
+    });
+
+    test('should not count clients without a quota', async() => {
+      const client = await authenticator.authenticate({ 'x-api-key': 'key-backend' });
+
+      await expect(authenticator.consumeQuota(client)).resolves.toBeNull();
+    });
+  });
+
+  describe('Key Sources', () => {
+    test('should load hashed keys from a file', async() => {
+      const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-')), 'keys.json');
+      fs.writeFileSync(filePath, JSON.stringify(KEYS));
+
+      const findKey = createKeySource(`file:${filePath}`);
+
+      await expect(findKey(hashApiKey('key-backend'))).resolves.toMatchObject({ clientId: 'backend' });
+      await expect(findKey(hashApiKey('other'))).resolves.toBeNull();
+    });
+
+    test('should load and cache keys from Secrets Manager', async() => {
+      const secretsManager = {
+        getSecretValue: global.testUtils.awsResponse({ SecretString: JSON.stringify(KEYS) })
+      };
+      const findKey = createKeySource('secretsmanager:push/api-keys', { secretsManager });
+
+      await findKey(hashApiKey('key-mobile'));
+      await findKey(hashApiKey('key-backend'));
+
+      expect(secretsManager.getSecretValue).toHaveBeenCalledTimes(1);
+      expect(secretsManager.getSecretValue).toHaveBeenCalledWith({ SecretId: 'push/api-keys' });
+    });
+
+    test('should reject unknown sources', () => {
+      expect(() => createKeySource('ldap:keys')).toThrow('Unknown API key source');
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AudienceFilter, DROP_REASON, SuppressionList, keyOf } = require('../../lib/audience-filter');
+
+const checkAll = (filter, notifications) => notifications.map(notification => filter.check(notification));
+
+describe('Audience Filter Unit Tests', () => {
+  describe('Deduplication', () => {
+    test('should drop repeats of a device token', () => {
+      const filter = new AudienceFilter();
+
+      expect(checkAll(filter, [
+        { fcmToken: 'token-1', title: 'A' },
+        { fcmToken: 'token-2', title: 'A' },
+        { fcmToken: 'token-1', title: 'B' },
+        { platform: 'ios', deviceToken: 'token-1', title: 'A' }
+      ])).toEqual([null, null, DROP_REASON.DUPLICATE, DROP_REASON.DUPLICATE]);
+    });
+
+    test('should dedupe by a configured field and keep entries without one', () => {
+      const filter = new AudienceFilter({ dedupeKey: 'data.userId' });
+
+      expect(checkAll(filter, [
+        { fcmToken: 'phone', data: { userId: 42 } },
+        { fcmToken: 'tablet', data: { userId: '42' } },
+        { fcmToken: 'phone' },
+        { fcmToken: 'phone' }
+      ])).toEqual([null, DROP_REASON.DUPLICATE, null, null]);
+      expect(keyOf({ userId: 'u-1' }, 'userId')).toBe('u-1');
+    });
+
+    test('should keep every entry when deduplication is off', () => {
+      const filter = new AudienceFilter({ dedupeKey: null });
+
+      expect(checkAll(filter, [{ fcmToken: 'a' }, { fcmToken: 'a' }])).toEqual([null, null]);
+    });
+  });
+
+  describe('Suppression Lists', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audience-filter-'));
+    });
+
+    test('should load plain lists and keep record reasons', async() => {
+      const unsubscribed = path.join(dir, 'unsubscribed.txt');
+      const invalid = path.join(dir, 'invalid-tokens.ndjson');
+      fs.writeFileSync(unsubscribed, '# unsubscribed\nuser-7\n\n  token-3  # via support\n');
+      fs.writeFileSync(invalid, '{"token":"token-9","platform":"android","reason":"INVALID_TOKEN"}\n');
+
+      const list = await SuppressionList.fromFiles([unsubscribed, invalid]);
+
+      expect(list.size).toBe(3);
+      expect(list.reasonFor('user-7')).toBe(DROP_REASON.SUPPRESSED);
+      expect(list.reasonFor('token-9')).toBe('INVALID_TOKEN');
+    });
+
+    test('should reject records without a token or user ID', async() => {
+      const filePath = path.join(dir, 'suppress.csv');
+      fs.writeFileSync(filePath, 'email\nsomeone@example.com\n');
+
+      await expect(new SuppressionList().load(filePath)).rejects.toThrow('Suppression entry 1');
+    });
+
+    test('should drop suppressed tokens and user IDs before deduplicating', () => {
+      const suppression = new SuppressionList();
+      suppression.add('token-9', 'INVALID_TOKEN');
+      suppression.add('user-7');
+      const filter = new AudienceFilter({ suppression });
+
+      expect(checkAll(filter, [
+        { fcmToken: 'token-9' },
+        { fcmToken: 'token-1', userId: 'user-7' },
+        { fcmToken: 'token-9' },
+        { fcmToken: 'token-1' }
+      ])).toEqual(['INVALID_TOKEN', DROP_REASON.SUPPRESSED, 'INVALID_TOKEN', null]);
+    });
+  });
+});
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BatchJournal, entryId } = require('../../lib/batch-journal');
+
+describe('Batch Journal Unit Tests', () => {
+  let journalPath;
+
+  beforeEach(() => {
+    journalPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'batch-journal-')), 'runs', 'campaign.journal');
+  });
+
+  test('should identify entries by position and content', () => {
+    const entry = { fcmToken: 'token-1', title: 'Hi' };
+
+    expect(entryId(entry, 0)).toBe(entryId({ title: 'Hi', fcmToken: 'token-1' }, 0));
+    expect(entryId(entry, 0)).not.toBe(entryId(entry, 1));
+    expect(entryId(entry, 0)).not.toBe(entryId({ ...entry, title: 'Hello' }, 0));
+  });
+
+  test('should start empty when no journal exists', () => {
+    expect(new BatchJournal(journalPath).load().size).toBe(0);
+  });
+
+  test('should append outcomes and keep the latest per entry', () => {
+    const journal = new BatchJournal(journalPath);
+    journal.record('0:a', 0, { success: true, messageId: 'msg-1', attempts: 1 });
+    journal.record('1:b', 1, { success: false, error: { code: 'DELIVERY_FAILED' }, attempts: 4 });
+    journal.record('1:b', 1, { success: true, messageId: 'msg-2', attempts: 1 });
+
+    const outcomes = new BatchJournal(journalPath).load();
+
+    expect(fs.readFileSync(journalPath, 'utf8').trim().split('\n')).toHaveLength(3);
+    expect(outcomes.get('0:a')).toMatchObject({ index: 0, success: true, messageId: 'msg-1' });
+    expect(outcomes.get('1:b')).toMatchObject({ success: true, messageId: 'msg-2' });
+  });
+
+  test('should ignore a torn last line from an interrupted run', () => {
+    const journal = new BatchJournal(journalPath);
+    journal.record('0:a', 0, { success: true, messageId: 'msg-1' });
+    fs.appendFileSync(journalPath, '{"entryId":"1:b","succ');
+
+    expect([...journal.load().keys()]).toEqual(['0:a']);
+  });
+});
@@ -0,0 +1,223 @@
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BatchNotificationSender = require('../../tools/batch-sender');
+const { sampleIndices } = BatchNotificationSender;
+const { BatchJournal } = require('../../lib/batch-journal');
+const { DeviceRegistry } = require('../../lib/device-registry');
+const { PreferenceCenter } = require('../../lib/preferences');
+const { QuietHoursPolicy } = require('../../lib/quiet-hours');
+const { MemoryStore } = require('../../lib/store');
+
+const DEVICES = [
+  { deviceId: 'd-1', userId: 'u-1', platform: 'android', deviceToken: 'fcm-token-1', active: true },
+  { deviceId: 'd-2', userId: 'u-1', platform: 'android', deviceToken: 'fcm-token-2', active: true }
+];
+
+describe('Batch Sender Unit Tests', () => {
+  let journalPath;
+  let deviceRegistry;
+
+  // SNS client whose publishes to `failing` tokens are rejected as invalid
+  const snsClient = (failing = []) => ({
+    publish: jest.fn(params => ({
+      promise: () => (failing.some(token => params.Message.includes(token))
+        ? Promise.reject(Object.assign(new Error('Invalid parameter'), { code: 'InvalidParameter', statusCode: 400 }))
+        : Promise.resolve({ MessageId: `msg-${JSON.parse(JSON.parse(params.Message).default).fcmToken}` }))
+    }))
+  });
+
+  const createSender = (sns, options = {}) => new BatchNotificationSender({
+    sns,
+    snsTopicArn: 'arn:aws:sns:us-east-1:123456789012:push',
+    deviceRegistry,
+    journal: new BatchJournal(journalPath),
+    maxRetries: 0,
+    ...options
+  });
+
+  beforeEach(async() => {
+    journalPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'batch-sender-')), 'campaign.journal');
+    deviceRegistry = new DeviceRegistry({ sns: {}, store: new MemoryStore() });
+    await Promise.all(DEVICES.map(device => deviceRegistry.store.put(device.deviceId, device)));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Resume', () => {
+    test('should only publish to the devices a partly reached user row missed', async() => {
+      const rows = [{ userId: 'u-1', title: 'Order shipped', message: 'On its way' }];
+      const firstRun = snsClient(['fcm-token-2']);
+      const [partial] = await createSender(firstRun).sendBatch(rows);
+
+      expect(partial.success).toBe(false);
+      expect(partial.users[0]).toMatchObject({ status: 'partial', successful: 1, failed: 1 });
+
+      const resumedRun = snsClient();
+      const [resumed] = await createSender(resumedRun, { resume: true }).sendBatch(rows);
+
+      expect(resumedRun.publish).toHaveBeenCalledTimes(1);
+      expect(resumedRun.publish.mock.calls[0][0].Message).toContain('fcm-token-2');
+      expect(resumed.success).toBe(true);
+      expect(resumed.users[0].results).toEqual([
+        expect.objectContaining({ deviceId: 'd-1', skipped: true, messageId: 'msg-fcm-token-1' }),
+        expect.objectContaining({ deviceId: 'd-2', success: true, messageId: 'msg-fcm-token-2' })
+      ]);
+    });
+  });
+
+  describe('Quiet Hours', () => {
+    const night = (quietHours = '22:00-08:00') => new QuietHoursPolicy({ quietHours, now: () => Date.parse('2025-06-11T23:00:00Z') });
+    const rows = [{ fcmToken: 'fcm-token-1', title: 'Weekly digest', message: 'Your week in review' }];
+
+    test('should refuse to defer rows without a journal to resume them from', async() => {
+      const sns = snsClient();
+      const sender = createSender(sns, { journal: null, quietHoursPolicy: night() });
+
+      await expect(sender.sendBatch(rows)).rejects.toMatchObject({ code: 'INVALID_PAYLOAD' });
+      // A row's own quiet hours are only known once the row is read
+      await expect(createSender(sns, { journal: null, quietHoursPolicy: night(null) })
+        .sendBatch([{ ...rows[0], quietHours: '23:00-07:00' }])).rejects.toThrow('Row 1 falls in quiet hours');
+      expect(sns.publish).not.toHaveBeenCalled();
+    });
+
+    test('should send deferred rows on a resume after the window', async() => {
+      const sns = snsClient();
+      const [deferred] = await createSender(sns, { quietHoursPolicy: night() }).sendBatch(rows);
+      const [sent] = await createSender(sns, { resume: true }).sendBatch(rows);
+
+      expect(deferred).toMatchObject({ deferred: true, deferredUntil: '2025-06-12T08:00:00.000Z' });
+      expect(sent).toMatchObject({ success: true, messageId: 'msg-fcm-token-1' });
+      expect(sns.publish).toHaveBeenCalledTimes(1);
+    });
+
+    test('should defer a user row by the time zone stored in the user\'s preferences', async() => {
+      const sns = snsClient();
+      const preferences = new PreferenceCenter({ store: new MemoryStore() });
+      await preferences.update('u-1', { timeZone: 'Asia/Tokyo' });
+      // 14:00 in UTC is 23:00 in Tokyo
+      const afternoon = new QuietHoursPolicy({ quietHours: '22:00-08:00', now: () => Date.parse('2025-06-11T14:00:00Z') });
+      const userRows = [{ userId: 'u-1', title: 'Weekly digest', message: 'Your week in review' }, ...rows];
+
+      const [deferred, sent] = await createSender(sns, { preferences, quietHoursPolicy: afternoon }).sendBatch(userRows);
+      expect(deferred).toMatchObject({ success: false, deferred: true, deferredUntil: '2025-06-11T23:00:00.000Z' });
+      expect(deferred.users[0].results).toEqual([
+        expect.objectContaining({ deviceId: 'd-1', deferred: true, timeZone: 'Asia/Tokyo' }),
+        expect.objectContaining({ deviceId: 'd-2', deferred: true, timeZone: 'Asia/Tokyo' })
+      ]);
+      expect(sent).toMatchObject({ success: true, messageId: 'msg-fcm-token-1' });
+
+      const [resumed] = await createSender(sns, { preferences, resume: true }).sendBatch(userRows);
+      expect(resumed.success).toBe(true);
+      expect(sns.publish).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('Dry Run', () => {
+    const rows = [
+      { fcmToken: 'fcm-token-1', title: 'Sale', message: 'Today only' },
+      { fcmToken: 'fcm-token-2', title: 'Sale', message: 'Today only' },
+      { fcmToken: 'fcm-token-1', title: 'Sale', message: 'Today only' },
+      { title: 'No token' }
+    ];
+
+    test('should render every row without publishing', async() => {
+      const sns = snsClient();
+      const lines = [];
+      const report = await createSender(sns, { dedupeKey: null }).previewBatch(rows, { write: line => lines.push(line) });
+
+      expect(sns.publish).not.toHaveBeenCalled();
+      expect(report).toMatchObject({ total: 4, renderable: 2, invalid: 1, dropped: { DUPLICATE: 1 }, byPlatform: { android: 3 } });
+      expect(lines.map(line => line.index)).toEqual([0, 1, 2, 3]);
+      expect(JSON.parse(lines[1].params.Message).GCM).toContain('Today only');
+      expect(lines[2]).toMatchObject({ dropped: 'DUPLICATE', duplicateOf: 0 });
+      expect(lines[3].error.details).toEqual(['Missing fcmToken']);
+    });
+
+    test('should only preview the sampled rows, keeping their file index', async() => {
+      const lines = [];
+      const report = await createSender(snsClient()).previewBatch(rows, { only: new Set([1, 3]), write: line => lines.push(line) });
+
+      expect(report).toMatchObject({ total: 2, renderable: 1, invalid: 1 });
+      expect(lines.map(line => line.index)).toEqual([1, 3]);
+    });
+  });
+
+  describe('Sampling', () => {
+    test('should pick distinct indexes within the file', () => {
+      const sample = sampleIndices(1000, 50);
+
+      expect(sample.size).toBe(50);
+      [...sample].forEach(index => {
+        expect(Number.isInteger(index)).toBe(true);
+        expect(index).toBeGreaterThanOrEqual(0);
+        expect(index).toBeLessThan(1000);
+      });
+    });
+
+    test('should take every row when the sample is larger than the file', () => {
+      expect([...sampleIndices(3, 10)].sort()).toEqual([0, 1, 2]);
+      expect(sampleIndices(0, 5).size).toBe(0);
+    });
+
+    test('should follow the random source it is given', () => {
+      // Each pick lands on 0; once 0 is taken the candidate itself is chosen
+      expect([...sampleIndices(10, 3, () => 0)]).toEqual([0, 8, 9]);
+    });
+  });
+
+  describe('CLI', () => {
+    let dir;
+    let filePath;
+
+    const run = (...args) => spawnSync(process.execPath, [path.join(__dirname, '../../tools/batch-sender.js'), '--file', filePath, ...args], {
+      encoding: 'utf8',
+      timeout: 30000,
+      env: { ...process.env, SNS_TOPIC_ARN: '' }
+    });
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-sender-cli-'));
+      filePath = path.join(dir, 'campaign.ndjson');
+      fs.writeFileSync(filePath, [
+        { fcmToken: 'fcm-token-1', title: 'Sale', message: 'Today only' },
+        { fcmToken: 'fcm-token-2', title: 'Sale', message: 'Today only' }
+      ].map(row => JSON.stringify(row)).join('\n') + '\n');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should write the --dry-run preview without a topic ARN', () => {
+      const output = path.join(dir, 'preview.ndjson');
+      const result = run('--dry-run', '--output', output);
+      const lines = fs.readFileSync(output, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+      expect(result.status).toBe(0);
+      expect(result.stdout).toContain('DRY RUN');
+      expect(lines.map(line => line.deviceToken)).toEqual(['fcm-token-1', 'fcm-token-2']);
+    });
+
+    test('should refuse --sample without --journal before sending', () => {
+      const result = run('--sample', '1', '--topic-arn', 'arn:aws:sns:us-east-1:123456789012:push');
+
+      expect(result.status).toBe(1);
+      expect(result.stderr).toContain('--sample sends a canary the full run must --resume past, so it needs --journal');
+      expect(result.stdout).not.toContain('Read 2 notifications');
+    });
+
+    test('should refuse rows with their own quiet hours without --journal before sending', () => {
+      fs.appendFileSync(filePath, JSON.stringify({ fcmToken: 'fcm-token-3', title: 'Sale', message: 'Today only', quietHours: '22:00-08:00' }) + '\n');
+      const result = run('--topic-arn', 'arn:aws:sns:us-east-1:123456789012:push');
+
+      expect(result.status).toBe(1);
+      expect(result.stderr).toContain('Notification 3 sets its own quietHours or timeZone');
+      expect(result.stdout).not.toContain('Sending');
+    });
+  });
+});
@@ -0,0 +1,162 @@
+const path = require('path');
+const {
+  CampaignProducer,
+  CampaignWorker,
+  MemoryQueue,
+  loadDeadLetterQueueUrl,
+  queueUrlFromArn
+} = require('../../lib/campaign-queue');
+const { RetryPolicy } = require('../../lib/retry-policy');
+
+const CONFIG_DIR = path.join(__dirname, '..', '..', 'config', 'environments');
+
+function providerError(code, statusCode) {
+  const error = new Error(code);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+}
+
+const notifications = count => Array.from({ length: count }, (_, i) => ({ fcmToken: `token-${i}`, title: `N${i}` }));
+
+describe('Campaign Queue Unit Tests', () => {
+  describe('Dead-Letter Queue', () => {
+    test('should convert queue ARNs to URLs', () => {
+      expect(queueUrlFromArn('arn:aws:sqs:us-east-1:123456789012:push-dlq'))
+        .toBe('https://sqs.us-east-1.amazonaws.com/123456789012/push-dlq');
+      expect(queueUrlFromArn('arn:aws:sqs:us-east-1:ACCOUNT_ID:push-dlq')).toBeNull();
+    });
+
+    test('should prefer the deployed ARN over the config placeholder', () => {
+      expect(loadDeadLetterQueueUrl({ ENVIRONMENT: 'prod' }, CONFIG_DIR)).toBeNull();
+      expect(loadDeadLetterQueueUrl({
+        ENVIRONMENT: 'prod',
+        CAMPAIGN_DLQ_ARN: 'arn:aws:sqs:us-east-1:123456789012:push-notifications-dlq'
+      }, CONFIG_DIR)).toBe('https://sqs.us-east-1.amazonaws.com/123456789012/push-notifications-dlq');
+    });
+  });
+
+  describe('Producer', () => {
+    test('should enqueue jobs in chunks of ten', async() => {
+      const queue = new MemoryQueue();
+      jest.spyOn(queue, 'sendMessageBatch');
+      const producer = new CampaignProducer({ sqs: queue, queueUrl: queue.queueUrl, campaignId: 'spring-sale' });
+
+      const summary = await producer.enqueue(notifications(23));
+
+      expect(summary).toEqual({ campaignId: 'spring-sale', enqueued: 23, failed: 0, failures: [] });
+      expect(queue.sendMessageBatch.mock.calls.map(([params]) => params.Entries.length)).toEqual([10, 10, 3]);
+      expect(JSON.parse(queue.messages[12].body)).toEqual({
+        campaignId: 'spring-sale',
+        index: 12,
+        notification: { fcmToken: 'token-12', title: 'N12' }
+      });
+    });
+
+    test('should resend entries SQS failed on its side and report sender faults', async() => {
+      const sendMessageBatch = jest.fn()
+        .mockReturnValueOnce({
+          promise: async() => ({
+            Successful: [{ Id: '0' }],
+            Failed: [
+              { Id: '1', Code: 'InternalError', SenderFault: false },
+              { Id: '2', Code: 'InvalidMessageContents', Message: 'bad characters', SenderFault: true }
+            ]
+          })
+        })
+        .mockReturnValueOnce({ promise: async() => ({ Successful: [{ Id: '1' }], Failed: [] }) });
+      const producer = new CampaignProducer({
+        sqs: { sendMessageBatch },
+        queueUrl: 'https://sqs.local/queue',
+        retryPolicy: new RetryPolicy({ sleep: async() => {} })
+      });
+
+      const summary = await producer.enqueue(notifications(3));
+
+      expect(sendMessageBatch.mock.calls[1][0].Entries.map(entry => entry.Id)).toEqual(['1']);
+      expect(summary).toMatchObject({
+        enqueued: 2,
+        failed: 1,
+        failures: [{ index: 2, code: 'InvalidMessageContents', message: 'bad characters' }]
+      });
+    });
+  });
+
+  describe('Worker', () => {
+    let queue;
+    let dlq;
+    let send;
+    let worker;
+
+    beforeEach(async() => {
+      queue = new MemoryQueue();
+      dlq = new MemoryQueue({ queueUrl: 'memory://dlq' });
+      send = jest.fn(async() => ({ messageId: 'sns-1' }));
+      worker = new CampaignWorker({ send, sqs: dlq, deadLetterQueueUrl: dlq.queueUrl, maxReceiveCount: 3 });
+      await new CampaignProducer({ sqs: queue, queueUrl: queue.queueUrl, campaignId: 'c1' }).enqueue(notifications(3));
+    });
+
+    test('should send every job and acknowledge the batch', async() => {
+      const event = queue.receiveEvent();
+      const response = await worker.handle(event);
+      queue.acknowledge(event, response);
+
+      expect(response).toEqual({
+        batchItemFailures: [],
+        summary: { received: 3, sent: 3, retry: 0, deadLettered: 0 }
+      });
+      expect(send).toHaveBeenCalledWith(expect.objectContaining({ campaignId: 'c1', index: 0 }), expect.any(Object));
+      expect(queue.messages).toHaveLength(0);
+    });
+
+    test('should report transient failures for redelivery only', async() => {
+      send.mockRejectedValueOnce(providerError('Throttling', 400));
+
+      const event = queue.receiveEvent();
+      const response = await worker.handle(event);
+      queue.acknowledge(event, response);
+
+      expect(response.batchItemFailures).toEqual([{ itemIdentifier: 'msg-1' }]);
+      expect(queue.messages.map(message => message.messageId)).toEqual(['msg-1']);
+      expect(dlq.messages).toHaveLength(0);
+    });
+
+    test('should dead-letter permanent failures with the reason', async() => {
+      send.mockRejectedValueOnce(providerError('EndpointDisabled', 400));
+
+      const response = await worker.handle(queue.receiveEvent());
+
+      expect(response.batchItemFailures).toEqual([]);
+      expect(response.summary.deadLettered).toBe(1);
+      expect(dlq.messages[0].attributes).toMatchObject({
+        failure_code: { StringValue: 'INVALID_TOKEN' },
+        source_message_id: { StringValue: 'msg-1' }
+      });
+    });
+
+    test('should dead-letter unparsable jobs and jobs out of receives', async() => {
+      send.mockRejectedValue(providerError('Throttling', 400));
+      const event = {
+        Records: [
+          { messageId: 'poison', body: 'not json', attributes: { ApproximateReceiveCount: '1' } },
+          { ...queue.receiveEvent(1).Records[0], attributes: { ApproximateReceiveCount: '3' } }
+        ]
+      };
+
+      const response = await worker.handle(event);
+
+      expect(response.batchItemFailures).toEqual([]);
+      expect(dlq.messages.map(message => message.attributes.failure_code.StringValue))
+        .toEqual(['INVALID_PAYLOAD', 'RATE_LIMIT_EXCEEDED']);
+    });
+
+    test('should leave records on the queue when dead-lettering is impossible', async() => {
+      worker.deadLetterQueueUrl = null;
+      send.mockRejectedValueOnce(providerError('EndpointDisabled', 400));
+
+      const response = await worker.handle(queue.receiveEvent(1));
+
+      expect(response.batchItemFailures).toEqual([{ itemIdentifier: 'msg-1' }]);
+    });
+  });
+});
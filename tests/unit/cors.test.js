@@ -0,0 +1,94 @@
+const path = require('path');
+const { CorsPolicy, DEFAULT_POLICY, loadCorsPolicy } = require('../../lib/cors');
+
+const CONFIG_DIR = path.join(__dirname, '..', '..', 'config', 'environments');
+
+describe('CORS Policy Unit Tests', () => {
+  describe('Loading', () => {
+    test('should read the policy from environment variables', () => {
+      const policy = loadCorsPolicy({
+        CORS_ALLOW_ORIGINS: 'https://a.example.com https://b.example.com',
+        CORS_ALLOW_METHODS: 'POST,OPTIONS',
+        CORS_ALLOW_HEADERS: 'Content-Type, X-API-Key'
+      }, CONFIG_DIR);
+
+      expect(policy).toMatchObject({
+        enabled: true,
+        allowOrigins: ['https://a.example.com', 'https://b.example.com'],
+        allowMethods: ['POST', 'OPTIONS'],
+        allowHeaders: ['Content-Type', 'X-API-Key']
+      });
+    });
+
+    test('should fall back to the environment config file', () => {
+      const policy = loadCorsPolicy({ ENVIRONMENT: 'prod' }, CONFIG_DIR);
+
+      expect(policy.allowOrigins).toEqual(['https://app.company.com', 'https://www.company.com']);
+      expect(policy.allowMethods).toEqual(['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS']);
+    });
+
+    test('should allow every method the API routes use in each environment', () => {
+      ['dev', 'staging', 'prod'].forEach(environment => {
+        const policy = loadCorsPolicy({ ENVIRONMENT: environment }, CONFIG_DIR);
+
+        expect(policy.allowMethods).toEqual(expect.arrayContaining(['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS']));
+      });
+    });
+
+    test('should default to any origin without configuration', () => {
+      expect(loadCorsPolicy({ ENVIRONMENT: 'missing' }, CONFIG_DIR)).toBe(DEFAULT_POLICY);
+    });
+  });
+
+  describe('Responses', () => {
+    const cors = new CorsPolicy({
+      ...DEFAULT_POLICY,
+      allowOrigins: ['https://app.company.com'],
+      allowMethods: ['POST', 'OPTIONS']
+    });
+
+    test('should echo only allowed origins', () => {
+      const response = cors.apply({ statusCode: 200, headers: { 'Content-Type': 'application/json' } }, {
+        origin: 'https://app.company.com'
+      });
+
+      expect(response.headers).toEqual({
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': 'https://app.company.com',
+        'Access-Control-Expose-Headers': 'Retry-After, Idempotent-Replayed',
+        Vary: 'Origin'
+      });
+      expect(cors.headersFor({ Origin: 'https://evil.example.com' })).toEqual({ Vary: 'Origin' });
+    });
+
+    test('should answer preflights for allowed origins and methods', () => {
+      const response = cors.preflight({
+        Origin: 'https://app.company.com',
+        'Access-Control-Request-Method': 'POST'
+      });
+
+      expect(response.statusCode).toBe(204);
+      expect(response.headers).toMatchObject({
+        'Access-Control-Allow-Origin': 'https://app.company.com',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key, Idempotency-Key',
+        'Access-Control-Max-Age': '600'
+      });
+    });
+
+    test('should withhold CORS headers from disallowed preflights', () => {
+      const wrongOrigin = cors.preflight({ Origin: 'https://evil.example.com', 'Access-Control-Request-Method': 'POST' });
+      const wrongMethod = cors.preflight({ Origin: 'https://app.company.com', 'Access-Control-Request-Method': 'DELETE' });
+
+      expect(wrongOrigin.headers).toEqual({ Vary: 'Origin' });
+      expect(wrongMethod.headers).toEqual({ Vary: 'Origin' });
+    });
+
+    test('should add nothing when CORS is disabled', () => {
+      const disabled = new CorsPolicy({ ...DEFAULT_POLICY, enabled: false });
+
+      expect(disabled.headersFor({ origin: 'https://app.company.com' })).toEqual({});
+      expect(disabled.preflight({ origin: 'https://app.company.com' }).headers).toEqual({ Vary: 'Origin' });
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const AWS = require('aws-sdk');
+const AWSMock = require('aws-sdk-mock');
+
+const FCM_TOKEN = 'fcm-token-abcdef-0123456789';
+const ENDPOINT_ARN = 'arn:aws:sns:us-east-1:123456789012:endpoint/GCM/app/device-1';
+
+describe('Device Lambda handler', () => {
+  let lambda;
+  let createPlatformEndpoint;
+  let setEndpointAttributes;
+  let publish;
+
+  const invoke = (httpMethod, resource, body, pathParameters) => lambda.handler({
+    httpMethod,
+    resource,
+    pathParameters,
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  }, { awsRequestId: 'request-1' });
+
+  const parse = response => JSON.parse(response.body);
+
+  const register = async(request = { deviceToken: FCM_TOKEN, platform: 'android', userId: 'user-1' }) =>
+    parse(await invoke('POST', '/device/register', request));
+
+  beforeAll(() => {
+    process.env.SNS_PLATFORM_APPLICATION_ARN = 'arn:aws:sns:us-east-1:123456789012:app/GCM/app';
+
+    createPlatformEndpoint = jest.fn((params, callback) => callback(null, { EndpointArn: ENDPOINT_ARN }));
+    setEndpointAttributes = jest.fn((params, callback) => callback(null, {}));
+    publish = jest.fn((params, callback) => callback(null, { MessageId: 'message-1' }));
+
+    // The Lambda builds its SNS client when it loads, so the mocks go in first
+    AWSMock.setSDKInstance(AWS);
+    AWSMock.mock('SNS', 'createPlatformEndpoint', createPlatformEndpoint);
+    AWSMock.mock('SNS', 'setEndpointAttributes', setEndpointAttributes);
+    AWSMock.mock('SNS', 'publish', publish);
+
+    lambda = require('../../AWS-Push-Notifications-main/Source-Code/Lambda-Function/index');
+  });
+
+  afterAll(() => {
+    AWSMock.restore('SNS');
+    delete process.env.SNS_PLATFORM_APPLICATION_ARN;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('POST /device/register', () => {
+    test('should create an SNS endpoint and store the device', async() => {
+      const response = await invoke('POST', '/device/register', { deviceToken: FCM_TOKEN, platform: 'android', userId: 'user-1' });
+      const body = parse(response);
+
+      expect(response.statusCode).toBe(201);
+      expect(body.snsEndpointArn).toBe(ENDPOINT_ARN);
+      expect(createPlatformEndpoint).toHaveBeenCalledWith(expect.objectContaining({
+        PlatformApplicationArn: process.env.SNS_PLATFORM_APPLICATION_ARN,
+        Token: FCM_TOKEN
+      }), expect.any(Function));
+      await expect(lambda.registry.getDevice(body.deviceId)).resolves.toMatchObject({ userId: 'user-1', active: true });
+    });
+
+    test('should reject an invalid registration without calling SNS', async() => {
+      const response = await invoke('POST', '/device/register', { deviceToken: 'short', platform: 'windows' });
+      const body = parse(response);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error.code).toBe('INVALID_PAYLOAD');
+      expect(body.error.details).toEqual(['Invalid deviceToken format', 'Unsupported platform: windows']);
+      expect(createPlatformEndpoint).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /device/{deviceId}/token', () => {
+    test('should replace the token on the device endpoint', async() => {
+      const { deviceId } = await register();
+      const response = await invoke('PUT', '/device/{deviceId}/token', { deviceToken: 'fcm-token-rotated-0123456789' }, { deviceId });
+
+      expect(response.statusCode).toBe(200);
+      expect(parse(response).deviceId).toBe(deviceId);
+      expect(setEndpointAttributes).toHaveBeenCalledWith({
+        EndpointArn: ENDPOINT_ARN,
+        Attributes: { Token: 'fcm-token-rotated-0123456789', Enabled: 'true' }
+      }, expect.any(Function));
+    });
+
+    test('should require a deviceToken', async() => {
+      const { deviceId } = await register();
+      const response = await invoke('PUT', '/device/{deviceId}/token', {}, { deviceId });
+
+      expect(response.statusCode).toBe(400);
+      expect(parse(response).error.details).toEqual(['Missing deviceToken']);
+    });
+
+    test('should reject a malformed token without updating the endpoint', async() => {
+      const { deviceId } = await register();
+      const response = await invoke('PUT', '/device/{deviceId}/token', { deviceToken: 'short' }, { deviceId });
+
+      expect(response.statusCode).toBe(400);
+      expect(parse(response).error.details).toEqual(['Invalid deviceToken format']);
+      expect(setEndpointAttributes).not.toHaveBeenCalled();
+    });
+
+    test('should answer 404 for an unknown deviceId', async() => {
+      const response = await invoke('PUT', '/device/{deviceId}/token', { deviceToken: FCM_TOKEN }, { deviceId: 'device_missing' });
+
+      expect(response.statusCode).toBe(404);
+      expect(parse(response).error.code).toBe('DEVICE_NOT_FOUND');
+      expect(setEndpointAttributes).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /notification/send', () => {
+    test('should publish to the registered device endpoint', async() => {
+      const { deviceId } = await register();
+      const response = await invoke('POST', '/notification/send', { deviceId, title: 'Hello', message: 'World' });
+      const body = parse(response);
+
+      expect(response.statusCode).toBe(200);
+      expect(body).toMatchObject({ success: true, deviceId, messageId: 'message-1' });
+      expect(publish).toHaveBeenCalledTimes(1);
+      expect(publish.mock.calls[0][0].TargetArn).toBe(ENDPOINT_ARN);
+    });
+
+    test('should require a deviceId', async() => {
+      const response = await invoke('POST', '/notification/send', { title: 'Hello' });
+
+      expect(response.statusCode).toBe(400);
+      expect(parse(response).error.details).toEqual(['Missing deviceId']);
+      expect(publish).not.toHaveBeenCalled();
+    });
+
+    test('should answer 404 for an unknown deviceId', async() => {
+      const response = await invoke('POST', '/notification/send', { deviceId: 'device_missing', title: 'Hello' });
+
+      expect(response.statusCode).toBe(404);
+      expect(parse(response).error.code).toBe('DEVICE_NOT_FOUND');
+      expect(publish).not.toHaveBeenCalled();
+    });
+  });
+
+  test('should answer 404 for an unknown route', async() => {
+    const response = await invoke('DELETE', '/device/register', {});
+
+    expect(response.statusCode).toBe(404);
+    expect(parse(response).error.code).toBe('NOT_FOUND');
+  });
+
+  test('should reject a body that is not JSON', async() => {
+    const response = await invoke('POST', '/notification/send', '{not json');
+
+    expect(response.statusCode).toBe(400);
+    expect(parse(response).error.message).toBe('Invalid JSON in request body');
+  });
+});
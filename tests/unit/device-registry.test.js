@@ -0,0 +1,205 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEVICE_INDEXES, DeviceRegistry } = require('../../lib/device-registry');
+const { DynamoDBStore, MemoryStore, FileStore } = require('../../lib/store');
+
+const PLATFORM_APPLICATION_ARN = 'arn:aws:sns:us-east-1:123456789012:app/GCM/PushNotifications';
+const ENDPOINT_ARN = 'arn:aws:sns:us-east-1:123456789012:endpoint/GCM/PushNotifications/abc-123';
+const APNS_PLATFORM_APPLICATION_ARN = 'arn:aws:sns:us-east-1:123456789012:app/APNS/PushNotifications';
+const APNS_TOKEN = 'a'.repeat(64);
+
+describe('Device Registry Unit Tests', () => {
+  let sns;
+  let registry;
+
+  beforeEach(() => {
+    sns = {
+      createPlatformEndpoint: global.testUtils.awsResponse({ EndpointArn: ENDPOINT_ARN }),
+      setEndpointAttributes: global.testUtils.awsResponse({})
+    };
+    registry = new DeviceRegistry({
+      sns,
+      store: new MemoryStore(),
+      platformApplicationArn: PLATFORM_APPLICATION_ARN,
+      apnsPlatformApplicationArn: APNS_PLATFORM_APPLICATION_ARN
+    });
+  });
+
+  describe('Validation', () => {
+    test('should require a device token', () => {
+      expect(registry.validateRegistration({})).toContain('Missing deviceToken');
+    });
+
+    test('should reject unsupported platforms', () => {
+      const errors = registry.validateRegistration({
+        deviceToken: 'fcm-token-1234567890',
+        platform: 'windows'
+      });
+
+      expect(errors).toContain('Unsupported platform: windows');
+    });
+
+    test('should validate APNs token format for iOS devices', () => {
+      expect(registry.validateRegistration({ deviceToken: APNS_TOKEN, platform: 'ios' })).toEqual([]);
+      expect(registry.validateRegistration({ deviceToken: 'fcm-token-1234567890', platform: 'ios' })[0])
+        .toMatch(/^Invalid deviceToken format/);
+    });
+  });
+
+  describe('Registration', () => {
+    test('should create a platform endpoint and persist the mapping', async() => {
+      const device = await registry.register({
+        deviceToken: 'fcm-token-1234567890',
+        userId: 'user-1',
+        deviceInfo: { model: 'Pixel 5' }
+      });
+
+      expect(sns.createPlatformEndpoint).toHaveBeenCalledWith({
+        PlatformApplicationArn: PLATFORM_APPLICATION_ARN,
+        Token: 'fcm-token-1234567890',
+        CustomUserData: JSON.stringify({ userId: 'user-1' })
+      });
+      expect(device.deviceId).toMatch(/^device_/);
+      expect(device.snsEndpointArn).toBe(ENDPOINT_ARN);
+      expect(await registry.resolveEndpoint(device.deviceId)).toBe(ENDPOINT_ARN);
+    });
+
+    test('should reuse the device id when a token registers twice', async() => {
+      const first = await registry.register({ deviceToken: 'fcm-token-1234567890' });
+      const second = await registry.register({ deviceToken: 'fcm-token-1234567890' });
+
+      expect(second.deviceId).toBe(first.deviceId);
+      expect(second.registeredAt).toBe(first.registeredAt);
+    });
+
+    test('should keep the device locale across re-registration', async() => {
+      const first = await registry.register({ deviceToken: 'fcm-token-1234567890', locale: 'pt_br' });
+      const second = await registry.register({ deviceToken: 'fcm-token-1234567890' });
+
+      expect(first.locale).toBe('pt-BR');
+      expect(second.locale).toBe('pt-BR');
+      expect(registry.validateRegistration({ deviceToken: 'fcm-token-1234567890', locale: 'Portuguese' }))
+        .toEqual(['Invalid locale: Portuguese']);
+    });
+
+    test('should register iOS devices against the APNs platform application', async() => {
+      const device = await registry.register({ deviceToken: APNS_TOKEN, platform: 'ios' });
+
+      expect(sns.createPlatformEndpoint).toHaveBeenCalledWith({
+        PlatformApplicationArn: APNS_PLATFORM_APPLICATION_ARN,
+        Token: APNS_TOKEN
+      });
+      expect(device.platform).toBe('ios');
+    });
+
+    test('should fail without a platform application ARN', async() => {
+      delete process.env.SNS_PLATFORM_APPLICATION_ARN;
+      const unconfigured = new DeviceRegistry({ sns });
+
+      await expect(unconfigured.register({ deviceToken: 'fcm-token-1234567890' }))
+        .rejects.toThrow('platform application ARN');
+    });
+  });
+
+  describe('Token Updates', () => {
+    test('should update the endpoint token and re-enable it', async() => {
+      const device = await registry.register({ deviceToken: 'fcm-token-1234567890' });
+      const updated = await registry.updateToken(device.deviceId, 'fcm-token-0987654321');
+
+      expect(sns.setEndpointAttributes).toHaveBeenCalledWith({
+        EndpointArn: ENDPOINT_ARN,
+        Attributes: { Token: 'fcm-token-0987654321', Enabled: 'true' }
+      });
+      expect(updated.deviceToken).toBe('fcm-token-0987654321');
+    });
+
+    test('should reject a token that is not valid for the device platform', async() => {
+      const device = await registry.register({ deviceToken: APNS_TOKEN, platform: 'ios' });
+      await registry.deactivate(device.deviceId);
+
+      await expect(registry.updateToken(device.deviceId, 'fcm-token-0987654321')).rejects.toMatchObject({
+        code: 'INVALID_PAYLOAD',
+        details: [expect.stringMatching(/^Invalid deviceToken format: /)]
+      });
+      await expect(registry.updateToken(device.deviceId, 'short')).rejects.toMatchObject({
+        details: ['Invalid deviceToken format']
+      });
+      expect(sns.setEndpointAttributes).not.toHaveBeenCalled();
+      expect(await registry.getDevice(device.deviceId)).toMatchObject({ deviceToken: APNS_TOKEN, active: false });
+    });
+
+    test('should report DEVICE_NOT_FOUND for unknown devices', async() => {
+      await expect(registry.updateToken('device_missing', 'fcm-token-0987654321'))
+        .rejects.toMatchObject({ code: 'DEVICE_NOT_FOUND' });
+    });
+  });
+
+  describe('User Devices', () => {
+    test('should list a user\'s active devices across platforms', async() => {
+      const android = await registry.register({ deviceToken: 'fcm-token-1234567890', userId: 'user-1' });
+      const ios = await registry.register({ deviceToken: APNS_TOKEN, platform: 'ios', userId: 'user-1' });
+      await registry.register({ deviceToken: 'fcm-token-0987654321', userId: 'user-2' });
+
+      expect((await registry.listUserDevices('user-1')).map(device => device.deviceId))
+        .toEqual([android.deviceId, ios.deviceId]);
+    });
+
+    test('should leave deactivated devices out until their token is updated', async() => {
+      const device = await registry.register({ deviceToken: 'fcm-token-1234567890', userId: 'user-1' });
+
+      const deactivated = await registry.deactivate(device.deviceId);
+      expect(deactivated.active).toBe(false);
+      expect(await registry.listUserDevices('user-1')).toEqual([]);
+
+      await registry.updateToken(device.deviceId, 'fcm-token-0987654321');
+      expect(await registry.listUserDevices('user-1')).toHaveLength(1);
+    });
+
+    test('should look devices up by token and user without listing the store', async() => {
+      const list = jest.spyOn(registry.store, 'list');
+      const device = await registry.register({ deviceToken: 'fcm-token-1234567890', userId: 'user-1' });
+      await registry.register({ deviceToken: 'fcm-token-1234567890', userId: 'user-2' });
+
+      expect(await registry.findByToken('fcm-token-1234567890')).toMatchObject({ deviceId: device.deviceId, userId: 'user-2' });
+      expect(await registry.listUserDevices('user-1')).toEqual([]);
+      expect(await registry.listUserDevices('user-2')).toHaveLength(1);
+      expect(list).not.toHaveBeenCalled();
+    });
+
+    test('should query the DynamoDB token and user indexes', async() => {
+      const client = {
+        put: global.testUtils.awsResponse({}),
+        query: global.testUtils.awsResponse({ Items: [] }),
+        scan: global.testUtils.awsResponse({ Items: [] })
+      };
+      const dynamo = new DeviceRegistry({
+        sns,
+        store: new DynamoDBStore('devices', { keyName: 'deviceId', indexes: DEVICE_INDEXES, client }),
+        platformApplicationArn: PLATFORM_APPLICATION_ARN
+      });
+
+      await dynamo.register({ deviceToken: 'fcm-token-1234567890', userId: 42 });
+      await dynamo.listUserDevices(42);
+
+      expect(client.put.mock.calls[0][0].Item).toMatchObject({ deviceToken: 'fcm-token-1234567890', userId: '42' });
+      expect(client.query.mock.calls.map(([params]) => [params.IndexName, params.ExpressionAttributeValues[':partition']]))
+        .toEqual([['deviceToken-index', 'fcm-token-1234567890'], ['userId-index', '42']]);
+      expect(client.scan).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('File Store', () => {
+    test('should persist devices across registry instances', async() => {
+      const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'devices-')), 'devices.json');
+      const options = { sns, platformApplicationArn: PLATFORM_APPLICATION_ARN };
+
+      const device = await new DeviceRegistry({ ...options, store: new FileStore(filePath) })
+        .register({ deviceToken: 'fcm-token-1234567890' });
+      const reloaded = new DeviceRegistry({ ...options, store: new FileStore(filePath) });
+
+      expect(await reloaded.resolveEndpoint(device.deviceId)).toBe(ENDPOINT_ARN);
+      expect(await reloaded.findByToken('fcm-token-1234567890')).toMatchObject({ deviceId: device.deviceId });
+    });
+  });
+});
@@ -0,0 +1,34 @@
+const { validateDeviceToken, detectPlatform } = require('../../lib/device-token');
+
+const FCM_TOKEN = 'dGVzdC1kZXZpY2U:APA91b' + 'x'.repeat(140);
+const APNS_TOKEN = '740f4707bebcf74f9b7c25d48e3358945f6aa01da5ddb387462c7eaf61bb78ad';
+
+describe('Device Token Unit Tests', () => {
+  test('should accept well-formed FCM and APNs tokens', () => {
+    expect(validateDeviceToken(FCM_TOKEN, 'android')).toEqual({ valid: true, errors: [] });
+    expect(validateDeviceToken(APNS_TOKEN, 'ios')).toEqual({ valid: true, errors: [] });
+  });
+
+  test('should reject APNs tokens that are not hex or too short', () => {
+    expect(validateDeviceToken('zz' + APNS_TOKEN.slice(2), 'ios').errors[0]).toMatch(/hexadecimal/);
+    expect(validateDeviceToken(APNS_TOKEN.slice(0, 62), 'ios').errors[0]).toMatch(/minimum 64/);
+    expect(validateDeviceToken(APNS_TOKEN + 'a', 'ios').valid).toBe(false);
+  });
+
+  test('should keep the FCM format rules for Android tokens', () => {
+    expect(validateDeviceToken(APNS_TOKEN, 'android').errors).toEqual([
+      'Token too short (minimum 140 characters)',
+      'Token does not match expected FCM format'
+    ]);
+  });
+
+  test('should reject missing tokens and unknown platforms', () => {
+    expect(validateDeviceToken('', 'ios').errors).toEqual(['Token must be a non-empty string']);
+    expect(validateDeviceToken(APNS_TOKEN, 'windows').errors).toEqual(['Unsupported platform: windows']);
+  });
+
+  test('should detect the platform from the token shape', () => {
+    expect(detectPlatform(APNS_TOKEN)).toBe('ios');
+    expect(detectPlatform(FCM_TOKEN)).toBe('android');
+  });
+});
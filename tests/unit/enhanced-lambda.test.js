@@ -0,0 +1,313 @@
+const AWS = require('aws-sdk');
+const AWSMock = require('aws-sdk-mock');
+const { hashApiKey } = require('../../lib/api-keys');
+
+const FCM_TOKEN = 'fcm-token-abcdef-0123456789';
+const TOPIC_ARN = 'arn:aws:sns:us-east-1:123456789012:push-notifications';
+const SEND = { fcmToken: FCM_TOKEN, title: 'Hello', message: 'World' };
+const ORIGIN = 'https://app.example.com';
+
+describe('Enhanced Lambda handler', () => {
+  let lambda;
+  let publish;
+  let putMetricData;
+
+  const invoke = (httpMethod, resource, body, options = {}) => lambda.handler({
+    httpMethod,
+    resource,
+    path: resource,
+    headers: options.headers || {},
+    pathParameters: options.pathParameters,
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  }, { awsRequestId: 'request-1', memoryLimitInMB: 128 });
+
+  const parse = response => JSON.parse(response.body);
+
+  beforeAll(() => {
+    process.env.SNS_TOPIC_ARN = TOPIC_ARN;
+    process.env.API_KEYS = JSON.stringify([
+      { keyHash: hashApiKey('key-unlimited'), clientId: 'client-unlimited' },
+      { keyHash: hashApiKey('key-one-a-day'), clientId: 'client-one-a-day', dailyQuota: 1 },
+      { keyHash: hashApiKey('key-browser'), clientId: 'client-browser', dailyQuota: 1 }
+    ]);
+    process.env.CORS_ALLOW_ORIGINS = ORIGIN;
+    process.env.FREQUENCY_CAPS = 'reminders:1/1d';
+    process.env.SNS_PLATFORM_APPLICATION_ARN = 'arn:aws:sns:us-east-1:123456789012:app/GCM/app';
+
+    publish = jest.fn((params, callback) => callback(null, { MessageId: 'message-1' }));
+    putMetricData = jest.fn((params, callback) => callback(null, {}));
+
+    // SNS and CloudWatch clients are built when the Lambda loads, so the mocks go in first
+    AWSMock.setSDKInstance(AWS);
+    AWSMock.mock('SNS', 'publish', publish);
+    AWSMock.mock('SNS', 'createPlatformEndpoint', (params, callback) => callback(null, {
+      EndpointArn: `arn:aws:sns:us-east-1:123456789012:endpoint/GCM/app/${params.Token}`
+    }));
+    AWSMock.mock('CloudWatch', 'putMetricData', putMetricData);
+
+    lambda = require('../../monitoring/enhanced-lambda');
+  });
+
+  afterAll(() => {
+    AWSMock.restore();
+    delete process.env.SNS_TOPIC_ARN;
+    delete process.env.API_KEYS;
+    delete process.env.CORS_ALLOW_ORIGINS;
+    delete process.env.FREQUENCY_CAPS;
+    delete process.env.SNS_PLATFORM_APPLICATION_ARN;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /notification/send', () => {
+    test('should publish a token send to the notification topic', async() => {
+      const response = await invoke('POST', '/notification/send', SEND);
+
+      expect(response.statusCode).toBe(200);
+      expect(parse(response)).toMatchObject({ success: true, messageId: 'message-1' });
+      expect(publish).toHaveBeenCalledTimes(1);
+      expect(publish.mock.calls[0][0]).toMatchObject({
+        TopicArn: TOPIC_ARN,
+        MessageAttributes: { platform: { DataType: 'String', StringValue: 'android' } }
+      });
+    });
+
+    test('should reject an invalid send without publishing', async() => {
+      const response = await invoke('POST', '/notification/send', { fcmToken: 'short' });
+      const body = parse(response);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error.code).toBe('INVALID_PAYLOAD');
+      expect(body.error.details).toEqual([
+        'Invalid FCM token format',
+        'Missing notification title',
+        'Missing notification message'
+      ]);
+      expect(publish).not.toHaveBeenCalled();
+      expect(putMetricData).toHaveBeenCalledWith(expect.objectContaining({
+        MetricData: [expect.objectContaining({ MetricName: 'ValidationErrors' })]
+      }), expect.any(Function));
+    });
+
+    test('should answer DEVICE_NOT_FOUND for a user with no registered devices', async() => {
+      const response = await invoke('POST', '/notification/send', { userId: 'user-unknown', title: 'Hello', message: 'World' });
+      const body = parse(response);
+
+      expect(response.statusCode).toBe(207);
+      expect(body.users).toEqual([expect.objectContaining({
+        userId: 'user-unknown',
+        status: 'no_devices',
+        error: expect.objectContaining({ code: 'DEVICE_NOT_FOUND' })
+      })]);
+      expect(publish).not.toHaveBeenCalled();
+    });
+
+    test('should reject a body that is not JSON', async() => {
+      const response = await invoke('POST', '/notification/send', '{not json');
+
+      expect(response.statusCode).toBe(400);
+      expect(parse(response).error.message).toBe('Invalid JSON in request body');
+    });
+  });
+
+  describe('routing', () => {
+    test('should route preference updates to the preference center', async() => {
+      const response = await invoke('PUT', '/user/{userId}/preferences', { categories: { marketing: false } }, {
+        pathParameters: { userId: 'user-1' }
+      });
+
+      expect(response.statusCode).toBe(200);
+      expect(parse(response)).toMatchObject({ userId: 'user-1', categories: { marketing: false } });
+      expect(publish).not.toHaveBeenCalled();
+    });
+
+    test('should validate schedule requests', async() => {
+      const response = await invoke('POST', '/notification/schedule', {});
+
+      expect(response.statusCode).toBe(400);
+      expect(parse(response).error.code).toBe('INVALID_PAYLOAD');
+    });
+
+    test('should answer 404 for a job that was never scheduled', async() => {
+      const response = await invoke('DELETE', '/notification/schedule/{jobId}', {}, {
+        pathParameters: { jobId: 'job_missing' }
+      });
+
+      expect(response.statusCode).toBe(404);
+      expect(parse(response).error.code).toBe('SCHEDULE_NOT_FOUND');
+    });
+
+    test('should answer 404 for an unknown topic route', async() => {
+      const response = await invoke('PATCH', '/topic/{topicName}', {}, {
+        pathParameters: { topicName: 'news' }
+      });
+
+      expect(response.statusCode).toBe(404);
+      expect(parse(response).error.code).toBe('NOT_FOUND');
+    });
+  });
+
+  describe('API keys', () => {
+    test('should reject an unknown key before routing the request', async() => {
+      const headers = { 'X-API-Key': 'key-unknown' };
+      const send = await invoke('POST', '/notification/send', SEND, { headers });
+      const schedule = await invoke('POST', '/notification/schedule', {}, { headers });
+
+      expect(send.statusCode).toBe(401);
+      expect(parse(send).error.code).toBe('UNAUTHORIZED');
+      // An invalid schedule would be a 400 had it been routed
+      expect(schedule.statusCode).toBe(401);
+      expect(publish).not.toHaveBeenCalled();
+    });
+
+    test('should answer 429 once a key has used its daily quota', async() => {
+      const headers = { 'X-API-Key': 'key-one-a-day' };
+      const first = await invoke('POST', '/notification/send', SEND, { headers });
+      const second = await invoke('POST', '/notification/send', SEND, { headers });
+
+      expect(first.statusCode).toBe(200);
+      expect(second.statusCode).toBe(429);
+      expect(parse(second).error).toMatchObject({ code: 'RATE_LIMIT_EXCEEDED', details: { limit: 1, remaining: 0 } });
+      expect(publish).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Idempotency-Key', () => {
+    test('should replay the stored response without publishing again', async() => {
+      const headers = { 'X-API-Key': 'key-unlimited', 'Idempotency-Key': 'send-1' };
+      const first = await invoke('POST', '/notification/send', SEND, { headers });
+      const replay = await invoke('POST', '/notification/send', SEND, { headers });
+
+      expect(first.statusCode).toBe(200);
+      expect(replay.statusCode).toBe(200);
+      expect(replay.body).toBe(first.body);
+      expect(replay.headers['Idempotent-Replayed']).toBe('true');
+      expect(publish).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('CORS', () => {
+    test('should allow the configured origin on rejected requests', async() => {
+      const unauthorized = await invoke('POST', '/notification/send', SEND, {
+        headers: { Origin: ORIGIN, 'X-API-Key': 'key-unknown' }
+      });
+      const headers = { Origin: ORIGIN, 'X-API-Key': 'key-browser' };
+      await invoke('POST', '/notification/send', SEND, { headers });
+      const overQuota = await invoke('POST', '/notification/send', SEND, { headers });
+
+      expect(unauthorized.statusCode).toBe(401);
+      expect(overQuota.statusCode).toBe(429);
+      [unauthorized, overQuota].forEach(response => {
+        expect(response.headers).toMatchObject({ 'Access-Control-Allow-Origin': ORIGIN, Vary: 'Origin' });
+      });
+    });
+
+    test('should leave other origins without CORS headers', async() => {
+      const response = await invoke('POST', '/notification/send', SEND, {
+        headers: { Origin: 'https://evil.example.com' }
+      });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['Access-Control-Allow-Origin']).toBeUndefined();
+      expect(response.headers.Vary).toBe('Origin');
+    });
+
+    test('should answer preflights without an API key', async() => {
+      const response = await invoke('OPTIONS', '/notification/send', undefined, {
+        headers: { Origin: ORIGIN, 'Access-Control-Request-Method': 'POST' }
+      });
+
+      expect(response.statusCode).toBe(204);
+      expect(response.headers['Access-Control-Allow-Origin']).toBe(ORIGIN);
+      expect(publish).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Quiet hours', () => {
+    test('should count a deferred send against the user\'s caps when it is dispatched', async() => {
+      const reminder = { ...SEND, userId: 'user-capped', category: 'reminders' };
+      jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2025-10-28T23:00:00Z'));
+
+      const sent = await invoke('POST', '/notification/send', reminder);
+      const deferred = await invoke('POST', '/notification/send', { ...reminder, quietHours: '22:00-08:00', timeZone: 'UTC' });
+      expect(sent.statusCode).toBe(200);
+      expect(deferred.statusCode).toBe(202);
+
+      Date.now.mockReturnValue(Date.parse('2025-10-29T08:01:00Z'));
+      const summary = await lambda.dispatchScheduled({}, { awsRequestId: 'dispatch-1' });
+      const { jobs } = parse(await invoke('GET', '/notification/schedule', undefined));
+
+      expect(summary).toMatchObject({ due: 1, sent: 0, deferred: 1 });
+      expect(jobs.find(job => job.jobId === parse(deferred).jobId)).toMatchObject({
+        status: 'pending',
+        target: { userId: 'user-capped', category: 'reminders' },
+        error: { code: 'FREQUENCY_CAPPED' }
+      });
+      expect(publish).toHaveBeenCalledTimes(1);
+    });
+
+    test('should defer each user of a fan-out by the time zone stored in their preferences', async() => {
+      await lambda.registry.register({ deviceToken: 'fcm-token-user-tokyo', userId: 'user-tokyo' });
+      await lambda.registry.register({ deviceToken: 'fcm-token-user-utc', userId: 'user-utc' });
+      await invoke('PUT', '/user/{userId}/preferences', { timeZone: 'Asia/Tokyo' }, { pathParameters: { userId: 'user-tokyo' } });
+      // 14:00 in UTC is 23:00 in Tokyo
+      jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2025-06-11T14:00:00Z'));
+
+      const response = await invoke('POST', '/notification/send', {
+        userIds: ['user-tokyo', 'user-utc'],
+        title: 'Hello',
+        message: 'World',
+        quietHours: '22:00-08:00',
+        timeZone: 'UTC'
+      });
+      const [tokyo, utc] = parse(response).users;
+
+      expect(response.statusCode).toBe(200);
+      expect(tokyo.results[0]).toMatchObject({ deferred: true, timeZone: 'Asia/Tokyo', deferredUntil: '2025-06-11T23:00:00.000Z' });
+      expect(utc.results[0]).toMatchObject({ success: true, messageId: 'message-1' });
+      expect(publish).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Campaign worker', () => {
+    const delivery = (receiveCount) => ({
+      Records: [{
+        messageId: 'sqs-1',
+        body: JSON.stringify({
+          campaignId: 'campaign-1',
+          index: 0,
+          notification: { userId: 'user-campaign', title: 'Sale', message: 'Today only' }
+        }),
+        attributes: { ApproximateReceiveCount: String(receiveCount) }
+      }]
+    });
+
+    const publishedDevice = call => JSON.parse(JSON.parse(call[0].Message).default).deviceId;
+
+    test('should redeliver a user job until every device is reached, publishing to each once', async() => {
+      const first = await lambda.registry.register({ deviceToken: 'fcm-token-campaign-first', userId: 'user-campaign' });
+      const second = await lambda.registry.register({ deviceToken: 'fcm-token-campaign-second', userId: 'user-campaign' });
+      const throttled = Object.assign(new Error('Rate exceeded'), { code: 'Throttling', statusCode: 400 });
+      publish
+        .mockImplementationOnce((params, callback) => callback(null, { MessageId: 'message-first' }))
+        .mockImplementationOnce((params, callback) => callback(throttled));
+
+      expect(await lambda.processCampaignQueue(delivery(1), { awsRequestId: 'worker-1' }))
+        .toEqual({ batchItemFailures: [{ itemIdentifier: 'sqs-1' }] });
+      expect(publish.mock.calls.map(publishedDevice)).toEqual([first.deviceId, second.deviceId]);
+
+      expect(await lambda.processCampaignQueue(delivery(2), { awsRequestId: 'worker-2' }))
+        .toEqual({ batchItemFailures: [] });
+      expect(publish.mock.calls.map(publishedDevice)).toEqual([first.deviceId, second.deviceId, second.deviceId]);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const {
+  PushNotificationError,
+  InvalidPayloadError,
+  DeviceNotFoundError,
+  normalizeError,
+  formatError,
+  toErrorBody
+} = require('../../lib/errors');
+const { ConditionError } = require('../../lib/topic-condition');
+
+describe('Error Catalog Unit Tests', () => {
+  describe('Typed Errors', () => {
+    test('should carry code, status and details', () => {
+      const error = new InvalidPayloadError('Request body validation failed', ['Missing title']);
+
+      expect(error).toBeInstanceOf(PushNotificationError);
+      expect(error.code).toBe('INVALID_PAYLOAD');
+      expect(error.statusCode).toBe(400);
+      expect(error.toJSON()).toEqual({
+        code: 'INVALID_PAYLOAD',
+        message: 'Request body validation failed',
+        details: ['Missing title']
+      });
+    });
+
+    test('should fall back to the catalog message', () => {
+      expect(new DeviceNotFoundError().message).toBe('Device ID does not exist');
+    });
+
+    test('should treat condition errors as invalid payloads', () => {
+      expect(new ConditionError('bad', 3)).toBeInstanceOf(InvalidPayloadError);
+    });
+  });
+
+  describe('Normalization', () => {
+    test.each([
+      ['EndpointDisabled', 'INVALID_TOKEN', 400],
+      ['messaging/registration-token-not-registered', 'INVALID_TOKEN', 400],
+      ['InvalidParameter', 'INVALID_PAYLOAD', 400],
+      ['Throttling', 'RATE_LIMIT_EXCEEDED', 429],
+      ['InternalError', 'DELIVERY_FAILED', 502]
+    ])('should map provider code %s to %s', (providerCode, code, statusCode) => {
+      const error = normalizeError(Object.assign(new Error('provider failure'), { code: providerCode }));
+
+      expect(error.code).toBe(code);
+      expect(error.statusCode).toBe(statusCode);
+      expect(error.details).toEqual({ providerCode });
+    });
+
+    test('should treat uncoded errors as internal', () => {
+      expect(normalizeError(new Error('boom')).code).toBe('INTERNAL_ERROR');
+    });
+  });
+
+  describe('Envelopes', () => {
+    test('should build the documented error response body', () => {
+      const body = toErrorBody(new DeviceNotFoundError('Device device_1 does not exist'), 'req_12345');
+
+      expect(body).toEqual({
+        success: false,
+        error: {
+          code: 'DEVICE_NOT_FOUND',
+          message: 'Device device_1 does not exist',
+          details: null
+        },
+        timestamp: expect.any(String),
+        requestId: 'req_12345'
+      });
+    });
+
+    test('should format serialized and thrown errors for CLI output', () => {
+      expect(formatError({ code: 'INVALID_TOKEN', message: 'Token too short' })).toBe('INVALID_TOKEN: Token too short');
+      expect(formatError(new Error('boom'))).toBe('INTERNAL_ERROR: boom');
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const { Experiment, bucketOf, experimentAttributes, validateExperiment } = require('../../lib/experiment');
+
+const tokens = count => Array.from({ length: count }, (_, i) => ({ fcmToken: `token-${i}`, title: 'Your cart misses you' }));
+
+describe('Experiment Unit Tests', () => {
+  const experiment = new Experiment({
+    id: 'cart-copy',
+    variants: [
+      { name: 'control', weight: 80 },
+      { name: 'urgent', weight: 20, title: 'Last chance', data: { cta: 'buy' } }
+    ]
+  });
+
+  describe('Assignment', () => {
+    test('should assign the same variant on every run', () => {
+      const rows = tokens(50);
+      const first = rows.map(row => experiment.assign(row));
+
+      expect(rows.map(row => new Experiment({
+        id: 'cart-copy',
+        variants: [{ name: 'control', weight: 80 }, { name: 'urgent', weight: 20 }]
+      }).assign(row))).toEqual(first);
+      expect(bucketOf('cart-copy', 'token-1')).toBe(bucketOf('cart-copy', 'token-1'));
+      expect(bucketOf('cart-copy', 'token-1')).not.toBe(bucketOf('other-test', 'token-1'));
+    });
+
+    test('should split recipients by weight', () => {
+      const urgent = tokens(2000).filter(row => experiment.assign(row) === 'urgent').length;
+
+      expect(urgent).toBeGreaterThan(320);
+      expect(urgent).toBeLessThan(480);
+    });
+
+    test('should assign by userId and fall back to the token', () => {
+      const byUser = new Experiment({ id: 'x', assignBy: 'userId', variants: [{ name: 'a' }, { name: 'b' }] });
+
+      expect(byUser.keyOf({ fcmToken: 'phone', userId: 'u-1' })).toBe('u-1');
+      expect(byUser.keyOf({ platform: 'ios', deviceToken: 'tablet' })).toBe('tablet');
+      expect(byUser.assign({ fcmToken: 'phone', userId: 'u-1' })).toBe(byUser.assign({ fcmToken: 'tablet', userId: 'u-1' }));
+    });
+
+    test('should spread userId-only rows across variants', () => {
+      const users = Array.from({ length: 2000 }, (_, i) => ({ userId: `user-${i}` }));
+      const urgent = users.filter(row => experiment.assign(row) === 'urgent').length;
+
+      expect(experiment.keyOf({ userId: 'user-1' })).toBe('user-1');
+      expect(urgent).toBeGreaterThan(320);
+      expect(urgent).toBeLessThan(480);
+    });
+  });
+
+  describe('Content', () => {
+    test('should apply the variant content and tag the row', () => {
+      const row = tokens(2000).find(candidate => experiment.assign(candidate) === 'urgent');
+
+      expect(experiment.apply({ ...row, data: { orderId: '7' } })).toEqual({
+        fcmToken: row.fcmToken,
+        title: 'Last chance',
+        data: { orderId: '7', cta: 'buy' },
+        experimentId: 'cart-copy',
+        variant: 'urgent'
+      });
+      expect(experimentAttributes(experiment.apply(row))).toEqual({
+        experiment_id: { DataType: 'String', StringValue: 'cart-copy' },
+        variant: { DataType: 'String', StringValue: 'urgent' }
+      });
+      expect(experimentAttributes(row)).toEqual({});
+    });
+
+    test('should reject incomplete definitions', () => {
+      expect(validateExperiment({ id: 'x', variants: [{ name: 'a' }] })).toEqual(['Experiment must have at least two variants']);
+      expect(validateExperiment({ variants: [{ name: 'a', weight: 0 }, { name: 'a' }] })).toEqual([
+        'Experiment must have an id',
+        'Variant a must have a positive weight',
+        'Duplicate variant name: a'
+      ]);
+      expect(() => new Experiment({ id: 'x' })).toThrow(expect.objectContaining({ code: 'INVALID_PAYLOAD' }));
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const {
+  USER_STATUS,
+  allReached,
+  deviceRecipient,
+  fanOut,
+  summarizeUsers,
+  userTargetsOf,
+  validateUserTargets
+} = require('../../lib/fan-out');
+const { FrequencyCap } = require('../../lib/frequency-cap');
+const { MemoryStore } = require('../../lib/store');
+
+const DEVICES = {
+  'u-1': [
+    { deviceId: 'd-1', userId: 'u-1', platform: 'android', deviceToken: 'fcm-token-1' },
+    { deviceId: 'd-2', userId: 'u-1', platform: 'ios', deviceToken: 'apns-token-2', locale: 'pt-BR' }
+  ],
+  'u-2': [
+    { deviceId: 'd-3', userId: 'u-2', platform: 'android', deviceToken: 'fcm-token-3' }
+  ]
+};
+
+describe('Fan-Out Unit Tests', () => {
+  const listDevices = async userId => DEVICES[userId] || [];
+
+  describe('Targets', () => {
+    test('should fan out user-addressed requests only', () => {
+      expect(userTargetsOf({ userId: 'u-1', title: 'Hi' })).toEqual(['u-1']);
+      expect(userTargetsOf({ userIds: ['u-1', 'u-2'] })).toEqual(['u-1', 'u-2']);
+      expect(userTargetsOf({ target: { type: 'user', userId: 'u-1' } })).toEqual(['u-1']);
+      expect(userTargetsOf({ userId: 'u-1', fcmToken: 'fcm-token-1' })).toBeNull();
+      expect(userTargetsOf({ target: { type: 'device', deviceId: 'd-1' }, userId: 'u-1' })).toBeNull();
+    });
+
+    test('should report empty, oversized and malformed target lists', () => {
+      expect(validateUserTargets([])).toEqual(['Missing target userId']);
+      expect(validateUserTargets(new Array(101).fill('u-1'))).toEqual(['Too many target users: 101 (max 100)']);
+      expect(validateUserTargets(['u-1', '', { id: 1 }])).toEqual(['Invalid userId: ""', 'Invalid userId: {"id":1}']);
+    });
+
+    test('should narrow a notification to one device', () => {
+      expect(deviceRecipient({ userIds: ['u-1'], title: 'Hi', idempotencyKey: 'k-1' }, DEVICES['u-1'][1])).toEqual({
+        title: 'Hi',
+        userId: 'u-1',
+        deviceId: 'd-2',
+        platform: 'ios',
+        deviceToken: 'apns-token-2',
+        locale: 'pt-BR',
+        idempotencyKey: 'k-1:d-2'
+      });
+    });
+  });
+
+  describe('Outcomes', () => {
+    test('should roll device results up per user', async() => {
+      const users = await fanOut(['u-1', 'u-2', 'u-3', 'u-1'], {
+        listDevices,
+        send: async device => {
+          if (device.deviceId === 'd-2') {
+            throw Object.assign(new Error('Endpoint is disabled'), { code: 'EndpointDisabled' });
+          }
+          return { success: true, messageId: `msg-${device.deviceId}` };
+        }
+      });
+
+      expect(users.map(user => user.status)).toEqual([USER_STATUS.PARTIAL, USER_STATUS.SENT, USER_STATUS.NO_DEVICES]);
+      expect(users[0].results[1]).toEqual({
+        deviceId: 'd-2',
+        platform: 'ios',
+        success: false,
+        error: { code: 'INVALID_TOKEN', message: 'Endpoint is disabled', details: { providerCode: 'EndpointDisabled' } }
+      });
+      expect(users[2].error.code).toBe('DEVICE_NOT_FOUND');
+      expect(allReached(users)).toBe(false);
+      expect(summarizeUsers(users)).toEqual({
+        users: 3, devices: 3, sent: 1, partial: 1, failed: 0, suppressed: 0, no_devices: 1
+      });
+    });
+
+    test('should count opted-out devices as neither reached nor failed', async() => {
+      const [user] = await fanOut(['u-1'], {
+        listDevices,
+        send: async device => (device.platform === 'ios' ? { success: true, suppressed: true } : { success: true })
+      });
+
+      expect(user).toMatchObject({ status: USER_STATUS.SENT, successful: 1, suppressed: 1, failed: 0 });
+      expect(allReached([user])).toBe(true);
+    });
+
+    test('should count a fan-out once against the user\'s frequency caps', async() => {
+      const frequencyCap = new FrequencyCap({ caps: '1/1h', store: new MemoryStore() });
+      const send = async(device, cap) => {
+        await cap.enforce({ userId: device.userId });
+        return { success: true };
+      };
+
+      const [first] = await fanOut(['u-1'], { listDevices, send, frequencyCap });
+      const [second] = await fanOut(['u-1'], { listDevices, send, frequencyCap });
+
+      expect(first.status).toBe(USER_STATUS.SENT);
+      expect(second.status).toBe(USER_STATUS.FAILED);
+      expect(second.results[0].error.code).toBe('FREQUENCY_CAPPED');
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const { FrequencyCap, capLabel, parseCaps, recipientKey } = require('../../lib/frequency-cap');
+const { MemoryStore } = require('../../lib/store');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Frequency Cap Unit Tests', () => {
+  let now;
+  let cap;
+
+  beforeEach(() => {
+    now = Date.UTC(2025, 5, 11, 10, 0, 0);
+    cap = new FrequencyCap({ caps: '2/1h,3/1d,marketing:1/1d', store: new MemoryStore(), now: () => now });
+  });
+
+  describe('Configuration', () => {
+    test('should parse caps with categories and windows', () => {
+      expect(parseCaps('3/1h, marketing:2/1d,5/30m')).toEqual([
+        { category: null, limit: 3, window: '1h', windowMs: HOUR },
+        { category: 'marketing', limit: 2, window: '1d', windowMs: 24 * HOUR },
+        { category: null, limit: 5, window: '30m', windowMs: 30 * 60 * 1000 }
+      ]);
+      expect(() => parseCaps('3 per hour')).toThrow('Invalid frequency cap: 3 per hour');
+      expect(capLabel({ category: 'marketing', limit: 2, window: '1d' })).toBe('marketing:2/1d');
+    });
+
+    test('should key recipients by user, then device, then token', () => {
+      expect(recipientKey({ userId: 'u-1', deviceId: 'd-1', fcmToken: 't' })).toBe('user:u-1');
+      expect(recipientKey({ deviceId: 'd-1' })).toBe('device:d-1');
+      expect(recipientKey({ platform: 'ios', deviceToken: 'apns' })).toBe('token:apns');
+      expect(recipientKey({})).toBeNull();
+    });
+  });
+
+  describe('Consumption', () => {
+    test('should cap a recipient once a window is full', async() => {
+      const user = { userId: 'u-1' };
+
+      expect(await cap.consume(user)).toBeNull();
+      expect(await cap.consume(user)).toBeNull();
+      expect(await cap.consume(user)).toEqual({
+        category: null,
+        limit: 2,
+        window: '1h',
+        retryAt: new Date(Date.UTC(2025, 5, 11, 11, 30)).toISOString()
+      });
+      expect(await cap.consume({ userId: 'u-2' })).toBeNull();
+    });
+
+    test('should weight the previous window while it still overlaps', async() => {
+      const user = { userId: 'u-1' };
+      await cap.consume(user);
+      await cap.consume(user);
+
+      // A quarter into the next hour, 1.5 of the 2 earlier sends still count
+      now += 1.25 * HOUR;
+      expect(await cap.consume(user)).not.toBeNull();
+      now += 0.5 * HOUR;
+      expect(await cap.consume(user)).toBeNull();
+    });
+
+    test('should apply category caps only to that category', async() => {
+      expect(await cap.consume({ userId: 'u-1', data: { category: 'marketing' } })).toBeNull();
+      expect((await cap.consume({ userId: 'u-1', category: 'marketing' })).category).toBe('marketing');
+      expect(await cap.consume({ userId: 'u-1', category: 'transactional' })).toBeNull();
+    });
+
+    test('should not count capped or refunded sends', async() => {
+      const user = { userId: 'u-1' };
+      await cap.refund(await cap.enforce(user));
+      await cap.consume(user);
+      await cap.consume(user);
+      await cap.consume(user);
+
+      now += 2 * HOUR;
+      expect(await cap.consume(user)).toBeNull();
+      expect(await cap.consume(user)).toEqual(expect.objectContaining({ window: '1d', limit: 3 }));
+    });
+
+    test('should refund the window a send was charged to', async() => {
+      const user = { userId: 'u-1' };
+      now = Date.UTC(2025, 5, 11, 10, 59, 59);
+      const charge = await cap.enforce(user);
+      await cap.enforce(user);
+
+      // The publish fails after the hour rolls over
+      now = Date.UTC(2025, 5, 11, 11, 0, 1);
+      await cap.refund(charge);
+
+      expect(await cap.store.get(cap.counterKey('user:u-1', cap.caps[0], 10 + Date.UTC(2025, 5, 11) / HOUR))).toBe(1);
+      expect(await cap.store.get(cap.counterKey('user:u-1', cap.caps[0], 11 + Date.UTC(2025, 5, 11) / HOUR))).toBeFalsy();
+    });
+
+    test('should throw FREQUENCY_CAPPED from enforce', async() => {
+      const strict = new FrequencyCap({ caps: '1/1h', now: () => now });
+      await strict.enforce({ fcmToken: 'token-1' });
+
+      await expect(strict.enforce({ fcmToken: 'token-1' })).rejects.toMatchObject({
+        code: 'FREQUENCY_CAPPED',
+        statusCode: 429,
+        message: 'Recipient has reached 1 notifications per 1h'
+      });
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const {
+  IdempotencyManager,
+  fingerprint,
+  getIdempotencyKey
+} = require('../../lib/idempotency');
+const { MemoryStore, DynamoDBStore } = require('../../lib/store');
+
+describe('Idempotency Unit Tests', () => {
+  let clock;
+  let store;
+  let manager;
+
+  beforeEach(() => {
+    clock = Date.parse('2025-10-28T10:00:00Z');
+    store = new MemoryStore();
+    manager = new IdempotencyManager({ store, ttlSeconds: 3600, now: () => clock });
+  });
+
+  describe('Key Extraction', () => {
+    test('should read the header in any casing before the body field', () => {
+      expect(getIdempotencyKey({ headers: { 'idempotency-key': 'hdr' } }, { idempotencyKey: 'body' })).toBe('hdr');
+      expect(getIdempotencyKey({ headers: { 'Idempotency-Key': 'hdr' } }, {})).toBe('hdr');
+      expect(getIdempotencyKey({ headers: null }, { idempotencyKey: 'body' })).toBe('body');
+      expect(getIdempotencyKey({}, {})).toBeNull();
+    });
+
+    test('should reject empty or oversized keys', () => {
+      expect(() => getIdempotencyKey({}, { idempotencyKey: '' })).toThrow(/Idempotency key/);
+      expect(() => getIdempotencyKey({}, { idempotencyKey: 'k'.repeat(256) })).toThrow(/Idempotency key/);
+    });
+
+    test('should fingerprint payloads independently of key order', () => {
+      expect(fingerprint({ a: 1, b: { c: 2, d: 3 } })).toBe(fingerprint({ b: { d: 3, c: 2 }, a: 1 }));
+      expect(fingerprint({ a: 1 })).not.toBe(fingerprint({ a: 2 }));
+    });
+  });
+
+  describe('Execution', () => {
+    test('should return the original response on replay without re-running', async() => {
+      const send = jest.fn().mockResolvedValue({ messageId: 'msg-1' });
+
+      const first = await manager.execute('key-1', { title: 'Hi' }, send);
+      const second = await manager.execute('key-1', { title: 'Hi' }, send);
+
+      expect(first).toEqual({ response: { messageId: 'msg-1' }, replayed: false });
+      expect(second).toEqual({ response: { messageId: 'msg-1' }, replayed: true });
+      expect(send).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject a key reused with a different payload', async() => {
+      await manager.execute('key-1', { title: 'Hi' }, async() => ({ messageId: 'msg-1' }));
+
+      await expect(manager.execute('key-1', { title: 'Bye' }, jest.fn()))
+        .rejects.toMatchObject({ code: 'IDEMPOTENCY_KEY_REUSED', statusCode: 422 });
+    });
+
+    test('should reject a concurrent request while the key is in progress', async() => {
+      let finish;
+      const pending = manager.execute('key-1', { title: 'Hi' }, () => new Promise(resolve => {
+        finish = resolve;
+      }));
+
+      await expect(manager.execute('key-1', { title: 'Hi' }, jest.fn()))
+        .rejects.toMatchObject({ code: 'IDEMPOTENCY_KEY_IN_USE', statusCode: 409 });
+
+      finish({ messageId: 'msg-1' });
+      await pending;
+    });
+
+    test('should let a retry take over a claim whose lease ran out', async() => {
+      // The first invocation timed out after publishing and never recorded its response
+      manager.execute('key-1', { title: 'Hi' }, () => new Promise(() => {}));
+
+      clock += (manager.leaseSeconds - 1) * 1000;
+      await expect(manager.execute('key-1', { title: 'Hi' }, jest.fn()))
+        .rejects.toMatchObject({ code: 'IDEMPOTENCY_KEY_IN_USE' });
+
+      clock += 2 * 1000;
+      const send = jest.fn().mockResolvedValue({ messageId: 'msg-2' });
+      const retry = await manager.execute('key-1', { title: 'Hi' }, send);
+
+      expect(retry).toEqual({ response: { messageId: 'msg-2' }, replayed: false });
+      expect(await manager.execute('key-1', { title: 'Hi' }, send))
+        .toEqual({ response: { messageId: 'msg-2' }, replayed: true });
+      expect(send).toHaveBeenCalledTimes(1);
+    });
+
+    test('should keep completed responses for the TTL, not the lease', async() => {
+      const send = jest.fn().mockResolvedValue({ messageId: 'msg-1' });
+      await manager.execute('key-1', { title: 'Hi' }, send);
+
+      clock += 3599 * 1000;
+      const replay = await manager.execute('key-1', { title: 'Hi' }, send);
+
+      expect(replay.replayed).toBe(true);
+      expect(send).toHaveBeenCalledTimes(1);
+    });
+
+    test('should release the key when the operation fails', async() => {
+      await expect(manager.execute('key-1', { title: 'Hi' }, async() => {
+        throw new Error('SNS timeout');
+      })).rejects.toThrow('SNS timeout');
+
+      const retry = await manager.execute('key-1', { title: 'Hi' }, async() => ({ messageId: 'msg-2' }));
+      expect(retry.replayed).toBe(false);
+    });
+
+    test('should forget keys once the TTL has passed', async() => {
+      const send = jest.fn().mockResolvedValue({ messageId: 'msg-1' });
+      await manager.execute('key-1', { title: 'Hi' }, send);
+
+      clock += 3601 * 1000;
+      const result = await manager.execute('key-1', { title: 'Different' }, send);
+
+      expect(result.replayed).toBe(false);
+      expect(send).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('DynamoDB TTL', () => {
+    test('should copy expiresAt to the TTL attribute in epoch seconds', async() => {
+      const client = { put: global.testUtils.awsResponse({}) };
+      const dynamoStore = new DynamoDBStore('idempotency', {
+        keyName: 'idempotencyKey',
+        ttlAttribute: 'expiresAt',
+        client
+      });
+
+      await dynamoStore.putIfAbsent('key-1', { status: 'in_progress', expiresAt: 1761649200500 });
+
+      expect(client.put.mock.calls[0][0].Item).toEqual({
+        idempotencyKey: 'key-1',
+        value: { status: 'in_progress', expiresAt: 1761649200500 },
+        expiresAt: 1761649200
+      });
+    });
+  });
+});
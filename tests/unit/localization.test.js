@@ -0,0 +1,52 @@
+const {
+  isValidLocale,
+  localeChain,
+  localize,
+  normalizeLocale,
+  resolveLocale,
+  validateVariants
+} = require('../../lib/localization');
+
+describe('Localization Unit Tests', () => {
+  describe('Locale Tags', () => {
+    test('should normalize casing and separators', () => {
+      expect(normalizeLocale('pt_br')).toBe('pt-BR');
+      expect(normalizeLocale('ZH-hant-tw')).toBe('zh-Hant-TW');
+      expect(normalizeLocale('Portuguese')).toBeNull();
+      expect(isValidLocale('es-419')).toBe(true);
+    });
+
+    test('should build fallback chains from most to least specific', () => {
+      expect(localeChain('zh-Hant-TW')).toEqual(['zh-Hant-TW', 'zh-Hant', 'zh']);
+      expect(localeChain(undefined)).toEqual([]);
+    });
+  });
+
+  describe('Resolution', () => {
+    test('should prefer an exact variant, then its language, then the default', () => {
+      expect(resolveLocale(['pt-BR', 'pt'], 'pt-br')).toEqual({ requested: 'pt-BR', resolved: 'pt-BR', fellBack: false });
+      expect(resolveLocale(['pt'], 'pt-BR')).toEqual({ requested: 'pt-BR', resolved: 'pt', fellBack: true });
+      expect(resolveLocale(['pt'], 'de')).toEqual({ requested: 'de', resolved: 'default', fellBack: true });
+    });
+
+    test('should not count the default as a fallback without a locale or variants', () => {
+      expect(resolveLocale(['pt'], null).fellBack).toBe(false);
+      expect(resolveLocale([], 'de').fellBack).toBe(false);
+    });
+
+    test('should merge the chosen variant over the base content', () => {
+      expect(localize({ title: 'Hi', message: 'Welcome' }, { es: { title: 'Hola' } }, 'es-MX')).toEqual({
+        content: { title: 'Hola', message: 'Welcome' },
+        locale: { requested: 'es-MX', resolved: 'es', fellBack: true }
+      });
+    });
+
+    test('should report bad variant maps', () => {
+      expect(validateVariants(['pt'])).toEqual(['localizations must be an object keyed by locale']);
+      expect(validateVariants({ english: {}, pt: 'Olá' })).toEqual([
+        'Invalid locale in localizations: english',
+        'localizations.pt must be an object'
+      ]);
+    });
+  });
+});
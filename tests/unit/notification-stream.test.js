@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const {
+  csvRecords,
+  csvRows,
+  detectFormat,
+  ndjsonRecords,
+  readNotifications
+} = require('../../lib/notification-stream');
+
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+}
+
+// One character per chunk exercises every chunk boundary
+const charStream = text => Readable.from(text.split(''));
+
+describe('Notification Stream Unit Tests', () => {
+  describe('CSV', () => {
+    test('should parse quoted fields, escaped quotes and embedded newlines', async() => {
+      const csv = 'title,message\r\n"Sale, today","She said ""hi""\nthen left"\r\nPlain,  spaced  \n';
+
+      await expect(collect(csvRows(charStream(csv)))).resolves.toEqual([
+        ['title', 'message'],
+        ['Sale, today', 'She said "hi"\nthen left'],
+        ['Plain', 'spaced']
+      ]);
+    });
+
+    test('should map dotted headers to nested objects and skip empty cells', async() => {
+      const csv = '\uFEFFfcmToken,title,data.orderId,data.meta.source,platform\ntoken-1,Hi,42,csv,\n\ntoken-2,Yo,,,ios';
+
+      await expect(collect(csvRecords(charStream(csv)))).resolves.toEqual([
+        { fcmToken: 'token-1', title: 'Hi', data: { orderId: '42', meta: { source: 'csv' } } },
+        { fcmToken: 'token-2', title: 'Yo', platform: 'ios' }
+      ]);
+    });
+
+    test('should reject rows wider than the header and unterminated quotes', async() => {
+      await expect(collect(csvRecords(Readable.from(['a,b\n1,2,3\n'])))).rejects.toThrow('CSV row 1 has 3 fields');
+      await expect(collect(csvRows(Readable.from(['a\n"open'])))).rejects.toThrow('Unterminated quoted field');
+    });
+  });
+
+  describe('NDJSON', () => {
+    test('should yield one object per line across chunks', async() => {
+      const ndjson = '{"title":"a"}\r\n\n{"title":"b","data":{"x":1}}';
+
+      await expect(collect(ndjsonRecords(charStream(ndjson)))).resolves.toEqual([
+        { title: 'a' },
+        { title: 'b', data: { x: 1 } }
+      ]);
+    });
+
+    test('should report the line of invalid JSON', async() => {
+      await expect(collect(ndjsonRecords(Readable.from(['{"a":1}\n{oops}\n']))))
+        .rejects.toThrow('Invalid JSON on line 2');
+    });
+  });
+
+  describe('Files', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notification-stream-'));
+    });
+
+    test('should detect formats from the extension or the first character', () => {
+      const sniffed = path.join(dir, 'campaign.txt');
+      fs.writeFileSync(sniffed, '  {"title":"a"}\n');
+
+      expect(detectFormat('campaign.jsonl')).toBe('ndjson');
+      expect(detectFormat('campaign.CSV')).toBe('csv');
+      expect(detectFormat(sniffed)).toBe('ndjson');
+    });
+
+    test('should read JSON array files', async() => {
+      const filePath = path.join(dir, 'campaign.json');
+      fs.writeFileSync(filePath, JSON.stringify({ notifications: [{ title: 'a' }, { title: 'b' }] }));
+
+      await expect(collect(readNotifications(filePath))).resolves.toEqual([{ title: 'a' }, { title: 'b' }]);
+    });
+
+    test('should stream CSV files', async() => {
+      const filePath = path.join(dir, 'campaign.csv');
+      fs.writeFileSync(filePath, 'title,message\n"a, b",c\n');
+
+      await expect(collect(readNotifications(filePath))).resolves.toEqual([{ title: 'a, b', message: 'c' }]);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+const {
+  FCM_MAX_PAYLOAD_BYTES,
+  fromRequest,
+  fromBatchEntry,
+  protocolsForPlatform,
+  stringifyData,
+  buildSnsMessage,
+  buildPublishParams
+} = require('../../lib/payload-builder');
+const { InvalidPayloadError } = require('../../lib/errors');
+
+const richRequest = {
+  notification: {
+    title: 'Order shipped',
+    body: 'Your order #1234 is on its way',
+    icon: 'ic_shipping',
+    sound: 'default',
+    badge: 3,
+    clickAction: 'OPEN_ORDER',
+    image: 'https://example.com/parcel.png',
+    channelId: 'orders'
+  },
+  data: {
+    orderId: 1234,
+    express: true,
+    screen: 'details',
+    tracking: { carrier: 'UPS' }
+  },
+  options: {
+    priority: 'high',
+    timeToLive: 3600,
+    collapseKey: 'order_1234'
+  }
+};
+
+describe('Payload Builder Unit Tests', () => {
+  describe('Message Structure', () => {
+    test('should build every protocol for a rich notification', () => {
+      expect(buildSnsMessage(fromRequest(richRequest))).toMatchSnapshot();
+    });
+
+    test('should build a minimal GCM-only message', () => {
+      const message = buildSnsMessage({ title: 'Hello', body: 'World' }, { protocols: ['GCM'] });
+
+      expect(message).toMatchSnapshot();
+      expect(message.APNS).toBeUndefined();
+    });
+
+    test('should build a silent data-only message', () => {
+      expect(buildSnsMessage({ data: { action: 'background_sync' } })).toMatchSnapshot();
+    });
+
+    test('should use the provided default message', () => {
+      const message = buildSnsMessage({ title: 'Hello' }, { defaultMessage: '{"fcmToken":"abc"}' });
+
+      expect(message.default).toBe('{"fcmToken":"abc"}');
+    });
+
+    test('should produce MessageStructure json publish parameters', () => {
+      const params = buildPublishParams({ title: 'Hello', body: 'World' });
+
+      expect(params.MessageStructure).toBe('json');
+      expect(JSON.parse(JSON.parse(params.Message).GCM).fcmV1Message.message.notification).toEqual({
+        title: 'Hello',
+        body: 'World'
+      });
+    });
+  });
+
+  describe('iOS Delivery', () => {
+    test('should build an APNs payload with thread and content flags', () => {
+      const message = buildSnsMessage({
+        title: 'New message',
+        body: 'Alex: see you at 6?',
+        sound: 'chime.caf',
+        badge: 2,
+        threadId: 'chat_42',
+        contentAvailable: true,
+        mutableContent: true,
+        data: { chatId: 42 }
+      }, { protocols: ['APNS'] });
+
+      expect(message).toMatchSnapshot();
+      expect(message.GCM).toBeUndefined();
+    });
+
+    test('should pick protocols from the device platform and endpoint', () => {
+      expect(protocolsForPlatform('android')).toEqual(['GCM']);
+      expect(protocolsForPlatform('ios', 'arn:aws:sns:us-east-1:123456789012:endpoint/APNS_SANDBOX/App/abc')).toEqual(['APNS_SANDBOX']);
+      expect(protocolsForPlatform('ios', 'arn:aws:sns:us-east-1:123456789012:endpoint/APNS/App/abc')).toEqual(['APNS']);
+      expect(protocolsForPlatform('ios')).toEqual(['APNS', 'APNS_SANDBOX']);
+    });
+
+    test('should send APNs headers as message attributes', () => {
+      const alert = buildPublishParams({ title: 'Hi', ttl: 60 }, { protocols: ['APNS'] });
+      const background = buildPublishParams({ data: { sync: true }, priority: 'high' }, { protocols: ['APNS'] });
+
+      expect(alert.MessageAttributes).toEqual({
+        'AWS.SNS.MOBILE.APNS.PUSH_TYPE': { DataType: 'String', StringValue: 'alert' },
+        'AWS.SNS.MOBILE.APNS.PRIORITY': { DataType: 'String', StringValue: '10' },
+        'AWS.SNS.MOBILE.APNS.TTL': { DataType: 'String', StringValue: '60' }
+      });
+      expect(background.MessageAttributes['AWS.SNS.MOBILE.APNS.PUSH_TYPE'].StringValue).toBe('background');
+      expect(background.MessageAttributes['AWS.SNS.MOBILE.APNS.PRIORITY'].StringValue).toBe('5');
+      expect(buildPublishParams({ title: 'Hi' }, { protocols: ['GCM'] }).MessageAttributes).toBeUndefined();
+    });
+  });
+
+  describe('Batch Entries', () => {
+    test('should map flat CSV and NDJSON entries', () => {
+      expect(fromBatchEntry({ title: 'Hi', message: 'Body', badge: '4', data: { orderId: '42' }, fcmToken: 't' })).toEqual({
+        title: 'Hi',
+        body: 'Body',
+        sound: undefined,
+        badge: 4,
+        threadId: undefined,
+        data: { orderId: '42' }
+      });
+    });
+  });
+
+  describe('Localization Keys', () => {
+    test('should pass localization keys through to FCM and APNs', () => {
+      const message = buildSnsMessage(fromBatchEntry({
+        titleLocKey: 'order_title',
+        bodyLocKey: 'order_body',
+        bodyLocArgs: '["1234","UPS"]'
+      }), { protocols: ['GCM', 'APNS'] });
+
+      expect(JSON.parse(message.GCM).fcmV1Message.message.android.notification).toEqual({
+        title_loc_key: 'order_title',
+        body_loc_key: 'order_body',
+        body_loc_args: ['1234', 'UPS']
+      });
+      expect(JSON.parse(message.APNS).aps.alert).toEqual({
+        'title-loc-key': 'order_title',
+        'loc-key': 'order_body',
+        'loc-args': ['1234', 'UPS']
+      });
+    });
+
+    test('should reject non-string localization args', () => {
+      expect(() => buildSnsMessage({ titleLocKey: 'promo', titleLocArgs: [1] })).toThrow(InvalidPayloadError);
+    });
+  });
+
+  describe('Data Values', () => {
+    test('should stringify non-string data values and drop empty ones', () => {
+      expect(stringifyData({ count: 2, flag: false, nested: { a: 1 }, text: 'ok', missing: null })).toEqual({
+        count: '2',
+        flag: 'false',
+        nested: '{"a":1}',
+        text: 'ok'
+      });
+    });
+  });
+
+  describe('Validation', () => {
+    test('should reject payloads over the FCM size limit', () => {
+      const spec = { title: 'Big', data: { blob: 'x'.repeat(FCM_MAX_PAYLOAD_BYTES) } };
+
+      expect(() => buildSnsMessage(spec, { protocols: ['GCM'] })).toThrow(InvalidPayloadError);
+      try {
+        buildSnsMessage(spec, { protocols: ['GCM'] });
+      } catch (error) {
+        expect(error.details).toMatchObject({ protocol: 'GCM', limit: FCM_MAX_PAYLOAD_BYTES });
+      }
+    });
+
+    test('should reject unknown priorities and empty notifications', () => {
+      expect(() => buildSnsMessage({ title: 'Hi', priority: 'urgent' })).toThrow(/validation failed/);
+      expect(() => buildSnsMessage({})).toThrow(InvalidPayloadError);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const { PreferenceCenter, categoryOf, validatePreferences } = require('../../lib/preferences');
+const { MemoryStore } = require('../../lib/store');
+
+describe('Preferences Unit Tests', () => {
+  let preferences;
+
+  beforeEach(() => {
+    preferences = new PreferenceCenter({ store: new MemoryStore(), now: () => Date.UTC(2025, 5, 11, 10, 0, 0) });
+  });
+
+  describe('Categories', () => {
+    test('should take the category from the send, then data.category, then data.type', () => {
+      expect(categoryOf({ category: 'marketing', data: { type: 'alert' } })).toBe('marketing');
+      expect(categoryOf({ data: { category: 'news', type: 'alert' } })).toBe('news');
+      expect(categoryOf({ data: { type: 'alert' } })).toBe('alert');
+      expect(categoryOf({})).toBeNull();
+    });
+  });
+
+  describe('Updates', () => {
+    test('should opt users in to everything until they change a setting', async() => {
+      expect(await preferences.get('u-1')).toEqual({ userId: 'u-1', categories: {}, channels: {}, updatedAt: null });
+    });
+
+    test('should merge updates and reset settings set to null', async() => {
+      await preferences.update('u-1', { categories: { marketing: false, alert: false } });
+      const updated = await preferences.update('u-1', { categories: { alert: null }, channels: { ios: false } });
+
+      expect(updated).toEqual({
+        userId: 'u-1',
+        categories: { marketing: false },
+        channels: { ios: false },
+        updatedAt: '2025-06-11T10:00:00.000Z'
+      });
+      expect(await preferences.get('u-1')).toEqual(updated);
+    });
+
+    test('should reject unknown channels and non-boolean settings', async() => {
+      expect(validatePreferences({ categories: { alert: 'no' }, channels: { web: false } })).toEqual([
+        'categories.alert must be true, false or null',
+        'Unknown channel: web (expected android or ios)'
+      ]);
+      expect(validatePreferences({})).toEqual(['Nothing to update: set categories, channels, timeZone or quietHours']);
+      await expect(preferences.update('u-1', { channels: { web: false } })).rejects.toMatchObject({ code: 'INVALID_PAYLOAD' });
+    });
+
+    test('should store a time zone and quiet hours until they are set to null', async() => {
+      const stored = await preferences.update('u-1', { timeZone: 'Asia/Tokyo', quietHours: '23:00-07:00' });
+      expect(stored).toMatchObject({ timeZone: 'Asia/Tokyo', quietHours: '23:00-07:00' });
+
+      const cleared = await preferences.update('u-1', { quietHours: null });
+      expect(cleared.timeZone).toBe('Asia/Tokyo');
+      expect(cleared).not.toHaveProperty('quietHours');
+
+      expect(validatePreferences({ timeZone: 'Mars/Olympus', quietHours: '7pm' })).toEqual([
+        'Unknown time zone: Mars/Olympus',
+        'Invalid quietHours: 7pm (expected HH:MM-HH:MM or off)'
+      ]);
+    });
+  });
+
+  describe('Checks', () => {
+    beforeEach(async() => {
+      await preferences.update('u-1', { categories: { marketing: false }, channels: { ios: false } });
+    });
+
+    test('should suppress sends in an opted-out category or channel', async() => {
+      expect(await preferences.check({ userId: 'u-1', data: { type: 'marketing' } })).toEqual({ reason: 'OPTED_OUT', category: 'marketing' });
+      expect(await preferences.check({ userId: 'u-1', platform: 'ios', data: { type: 'alert' } })).toEqual({ reason: 'OPTED_OUT', channel: 'ios' });
+      expect(await preferences.check({ userId: 'u-1', data: { type: 'alert' } })).toBeNull();
+    });
+
+    test('should send to recipients without a userId', async() => {
+      expect(await preferences.check({ fcmToken: 'token', category: 'marketing' })).toBeNull();
+    });
+
+    test('should put the user\'s stored quiet hours in place of the send\'s', async() => {
+      await preferences.update('u-1', { timeZone: 'Asia/Tokyo' });
+      const send = { title: 'Hello', timeZone: 'UTC', quietHours: '22:00-08:00' };
+
+      expect(await preferences.applyQuietHours({ ...send, userId: 'u-1' }))
+        .toEqual({ ...send, userId: 'u-1', timeZone: 'Asia/Tokyo' });
+      expect(await preferences.applyQuietHours({ ...send, userId: 'u-2' })).toEqual({ ...send, userId: 'u-2' });
+      expect(await preferences.applyQuietHours(send)).toBe(send);
+    });
+  });
+});
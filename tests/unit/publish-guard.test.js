@@ -0,0 +1,170 @@
+const {
+  CIRCUIT_STATE,
+  CircuitBreaker,
+  PublishGuard,
+  TokenBucket,
+  isServiceFailure
+} = require('../../lib/publish-guard');
+const { InvalidPayloadError } = require('../../lib/errors');
+
+function serviceError(code, statusCode) {
+  const error = new Error(code);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+}
+
+describe('Publish Guard Unit Tests', () => {
+  let clock;
+  const now = () => clock;
+
+  beforeEach(() => {
+    clock = Date.parse('2025-11-01T12:00:00Z');
+  });
+
+  describe('Token Bucket', () => {
+    test('should allow a burst and then refill at the configured rate', () => {
+      const bucket = new TokenBucket({ ratePerMinute: 60, burst: 2, now });
+
+      expect(bucket.tryRemove()).toBe(true);
+      expect(bucket.tryRemove()).toBe(true);
+      expect(bucket.tryRemove()).toBe(false);
+      expect(bucket.waitTime()).toBe(1000);
+
+      clock += 1000;
+      expect(bucket.tryRemove()).toBe(true);
+    });
+
+    test('should reject with RATE_LIMIT_EXCEEDED when it may not wait', async() => {
+      const bucket = new TokenBucket({ ratePerMinute: 60, burst: 1, now });
+      await bucket.acquire();
+
+      await expect(bucket.acquire()).rejects.toMatchObject({
+        code: 'RATE_LIMIT_EXCEEDED',
+        details: { limitPerMinute: 60, retryAt: '2025-11-01T12:00:01.000Z' }
+      });
+    });
+
+    test('should wait for a token when allowed to', async() => {
+      const sleep = jest.fn(async ms => { clock += ms; });
+      const bucket = new TokenBucket({ ratePerMinute: 30, burst: 1, now, sleep });
+      await bucket.acquire();
+
+      await bucket.acquire(Infinity);
+
+      expect(sleep).toHaveBeenCalledWith(2000);
+    });
+  });
+
+  describe('Circuit Breaker', () => {
+    const throttled = () => Promise.reject(serviceError('Throttling', 400));
+
+    test('should classify throttling, 5xx and network errors as service failures', () => {
+      expect(isServiceFailure(serviceError('Throttling', 400))).toBe(true);
+      expect(isServiceFailure(serviceError('InternalError', 500))).toBe(true);
+      expect(isServiceFailure(serviceError('NetworkingError'))).toBe(true);
+      expect(isServiceFailure(serviceError('InvalidParameter', 400))).toBe(false);
+      expect(isServiceFailure(new InvalidPayloadError())).toBe(false);
+    });
+
+    test('should open after consecutive failures and fail fast while open', async() => {
+      const breaker = new CircuitBreaker({ threshold: 2, timeoutMs: 10000, now });
+      const operation = jest.fn(throttled);
+
+      await expect(breaker.execute(operation)).rejects.toMatchObject({ code: 'Throttling' });
+      await expect(breaker.execute(operation)).rejects.toMatchObject({ code: 'Throttling' });
+      await expect(breaker.execute(operation)).rejects.toMatchObject({
+        code: 'SERVICE_UNAVAILABLE',
+        statusCode: 503,
+        details: { state: CIRCUIT_STATE.OPEN, retryAt: '2025-11-01T12:00:10.000Z' }
+      });
+      expect(operation).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not count client errors towards the threshold', async() => {
+      const breaker = new CircuitBreaker({ threshold: 2, now });
+
+      await expect(breaker.execute(throttled)).rejects.toBeDefined();
+      await expect(breaker.execute(() => Promise.reject(serviceError('InvalidParameter', 400)))).rejects.toBeDefined();
+      await expect(breaker.execute(throttled)).rejects.toBeDefined();
+
+      expect(breaker.state).toBe(CIRCUIT_STATE.CLOSED);
+    });
+
+    test('should half-open after the timeout and close on a successful trial', async() => {
+      const onStateChange = jest.fn();
+      const breaker = new CircuitBreaker({ threshold: 1, timeoutMs: 10000, now, onStateChange });
+      await expect(breaker.execute(throttled)).rejects.toBeDefined();
+
+      clock += 10000;
+      let finishTrial;
+      const trial = breaker.execute(() => new Promise(resolve => { finishTrial = resolve; }));
+
+      expect(breaker.state).toBe(CIRCUIT_STATE.HALF_OPEN);
+      await expect(breaker.execute(() => Promise.resolve())).rejects.toMatchObject({ code: 'SERVICE_UNAVAILABLE' });
+
+      finishTrial({ MessageId: 'msg-1' });
+      await expect(trial).resolves.toEqual({ MessageId: 'msg-1' });
+      expect(breaker.state).toBe(CIRCUIT_STATE.CLOSED);
+      expect(onStateChange.mock.calls.map(([state]) => state)).toEqual(['open', 'half_open', 'closed']);
+    });
+
+    test('should reopen when the half-open trial fails', async() => {
+      const breaker = new CircuitBreaker({ threshold: 3, timeoutMs: 10000, now });
+      for (let i = 0; i < 3; i++) {
+        await expect(breaker.execute(throttled)).rejects.toBeDefined();
+      }
+
+      clock += 10000;
+      await expect(breaker.execute(throttled)).rejects.toMatchObject({ code: 'Throttling' });
+
+      expect(breaker.state).toBe(CIRCUIT_STATE.OPEN);
+      expect(breaker.openedAt).toBe(clock);
+    });
+  });
+
+  describe('Guarded SNS Client', () => {
+    test('should route publish through the guard and pass other calls through', async() => {
+      const sns = {
+        publish: global.testUtils.awsResponse({ MessageId: 'msg-1' }),
+        createTopic: global.testUtils.awsResponse({ TopicArn: 'arn:topic' })
+      };
+      const guard = new PublishGuard({ bucket: new TokenBucket({ ratePerMinute: 60, burst: 1, now }) });
+      const guarded = guard.wrap(sns);
+
+      await expect(guarded.publish({ Message: 'hi' }).promise()).resolves.toEqual({ MessageId: 'msg-1' });
+      await expect(guarded.publish({ Message: 'hi' }).promise()).rejects.toMatchObject({ code: 'RATE_LIMIT_EXCEEDED' });
+      await expect(guarded.createTopic({ Name: 't' }).promise()).resolves.toEqual({ TopicArn: 'arn:topic' });
+      expect(sns.publish).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not let a rate-limited publish close a half-open circuit', async() => {
+      const breaker = new CircuitBreaker({ threshold: 1, timeoutMs: 10000, now });
+      const guard = new PublishGuard({ bucket: new TokenBucket({ ratePerMinute: 1, burst: 1, now }), breaker });
+      await expect(guard.execute(() => Promise.reject(serviceError('Throttling', 400)))).rejects.toBeDefined();
+
+      // The circuit may half-open, but the bucket has no token for the trial
+      clock += 10000;
+      const publish = jest.fn().mockResolvedValue({ MessageId: 'msg-1' });
+      await expect(guard.execute(publish)).rejects.toMatchObject({ code: 'RATE_LIMIT_EXCEEDED' });
+
+      expect(publish).not.toHaveBeenCalled();
+      expect([CIRCUIT_STATE.HALF_OPEN, CIRCUIT_STATE.OPEN]).toContain(breaker.state);
+      expect(breaker.failures).toBe(1);
+      expect(breaker.trialInFlight).toBe(false);
+    });
+
+    test('should build limits from environment settings', () => {
+      const guard = PublishGuard.fromEnv({
+        RATE_LIMIT_PER_MINUTE: '600',
+        BURST_LIMIT: '50',
+        CIRCUIT_BREAKER_THRESHOLD: '3',
+        CIRCUIT_BREAKER_TIMEOUT: '5000'
+      });
+
+      expect(guard.bucket).toMatchObject({ ratePerMinute: 600, capacity: 50 });
+      expect(guard.breaker).toMatchObject({ threshold: 3, timeoutMs: 5000 });
+      expect(PublishGuard.fromEnv({ CIRCUIT_BREAKER_ENABLED: 'false' })).toMatchObject({ bucket: null, breaker: null });
+    });
+  });
+});
@@ -0,0 +1,58 @@
+const { QuietHoursPolicy, parseWindow, validateQuietHours } = require('../../lib/quiet-hours');
+
+describe('Quiet Hours Unit Tests', () => {
+  const policy = new QuietHoursPolicy({ quietHours: '22:00-08:00', timeZone: 'America/New_York' });
+
+  describe('Windows', () => {
+    test('should parse strings, objects and opt-outs', () => {
+      expect(parseWindow('22:00-08:00')).toEqual({ start: '22:00', end: '08:00' });
+      expect(parseWindow({ start: '13:00', end: '14:00' })).toEqual({ start: '13:00', end: '14:00' });
+      expect(parseWindow('OFF')).toBeNull();
+      expect(parseWindow('')).toBeUndefined();
+    });
+
+    test('should report bad time zones and windows', () => {
+      expect(validateQuietHours({ timeZone: 'Mars/Olympus', quietHours: '22-08' })).toEqual([
+        'Unknown time zone: Mars/Olympus',
+        'Invalid quietHours: 22-08 (expected HH:MM-HH:MM or off)'
+      ]);
+      expect(() => new QuietHoursPolicy({ quietHours: '25:00-08:00' })).toThrow(expect.objectContaining({ code: 'INVALID_PAYLOAD' }));
+    });
+  });
+
+  describe('Deferral', () => {
+    test('should defer a late evening send to the next morning in the recipient time zone', () => {
+      // 23:30 in New York (EDT)
+      expect(policy.check({ fcmToken: 'a' }, Date.parse('2025-06-11T03:30:00Z'))).toEqual({
+        deferredUntil: '2025-06-11T12:00:00.000Z',
+        timeZone: 'America/New_York',
+        quietHours: '22:00-08:00'
+      });
+      // 06:00 the same night defers to 08:00 that day
+      expect(policy.check({}, Date.parse('2025-06-11T10:00:00Z')).deferredUntil).toBe('2025-06-11T12:00:00.000Z');
+      expect(policy.check({}, Date.parse('2025-06-11T16:00:00Z'))).toBeNull();
+    });
+
+    test('should apply per-recipient time zones and windows', () => {
+      const now = Date.parse('2025-06-11T03:30:00Z');
+
+      expect(policy.check({ timeZone: 'Asia/Tokyo' }, now)).toBeNull();
+      expect(policy.check({ timeZone: 'Asia/Tokyo', quietHours: '12:00-13:00' }, now).deferredUntil).toBe('2025-06-11T04:00:00.000Z');
+      expect(policy.check({ quietHours: 'off' }, now)).toBeNull();
+    });
+
+    test('should let high priority sends through', () => {
+      expect(policy.check({ priority: 'high' }, Date.parse('2025-06-11T03:30:00Z'))).toBeNull();
+    });
+
+    test('should resolve the window end across a DST change', () => {
+      // 23:00 EST on Saturday 8 March 2025; clocks spring forward overnight
+      expect(policy.check({}, Date.parse('2025-03-09T04:00:00Z')).deferredUntil).toBe('2025-03-09T12:00:00.000Z');
+    });
+
+    test('should write the defaults into recipients for later checks', () => {
+      expect(policy.applyDefaults({ fcmToken: 'a' })).toEqual({ fcmToken: 'a', quietHours: '22:00-08:00', timeZone: 'America/New_York' });
+      expect(policy.applyDefaults({ quietHours: 'off', timeZone: 'UTC' })).toEqual({ quietHours: 'off', timeZone: 'UTC' });
+    });
+  });
+});
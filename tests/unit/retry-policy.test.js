@@ -0,0 +1,93 @@
+const { RetryPolicy } = require('../../lib/retry-policy');
+const { PushNotificationError, normalizeError } = require('../../lib/errors');
+
+function providerError(code, statusCode) {
+  const error = new Error(code);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+}
+
+describe('Retry Policy Unit Tests', () => {
+  let sleep;
+
+  beforeEach(() => {
+    sleep = jest.fn(async() => {});
+  });
+
+  describe('Classification', () => {
+    const policy = new RetryPolicy();
+
+    test.each([
+      ['Throttling', 400],
+      ['InternalError', 500],
+      ['NetworkingError', undefined],
+      ['messaging/server-unavailable', undefined],
+      ['SomethingNew', 503]
+    ])('should retry %s', (code, statusCode) => {
+      expect(policy.isRetryable(providerError(code, statusCode))).toBe(true);
+    });
+
+    test.each([
+      ['InvalidParameter', 400],
+      ['EndpointDisabled', 400],
+      ['messaging/registration-token-not-registered', undefined],
+      ['SomethingNew', 400]
+    ])('should not retry %s', (code, statusCode) => {
+      expect(policy.isRetryable(providerError(code, statusCode))).toBe(false);
+    });
+
+    test('should classify normalized errors by their provider code', () => {
+      expect(policy.isRetryable(normalizeError(providerError('Throttling', 400)))).toBe(true);
+      expect(policy.isRetryable(new PushNotificationError('SERVICE_UNAVAILABLE'))).toBe(false);
+    });
+
+    test('should let callers override codes', () => {
+      const custom = new RetryPolicy({ retryableCodes: ['EndpointDisabled'], permanentCodes: ['Throttling'] });
+
+      expect(custom.isRetryable(providerError('EndpointDisabled', 400))).toBe(true);
+      expect(custom.isRetryable(providerError('Throttling', 400))).toBe(false);
+    });
+  });
+
+  describe('Backoff', () => {
+    test('should grow exponentially up to the max delay with full jitter', () => {
+      const policy = new RetryPolicy({ baseDelayMs: 100, maxDelayMs: 1000, random: () => 0.5 });
+
+      expect([1, 2, 3, 4, 5].map(attempt => policy.delayFor(attempt))).toEqual([50, 100, 200, 400, 500]);
+      expect(new RetryPolicy({ random: () => 0 }).delayFor(3)).toBe(0);
+    });
+  });
+
+  describe('Execution', () => {
+    test('should retry transient failures and report the attempts', async() => {
+      const operation = jest.fn()
+        .mockRejectedValueOnce(providerError('Throttling', 400))
+        .mockRejectedValueOnce(providerError('InternalError', 500))
+        .mockResolvedValue('msg-1');
+      const onRetry = jest.fn();
+      const policy = new RetryPolicy({ baseDelayMs: 100, random: () => 1, sleep });
+
+      await expect(policy.execute(operation, { onRetry })).resolves.toEqual({ value: 'msg-1', attempts: 3 });
+      expect(sleep.mock.calls).toEqual([[100], [200]]);
+      expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ code: 'Throttling' }), 1, 100);
+    });
+
+    test('should fail permanent errors on the first attempt', async() => {
+      const operation = jest.fn().mockRejectedValue(providerError('InvalidParameter', 400));
+      const policy = new RetryPolicy({ sleep });
+
+      await expect(policy.execute(operation)).rejects.toMatchObject({ code: 'InvalidParameter', attempts: 1 });
+      expect(operation).toHaveBeenCalledTimes(1);
+      expect(sleep).not.toHaveBeenCalled();
+    });
+
+    test('should give up after maxRetries', async() => {
+      const operation = jest.fn().mockRejectedValue(providerError('Throttling', 400));
+      const policy = new RetryPolicy({ maxRetries: 2, sleep });
+
+      await expect(policy.execute(operation)).rejects.toMatchObject({ code: 'Throttling', attempts: 3 });
+      expect(operation).toHaveBeenCalledTimes(3);
+    });
+  });
+});
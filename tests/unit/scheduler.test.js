@@ -0,0 +1,221 @@
+const { NotificationScheduler, JOB_STATUS, STATUS_INDEX } = require('../../lib/scheduler');
+const { DynamoDBStore, MemoryStore } = require('../../lib/store');
+const { parseDateTime } = require('../../lib/time-zone');
+const { IdempotencyManager } = require('../../lib/idempotency');
+const { FrequencyCappedError } = require('../../lib/errors');
+
+const NOW = Date.parse('2025-10-28T12:00:00Z');
+
+describe('Notification Scheduler Unit Tests', () => {
+  let clock;
+  let scheduler;
+
+  const request = (schedule) => ({
+    target: { type: 'topic', topic: 'reminders' },
+    notification: { title: 'Scheduled Reminder', body: 'Don\'t forget your appointment' },
+    schedule
+  });
+
+  beforeEach(() => {
+    clock = NOW;
+    scheduler = new NotificationScheduler({
+      store: new MemoryStore(),
+      claimStore: new MemoryStore(),
+      now: () => clock
+    });
+  });
+
+  describe('Time Zones', () => {
+    test('should read local delivery times in the recipient time zone', () => {
+      expect(new Date(parseDateTime('2025-10-28T15:00:00', 'America/New_York')).toISOString())
+        .toBe('2025-10-28T19:00:00.000Z');
+      expect(new Date(parseDateTime('2025-12-01T15:00:00', 'America/New_York')).toISOString())
+        .toBe('2025-12-01T20:00:00.000Z');
+    });
+
+    test('should keep explicit offsets as given', () => {
+      expect(parseDateTime('2025-10-28T15:00:00Z', 'Asia/Tokyo')).toBe(Date.parse('2025-10-28T15:00:00Z'));
+    });
+  });
+
+  describe('Validation', () => {
+    test('should reject delivery times in the past', () => {
+      expect(scheduler.validateSchedule(request({ deliveryTime: '2025-10-28T11:59:00Z' })))
+        .toContain('schedule.deliveryTime must be in the future');
+    });
+
+    test('should reject unknown time zones', () => {
+      expect(scheduler.validateSchedule(request({ deliveryTime: '2025-10-29T09:00:00', timezone: 'Mars/Olympus' })))
+        .toContain('Unknown time zone: Mars/Olympus');
+    });
+
+    test('should accept the sendAt shorthand', () => {
+      expect(scheduler.validateSchedule({
+        ...request(),
+        sendAt: '2025-10-28T13:00:00Z'
+      })).toEqual([]);
+    });
+  });
+
+  describe('Scheduling', () => {
+    test('should store jobs as pending with a UTC send time', async() => {
+      const job = await scheduler.schedule(request({ deliveryTime: '2025-10-28T15:00:00', timezone: 'America/New_York' }));
+
+      expect(job.status).toBe(JOB_STATUS.PENDING);
+      expect(job.sendAt).toBe('2025-10-28T19:00:00.000Z');
+      expect(await scheduler.listJobs({ status: JOB_STATUS.PENDING })).toHaveLength(1);
+    });
+
+    test('should cancel pending jobs and refuse to cancel twice', async() => {
+      const job = await scheduler.schedule(request({ deliveryTime: '2025-10-28T13:00:00Z' }));
+
+      expect((await scheduler.cancel(job.jobId)).status).toBe(JOB_STATUS.CANCELLED);
+      await expect(scheduler.cancel(job.jobId)).rejects.toMatchObject({ code: 'SCHEDULE_CONFLICT' });
+    });
+
+    test('should report SCHEDULE_NOT_FOUND for unknown jobs', async() => {
+      await expect(scheduler.cancel('job_missing')).rejects.toMatchObject({ code: 'SCHEDULE_NOT_FOUND' });
+    });
+  });
+
+  describe('Dispatch', () => {
+    test('should send only jobs that are due', async() => {
+      const due = await scheduler.schedule(request({ deliveryTime: '2025-10-28T12:30:00Z' }));
+      await scheduler.schedule(request({ deliveryTime: '2025-10-28T14:00:00Z' }));
+      const send = jest.fn().mockResolvedValue({ messageId: 'msg-1' });
+
+      clock = Date.parse('2025-10-28T13:00:00Z');
+      const summary = await scheduler.dispatchDue(send);
+
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(send.mock.calls[0][0].jobId).toBe(due.jobId);
+      expect(summary).toMatchObject({ due: 1, sent: 1, failed: 0 });
+      expect((await scheduler.getJob(due.jobId)).messageId).toBe('msg-1');
+    });
+
+    test('should send each job exactly once across dispatchers sharing a claim store', async() => {
+      const claimStore = new MemoryStore();
+      const store = new MemoryStore();
+      const first = new NotificationScheduler({ store, claimStore, now: () => clock });
+      const second = new NotificationScheduler({ store, claimStore, now: () => clock });
+      await first.schedule(request({ deliveryTime: '2025-10-28T12:30:00Z' }));
+      const send = jest.fn().mockResolvedValue({ messageId: 'msg-1' });
+
+      clock = Date.parse('2025-10-28T13:00:00Z');
+      await Promise.all([first.dispatchDue(send), second.dispatchDue(send)]);
+      await first.dispatchDue(send);
+
+      expect(send).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reclaim a job whose dispatcher crashed after claiming it', async() => {
+      const store = new MemoryStore();
+      const claimStore = new MemoryStore();
+      const crashing = new NotificationScheduler({ store, claimStore, claimTtlMs: 60000, now: () => clock });
+      const job = await crashing.schedule(request({ deliveryTime: '2025-10-28T12:30:00Z' }));
+      const send = jest.fn().mockResolvedValue({ messageId: 'msg-1' });
+
+      // The dispatcher dies after claiming, before it sends or records an outcome
+      clock = Date.parse('2025-10-28T13:00:00Z');
+      const timedOut = new Error('Lambda timed out');
+      jest.spyOn(store, 'put').mockRejectedValueOnce(timedOut);
+      await expect(crashing.dispatchDue(jest.fn().mockRejectedValue(timedOut))).rejects.toThrow('Lambda timed out');
+
+      const first = new NotificationScheduler({ store, claimStore, claimTtlMs: 60000, now: () => clock });
+      const second = new NotificationScheduler({ store, claimStore, claimTtlMs: 60000, now: () => clock });
+      expect(await first.dispatchDue(send)).toMatchObject({ due: 1, sent: 0, skipped: 1 });
+
+      clock += 60000;
+      const summaries = await Promise.all([first.dispatchDue(send), second.dispatchDue(send)]);
+
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(summaries.map(summary => summary.reclaimed).sort()).toEqual([0, 1]);
+      expect(await first.getJob(job.jobId)).toMatchObject({ status: JOB_STATUS.SENT, messageId: 'msg-1' });
+      expect(await first.dispatchDue(send)).toMatchObject({ due: 0 });
+    });
+
+    test('should not publish again when a dispatcher crashed after sending', async() => {
+      const store = new MemoryStore();
+      const claimStore = new MemoryStore();
+      const idempotency = new IdempotencyManager({ now: () => clock });
+      const options = { store, claimStore, idempotency, claimTtlMs: 60000, now: () => clock };
+      const crashing = new NotificationScheduler(options);
+      const job = await crashing.schedule(request({ deliveryTime: '2025-10-28T12:30:00Z' }));
+      const send = jest.fn().mockResolvedValue({ messageId: 'msg-1' });
+
+      // The dispatcher dies after the publish, before it records the job as sent
+      clock = Date.parse('2025-10-28T13:00:00Z');
+      jest.spyOn(store, 'put').mockRejectedValueOnce(new Error('Lambda timed out'));
+      await expect(crashing.dispatchDue(send)).rejects.toThrow('Lambda timed out');
+
+      clock += 60000;
+      const summary = await new NotificationScheduler(options).dispatchDue(send);
+
+      expect(summary).toMatchObject({ sent: 1, reclaimed: 1 });
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(await crashing.getJob(job.jobId)).toMatchObject({ status: JOB_STATUS.SENT, messageId: 'msg-1' });
+    });
+
+    test('should defer a frequency-capped job to when the cap allows it', async() => {
+      const job = await scheduler.schedule(request({ deliveryTime: '2025-10-28T12:30:00Z' }));
+      const capped = new FrequencyCappedError('Recipient has reached 1 notifications per 1h', {
+        category: null,
+        limit: 1,
+        window: '1h',
+        retryAt: '2025-10-28T14:00:00.000Z'
+      });
+      const send = jest.fn().mockRejectedValueOnce(capped).mockResolvedValue({ messageId: 'msg-1' });
+
+      clock = Date.parse('2025-10-28T13:00:00Z');
+      expect(await scheduler.dispatchDue(send)).toMatchObject({ deferred: 1, failed: 0 });
+      expect(await scheduler.getJob(job.jobId)).toMatchObject({
+        status: JOB_STATUS.PENDING,
+        sendAt: '2025-10-28T14:00:00.000Z',
+        error: { code: 'FREQUENCY_CAPPED' }
+      });
+
+      clock = Date.parse('2025-10-28T13:30:00Z');
+      expect(await scheduler.dispatchDue(send)).toMatchObject({ due: 0 });
+
+      clock = Date.parse('2025-10-28T14:00:00Z');
+      expect(await scheduler.dispatchDue(send)).toMatchObject({ sent: 1 });
+      expect(send).toHaveBeenCalledTimes(2);
+      expect(await scheduler.getJob(job.jobId)).toMatchObject({ status: JOB_STATUS.SENT, messageId: 'msg-1' });
+    });
+
+    test('should query due jobs from the status-sendAt index', async() => {
+      const client = {
+        put: global.testUtils.awsResponse({}),
+        query: global.testUtils.awsResponse({ Items: [] })
+      };
+      const store = new DynamoDBStore('schedules', { keyName: 'jobId', indexes: [STATUS_INDEX], client });
+      const indexed = new NotificationScheduler({ store, now: () => clock });
+      await indexed.schedule(request({ deliveryTime: '2025-10-28T12:30:00Z' }));
+
+      await indexed.dispatchDue(jest.fn());
+
+      expect(client.put.mock.calls[0][0].Item).toMatchObject({ status: 'pending', sendAt: '2025-10-28T12:30:00.000Z' });
+      expect(client.query).toHaveBeenCalledWith(expect.objectContaining({
+        IndexName: 'status-sendAt',
+        KeyConditionExpression: '#partition = :partition AND #sort <= :upTo',
+        ExpressionAttributeValues: { ':partition': 'pending', ':upTo': '2025-10-28T12:00:00.000Z' }
+      }));
+    });
+
+    test('should mark failed sends without retrying them', async() => {
+      const job = await scheduler.schedule(request({ deliveryTime: '2025-10-28T12:30:00Z' }));
+      const send = jest.fn().mockRejectedValue(new Error('SNS unavailable'));
+
+      clock = Date.parse('2025-10-28T13:00:00Z');
+      const summary = await scheduler.dispatchDue(send);
+      await scheduler.dispatchDue(send);
+
+      expect(summary.failed).toBe(1);
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(await scheduler.getJob(job.jobId)).toMatchObject({
+        status: JOB_STATUS.FAILED,
+        error: { message: 'SNS unavailable' }
+      });
+    });
+  });
+});
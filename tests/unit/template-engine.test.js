@@ -0,0 +1,109 @@
+const { DEFAULT_TEMPLATES_PATH, NotificationTemplate, Template, TemplateRegistry } = require('../../lib/template-engine');
+
+describe('Template Engine Unit Tests', () => {
+  describe('Rendering', () => {
+    test('should substitute variables, dotted paths and inline defaults', () => {
+      const template = new Template('Hi {{ firstName | there }}, order #{{data.orderId}} is {{status|"on its way"}}');
+
+      expect(template.render({ data: { orderId: 42 } })).toBe('Hi there, order #42 is on its way');
+      expect(template.render({ firstName: 'Ana', data: { orderId: 7 }, status: 'here' })).toBe('Hi Ana, order #7 is here');
+    });
+
+    test('should render nested conditionals with CSV-style falsy values', () => {
+      const template = new Template('{{#if vip}}VIP{{#unless discount}} (full price){{else}} -{{discount}}{{/unless}}{{else}}Member{{/if}}');
+
+      expect(template.render({ vip: 'true', discount: '10%' })).toBe('VIP -10%');
+      expect(template.render({ vip: '1', discount: '' })).toBe('VIP (full price)');
+      expect(template.render({ vip: 'false' })).toBe('Member');
+      expect(template.render({ vip: '0' })).toBe('Member');
+    });
+
+    test('should reject unbalanced blocks', () => {
+      expect(() => new Template('{{#if vip}}VIP')).toThrow('unclosed {{#if}}');
+      expect(() => new Template('{{#if vip}}VIP{{/unless}}')).toThrow('unexpected {{/unless}}');
+      expect(() => new Template('Hi{{else}}')).toThrow('{{else}} outside of {{#if}}');
+    });
+  });
+
+  describe('Notification Templates', () => {
+    const shipped = new NotificationTemplate('order-shipped', {
+      title: 'Order #{{orderId}} shipped',
+      message: 'Hi {{firstName}}, it ships with {{carrier}}.{{#if eta}} Expected {{eta}}.{{/if}}',
+      data: { type: 'order_update', orderId: '{{orderId}}', priority: 2 },
+      defaults: { carrier: 'our courier' }
+    });
+
+    test('should render title, message and data with template defaults', () => {
+      expect(shipped.render({ orderId: '1001', firstName: 'Ana' })).toEqual({
+        title: 'Order #1001 shipped',
+        message: 'Hi Ana, it ships with our courier.',
+        data: { type: 'order_update', orderId: '1001', priority: 2 }
+      });
+      expect(shipped.variables()).toEqual(['orderId', 'firstName', 'carrier', 'eta']);
+    });
+
+    test('should name every missing variable', () => {
+      expect(() => shipped.render({ eta: 'Friday' })).toThrow(expect.objectContaining({
+        code: 'INVALID_PAYLOAD',
+        details: { template: 'order-shipped', missing: ['orderId', 'firstName'] }
+      }));
+    });
+
+    test('should render the variant for the recipient locale', () => {
+      const welcome = new NotificationTemplate('welcome', {
+        title: 'Welcome, {{firstName}}',
+        message: 'Thanks for joining',
+        locales: { pt: { title: 'Bem-vindo, {{firstName}}' }, 'pt-PT': { message: 'Obrigado' } }
+      });
+
+      expect(welcome.render({ firstName: 'Ana' }, 'pt-BR')).toEqual({ title: 'Bem-vindo, Ana', message: 'Thanks for joining' });
+      expect(welcome.render({ firstName: 'Ana' }, 'pt-PT')).toEqual({ title: 'Welcome, Ana', message: 'Obrigado' });
+      expect(welcome.resolveLocale('pt-BR')).toEqual({ requested: 'pt-BR', resolved: 'pt', fellBack: true });
+      expect(() => new NotificationTemplate('bad', { locales: { english: {} } })).toThrow('Invalid locale in locales: english');
+    });
+
+    test('should only require variables in branches that render', () => {
+      const template = new NotificationTemplate('maybe', { title: '{{#if coupon}}Use {{code}}{{else}}Hello{{/if}}' });
+
+      expect(template.render({})).toEqual({ title: 'Hello' });
+      expect(() => template.render({ coupon: 'yes' })).toThrow('missing variables: code');
+    });
+  });
+
+  describe('Registry', () => {
+    const registry = new TemplateRegistry({
+      welcome: { title: 'Welcome {{firstName}}', message: 'Thanks for joining', data: { type: 'welcome', source: 'template' } }
+    });
+
+    test('should render rows by their template column or the run default', () => {
+      expect(registry.renderEntry({ template: 'welcome', fcmToken: 't-1', firstName: 'Bo', data: { source: 'csv' } })).toEqual({
+        fcmToken: 't-1',
+        firstName: 'Bo',
+        title: 'Welcome Bo',
+        message: 'Thanks for joining',
+        data: { type: 'welcome', source: 'csv' }
+      });
+      expect(registry.renderEntry({ fcmToken: 't-2', firstName: 'Cy' }, 'welcome').title).toBe('Welcome Cy');
+      expect(registry.renderEntry({ fcmToken: 't-3', title: 'As written' })).toEqual({ fcmToken: 't-3', title: 'As written' });
+    });
+
+    test('should localize rows that carry their own variants', () => {
+      expect(registry.render({
+        fcmToken: 't-4',
+        title: 'Sale',
+        locale: 'es-MX',
+        localizations: { es: { title: 'Oferta' } }
+      })).toEqual({
+        entry: { fcmToken: 't-4', title: 'Oferta', locale: 'es-MX' },
+        locale: { requested: 'es-MX', resolved: 'es', fellBack: true }
+      });
+    });
+
+    test('should reject unknown templates and load the shipped file', () => {
+      expect(() => registry.renderEntry({ template: 'missing' })).toThrow('Unknown template "missing"');
+      expect(TemplateRegistry.fromFile(DEFAULT_TEMPLATES_PATH).names()).toEqual(
+        expect.arrayContaining(['welcome', 'order-shipped', 'cart-reminder'])
+      );
+    });
+  });
+});
@@ -0,0 +1,74 @@
+const {
+  ConditionError,
+  parseCondition,
+  isValidTopicName
+} = require('../../lib/topic-condition');
+
+describe('Topic Condition Unit Tests', () => {
+  describe('Parsing', () => {
+    test('should parse the documented condition expression', () => {
+      const result = parseCondition('(\'news_updates\' in topics && \'premium\' in topics) || \'admin\' in topics');
+
+      expect(result.topics).toEqual(['news_updates', 'premium', 'admin']);
+      expect(result.ast).toEqual({
+        type: 'or',
+        operands: [
+          {
+            type: 'and',
+            operands: [
+              { type: 'topic', name: 'news_updates' },
+              { type: 'topic', name: 'premium' }
+            ]
+          },
+          { type: 'topic', name: 'admin' }
+        ]
+      });
+      expect(result.expression).toBe('(\'news_updates\' in topics && \'premium\' in topics) || \'admin\' in topics');
+    });
+
+    test('should give && precedence over ||', () => {
+      const { ast } = parseCondition('\'a\' in topics || \'b\' in topics && \'c\' in topics');
+
+      expect(ast.type).toBe('or');
+      expect(ast.operands[1].type).toBe('and');
+    });
+
+    test('should accept a single operand', () => {
+      expect(parseCondition('\'weather\' in topics').topics).toEqual(['weather']);
+    });
+  });
+
+  describe('Validation', () => {
+    test.each([
+      ['empty condition', ''],
+      ['unterminated quote', '\'news in topics'],
+      ['double quotes', '"news" in topics'],
+      ['unbalanced open paren', '(\'a\' in topics && \'b\' in topics'],
+      ['unbalanced close paren', '\'a\' in topics)'],
+      ['missing operator', '\'a\' in topics \'b\' in topics'],
+      ['dangling operator', '\'a\' in topics &&'],
+      ['missing in topics', '\'a\' && \'b\' in topics'],
+      ['invalid topic characters', '\'bad topic\' in topics'],
+      ['unknown keyword', '\'a\' in topics and \'b\' in topics']
+    ])('should reject %s', (label, condition) => {
+      expect(() => parseCondition(condition)).toThrow(ConditionError);
+    });
+
+    test('should reject more than five operands', () => {
+      const condition = ['a', 'b', 'c', 'd', 'e', 'f'].map(t => `'${t}' in topics`).join(' || ');
+
+      expect(() => parseCondition(condition)).toThrow('max 5');
+    });
+
+    test('should tag errors with the INVALID_PAYLOAD code', () => {
+      expect(() => parseCondition('\'a\' in topics ||')).toThrow(expect.objectContaining({
+        code: 'INVALID_PAYLOAD'
+      }));
+    });
+
+    test('should validate topic names', () => {
+      expect(isValidTopicName('news_updates-v2.~%')).toBe(true);
+      expect(isValidTopicName('news/updates')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const { TopicManager } = require('../../lib/topic-manager');
+const { DeviceRegistry } = require('../../lib/device-registry');
+const { MemoryStore } = require('../../lib/store');
+
+const TOPIC_ARN = 'arn:aws:sns:us-east-1:123456789012:product_updates';
+const ENDPOINT_ARN = 'arn:aws:sns:us-east-1:123456789012:endpoint/GCM/PushNotifications/abc-123';
+
+describe('Topic Manager Unit Tests', () => {
+  let sns;
+  let registry;
+  let manager;
+  let device;
+
+  beforeEach(async() => {
+    sns = {
+      createPlatformEndpoint: global.testUtils.awsResponse({ EndpointArn: ENDPOINT_ARN }),
+      createTopic: global.testUtils.awsResponse({ TopicArn: TOPIC_ARN }),
+      subscribe: global.testUtils.awsResponse({ SubscriptionArn: `${TOPIC_ARN}:sub-1` }),
+      unsubscribe: global.testUtils.awsResponse({}),
+      listSubscriptionsByTopic: global.testUtils.awsResponse({ Subscriptions: [] }),
+      getTopicAttributes: global.testUtils.awsResponse({ Attributes: {} })
+    };
+    registry = new DeviceRegistry({
+      sns,
+      store: new MemoryStore(),
+      platformApplicationArn: 'arn:aws:sns:us-east-1:123456789012:app/GCM/PushNotifications'
+    });
+    manager = new TopicManager({ sns, registry });
+    device = await registry.register({ deviceToken: 'fcm-token-1234567890' });
+  });
+
+  describe('Create Topic', () => {
+    test('should create the SNS topic with display name and description', async() => {
+      const topic = await manager.createTopic({
+        name: 'product_updates',
+        displayName: 'Product Updates',
+        description: 'New features'
+      });
+
+      expect(sns.createTopic).toHaveBeenCalledWith({
+        Name: 'product_updates',
+        Attributes: { DisplayName: 'Product Updates' },
+        Tags: [{ Key: 'description', Value: 'New features' }]
+      });
+      expect(topic.topicArn).toBe(TOPIC_ARN);
+    });
+
+    test('should reject topic names SNS does not allow', () => {
+      expect(manager.validateTopic({ name: 'product updates' })).toHaveLength(1);
+    });
+  });
+
+  describe('Subscriptions', () => {
+    beforeEach(async() => {
+      await manager.createTopic({ name: 'product_updates' });
+    });
+
+    test('should subscribe a device endpoint by token', async() => {
+      const subscription = await manager.subscribe('product_updates', { deviceToken: 'fcm-token-1234567890' });
+
+      expect(sns.subscribe).toHaveBeenCalledWith({
+        TopicArn: TOPIC_ARN,
+        Protocol: 'application',
+        Endpoint: ENDPOINT_ARN,
+        ReturnSubscriptionArn: true
+      });
+      expect(subscription.deviceId).toBe(device.deviceId);
+    });
+
+    test('should fail with TOPIC_NOT_FOUND for unknown topics', async() => {
+      await expect(manager.subscribe('missing', { deviceId: device.deviceId }))
+        .rejects.toMatchObject({ code: 'TOPIC_NOT_FOUND' });
+    });
+
+    test('should fail with DEVICE_NOT_FOUND for unknown tokens', async() => {
+      await expect(manager.subscribe('product_updates', { deviceToken: 'unknown-token-123' }))
+        .rejects.toMatchObject({ code: 'DEVICE_NOT_FOUND' });
+    });
+
+    test('should find the subscription across pages when unsubscribing', async() => {
+      sns.listSubscriptionsByTopic = jest.fn()
+        .mockReturnValueOnce({
+          promise: () => Promise.resolve({
+            Subscriptions: [{ SubscriptionArn: `${TOPIC_ARN}:other`, Endpoint: 'arn:other' }],
+            NextToken: 'page-2'
+          })
+        })
+        .mockReturnValueOnce({
+          promise: () => Promise.resolve({
+            Subscriptions: [{ SubscriptionArn: `${TOPIC_ARN}:sub-1`, Endpoint: ENDPOINT_ARN }]
+          })
+        });
+
+      const result = await manager.unsubscribe('product_updates', { deviceId: device.deviceId });
+
+      expect(sns.listSubscriptionsByTopic).toHaveBeenLastCalledWith({ TopicArn: TOPIC_ARN, NextToken: 'page-2' });
+      expect(sns.unsubscribe).toHaveBeenCalledWith({ SubscriptionArn: `${TOPIC_ARN}:sub-1` });
+      expect(result.unsubscribed).toBe(true);
+    });
+  });
+
+  describe('List Subscribers', () => {
+    beforeEach(async() => {
+      await manager.createTopic({ name: 'product_updates' });
+      await manager.subscribe('product_updates', { deviceId: device.deviceId });
+
+      const subscriptions = Array.from({ length: 150 }, (_, i) => ({
+        SubscriptionArn: i === 0 ? `${TOPIC_ARN}:sub-1` : `${TOPIC_ARN}:sub-${i + 1}`,
+        Endpoint: i === 0 ? ENDPOINT_ARN : `arn:endpoint-${i}`
+      }));
+      sns.listSubscriptionsByTopic = jest.fn(({ NextToken }) => ({
+        promise: () => Promise.resolve(NextToken
+          ? { Subscriptions: subscriptions.slice(100) }
+          : { Subscriptions: subscriptions.slice(0, 100), NextToken: 'page-2' })
+      }));
+      sns.getTopicAttributes = global.testUtils.awsResponse({
+        Attributes: { SubscriptionsConfirmed: '148', SubscriptionsPending: '2' }
+      });
+    });
+
+    test('should return the first page without walking further SNS pages', async() => {
+      const result = await manager.listSubscribers('product_updates', { page: '1', limit: '50' });
+
+      expect(sns.listSubscriptionsByTopic).toHaveBeenCalledTimes(1);
+      expect(result.totalSubscribers).toBe(150);
+      expect(result.subscribers).toHaveLength(50);
+      expect(result.subscribers[0]).toMatchObject({
+        deviceId: device.deviceId,
+        platform: 'android',
+        active: true
+      });
+      expect(result.subscribers[0].subscribedAt).toBeTruthy();
+    });
+
+    test('should follow NextToken for later pages and cap the limit at 100', async() => {
+      const result = await manager.listSubscribers('product_updates', { page: 2, limit: 500 });
+
+      expect(sns.listSubscriptionsByTopic).toHaveBeenCalledTimes(2);
+      expect(result.limit).toBe(100);
+      expect(result.subscribers).toHaveLength(50);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const { ProgressTracker, WorkerPool } = require('../../lib/worker-pool');
+
+// A job that finishes when the test says so
+function deferred() {
+  const job = {};
+  job.promise = new Promise(resolve => { job.resolve = resolve; });
+  return job;
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Worker Pool Unit Tests', () => {
+  describe('Sliding Window', () => {
+    test('should start the next job as soon as any in-flight one finishes', async() => {
+      const jobs = [deferred(), deferred(), deferred()];
+      const started = [];
+      const pool = new WorkerPool({ concurrency: 2 });
+
+      const run = pool.run([0, 1, 2], index => {
+        started.push(index);
+        return jobs[index].promise;
+      });
+      await flush();
+      expect(started).toEqual([0, 1]);
+
+      // Job 1 finishing frees a slot even though job 0 is still slow
+      jobs[1].resolve('b');
+      await flush();
+      expect(started).toEqual([0, 1, 2]);
+
+      jobs[0].resolve('a');
+      jobs[2].resolve('c');
+      await expect(run).resolves.toEqual({ started: 3, stopped: false });
+    });
+
+    test('should hand every result to onResult with its item', async() => {
+      const onResult = jest.fn();
+      await new WorkerPool({ concurrency: 3 }).run(['a', 'b'], async item => item.toUpperCase(), onResult);
+
+      expect(onResult.mock.calls).toEqual(expect.arrayContaining([['A', 'a'], ['B', 'b']]));
+    });
+
+    test('should pace job starts to the target rate', async() => {
+      let clock = 0;
+      const sleep = jest.fn(async ms => { clock += ms; });
+      const pool = new WorkerPool({ concurrency: 5, ratePerSecond: 4, now: () => clock, sleep });
+
+      await pool.run([1, 2, 3], async() => 'ok');
+
+      expect(sleep.mock.calls).toEqual([[250], [250]]);
+    });
+  });
+
+  describe('Draining', () => {
+    test('should finish in-flight jobs but start no new ones after stop()', async() => {
+      const jobs = [deferred(), deferred()];
+      const worker = jest.fn(index => jobs[index].promise);
+      const onResult = jest.fn();
+      const pool = new WorkerPool({ concurrency: 2 });
+
+      const run = pool.run([0, 1, 2, 3], worker, onResult);
+      await flush();
+      pool.stop();
+      jobs.forEach(job => job.resolve('done'));
+
+      await expect(run).resolves.toEqual({ started: 2, stopped: true });
+      expect(worker).toHaveBeenCalledTimes(2);
+      expect(onResult).toHaveBeenCalledTimes(2);
+    });
+
+    test('should stop and rethrow when a result cannot be handled', async() => {
+      const pool = new WorkerPool({ concurrency: 1 });
+      const onResult = jest.fn(() => { throw new Error('disk full'); });
+
+      await expect(pool.run([1, 2, 3], async() => 'ok', onResult)).rejects.toThrow('disk full');
+      expect(onResult).toHaveBeenCalledTimes(1);
+    });
+
+    test('should let in-flight jobs finish before rethrowing a source error', async() => {
+      const job = deferred();
+      const onResult = jest.fn();
+      const source = async function * () {
+        yield 0;
+        throw new Error('Row 2 falls in quiet hours');
+      };
+
+      const run = new WorkerPool({ concurrency: 2 }).run(source(), () => job.promise, onResult);
+      await flush();
+      expect(onResult).not.toHaveBeenCalled();
+      job.resolve('sent');
+
+      await expect(run).rejects.toThrow('Row 2 falls in quiet hours');
+      expect(onResult).toHaveBeenCalledWith('sent', 0);
+    });
+  });
+
+  describe('Progress', () => {
+    test('should report counts, throughput and ETA', () => {
+      let clock = 0;
+      const log = jest.fn();
+      const progress = new ProgressTracker({ total: 10, intervalMs: 1000, log, now: () => clock });
+
+      progress.record({ success: true, skipped: true });
+      clock = 500;
+      progress.record({ success: true });
+      clock = 1000;
+      progress.record({ success: false });
+
+      expect(progress.snapshot()).toMatchObject({ done: 3, succeeded: 1, failed: 1, skipped: 1, ratePerSecond: 2, etaSeconds: 4 });
+      expect(log).toHaveBeenCalledTimes(1);
+      expect(log).toHaveBeenCalledWith('📊 3/10 (30.0%) | ✅ 1 ❌ 1 ⏭️  1 | 2.0 msg/s | ETA 4s');
+    });
+
+    test('should omit the ETA without a known total', () => {
+      const progress = new ProgressTracker({ now: () => 2000 });
+      progress.startedAt = 0;
+      progress.record({ success: true });
+
+      expect(progress.format()).toBe('📊 1 | ✅ 1 ❌ 0 | 0.5 msg/s');
+    });
+  });
+});
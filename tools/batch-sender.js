@@ -8,21 +8,264 @@
 const AWS = require('aws-sdk');
 const fs = require('fs');
 const path = require('path');
+const { InvalidPayloadError, normalizeError, formatError } = require('../lib/errors');
+const { PLATFORMS } = require('../lib/device-token');
+const payloadBuilder = require('../lib/payload-builder');
+const { IdempotencyManager, fingerprint } = require('../lib/idempotency');
+const { createStore } = require('../lib/store');
+const { PublishGuard } = require('../lib/publish-guard');
+const { RetryPolicy } = require('../lib/retry-policy');
+const { BatchJournal, deviceEntryId, entryId } = require('../lib/batch-journal');
+const { readNotifications } = require('../lib/notification-stream');
+const { CampaignProducer } = require('../lib/campaign-queue');
+const { ProgressTracker, WorkerPool } = require('../lib/worker-pool');
+const { AudienceFilter, DROP_REASON, SuppressionList } = require('../lib/audience-filter');
+const { TemplateRegistry } = require('../lib/template-engine');
+const { fallbackLabel } = require('../lib/localization');
+const { Experiment, experimentAttributes } = require('../lib/experiment');
+const { QuietHoursPolicy, validateQuietHours } = require('../lib/quiet-hours');
+const { FrequencyCap, capLabel } = require('../lib/frequency-cap');
+const { PreferenceCenter } = require('../lib/preferences');
+const { DEVICE_INDEXES, DeviceRegistry } = require('../lib/device-registry');
+const {
+  USER_STATUS,
+  allReached,
+  deviceRecipient,
+  fanOut,
+  summarizeUsers,
+  userTargetsOf,
+  validateUserTargets
+} = require('../lib/fan-out');
 
 const sns = new AWS.SNS({
   region: process.env.AWS_REGION || 'us-east-1'
 });
 
+/**
+ * Running totals for a batch report, built one result at a time
+ */
+class BatchSummary {
+  constructor() {
+    this.counts = { total: 0, successful: 0, replayed: 0, skipped: 0, retried: 0, failed: 0, dropped: 0, deferred: 0, capped: 0 };
+    this.errorCounts = {};
+    this.dropReasons = {};
+    this.deferredUntil = { earliest: null, latest: null };
+    this.frequencyCaps = {}; // "marketing:2/1d": count
+    this.localeFallbacks = {}; // "pt-BR -> pt": count
+    this.variants = {};        // A/B variant name: counts
+    this.users = summarizeUsers([]); // Outcomes of rows sent to a userId
+    this.failedNotifications = []; // First 10 failures for review
+    this.sampleSuccesses = [];     // First 5 successes for confirmation
+  }
+
+  add(result) {
+    this.counts.total += 1;
+    if (result.locale && result.locale.fellBack) {
+      const label = fallbackLabel(result.locale);
+      this.localeFallbacks[label] = (this.localeFallbacks[label] || 0) + 1;
+    }
+    if (result.variant) {
+      this.addVariant(result);
+    }
+    if (result.users) {
+      this.addUsers(result);
+    }
+    // Filtered out before sending: neither a success nor a failure
+    if (result.dropped) {
+      this.counts.dropped += 1;
+      this.dropReasons[result.dropped] = (this.dropReasons[result.dropped] || 0) + 1;
+      return;
+    }
+    // Held back by the recipient's quiet hours; sent by a later --resume
+    if (result.deferred) {
+      this.counts.deferred += 1;
+      const { earliest, latest } = this.deferredUntil;
+      this.deferredUntil.earliest = !earliest || result.deferredUntil < earliest ? result.deferredUntil : earliest;
+      this.deferredUntil.latest = !latest || result.deferredUntil > latest ? result.deferredUntil : latest;
+      return;
+    }
+    // The recipient had already had their fill of pushes (FREQUENCY_CAPPED)
+    if (result.capped) {
+      const label = capLabel(result.error.details);
+      this.counts.capped += 1;
+      this.frequencyCaps[label] = (this.frequencyCaps[label] || 0) + 1;
+      return;
+    }
+
+    if (result.attempts > 1) {
+      this.counts.retried += 1;
+    }
+
+    if (result.success) {
+      this.counts.successful += 1;
+      this.counts.replayed += result.replayed ? 1 : 0;
+      this.counts.skipped += result.skipped ? 1 : 0;
+      if (this.sampleSuccesses.length < 5) {
+        this.sampleSuccesses.push(result);
+      }
+      return;
+    }
+
+    // Group errors by catalog code
+    const code = result.error ? result.error.code : 'INTERNAL_ERROR';
+    this.counts.failed += 1;
+    this.errorCounts[code] = (this.errorCounts[code] || 0) + 1;
+    if (this.failedNotifications.length < 10) {
+      this.failedNotifications.push(result);
+    }
+  }
+
+  addVariant(result) {
+    const counts = this.variants[result.variant] ||
+      (this.variants[result.variant] = { total: 0, successful: 0, failed: 0, dropped: 0, deferred: 0, capped: 0 });
+    counts.total += 1;
+    if (result.dropped) {
+      counts.dropped += 1;
+    } else if (result.deferred) {
+      counts.deferred += 1;
+    } else if (result.capped) {
+      counts.capped += 1;
+    } else if (result.success) {
+      counts.successful += 1;
+    } else {
+      counts.failed += 1;
+    }
+  }
+
+  addUsers(result) {
+    const counts = summarizeUsers(result.users);
+    Object.keys(this.users).forEach(key => {
+      this.users[key] += counts[key];
+    });
+  }
+
+  toReport() {
+    const { total, successful, dropped, deferred, capped } = this.counts;
+    const attempted = total - dropped - deferred - capped;
+
+    return {
+      summary: {
+        ...this.counts,
+        successRate: attempted > 0 ? (successful / attempted * 100).toFixed(2) : 0,
+        timestamp: new Date().toISOString()
+      },
+      errorCounts: this.errorCounts,
+      dropReasons: this.dropReasons,
+      deferredUntil: this.deferredUntil,
+      frequencyCaps: this.frequencyCaps,
+      users: this.users,
+      localeFallbacks: this.localeFallbacks,
+      variants: Object.fromEntries(Object.entries(this.variants).map(([name, counts]) => {
+        const attempted = counts.total - counts.dropped - counts.deferred - counts.capped;
+        return [name, {
+          ...counts,
+          successRate: attempted > 0 ? (counts.successful / attempted * 100).toFixed(2) : 0
+        }];
+      })),
+      failedNotifications: this.failedNotifications,
+      sampleSuccesses: this.sampleSuccesses
+    };
+  }
+}
+
 /**
  * Batch sender class
  */
 class BatchNotificationSender {
   constructor(options = {}) {
     this.snsTopicArn = options.snsTopicArn || process.env.SNS_TOPIC_ARN;
-    this.batchSize = options.batchSize || 10;
-    this.delayBetweenBatches = options.delayBetweenBatches || 1000; // 1 second
-    this.maxRetries = options.maxRetries || 3;
-    this.retryDelay = options.retryDelay || 2000; // 2 seconds
+    // Sliding window: a send starts as soon as any in-flight one finishes
+    this.maxInFlight = options.maxInFlight || options.batchSize || 10;
+    this.ratePerSecond = options.ratePerSecond || null;
+    // Transient SNS errors are retried with exponential backoff and full
+    // jitter; permanent ones (InvalidParameter, EndpointDisabled) are not
+    this.retryPolicy = options.retryPolicy || new RetryPolicy({
+      maxRetries: options.maxRetries,
+      baseDelayMs: options.retryDelay,
+      maxDelayMs: options.maxRetryDelay
+    });
+    // Entries with an idempotencyKey are published at most once per key;
+    // a file-backed store keeps that guarantee across runs
+    this.idempotency = options.idempotency || new IdempotencyManager({
+      store: createStore({ filePath: options.idempotencyStorePath })
+    });
+    // Publishes wait for the token bucket instead of failing; an open
+    // circuit fails the remaining entries fast
+    this.publishGuard = options.publishGuard || PublishGuard.fromEnv(process.env, {
+      ratePerMinute: options.rateLimitPerMinute,
+      maxWaitMs: Infinity
+    });
+    this.sns = this.publishGuard.wrap(options.sns || sns);
+    // Outcomes are appended to the journal as they complete; with resume,
+    // entries the journal records as sent are skipped
+    this.journal = options.journal || (options.journalPath ? new BatchJournal(options.journalPath) : null);
+    this.resume = Boolean(options.resume);
+    // Repeats of a dedupe key ('token', a field such as 'userId', or null)
+    // and suppressed tokens or user IDs are dropped instead of sent
+    this.dedupeKey = options.dedupeKey !== undefined ? options.dedupeKey : 'token';
+    this.suppression = options.suppression || new SuppressionList();
+    // Rows with a `template` column (or every row, with options.template)
+    // are rendered from config/notification-templates.json or templatesPath
+    this.templates = options.templates || TemplateRegistry.fromFile(options.templatesPath);
+    this.template = options.template || null;
+    // A/B test: each row gets the content of its deterministically assigned variant
+    this.experiment = options.experiment || (options.experimentPath ? Experiment.fromFile(options.experimentPath) : null);
+    // Non-urgent rows inside the recipient's quiet hours (default window and
+    // time zone, the row's quietHours/timeZone, or for rows sent to users
+    // each user's stored ones) are deferred, not sent.
+    // Nothing schedules them: the journal is what lets a later --resume send
+    // them, so sendBatch refuses to defer without one
+    this.quietHours = options.quietHoursPolicy || new QuietHoursPolicy({
+      quietHours: options.quietHours,
+      timeZone: options.timeZone
+    });
+    // Per-recipient caps (e.g. 3/1h,10/1d) shared with the Lambda handlers
+    // through the counter store; capped rows are not sent
+    this.frequencyCap = options.frequencyCap || FrequencyCap.fromEnv(process.env, {
+      ...(options.frequencyCaps ? { caps: options.frequencyCaps } : {}),
+      ...(options.frequencyStorePath ? { store: createStore({ filePath: options.frequencyStorePath }) } : {})
+    });
+    // Rows whose user opted out of the row's category or platform are
+    // dropped as OPTED_OUT (PREFERENCES_TABLE_NAME, or a JSON file)
+    this.preferences = options.preferences || PreferenceCenter.fromEnv(process.env,
+      options.preferencesPath ? { store: createStore({ filePath: options.preferencesPath }) } : {});
+    // Rows addressed to a userId go to each of the user's active devices,
+    // from the registry in DEVICE_TABLE_NAME or a JSON file
+    this.devices = options.deviceRegistry || new DeviceRegistry({
+      sns: options.sns || sns,
+      store: createStore({
+        tableName: process.env.DEVICE_TABLE_NAME,
+        filePath: options.devicesPath || process.env.DEVICE_STORE,
+        keyName: 'deviceId',
+        indexes: DEVICE_INDEXES
+      })
+    });
+  }
+
+  /**
+   * The notification a row describes, with its experiment variant applied
+   * and its template rendered in the row's locale:
+   * { notification, locale: { requested, resolved, fellBack } }
+   * Throws InvalidPayloadError for unknown templates and missing variables.
+   */
+  renderNotification(notification) {
+    const row = this.experiment ? this.experiment.apply(notification) : notification;
+    const { entry, locale } = this.templates.render(row, this.template);
+    return { notification: entry, locale };
+  }
+
+  /**
+   * A fresh filter for one pass over the input
+   */
+  createAudienceFilter() {
+    return new AudienceFilter({ dedupeKey: this.dedupeKey, suppression: this.suppression });
+  }
+
+  /**
+   * Device token for a notification (iOS entries use deviceToken)
+   */
+  getDeviceToken(notification) {
+    return notification.platform === 'ios' ? notification.deviceToken : notification.fcmToken;
   }
 
   /**
@@ -30,12 +273,19 @@ class BatchNotificationSender {
    */
   validateNotification(notification) {
     const errors = [];
+    const platform = notification.platform || 'android';
+    const userIds = userTargetsOf(notification);
     
-    if (!notification.fcmToken) {
-      errors.push('Missing fcmToken');
+    if (userIds) {
+      errors.push(...validateUserTargets(userIds));
+    } else if (!PLATFORMS.includes(platform)) {
+      errors.push(`Unsupported platform: ${platform}`);
+    } else if (!this.getDeviceToken(notification)) {
+      errors.push(platform === 'ios' ? 'Missing deviceToken' : 'Missing fcmToken');
     }
     
-    if (!notification.title && !notification.data) {
+    // A localization key (titleLocKey/bodyLocKey) stands in for literal text
+    if (!notification.title && !notification.titleLocKey && !notification.bodyLocKey && !notification.data) {
       errors.push('Must have either title or data');
     }
     
@@ -47,170 +297,619 @@ class BatchNotificationSender {
       errors.push('Message too long (max 500 characters)');
     }
     
+    errors.push(...validateQuietHours(notification));
+    
     return errors;
   }
 
   /**
-   * Send single notification with retry logic
+   * SNS publish parameters for a notification (nothing is sent)
    */
-  async sendSingleNotification(notification, retryCount = 0) {
-    try {
-      const message = {
-        ...notification,
-        timestamp: new Date().toISOString(),
-        batchId: notification.batchId || 'manual'
-      };
+  buildPublishRequest(notification) {
+    const platform = notification.platform || 'android';
+    const message = {
+      ...notification,
+      timestamp: new Date().toISOString(),
+      batchId: notification.batchId || 'manual'
+    };
 
-      const params = {
-        TopicArn: this.snsTopicArn,
-        Message: JSON.stringify(message),
-        MessageAttributes: {
-          'notification_type': {
-            DataType: 'String',
-            StringValue: 'push'
-          },
-          'batch_mode': {
-            DataType: 'String',
-            StringValue: 'true'
-          }
-        }
+    // Platform payload for mobile subscribers, the full entry for delivery consumers
+    const publishParams = payloadBuilder.buildPublishParams(payloadBuilder.fromBatchEntry(notification), {
+      protocols: payloadBuilder.protocolsForPlatform(platform),
+      defaultMessage: JSON.stringify(message)
+    });
+
+    const params = {
+      ...publishParams,
+      TopicArn: this.snsTopicArn,
+      MessageAttributes: {
+        ...publishParams.MessageAttributes,
+        'notification_type': {
+          DataType: 'String',
+          StringValue: 'push'
+        },
+        'platform': {
+          DataType: 'String',
+          StringValue: platform
+        },
+        'batch_mode': {
+          DataType: 'String',
+          StringValue: 'true'
+        },
+        ...experimentAttributes(notification)
+      }
+    };
+
+    // Lets delivery consumers drop duplicates of an ambiguous (timed out) publish
+    if (notification.idempotencyKey) {
+      params.MessageAttributes['idempotency_key'] = {
+        DataType: 'String',
+        StringValue: notification.idempotencyKey
       };
+    }
+
+    return params;
+  }
 
-      const result = await sns.publish(params).promise();
+  /**
+   * Publish a notification to the SNS topic, returning the message ID
+   */
+  async publishNotification(notification) {
+    const result = await this.sns.publish(this.buildPublishRequest(notification)).promise();
+    return result.MessageId;
+  }
+
+  /**
+   * Publish once per idempotency key; a replayed key returns the original message ID
+   */
+  async publishOnce(notification) {
+    const { idempotencyKey, ...payload } = notification;
+
+    if (!idempotencyKey) {
+      return { messageId: await this.publishNotification(notification), replayed: false };
+    }
+
+    const { response, replayed } = await this.idempotency.execute(idempotencyKey, payload, async() => ({
+      messageId: await this.publishNotification(notification)
+    }));
+
+    return { messageId: response.messageId, replayed };
+  }
+
+  /**
+   * Send single notification with retry logic
+   * The send counts against the recipient's frequency caps (`cap`) unless
+   * nothing was published (a failure or an idempotency replay). Rows
+   * addressed to users fan out to their devices; `entry` ({ id, index,
+   * completed }) journals each device they reach.
+   */
+  async sendSingleNotification(notification, cap = this.frequencyCap, entry = {}) {
+    const userIds = userTargetsOf(notification);
+    if (userIds) {
+      return this.sendToUsers(notification, userIds, entry);
+    }
+    
+    const platform = notification.platform || 'android';
+    const deviceToken = this.getDeviceToken(notification);
+    let charge = null;
+    
+    try {
+      charge = await cap.enforce(notification);
+      
+      const { value, attempts } = await this.retryPolicy.execute(() => this.publishOnce(notification), {
+        onRetry: (error, attempt, delay) => {
+          console.log(`⚠️  ${formatError(error)} - retrying in ${delay}ms (retry ${attempt}/${this.retryPolicy.maxRetries})...`);
+        }
+      });
+      if (value.replayed) {
+        await cap.refund(charge);
+      }
       
       return {
         success: true,
-        messageId: result.MessageId,
-        fcmToken: notification.fcmToken.substring(0, 10) + '...'
+        messageId: value.messageId,
+        ...(value.replayed ? { replayed: true } : {}),
+        ...(notification.variant ? { variant: notification.variant } : {}),
+        attempts,
+        platform,
+        [platform === 'ios' ? 'deviceToken' : 'fcmToken']: deviceToken.substring(0, 10) + '...'
       };
       
     } catch (error) {
-      if (retryCount < this.maxRetries) {
-        console.log(`⚠️  Retrying notification (attempt ${retryCount + 1}/${this.maxRetries})...`);
-        await this.delay(this.retryDelay);
-        return this.sendSingleNotification(notification, retryCount + 1);
+      if (charge) {
+        await cap.refund(charge);
       }
+      const normalized = normalizeError(error);
       
       return {
         success: false,
-        error: error.message,
-        fcmToken: notification.fcmToken.substring(0, 10) + '...'
+        ...(normalized.code === 'FREQUENCY_CAPPED' ? { capped: true } : {}),
+        error: normalized.toJSON(),
+        ...(notification.variant ? { variant: notification.variant } : {}),
+        attempts: charge ? error.attempts || 1 : 0,
+        platform,
+        [platform === 'ios' ? 'deviceToken' : 'fcmToken']: deviceToken.substring(0, 10) + '...'
       };
     }
   }
 
   /**
-   * Process notifications in batches
+   * Send a row to every active device of its users, checking each device
+   * against the user's preferences and quiet hours (in the user's stored
+   * time zone). The result has one outcome per user and succeeds when every
+   * user was reached; it is dropped as OPTED_OUT when every user opted out,
+   * deferred when only quiet hours held users back, and capped when the
+   * users' caps were all reached. With a journal, each device outcome is
+   * recorded under the row's entry `id` as it lands, and devices `completed`
+   * records as reached are skipped.
    */
-  async sendBatch(notifications) {
+  async sendToUsers(notification, userIds, { id, index, completed = new Map() } = {}) {
+    const users = await fanOut(userIds, {
+      listDevices: userId => this.devices.listUserDevices(userId),
+      send: async(device, cap) => {
+        const deviceEntry = id !== undefined ? deviceEntryId(id, device.deviceId) : null;
+        const previous = deviceEntry ? completed.get(deviceEntry) : null;
+        if (previous && previous.success) {
+          return { success: true, messageId: previous.messageId, skipped: true, attempts: 0 };
+        }
+
+        const recipient = deviceRecipient(notification, device);
+        const optedOut = await this.preferences.check(recipient);
+        const deferral = optedOut ? null : this.quietHours.check(await this.preferences.applyQuietHours(recipient));
+        if (deferral) {
+          this.requireJournalToDefer(index);
+          return this.deferredResult(recipient, deferral);
+        }
+
+        const result = optedOut
+          ? { success: true, suppressed: true, ...optedOut }
+          : await this.sendSingleNotification(recipient, cap);
+        if (deviceEntry && this.journal && !optedOut) {
+          this.journal.record(deviceEntry, index, result);
+        }
+        return result;
+      },
+      frequencyCap: this.frequencyCap
+    });
+    const results = users.flatMap(user => user.results);
+    const fields = {
+      users,
+      ...(notification.variant ? { variant: notification.variant } : {}),
+      attempts: Math.max(0, ...results.map(result => result.attempts || 0))
+    };
+
+    if (users.every(user => user.status === USER_STATUS.SUPPRESSED)) {
+      return { success: false, dropped: DROP_REASON.OPTED_OUT, ...fields };
+    }
+    if (results.length > 0 && results.every(result => result.capped)) {
+      return { success: false, capped: true, error: results[0].error, ...fields };
+    }
+    // Deferred devices are not journaled, so a --resume after the window sends them
+    const unreached = results.filter(result => !result.success && !result.suppressed);
+    if (unreached.length > 0 && unreached.every(result => result.deferred) && users.every(user => !user.error)) {
+      return { success: false, deferred: true, deferredUntil: unreached.map(result => result.deferredUntil).sort()[0], ...fields };
+    }
+
+    // The first user not reached explains the failure
+    const failure = users
+      .map(user => user.error || (user.results.find(result => !result.success && !result.suppressed) || {}).error)
+      .find(Boolean);
+    return {
+      success: allReached(users),
+      ...(allReached(users) ? {} : { error: failure }),
+      ...fields
+    };
+  }
+
+  /**
+   * Send notifications through a sliding-window worker pool
+   * Accepts an array or an async iterable (lib/notification-stream), read only
+   * as fast as sends complete. Results are returned in input order unless
+   * options.onResult consumes them, which keeps memory flat for streamed
+   * input; options.total enables the progress ETA. After stop() the run
+   * drains and `interrupted` is set. Rows are rendered from their templates
+   * as they are read, so validate them first: a row that cannot be rendered
+   * aborts the run.
+   */
+  async sendBatch(notifications, options = {}) {
+    if (this.quietHours.window) {
+      this.requireJournalToDefer();
+    }
+
     const results = [];
-    const totalBatches = Math.ceil(notifications.length / this.batchSize);
-    
-    console.log(`📦 Processing ${notifications.length} notifications in ${totalBatches} batches...`);
-    
-    for (let i = 0; i < notifications.length; i += this.batchSize) {
-      const batch = notifications.slice(i, i + this.batchSize);
-      const batchNumber = Math.floor(i / this.batchSize) + 1;
-      
-      console.log(`📤 Processing batch ${batchNumber}/${totalBatches} (${batch.length} notifications)...`);
-      
-      // Process batch in parallel
-      const batchPromises = batch.map(notification => 
-        this.sendSingleNotification(notification)
-      );
-      
-      const batchResults = await Promise.all(batchPromises);
-      results.push(...batchResults);
-      
-      // Progress update
-      const processed = Math.min(i + this.batchSize, notifications.length);
-      const successCount = batchResults.filter(r => r.success).length;
-      console.log(`✅ Batch ${batchNumber} completed: ${successCount}/${batch.length} successful`);
-      
-      // Rate limiting delay between batches
-      if (i + this.batchSize < notifications.length) {
-        console.log(`⏳ Waiting ${this.delayBetweenBatches}ms before next batch...`);
-        await this.delay(this.delayBetweenBatches);
+    const onResult = options.onResult || ((result, index) => { results[index] = result; });
+    const completed = this.journal && this.resume ? this.journal.load() : new Map();
+    const progress = new ProgressTracker({ total: options.total, log: message => console.log(message) });
+
+    this.pool = new WorkerPool({ concurrency: this.maxInFlight, ratePerSecond: this.ratePerSecond });
+    if (this.stopRequested) {
+      this.pool.stop();
+    }
+
+    const pace = this.ratePerSecond ? `, ${this.ratePerSecond} msg/s` : '';
+    console.log(`📦 Sending with up to ${this.maxInFlight} in flight${pace}...`);
+
+    let resumed = 0;
+    const skip = (result, index) => {
+      resumed += result.skipped ? 1 : 0;
+      progress.record(result);
+      onResult(result, index);
+    };
+
+    const { stopped } = await this.pool.run(
+      this.pendingEntries(notifications, {
+        completed,
+        onSkipped: skip,
+        only: options.only,
+        filter: this.createAudienceFilter()
+      }),
+      ({ notification, index, id }) => this.sendSingleNotification(notification, this.frequencyCap, { index, id, completed }),
+      (result, { index, id, locale }) => {
+        if (locale.fellBack) {
+          result.locale = locale;
+        }
+        // Journal each outcome as it lands
+        if (this.journal) {
+          this.journal.record(id, index, result);
+        }
+        progress.record(result);
+        onResult(result, index);
       }
+    );
+
+    this.interrupted = stopped;
+    console.log(progress.format());
+
+    if (resumed > 0) {
+      console.log(`⏭️  Resumed: ${resumed} notifications already sent per journal`);
     }
     
     return results;
   }
 
   /**
-   * Generate summary report
+   * Entries still to send; ones the filter drops, the journal records as
+   * sent, the user opted out of or quiet hours defer go to onSkipped.
+   * `only` (a Set of indexes) restricts the run to a sample; the filter
+   * still sees every entry, so a sampled repeat of an unsampled entry is
+   * dropped the same way the full run drops it.
    */
-  generateSummary(results) {
-    const successful = results.filter(r => r.success);
-    const failed = results.filter(r => !r.success);
-    
-    const summary = {
-      total: results.length,
-      successful: successful.length,
-      failed: failed.length,
-      successRate: results.length > 0 ? (successful.length / results.length * 100).toFixed(2) : 0,
-      timestamp: new Date().toISOString()
+  async * pendingEntries(notifications, { completed = new Map(), onSkipped, only, filter }) {
+    let index = -1;
+
+    for await (const notification of notifications) {
+      index += 1;
+      const dropped = filter ? filter.check(notification) : null;
+      if (only && !only.has(index)) {
+        continue;
+      }
+
+      const id = entryId(notification, index);
+      const previous = completed.get(id);
+
+      if (dropped) {
+        onSkipped(this.droppedResult(notification, dropped), index);
+      } else if (previous && previous.success) {
+        onSkipped(this.skippedResult(notification, previous), index);
+      } else {
+        const rendered = this.renderNotification(notification);
+        // Rows sent to users are checked per device as they fan out
+        const toUsers = Boolean(userTargetsOf(rendered.notification));
+        const optedOut = toUsers ? null : await this.preferences.check(rendered.notification);
+        const deferral = optedOut || toUsers ? null : this.quietHours.check(rendered.notification);
+        if (optedOut) {
+          const { reason, ...scope } = optedOut;
+          onSkipped(this.droppedResult(rendered.notification, reason, scope), index);
+        } else if (deferral) {
+          this.requireJournalToDefer(index);
+          onSkipped(this.deferredResult(rendered.notification, deferral), index);
+        } else {
+          yield { ...rendered, index, id };
+        }
+      }
+    }
+  }
+
+  /**
+   * Throw unless deferred rows are journaled for a later --resume; a
+   * deferral nobody records would silently drop the row
+   */
+  requireJournalToDefer(index) {
+    if (!this.journal) {
+      const row = index !== undefined ? `Row ${index + 1} falls in quiet hours, but deferring` : 'Deferring';
+      throw new InvalidPayloadError(`${row} rows for quiet hours needs --journal so a later --resume sends them`);
+    }
+  }
+
+  /**
+   * Render what a run would publish without calling SNS
+   * Each rendered message goes to write(preview); resolves the dry-run report
+   */
+  async previewBatch(notifications, options = {}) {
+    const write = options.write || (() => {});
+    const filter = this.createAudienceFilter();
+    const report = {
+      total: 0,
+      renderable: 0,
+      invalid: 0,
+      dropped: {},
+      localeFallbacks: {},
+      variants: {},
+      deferred: 0,
+      byPlatform: {},
+      users: { users: 0, devices: 0, no_devices: 0 },
+      messageBytes: { max: 0, average: 0 },
+      largest: null
     };
+    // Same device (or users) and same rendered content -> first index
+    const seen = new Map();
+    let totalBytes = 0;
+    let index = -1;
 
-    // Group errors
-    const errorCounts = {};
-    failed.forEach(result => {
-      const error = result.error || 'Unknown error';
-      errorCounts[error] = (errorCounts[error] || 0) + 1;
-    });
+    for await (const notification of notifications) {
+      index += 1;
+      const dropped = filter.check(notification);
+      if (options.only && !options.only.has(index)) {
+        continue;
+      }
+
+      const platform = notification.platform || 'android';
+      const deviceToken = this.getDeviceToken(notification);
+      const preview = { index, platform, deviceToken };
+      report.total += 1;
+
+      if (dropped) {
+        report.dropped[dropped] = (report.dropped[dropped] || 0) + 1;
+        write({ ...preview, dropped });
+        continue;
+      }
+
+      let rendered = notification;
+      let errors;
+      try {
+        const { notification: entry, locale } = this.renderNotification(notification);
+        rendered = entry;
+        errors = this.validateNotification(rendered);
+        if (locale.fellBack) {
+          preview.locale = locale;
+        }
+        if (rendered.variant) {
+          preview.variant = rendered.variant;
+        }
+      } catch (error) {
+        errors = [error.message];
+      }
+
+      const userIds = errors.length === 0 ? userTargetsOf(rendered) : null;
+      const optedOut = errors.length === 0 && !userIds ? await this.preferences.check(rendered) : null;
+      if (optedOut) {
+        const { reason, ...scope } = optedOut;
+        report.dropped[reason] = (report.dropped[reason] || 0) + 1;
+        write({ ...preview, dropped: reason, ...scope });
+        continue;
+      }
+
+      // A repeat of an earlier row is counted as a dropped DUPLICATE only,
+      // never towards the platforms, users or renderable messages
+      const target = userIds ? { userIds: [...new Set(userIds.map(String))].sort() } : { platform, deviceToken };
+      const duplicateKey = fingerprint({ ...target, spec: payloadBuilder.fromBatchEntry(rendered) });
+      if (seen.has(duplicateKey)) {
+        report.dropped[DROP_REASON.DUPLICATE] = (report.dropped[DROP_REASON.DUPLICATE] || 0) + 1;
+        write({ ...preview, dropped: DROP_REASON.DUPLICATE, duplicateOf: seen.get(duplicateKey) });
+        continue;
+      }
+      seen.set(duplicateKey, index);
+
+      if (preview.locale) {
+        const label = fallbackLabel(preview.locale);
+        report.localeFallbacks[label] = (report.localeFallbacks[label] || 0) + 1;
+      }
+      if (preview.variant) {
+        report.variants[preview.variant] = (report.variants[preview.variant] || 0) + 1;
+      }
+
+      // Rows sent to users list their devices; the message is rendered for the first
+      let recipient = rendered;
+      if (userIds) {
+        const users = await Promise.all([...new Set(userIds.map(String))].map(async userId => ({
+          userId,
+          devices: await this.devices.listUserDevices(userId)
+        })));
+        const devices = users.flatMap(user => user.devices);
+        preview.users = users.map(user => ({
+          userId: user.userId,
+          devices: user.devices.map(device => ({ deviceId: device.deviceId, platform: device.platform || 'android' }))
+        }));
+        report.users.users += users.length;
+        report.users.devices += devices.length;
+        report.users.no_devices += users.filter(user => user.devices.length === 0).length;
+        devices.forEach(device => {
+          const devicePlatform = device.platform || 'android';
+          report.byPlatform[devicePlatform] = (report.byPlatform[devicePlatform] || 0) + 1;
+        });
+        // Each user is held back by the quiet hours of their own time zone
+        await Promise.all(preview.users.map(async user => {
+          const deferral = this.quietHours.check(await this.preferences.applyQuietHours({ ...rendered, userId: user.userId }));
+          if (deferral) {
+            user.deferredUntil = deferral.deferredUntil;
+          }
+        }));
+        if (devices.length === 0) {
+          errors.push(`No active devices for userId ${userIds.join(', ')}`);
+        } else {
+          recipient = deviceRecipient(rendered, devices[0]);
+        }
+      } else {
+        report.byPlatform[platform] = (report.byPlatform[platform] || 0) + 1;
+      }
+
+      try {
+        if (errors.length > 0) {
+          throw new InvalidPayloadError('Notification failed validation', errors);
+        }
+
+        const deferredUntil = userIds
+          ? preview.users.map(user => user.deferredUntil).filter(Boolean).sort()[0]
+          : (this.quietHours.check(rendered) || {}).deferredUntil;
+        if (deferredUntil) {
+          preview.deferredUntil = deferredUntil;
+          report.deferred += 1;
+        }
+
+        const params = this.buildPublishRequest(recipient);
+        const message = JSON.parse(params.Message);
+        preview.bytes = Buffer.byteLength(params.Message);
+        preview.protocolBytes = Object.fromEntries(Object.entries(message)
+          .map(([protocol, payload]) => [protocol, Buffer.byteLength(payload)]));
+        preview.params = params;
+
+        report.renderable += 1;
+        totalBytes += preview.bytes;
+        if (preview.bytes > report.messageBytes.max) {
+          report.messageBytes.max = preview.bytes;
+          report.largest = index;
+        }
+      } catch (error) {
+        preview.error = normalizeError(error).toJSON();
+        report.invalid += 1;
+      }
+
+      write(preview);
+    }
+
+    report.messageBytes.average = report.renderable > 0 ? Math.round(totalBytes / report.renderable) : 0;
+    return report;
+  }
+
+  /**
+   * Stop starting sends; in-flight ones finish and sendBatch resolves
+   */
+  stop() {
+    this.stopRequested = true;
+    if (this.pool) {
+      this.pool.stop();
+    }
+  }
+
+  /**
+   * Result for an entry the journal already records as sent
+   */
+  skippedResult(notification, previous) {
+    const platform = notification.platform || 'android';
+    const deviceToken = this.getDeviceToken(notification) || '';
+
+    return {
+      success: true,
+      messageId: previous.messageId,
+      skipped: true,
+      ...this.variantField(notification),
+      attempts: 0,
+      platform,
+      [platform === 'ios' ? 'deviceToken' : 'fcmToken']: deviceToken.substring(0, 10) + '...'
+    };
+  }
+
+  /**
+   * Result for an entry the audience filter dropped (DUPLICATE, SUPPRESSED, ...)
+   * or whose user opted out (OPTED_OUT, with the category or channel in details)
+   */
+  droppedResult(notification, reason, details = {}) {
+    const platform = notification.platform || 'android';
+    const deviceToken = this.getDeviceToken(notification) || '';
+
+    return {
+      success: false,
+      dropped: reason,
+      ...details,
+      ...this.variantField(notification),
+      attempts: 0,
+      platform,
+      [platform === 'ios' ? 'deviceToken' : 'fcmToken']: deviceToken.substring(0, 10) + '...'
+    };
+  }
+
+  /**
+   * Result for an entry held back by the recipient's quiet hours
+   */
+  deferredResult(notification, deferral) {
+    const platform = notification.platform || 'android';
+    const deviceToken = this.getDeviceToken(notification) || '';
 
     return {
-      summary,
-      errorCounts,
-      failedNotifications: failed.slice(0, 10), // First 10 failures for review
-      sampleSuccesses: successful.slice(0, 5)   // First 5 successes for confirmation
+      success: false,
+      deferred: true,
+      ...deferral,
+      ...(notification.variant ? { variant: notification.variant } : {}),
+      attempts: 0,
+      platform,
+      [platform === 'ios' ? 'deviceToken' : 'fcmToken']: deviceToken.substring(0, 10) + '...'
     };
   }
 
   /**
-   * Delay helper
+   * { variant } for results of rows that were not sent this run, so the
+   * per-variant breakdown still covers them
+   */
+  variantField(notification) {
+    return this.experiment ? { variant: this.experiment.assign(notification) } : {};
+  }
+
+  /**
+   * Generate summary report, broken down per variant when an experiment ran
    */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  generateSummary(results) {
+    const summary = new BatchSummary();
+    results.forEach(result => summary.add(result));
+    return summary.toReport();
   }
 }
 
 /**
- * Load notifications from file
+ * Stream notifications from a JSON, NDJSON or CSV file
  */
-function loadNotificationsFromFile(filePath) {
+async function * loadNotificationsFromFile(filePath) {
   try {
-    const content = fs.readFileSync(filePath, 'utf8');
-    let notifications;
-    
-    try {
-      const parsed = JSON.parse(content);
-      notifications = Array.isArray(parsed) ? parsed : parsed.notifications;
-    } catch {
-      // Parse CSV format
-      const lines = content.split('\n').filter(line => line.trim());
-      const headers = lines[0].split(',').map(h => h.trim());
-      
-      notifications = lines.slice(1).map(line => {
-        const values = line.split(',').map(v => v.trim());
-        const notification = {};
-        headers.forEach((header, index) => {
-          notification[header] = values[index];
-        });
-        return notification;
-      });
-    }
-    
-    if (!Array.isArray(notifications)) {
-      throw new Error('File must contain an array of notifications');
-    }
-    
-    return notifications;
+    yield * readNotifications(filePath);
   } catch (error) {
     throw new Error(`Failed to load notifications from ${filePath}: ${error.message}`);
   }
 }
 
+/**
+ * Write results to a JSON file as they arrive instead of holding them all
+ * Produces { results: [...], summary, errorCounts, ... }
+ */
+function createResultsWriter(outputPath) {
+  const fd = fs.openSync(outputPath, 'w');
+  let first = true;
+
+  fs.writeSync(fd, '{\n  "results": [\n');
+
+  return {
+    write(result, index) {
+      fs.writeSync(fd, `${first ? '' : ',\n'}    ${JSON.stringify({ index, ...result })}`);
+      first = false;
+    },
+    close(report) {
+      fs.writeSync(fd, `\n  ],${JSON.stringify(report, null, 2).slice(1)}\n`);
+      fs.closeSync(fd);
+    }
+  };
+}
+
+/**
+ * `size` distinct random indexes below `total` (Floyd's algorithm, O(size) memory)
+ */
+function sampleIndices(total, size, random = Math.random) {
+  const chosen = new Set();
+
+  for (let candidate = Math.max(total - size, 0); candidate < total; candidate++) {
+    const pick = Math.floor(random() * (candidate + 1));
+    chosen.add(chosen.has(pick) ? candidate : pick);
+  }
+  return chosen;
+}
+
 /**
  * Generate sample notification file
  */
@@ -230,7 +929,11 @@ function generateSampleFile(count = 10, outputPath = 'sample-notifications.json'
     });
   }
   
-  fs.writeFileSync(outputPath, JSON.stringify(notifications, null, 2));
+  if (['.ndjson', '.jsonl'].includes(path.extname(outputPath).toLowerCase())) {
+    fs.writeFileSync(outputPath, notifications.map(notification => JSON.stringify(notification)).join('\n') + '\n');
+  } else {
+    fs.writeFileSync(outputPath, JSON.stringify(notifications, null, 2));
+  }
   console.log(`📄 Generated ${count} sample notifications in ${outputPath}`);
 }
 
@@ -246,6 +949,47 @@ function displaySummary(report) {
   
   console.log(`📝 Total Notifications: ${summary.total}`);
   console.log(`✅ Successful: ${summary.successful} (${summary.successRate}%)`);
+  if (summary.replayed > 0) {
+    console.log(`🔁 Already sent (idempotency key replayed): ${summary.replayed}`);
+  }
+  if (summary.skipped > 0) {
+    console.log(`⏭️  Skipped (sent in a previous run): ${summary.skipped}`);
+  }
+  if (summary.retried > 0) {
+    console.log(`🔄 Needed retries: ${summary.retried}`);
+  }
+  if (Object.keys(report.localeFallbacks).length > 0) {
+    console.log('🌐 Locale fallbacks:');
+    Object.entries(report.localeFallbacks).forEach(([label, count]) => {
+      console.log(`  ${count}x ${label}`);
+    });
+  }
+  if (Object.keys(report.variants).length > 0) {
+    console.log('🧪 Variants:');
+    Object.entries(report.variants).forEach(([name, counts]) => {
+      console.log(`  ${name}: ${counts.successful} sent, ${counts.failed} failed${counts.dropped > 0 ? `, ${counts.dropped} dropped` : ''} (${counts.successRate}%)`);
+    });
+  }
+  if (summary.dropped > 0) {
+    console.log(`🚫 Dropped before sending: ${summary.dropped}`);
+    Object.entries(report.dropReasons).forEach(([reason, count]) => {
+      console.log(`  ${count}x ${reason}`);
+    });
+  }
+  if (summary.capped > 0) {
+    console.log(`🔕 Frequency capped: ${summary.capped}`);
+    Object.entries(report.frequencyCaps).forEach(([cap, count]) => {
+      console.log(`  ${count}x ${cap}`);
+    });
+  }
+  if (report.users.users > 0) {
+    const { users, devices, sent, partial, failed, suppressed } = report.users;
+    console.log(`👥 Users: ${users} across ${devices} devices: ${sent} reached, ${partial} partly, ${failed} not reached, ${report.users.no_devices} without devices${suppressed > 0 ? `, ${suppressed} opted out` : ''}`);
+  }
+  if (summary.deferred > 0) {
+    const { earliest, latest } = report.deferredUntil;
+    console.log(`🌙 Deferred for quiet hours: ${summary.deferred} (windows open ${earliest}${latest !== earliest ? ` to ${latest}` : ''})`);
+  }
   console.log(`❌ Failed: ${summary.failed}`);
   console.log(`⏰ Timestamp: ${summary.timestamp}`);
   
@@ -258,7 +1002,7 @@ function displaySummary(report) {
     if (failedNotifications.length > 0) {
       console.log('\n🔍 SAMPLE FAILURES:');
       failedNotifications.slice(0, 3).forEach(failure => {
-        console.log(`  ${failure.fcmToken}: ${failure.error}`);
+        console.log(`  ${failure.fcmToken || failure.deviceToken}: ${formatError(failure.error)}`);
       });
     }
   }
@@ -266,6 +1010,41 @@ function displaySummary(report) {
   console.log('\n' + '='.repeat(60));
 }
 
+/**
+ * Display a dry-run report
+ */
+function displayPreview(report, previewPath) {
+  console.log('\n' + '='.repeat(60));
+  console.log('🔎 DRY RUN (nothing was sent)');
+  console.log('='.repeat(60));
+
+  console.log(`📝 Total Notifications: ${report.total}`);
+  Object.entries(report.byPlatform).forEach(([platform, count]) => {
+    console.log(`  ${platform}: ${count}`);
+  });
+  console.log(`✅ Renderable: ${report.renderable}`);
+  console.log(`❌ Invalid: ${report.invalid}`);
+  Object.entries(report.dropped).forEach(([reason, count]) => {
+    console.log(`🚫 Dropped (${reason}): ${count}`);
+  });
+  Object.entries(report.localeFallbacks).forEach(([label, count]) => {
+    console.log(`🌐 Locale fallback (${label}): ${count}`);
+  });
+  Object.entries(report.variants).forEach(([name, count]) => {
+    console.log(`🧪 Variant ${name}: ${count}`);
+  });
+  if (report.deferred > 0) {
+    console.log(`🌙 Deferred for quiet hours if sent now: ${report.deferred}`);
+  }
+  if (report.users.users > 0) {
+    console.log(`👥 Users: ${report.users.users} with ${report.users.devices} active devices${report.users.no_devices > 0 ? ` (${report.users.no_devices} with none)` : ''}`);
+  }
+  console.log(`📦 Message size: ${report.messageBytes.average} bytes average, ${report.messageBytes.max} bytes max${report.largest !== null ? ` (notification ${report.largest + 1})` : ''}`);
+  console.log(`💾 Rendered messages saved to: ${previewPath}`);
+
+  console.log('\n' + '='.repeat(60));
+}
+
 /**
  * Main CLI function
  */
@@ -281,13 +1060,64 @@ Usage:
   node batch-sender.js --generate <count> [options]
 
 Options:
-  --file <path>              Path to file containing notifications (JSON or CSV)
+  --file <path>              Path to file containing notifications (JSON, NDJSON or CSV)
   --generate <count>         Generate sample notification file
-  --batch-size <number>      Notifications per batch (default: 10)
-  --delay <ms>              Delay between batches (default: 1000ms)
-  --max-retries <number>     Maximum retry attempts (default: 3)
+  --max-in-flight <number>   Concurrent sends (default: 10; --batch-size is an alias)
+  --rate <per-second>        Target sends per second (default: unpaced)
+  --max-retries <number>     Maximum retries of transient errors (default: 3)
+  --retry-delay <ms>         Base backoff delay, doubled per retry with jitter (default: 500ms)
+  --max-retry-delay <ms>     Upper bound for a single backoff delay (default: 20000ms)
   --output <path>           Save results to file
   --topic-arn <arn>         SNS Topic ARN (or set SNS_TOPIC_ARN env var)
+  --idempotency-store <path> Remember sent idempotency keys in a JSON file across runs
+  --rate-limit <per-minute>  Maximum SNS publishes per minute (or set RATE_LIMIT_PER_MINUTE)
+  --journal <path>           Append each notification's outcome to an NDJSON journal
+  --resume                   With --journal, skip entries already sent and retry only failures
+  --queue-url <url>          Enqueue jobs to the SQS campaign queue instead of sending them here
+  --campaign-id <id>         Campaign ID for queued jobs (default: campaign-<timestamp>)
+  --template <name>          Render rows without a template column from this template
+  --templates <path>         Template file (default: config/notification-templates.json)
+  --quiet-hours <window>     Defer non-urgent sends inside this local window, e.g. 22:00-08:00;
+                             rows override it with a quietHours column ("off" opts out),
+                             and users with the timeZone and quietHours in their preferences.
+                             Needs --journal: deferred rows are sent by a later --resume
+  --time-zone <zone>         Time zone for rows without a timeZone column (default: UTC)
+  --frequency-cap <caps>     Per-recipient caps such as 3/1h,10/1d,marketing:2/1d (or set
+                             FREQUENCY_CAPS); rows over a cap are not sent
+  --frequency-store <path>   Count sends in this JSON file (or FREQUENCY_CAP_TABLE_NAME /
+                             FREQUENCY_CAP_STORE), so caps hold across runs and tools
+  --preferences <path>       Read user opt-outs from this JSON file (or PREFERENCES_TABLE_NAME /
+                             PREFERENCES_STORE); rows whose userId opted out of their category
+                             (category, data.category or data.type) or platform are not sent,
+                             and rows sent to users follow each user's stored quiet hours
+  --devices <path>           Device registry JSON file (or DEVICE_TABLE_NAME / DEVICE_STORE);
+                             rows with a userId and no token go to each of the user's active
+                             devices, and the report counts outcomes per user
+  --experiment <path>        A/B test: send each recipient the content of one weighted variant,
+                             assigned by hashing the experiment id with their token or userId
+  --dedupe-key <field>       Send once per device token (default: token), per field such as
+                             userId or data.userId, or to every entry with 'none'
+  --suppress <path>          Skip tokens and user IDs listed in this file (repeatable; .txt with
+                             one per line, or NDJSON/CSV/JSON as written by token-validator.js)
+  --dry-run                  Validate and render every SNS message without sending; the
+                             rendered messages go to --output (default: dry-run-preview.ndjson)
+  --sample <count>           Send only to a random subset of this size first, as a canary;
+                             needs --journal, so the full run can --resume past it
+
+NDJSON (.ndjson/.jsonl) and CSV files are streamed, so memory stays flat for
+any size; prefer them over JSON arrays for large campaigns. CSV follows
+RFC 4180 (quoted fields may hold commas, quotes as "" and newlines), and
+dotted headers such as data.orderId become nested objects.
+
+Notifications default to Android (fcmToken). iOS entries set "platform": "ios"
+and carry an APNs "deviceToken"; each entry is published with a "platform"
+message attribute for subscription filtering. Entries with a "userId" (or a
+"userIds" list) and no token are sent to each of the users' active devices.
+Entries with an "idempotencyKey" are published at most once per key,
+including across retries.
+
+Publishing stops early (remaining entries fail with SERVICE_UNAVAILABLE) once
+CIRCUIT_BREAKER_THRESHOLD consecutive throttling or 5xx errors open the circuit.
 
 Examples:
   # Send notifications from file
@@ -296,22 +1126,68 @@ Examples:
   # Generate sample file
   node batch-sender.js --generate 100 --output sample.json
   
-  # Custom batch configuration
-  node batch-sender.js --file notifications.json --batch-size 20 --delay 2000
+  # 50 concurrent sends, paced to 200 per second
+  node batch-sender.js --file notifications.json --max-in-flight 50 --rate 200
   
   # Save detailed results
   node batch-sender.js --file notifications.json --output results.json
+  
+  # Fan a large campaign out to the SQS workers (SQS_ENDPOINT targets a local queue)
+  node batch-sender.js --file campaign.ndjson --queue-url https://sqs.us-east-1.amazonaws.com/123/push-campaigns
+  
+  # Restart an interrupted campaign where it stopped
+  node batch-sender.js --file campaign.csv --journal campaign.journal --resume
+
+  # Personalize every row from the order-shipped template (columns are the variables)
+  node batch-sender.js --file shipped.csv --template order-shipped
+
+  # Skip unsubscribed users and tokens found invalid, one push per user
+  node batch-sender.js --file campaign.csv --dedupe-key userId --suppress unsubscribed.txt --suppress invalid-tokens.ndjson
+
+  # Respect recipients' nights; rerun with --resume once the deferred windows open
+  node batch-sender.js --file campaign.csv --quiet-hours 22:00-08:00 --time-zone America/New_York --journal campaign.journal
+
+  # A/B test two versions of the copy; the summary breaks results down per variant
+  node batch-sender.js --file campaign.csv --experiment cart-copy.json
+
+  # Preview a campaign, then canary it to 100 random devices before the full send
+  node batch-sender.js --file campaign.csv --dry-run --output preview.ndjson
+  node batch-sender.js --file campaign.csv --sample 100 --journal campaign.journal
+  node batch-sender.js --file campaign.csv --journal campaign.journal --resume
 `);
     process.exit(0);
   }
 
   const fileIndex = args.indexOf('--file');
   const generateIndex = args.indexOf('--generate');
-  const batchSizeIndex = args.indexOf('--batch-size');
-  const delayIndex = args.indexOf('--delay');
+  const maxInFlightIndex = args.indexOf('--max-in-flight') !== -1
+    ? args.indexOf('--max-in-flight')
+    : args.indexOf('--batch-size');
+  const rateIndex = args.indexOf('--rate');
   const maxRetriesIndex = args.indexOf('--max-retries');
+  const retryDelayIndex = args.indexOf('--retry-delay');
+  const maxRetryDelayIndex = args.indexOf('--max-retry-delay');
   const outputIndex = args.indexOf('--output');
   const topicArnIndex = args.indexOf('--topic-arn');
+  const idempotencyStoreIndex = args.indexOf('--idempotency-store');
+  const rateLimitIndex = args.indexOf('--rate-limit');
+  const journalIndex = args.indexOf('--journal');
+  const queueUrlIndex = args.indexOf('--queue-url');
+  const campaignIdIndex = args.indexOf('--campaign-id');
+  const sampleIndex = args.indexOf('--sample');
+  const dedupeKeyIndex = args.indexOf('--dedupe-key');
+  const templateIndex = args.indexOf('--template');
+  const templatesIndex = args.indexOf('--templates');
+  const experimentIndex = args.indexOf('--experiment');
+  const quietHoursIndex = args.indexOf('--quiet-hours');
+  const frequencyCapIndex = args.indexOf('--frequency-cap');
+  const frequencyStoreIndex = args.indexOf('--frequency-store');
+  const preferencesIndex = args.indexOf('--preferences');
+  const devicesIndex = args.indexOf('--devices');
+  const timeZoneIndex = args.indexOf('--time-zone');
+  const suppressionPaths = args.map((arg, i) => (arg === '--suppress' ? args[i + 1] : null)).filter(Boolean);
+  const resume = args.includes('--resume');
+  const dryRun = args.includes('--dry-run');
 
   // Generate sample file mode
   if (generateIndex !== -1) {
@@ -328,64 +1204,234 @@ Examples:
   }
 
   const filePath = args[fileIndex + 1];
+
+  if (args.includes('--delay')) {
+    console.warn('⚠️  --delay is no longer used; sends run in a sliding window, pace them with --rate <per-second>');
+  }
+
+  if (resume && journalIndex === -1) {
+    console.error('❌ --resume needs the --journal file of the interrupted run');
+    process.exit(1);
+  }
+  const dedupeKey = dedupeKeyIndex !== -1 ? args[dedupeKeyIndex + 1] : 'token';
   const snsTopicArn = topicArnIndex !== -1 ? args[topicArnIndex + 1] : process.env.SNS_TOPIC_ARN;
+  const queueUrl = queueUrlIndex !== -1 ? args[queueUrlIndex + 1] : null;
 
-  if (!snsTopicArn) {
+  if (!snsTopicArn && !queueUrl && !dryRun) {
     console.error('❌ Please specify SNS Topic ARN via --topic-arn or SNS_TOPIC_ARN environment variable');
     process.exit(1);
   }
+  // Campaign workers schedule their own deferrals; here only the journal keeps them
+  if (quietHoursIndex !== -1 && journalIndex === -1 && !queueUrl && !dryRun) {
+    console.error('❌ --quiet-hours defers rows to a later --resume, so it needs --journal');
+    process.exit(1);
+  }
+  // Without a journal the full run would send the canary's recipients a second copy
+  if (sampleIndex !== -1 && journalIndex === -1 && !dryRun) {
+    console.error('❌ --sample sends a canary the full run must --resume past, so it needs --journal');
+    process.exit(1);
+  }
 
   const options = {
     snsTopicArn,
-    batchSize: batchSizeIndex !== -1 ? parseInt(args[batchSizeIndex + 1]) : 10,
-    delayBetweenBatches: delayIndex !== -1 ? parseInt(args[delayIndex + 1]) : 1000,
-    maxRetries: maxRetriesIndex !== -1 ? parseInt(args[maxRetriesIndex + 1]) : 3
+    maxInFlight: maxInFlightIndex !== -1 ? parseInt(args[maxInFlightIndex + 1]) : 10,
+    ratePerSecond: rateIndex !== -1 ? parseFloat(args[rateIndex + 1]) : undefined,
+    maxRetries: maxRetriesIndex !== -1 ? parseInt(args[maxRetriesIndex + 1]) : 3,
+    retryDelay: retryDelayIndex !== -1 ? parseInt(args[retryDelayIndex + 1]) : undefined,
+    maxRetryDelay: maxRetryDelayIndex !== -1 ? parseInt(args[maxRetryDelayIndex + 1]) : undefined,
+    idempotencyStorePath: idempotencyStoreIndex !== -1 ? args[idempotencyStoreIndex + 1] : null,
+    rateLimitPerMinute: rateLimitIndex !== -1 ? parseInt(args[rateLimitIndex + 1]) : undefined,
+    journalPath: journalIndex !== -1 ? args[journalIndex + 1] : null,
+    resume,
+    dedupeKey: dedupeKey === 'none' ? null : dedupeKey,
+    template: templateIndex !== -1 ? args[templateIndex + 1] : null,
+    templatesPath: templatesIndex !== -1 ? args[templatesIndex + 1] : undefined,
+    experimentPath: experimentIndex !== -1 ? args[experimentIndex + 1] : null,
+    quietHours: quietHoursIndex !== -1 ? args[quietHoursIndex + 1] : undefined,
+    timeZone: timeZoneIndex !== -1 ? args[timeZoneIndex + 1] : undefined,
+    frequencyCaps: frequencyCapIndex !== -1 ? args[frequencyCapIndex + 1] : undefined,
+    frequencyStorePath: frequencyStoreIndex !== -1 ? args[frequencyStoreIndex + 1] : undefined,
+    preferencesPath: preferencesIndex !== -1 ? args[preferencesIndex + 1] : undefined,
+    devicesPath: devicesIndex !== -1 ? args[devicesIndex + 1] : undefined
   };
 
   try {
     console.log('📤 AWS Push Notification Batch Sender');
     console.log('=====================================');
     
-    // Load notifications
-    const notifications = loadNotificationsFromFile(filePath);
-    console.log(`📁 Loaded ${notifications.length} notifications from ${filePath}`);
+    if (suppressionPaths.length > 0) {
+      options.suppression = await SuppressionList.fromFiles(suppressionPaths);
+      console.log(`🚫 Suppressing ${options.suppression.size} tokens and user IDs from ${suppressionPaths.join(', ')}`);
+    }
     
-    // Validate notifications
+    const sender = new BatchNotificationSender(options);
+    if (options.template) {
+      sender.templates.get(options.template);
+    }
+    if (sender.quietHours.window) {
+      const { start, end } = sender.quietHours.window;
+      console.log(`🌙 Quiet hours ${start}-${end} (${sender.quietHours.timeZone} unless rows set timeZone); priority "high" rows are sent anyway`);
+    }
+    if (sender.frequencyCap.enabled) {
+      console.log(`🔕 Frequency caps: ${sender.frequencyCap.caps.map(capLabel).join(', ')} per recipient`);
+    }
+    if (sender.experiment) {
+      console.log(`🧪 Experiment ${sender.experiment.id}: variants ${sender.experiment.names().join(', ')} by ${sender.experiment.assignBy}`);
+    }
+    
+    // Validate notifications in a first streaming pass, so nothing is sent
+    // from a file with bad entries
+    let total = 0;
+    let invalid = 0;
+    let quietHoursRow = null;
     const validationErrors = [];
-    notifications.forEach((notification, index) => {
-      const errors = new BatchNotificationSender().validateNotification(notification);
+    for await (const notification of loadNotificationsFromFile(filePath)) {
+      total += 1;
+      let errors;
+      try {
+        const rendered = sender.renderNotification(notification).notification;
+        errors = sender.validateNotification(rendered);
+        if (quietHoursRow === null && [rendered.quietHours, rendered.timeZone].some(value => value !== undefined && value !== '')) {
+          quietHoursRow = total;
+        }
+      } catch (error) {
+        errors = [error.message];
+      }
       if (errors.length > 0) {
-        validationErrors.push(`Notification ${index + 1}: ${errors.join(', ')}`);
+        invalid += 1;
+        if (validationErrors.length < 5) {
+          validationErrors.push(`Notification ${total}: ${errors.join(', ')}`);
+        }
       }
-    });
+    }
+    console.log(`📁 Read ${total} notifications from ${filePath}`);
     
-    if (validationErrors.length > 0) {
+    if (invalid > 0) {
       console.error('❌ Validation errors found:');
-      validationErrors.slice(0, 5).forEach(error => console.error(`  ${error}`));
-      if (validationErrors.length > 5) {
-        console.error(`  ... and ${validationErrors.length - 5} more errors`);
+      validationErrors.forEach(error => console.error(`  ${error}`));
+      if (invalid > 5) {
+        console.error(`  ... and ${invalid - 5} more errors`);
       }
+      // A dry run still renders the rest and flags the invalid entries in its preview
+      if (!dryRun) {
+        process.exit(1);
+      }
+    } else {
+      console.log('✅ All notifications validated successfully');
+    }
+    
+    // A row's own quiet hours may defer it mid-run; refuse before the first send
+    if (quietHoursRow !== null && !sender.journal && !queueUrl && !dryRun) {
+      console.error(`❌ Notification ${quietHoursRow} sets its own quietHours or timeZone, which defers rows to a later --resume, so it needs --journal`);
       process.exit(1);
     }
     
-    console.log('✅ All notifications validated successfully');
+    // Canary: restrict the run to random entries; indexes stay those of the
+    // full file, so a later --resume with the same journal skips them
+    let only;
+    if (sampleIndex !== -1) {
+      const sampleSize = parseInt(args[sampleIndex + 1]);
+      if (!(sampleSize > 0)) {
+        console.error('❌ --sample needs a positive count');
+        process.exit(1);
+      }
+      only = sampleIndices(total, sampleSize);
+      console.log(`🎯 Sample: ${only.size} of ${total} notifications chosen at random`);
+    }
     
-    // Send notifications
-    const sender = new BatchNotificationSender(options);
-    const results = await sender.sendBatch(notifications);
+    if (dryRun) {
+      const previewPath = outputIndex !== -1 ? args[outputIndex + 1] : 'dry-run-preview.ndjson';
+      const fd = fs.openSync(previewPath, 'w');
+      let preview;
+      try {
+        preview = await sender.previewBatch(loadNotificationsFromFile(filePath), {
+          only,
+          write: line => fs.writeSync(fd, JSON.stringify(line) + '\n')
+        });
+      } finally {
+        fs.closeSync(fd);
+      }
+      
+      displayPreview(preview, previewPath);
+      process.exit(preview.invalid > 0 ? 1 : 0);
+    }
+    
+    // Queue mode: hand the jobs to the SQS campaign workers instead of sending here
+    if (queueUrl) {
+      if (only) {
+        console.error('❌ --sample is not supported with --queue-url');
+        process.exit(1);
+      }
+      const producer = new CampaignProducer({
+        queueUrl,
+        campaignId: campaignIdIndex !== -1 ? args[campaignIdIndex + 1] : undefined
+      });
+      const filter = sender.createAudienceFilter();
+      // Workers check quiet hours and preferences when they send, so jobs
+      // carry the quiet hours defaults
+      const stampQuietHours = quietHoursIndex !== -1 || timeZoneIndex !== -1;
+      let dropped = 0;
+      const audience = async function * () {
+        for await (const notification of loadNotificationsFromFile(filePath)) {
+          if (filter.check(notification)) {
+            dropped += 1;
+          } else {
+            const rendered = sender.renderNotification(notification).notification;
+            yield stampQuietHours ? sender.quietHours.applyDefaults(rendered) : rendered;
+          }
+        }
+      };
+      const enqueued = await producer.enqueue(audience());
+      
+      console.log(`📨 Campaign ${enqueued.campaignId}: ${enqueued.enqueued} jobs queued, ${enqueued.failed} failed, ${dropped} dropped`);
+      enqueued.failures.slice(0, 5).forEach(failure => {
+        console.error(`  Notification ${failure.index + 1}: ${failure.code}: ${failure.message}`);
+      });
+      process.exit(enqueued.failed > 0 ? 1 : 0);
+    }
+    
+    // Send notifications, streaming the file again; results go straight
+    // into the summary (and the output file) instead of being kept
+    const outputPath = outputIndex !== -1 ? args[outputIndex + 1] : null;
+    const writer = outputPath ? createResultsWriter(outputPath) : null;
+    const summary = new BatchSummary();
+    
+    // First Ctrl+C drains in-flight sends and writes the partial report; a second one exits
+    process.once('SIGINT', () => {
+      console.log('\n🛑 Interrupted: finishing in-flight sends (Ctrl+C again to abort)...');
+      sender.stop();
+      process.once('SIGINT', () => process.exit(130));
+    });
+    
+    await sender.sendBatch(loadNotificationsFromFile(filePath), {
+      total: only ? only.size : total,
+      only,
+      onResult: (result, index) => {
+        summary.add(result);
+        if (writer) {
+          writer.write(result, index);
+        }
+      }
+    });
     
     // Generate and display summary
-    const report = sender.generateSummary(results);
+    const report = summary.toReport();
+    if (sender.interrupted) {
+      report.summary.interrupted = true;
+    }
     displaySummary(report);
     
     // Save results if requested
-    const outputPath = outputIndex !== -1 ? args[outputIndex + 1] : null;
-    if (outputPath) {
-      fs.writeFileSync(outputPath, JSON.stringify({ ...report, results }, null, 2));
+    if (writer) {
+      writer.close(report);
       console.log(`💾 Detailed results saved to: ${outputPath}`);
     }
     
     // Exit with appropriate code
+    if (sender.interrupted) {
+      console.log(`⏸️  Stopped after ${report.summary.total} of ${total} notifications${options.journalPath ? '; rerun with --resume to continue' : ''}`);
+      process.exit(130);
+    }
     process.exit(report.summary.failed > 0 ? 1 : 0);
     
   } catch (error) {
@@ -399,4 +1445,5 @@ if (require.main === module) {
   main();
 }
 
-module.exports = BatchNotificationSender;
\ No newline at end of file
+module.exports = BatchNotificationSender;
+module.exports.sampleIndices = sampleIndices;
\ No newline at end of file
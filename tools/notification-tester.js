@@ -8,11 +8,18 @@
 const readline = require('readline');
 const AWS = require('aws-sdk');
 const { v4: uuidv4 } = require('uuid');
+const { normalizeError, formatError } = require('../lib/errors');
+const { PublishGuard } = require('../lib/publish-guard');
+const { TemplateRegistry } = require('../lib/template-engine');
+const { FrequencyCap } = require('../lib/frequency-cap');
 
-// Configure AWS SDK
-const sns = new AWS.SNS({
+// Configure AWS SDK; publishes share the configured rate limit and circuit breaker
+const sns = PublishGuard.fromEnv(process.env, { maxWaitMs: Infinity }).wrap(new AWS.SNS({
   region: process.env.AWS_REGION || 'us-east-1'
-});
+}));
+
+// Test sends count against the same per-recipient caps as every other send path
+const frequencyCap = FrequencyCap.fromEnv(process.env);
 
 const rl = readline.createInterface({
   input: process.stdin,
@@ -90,7 +97,10 @@ const testScenarios = {
  * Send notification via SNS
  */
 async function sendViaSNS(payload) {
+  let charge = null;
   try {
+    charge = await frequencyCap.enforce(payload);
+    
     const message = {
       ...payload,
       timestamp: new Date().toISOString(),
@@ -115,7 +125,10 @@ async function sendViaSNS(payload) {
     const result = await sns.publish(params).promise();
     return { success: true, messageId: result.MessageId };
   } catch (error) {
-    return { success: false, error: error.message };
+    if (charge) {
+      await frequencyCap.refund(charge);
+    }
+    return { success: false, error: normalizeError(error).toJSON() };
   }
 }
 
@@ -136,7 +149,7 @@ async function sendViaAPI(payload) {
     const result = await response.json();
     return { success: response.ok, ...result };
   } catch (error) {
-    return { success: false, error: error.message };
+    return { success: false, error: normalizeError(error).toJSON() };
   }
 }
 
@@ -175,7 +188,7 @@ function displayResults(result, method) {
     console.log(`⏰ Timestamp: ${new Date().toISOString()}`);
   } else {
     console.log('❌ Status: FAILED');
-    console.log(`💥 Error: ${result.error}`);
+    console.log(`💥 Error: ${formatError(result.error)}`);
   }
   
   console.log('='.repeat(50) + '\n');
@@ -200,14 +213,21 @@ async function runNotificationTest() {
     
     // Choose test scenario
     console.log('\n📋 Available Test Scenarios:');
-    Object.keys(testScenarios).forEach((key, index) => {
+    const scenarioKeys = Object.keys(testScenarios);
+    const templates = TemplateRegistry.fromFile();
+    const templateNames = templates.names();
+    scenarioKeys.forEach((key, index) => {
       console.log(`${index + 1}. ${key} - ${testScenarios[key].title || 'Silent notification'}`);
     });
-    console.log(`${Object.keys(testScenarios).length + 1}. custom - Create custom notification`);
+    templateNames.forEach((name, index) => {
+      console.log(`${scenarioKeys.length + index + 1}. template: ${name}`);
+    });
+    const choices = scenarioKeys.length + templateNames.length + 1;
+    console.log(`${choices}. custom - Create custom notification`);
     
-    const scenarioChoice = await askQuestion('\nSelect scenario (1-5)', '1');
+    const scenarioChoice = await askQuestion(`\nSelect scenario (1-${choices})`, '1');
     const scenarioIndex = parseInt(scenarioChoice) - 1;
-    const scenarioKeys = Object.keys(testScenarios);
+    const templateIndex = scenarioIndex - scenarioKeys.length;
     
     let payload = { fcmToken };
     
@@ -216,6 +236,33 @@ async function runNotificationTest() {
       const scenario = testScenarios[scenarioKeys[scenarioIndex]];
       payload = { ...payload, ...scenario };
       console.log(`\n📦 Using ${scenarioKeys[scenarioIndex]} scenario`);
+    } else if (templateIndex >= 0 && templateIndex < templateNames.length) {
+      // Render a campaign template with variables entered here
+      const template = templates.get(templateNames[templateIndex]);
+      console.log(`\n📝 Variables for the ${template.name} template (blank uses the default):`);
+      const variables = {};
+      for (const name of template.variables()) {
+        const value = await askQuestion(name, template.defaults[name] || '');
+        if (value) {
+          // Dotted names such as data.orderId become nested objects
+          const parts = name.split('.');
+          const parent = parts.slice(0, -1).reduce((node, part) => (node[part] = node[part] || {}), variables);
+          parent[parts[parts.length - 1]] = value;
+        }
+      }
+      
+      const locales = Object.keys(template.locales);
+      const locale = locales.length > 0
+        ? await askQuestion(`Locale (${locales.join(', ')}; blank for default)`)
+        : '';
+      
+      try {
+        payload = { ...payload, ...template.render(variables, locale || null) };
+      } catch (error) {
+        console.log(`❌ ${formatError(error)}`);
+        rl.close();
+        return;
+      }
     } else {
       // Custom notification
       console.log('\n📝 Creating custom notification...');
@@ -273,6 +320,8 @@ Environment Variables:
   AWS_REGION          AWS region (default: us-east-1)
   SNS_TOPIC_ARN       SNS topic ARN for notifications
   API_ENDPOINT        API Gateway endpoint URL
+  FREQUENCY_CAPS      Per-recipient caps for SNS test sends, e.g. 3/1h,10/1d
+  FREQUENCY_CAP_STORE JSON file (or FREQUENCY_CAP_TABLE_NAME) with the send counts
 
 Examples:
   # Interactive testing
@@ -2,19 +2,25 @@
 
 /**
  * FCM Token Validator
- * Validates Firebase Cloud Messaging tokens for format and connectivity
+ * Validates Firebase Cloud Messaging tokens for format and connectivity,
+ * and APNs (iOS) device tokens for format
  */
 
 const fs = require('fs');
 const path = require('path');
 const admin = require('firebase-admin');
+const { InvalidTokenError, normalizeError, formatError } = require('../lib/errors');
+const { validateDeviceToken, detectPlatform } = require('../lib/device-token');
+const { RetryPolicy } = require('../lib/retry-policy');
 
 /**
  * FCM Token validation utility
  */
 class FCMTokenValidator {
-  constructor(serviceAccountPath) {
+  constructor(serviceAccountPath, options = {}) {
     this.initialized = false;
+    // Transient FCM errors (rate limits, unavailable) are retried with backoff
+    this.retryPolicy = options.retryPolicy || new RetryPolicy({ maxRetries: options.maxRetries });
     if (serviceAccountPath && fs.existsSync(serviceAccountPath)) {
       this.initializeFirebase(serviceAccountPath);
     }
@@ -45,41 +51,21 @@ class FCMTokenValidator {
   /**
    * Validate token format (basic validation)
    */
-  validateTokenFormat(token) {
-    const errors = [];
-    
-    if (!token || typeof token !== 'string') {
-      errors.push('Token must be a non-empty string');
-      return { valid: false, errors };
-    }
-    
-    // FCM tokens are typically 140-200 characters
-    if (token.length < 140) {
-      errors.push('Token too short (minimum 140 characters)');
-    } else if (token.length > 200) {
-      errors.push('Token too long (maximum 200 characters)');
-    }
-    
-    // FCM tokens contain specific character sets
-    if (!/^[A-Za-z0-9_:.-]+$/.test(token)) {
-      errors.push('Token contains invalid characters');
-    }
-    
-    // FCM tokens typically start with certain patterns
-    if (!token.match(/^[A-Za-z0-9_-]+:[A-Za-z0-9_-]+/)) {
-      errors.push('Token does not match expected FCM format');
-    }
-    
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+  validateTokenFormat(token, platform = 'android') {
+    return validateDeviceToken(token, platform);
   }
 
   /**
    * Test token connectivity with Firebase
    */
-  async validateTokenConnectivity(token) {
+  async validateTokenConnectivity(token, platform = 'android', retryPolicy = this.retryPolicy) {
+    if (platform === 'ios') {
+      return {
+        valid: null,
+        error: 'APNs connectivity test unavailable - format validated only'
+      };
+    }
+
     if (!this.initialized) {
       return {
         valid: null,
@@ -104,48 +90,60 @@ class FCMTokenValidator {
       };
 
       // Use validateOnly flag to test without actually sending
-      const result = await this.messaging.send(message, true);
+      const { value, attempts } = await retryPolicy.execute(() => this.messaging.send(message, true));
       
       return {
         valid: true,
-        messageId: result
+        messageId: value,
+        attempts
       };
     } catch (error) {
       const errorCode = error.code || 'unknown';
       const errorMessage = error.message || 'Unknown error';
       
+      // A transient error that outlasted the retries says nothing about the token
       return {
-        valid: false,
+        valid: retryPolicy.isRetryable(error) ? null : false,
         error: `${errorCode}: ${errorMessage}`,
-        errorCode
+        errorCode,
+        errorMessage,
+        attempts: error.attempts || 1
       };
     }
   }
 
   /**
    * Validate single token with full validation
+   * The platform is detected from the token shape unless given
    */
-  async validateToken(token) {
-    const formatValidation = this.validateTokenFormat(token);
+  async validateToken(token, platform = detectPlatform(token), retryPolicy = this.retryPolicy) {
+    const formatValidation = this.validateTokenFormat(token, platform);
     
     if (!formatValidation.valid) {
       return {
         token: token.substring(0, 20) + '...',
+        platform,
         formatValid: false,
         connectivityValid: null,
         errors: formatValidation.errors,
+        error: new InvalidTokenError('Token format does not match expected pattern', formatValidation.errors).toJSON(),
         status: 'INVALID_FORMAT'
       };
     }
 
-    const connectivityValidation = await this.validateTokenConnectivity(token);
+    const connectivityValidation = await this.validateTokenConnectivity(token, platform, retryPolicy);
     
     return {
       token: token.substring(0, 20) + '...',
+      platform,
       formatValid: true,
       connectivityValid: connectivityValidation.valid,
       errors: connectivityValidation.error ? [connectivityValidation.error] : [],
       errorCode: connectivityValidation.errorCode,
+      attempts: connectivityValidation.attempts,
+      error: connectivityValidation.valid === false
+        ? normalizeError({ code: connectivityValidation.errorCode, message: connectivityValidation.errorMessage }).toJSON()
+        : null,
       status: connectivityValidation.valid === true ? 'VALID' : 
               connectivityValidation.valid === false ? 'INVALID_TOKEN' : 'UNKNOWN'
     };
@@ -153,9 +151,10 @@ class FCMTokenValidator {
 
   /**
    * Validate multiple tokens from array
+   * Entries are token strings or { token, platform } objects
    */
   async validateTokens(tokens, options = {}) {
-    const { batchSize = 10, delay = 100 } = options;
+    const { batchSize = 10, delay = 100, platform, retryPolicy = this.retryPolicy } = options;
     const results = [];
     
     console.log(`🔍 Validating ${tokens.length} tokens...`);
@@ -163,7 +162,9 @@ class FCMTokenValidator {
     for (let i = 0; i < tokens.length; i += batchSize) {
       const batch = tokens.slice(i, i + batchSize);
       const batchResults = await Promise.all(
-        batch.map(token => this.validateToken(token))
+        batch.map(entry => typeof entry === 'object' && entry !== null
+          ? this.validateToken(entry.token, entry.platform || platform || detectPlatform(entry.token), retryPolicy)
+          : this.validateToken(entry, platform || detectPlatform(entry), retryPolicy))
       );
       
       results.push(...batchResults);
@@ -190,6 +191,11 @@ class FCMTokenValidator {
     const invalidFormat = results.filter(r => r.status === 'INVALID_FORMAT').length;
     const invalidToken = results.filter(r => r.status === 'INVALID_TOKEN').length;
     const unknown = results.filter(r => r.status === 'UNKNOWN').length;
+    
+    const byPlatform = {};
+    results.forEach(r => {
+      byPlatform[r.platform] = (byPlatform[r.platform] || 0) + 1;
+    });
 
     const report = {
       summary: {
@@ -199,6 +205,7 @@ class FCMTokenValidator {
         invalidFormat,
         invalidToken,
         unknown,
+        byPlatform,
         validPercentage: total > 0 ? Math.round((valid / total) * 100) : 0
       },
       details: results,
@@ -250,6 +257,20 @@ function saveResults(results, outputPath) {
   }
 }
 
+/**
+ * Write tokens FCM rejected as NDJSON suppression entries for batch-sender.js --suppress
+ * The report truncates tokens, so they are taken from the input in the same order
+ */
+function saveSuppressionList(tokens, results, outputPath) {
+  const lines = results
+    .map((result, i) => ({ result, token: typeof tokens[i] === 'object' && tokens[i] !== null ? tokens[i].token : tokens[i] }))
+    .filter(({ result }) => result.status === 'INVALID_TOKEN')
+    .map(({ result, token }) => JSON.stringify({ token, platform: result.platform, reason: 'INVALID_TOKEN' }));
+
+  fs.writeFileSync(outputPath, lines.map(line => line + '\n').join(''));
+  console.log(`🚫 ${lines.length} invalid tokens saved to suppression list: ${outputPath}`);
+}
+
 /**
  * Display summary
  */
@@ -263,6 +284,9 @@ function displaySummary(report) {
   console.log(`  📝 Format Issues: ${report.summary.invalidFormat}`);
   console.log(`  🔗 Connectivity Issues: ${report.summary.invalidToken}`);
   console.log(`  ❓ Unknown Status: ${report.summary.unknown}`);
+  Object.entries(report.summary.byPlatform || {}).forEach(([platform, count]) => {
+    console.log(`📱 ${platform}: ${count}`);
+  });
   console.log('='.repeat(60));
 
   if (report.summary.invalid > 0) {
@@ -272,7 +296,8 @@ function displaySummary(report) {
       .slice(0, 5);
     
     invalidTokens.forEach(result => {
-      console.log(`  ${result.token} - ${result.status}: ${result.errors.join(', ')}`);
+      const reason = result.error ? formatError(result.error) : result.errors.join(', ');
+      console.log(`  ${result.token} - ${result.status}: ${reason}`);
     });
   }
 }
@@ -299,6 +324,9 @@ Options:
   --batch-size <number>      Batch size for validation (default: 10)
   --delay <ms>              Delay between batches in milliseconds (default: 100)
   --format-only             Only validate format, skip connectivity test
+  --platform <android|ios>  Token platform (default: detected per token; APNs tokens are hex)
+  --max-retries <number>    Retries of transient FCM errors per token (default: 3)
+  --suppression-output <path> Write INVALID_TOKEN tokens as NDJSON for batch-sender.js --suppress
 
 Examples:
   # Validate tokens from file
@@ -309,6 +337,13 @@ Examples:
   
   # Format validation only
   node token-validator.js --file tokens.txt --format-only
+  
+  # Keep the next campaign away from dead tokens
+  node token-validator.js --file tokens.txt --service-account firebase-key.json --suppression-output invalid-tokens.ndjson
+  node batch-sender.js --file campaign.csv --suppress invalid-tokens.ndjson
+  
+  # Validate an APNs device token
+  node token-validator.js --token "HEX_TOKEN_HERE" --platform ios
 `);
     process.exit(0);
   }
@@ -320,6 +355,10 @@ Examples:
   const batchSizeIndex = args.indexOf('--batch-size');
   const delayIndex = args.indexOf('--delay');
   const formatOnly = args.includes('--format-only');
+  const platformIndex = args.indexOf('--platform');
+  const platform = platformIndex !== -1 ? args[platformIndex + 1] : undefined;
+  const maxRetriesIndex = args.indexOf('--max-retries');
+  const suppressionOutputIndex = args.indexOf('--suppression-output');
 
   if (fileIndex === -1 && tokenIndex === -1) {
     console.error('❌ Please specify --file or --token');
@@ -332,7 +371,9 @@ Examples:
   const delay = delayIndex !== -1 ? parseInt(args[delayIndex + 1]) : 100;
 
   try {
-    const validator = new FCMTokenValidator(formatOnly ? null : serviceAccountPath);
+    const validator = new FCMTokenValidator(formatOnly ? null : serviceAccountPath, {
+      maxRetries: maxRetriesIndex !== -1 ? parseInt(args[maxRetriesIndex + 1]) : undefined
+    });
     let tokens = [];
 
     if (fileIndex !== -1) {
@@ -348,11 +389,14 @@ Examples:
       process.exit(1);
     }
 
-    const results = await validator.validateTokens(tokens, { batchSize, delay });
+    const results = await validator.validateTokens(tokens, { batchSize, delay, platform });
     const report = validator.generateReport(results);
 
     displaySummary(report);
     saveResults(report, outputPath);
+    if (suppressionOutputIndex !== -1) {
+      saveSuppressionList(tokens, results, args[suppressionOutputIndex + 1]);
+    }
 
   } catch (error) {
     console.error('❌ Error:', error.message);